@@ -32,6 +32,11 @@ class AdsMonetization {
         
         // Lazy load ads for better performance
         this.lazyLoadAds();
+        
+        // Back on the remote closes the AdBlock overlay
+        if (typeof getRemoteInput !== 'undefined') {
+            getRemoteInput().on('back', () => this.hideAdBlockOverlay(), REMOTE_PRIORITY.modal);
+        }
     }
 
     /**
@@ -97,6 +102,19 @@ class AdsMonetization {
         }
     }
 
+    /**
+     * Close the AdBlock overlay without re-checking, returns false when it is not shown
+     * Content that waits for ads stays locked while AdBlock is detected
+     */
+    hideAdBlockOverlay() {
+        const overlay = document.getElementById('adb-overlay');
+        if (!overlay || overlay.classList.contains('hidden')) return false;
+        
+        overlay.classList.add('hidden');
+        this.trackEvent('adb_overlay_dismissed');
+        return true;
+    }
+
     /**
      * Check if AdBlock is still enabled
      */
@@ -161,8 +179,8 @@ class AdsMonetization {
         message.innerHTML = `
             <div class="success-content">
                 <i class="fas fa-check-circle"></i>
-                <h3>Grazie!</h3>
-                <p>AdBlock è stato disabilitato. Ora puoi accedere a tutti i contenuti.</p>
+                <h3>${t('ads.adblockDisabled.title')}</h3>
+                <p>${t('ads.adblockDisabled.text')}</p>
             </div>
         `;
         
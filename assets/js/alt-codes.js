@@ -3,6 +3,16 @@
  * Handles pre-generated codes display and management
  */
 
+// Message of the badge shown on a code card for each lifecycle state
+const CODE_STATE_BADGES = {
+    draft: 'altCodes.state.draft',
+    active: 'altCodes.state.active',
+    emergency: 'altCodes.state.emergency',
+    retiring: 'altCodes.state.retiring',
+    expired: 'altCodes.state.expired',
+    revoked: 'altCodes.state.revoked'
+};
+
 class AlternativeCodesManager {
     constructor() {
         this.adCountdown = 5; // seconds
@@ -52,6 +62,15 @@ class AlternativeCodesManager {
             refreshBtn.addEventListener('click', () => this.refreshCodes());
         }
 
+        // Redraw when codes change on this page or are synced from another tab
+        if (typeof getCodeRegistry !== 'undefined') {
+            getCodeRegistry().addEventListener('change', (e) => {
+                if (this.codesVisible && e.detail.type !== 'update') {
+                    this.loadAndDisplayCodes();
+                }
+            });
+        }
+
         // Copy buttons (delegated)
         document.addEventListener('click', (e) => {
             if (e.target.matches('.btn-copy-code, .btn-copy-link, .btn-copy-short')) {
@@ -136,35 +155,47 @@ class AlternativeCodesManager {
     /**
      * Load and display available codes
      */
-    loadAndDisplayCodes() {
+    async loadAndDisplayCodes() {
         let activeCodes = [];
+        let inactiveCodes = [];
+        let withdrawnCodes = [];
         
         // Try to get codes from CodeManager first
-        if (typeof codeManager !== 'undefined') {
+        if (typeof codeManager !== 'undefined' && codeManager) {
+            await codeManager.ready;
             activeCodes = codeManager.getActiveCodes();
+            inactiveCodes = codeManager.getInactiveCodes();
+            // Revoked codes that would still be live stay on the grid marked as withdrawn
+            withdrawnCodes = codeManager.getRevokedCodes().filter(code => code.expires > Date.now());
         }
         
-        // Fallback to static codes if no CodeManager
-        if (activeCodes.length === 0) {
-            activeCodes = this.generateStaticCodes();
+        // Never show unverified codes, explain why the list is empty instead
+        if (activeCodes.length === 0 && withdrawnCodes.length === 0) {
+            const loadError = typeof codeManager !== 'undefined' && codeManager ? codeManager.loadError : null;
+            this.showCodesUnavailable(loadError);
+            this.updateStatistics([]);
+            return;
         }
         
-        this.displayCodes(activeCodes);
+        this.displayCodes(activeCodes.concat(inactiveCodes, withdrawnCodes));
         this.updateStatistics(activeCodes);
     }
 
     /**
-     * Generate static codes as fallback
+     * Show empty state when no verified codes are available
      */
-    generateStaticCodes() {
-        const now = Date.now();
-        return [
-            { code: '45789', generated: now - 300000, expires: now + 3300000, uses: 12, status: 'active' },
-            { code: '23456', generated: now - 600000, expires: now + 3000000, uses: 8, status: 'active' },
-            { code: '67890', generated: now - 900000, expires: now + 2700000, uses: 15, status: 'active' },
-            { code: '34567', generated: now - 1200000, expires: now + 2400000, uses: 5, status: 'active' },
-            { code: '78901', generated: now - 1500000, expires: now + 2100000, uses: 20, status: 'active' }
-        ];
+    showCodesUnavailable(error) {
+        if (!this.codesGrid) return;
+        
+        const isUnverified = error && error.name === 'ManifestVerificationError';
+        const message = isUnverified ? t('altCodes.unavailable.unverified') : t('altCodes.unavailable.empty');
+        
+        this.codesGrid.innerHTML = `
+            <div class="codes-unavailable ${isUnverified ? 'unverified' : ''}">
+                <i class="fas fa-${isUnverified ? 'shield-alt' : 'hourglass-half'}"></i>
+                <p>${message}</p>
+            </div>
+        `;
     }
 
     /**
@@ -178,9 +209,38 @@ class AlternativeCodesManager {
         codes.forEach((codeData, index) => {
             const codeCard = this.createCodeCard(codeData, index);
             this.codesGrid.appendChild(codeCard);
+            this.checkCodeTarget(codeData, codeCard);
         });
     }
 
+    /**
+     * Check the APK behind a code and flag the card when it is broken
+     */
+    async checkCodeTarget(codeData, card) {
+        const healthElement = card.querySelector('.code-health');
+        if (!healthElement || !codeData.url || typeof getTargetHealthChecker === 'undefined') {
+            if (healthElement) healthElement.remove();
+            return;
+        }
+        
+        const health = await getTargetHealthChecker().check(codeData.url, {
+            size: codeData.size,
+            sha256: codeData.sha256
+        });
+        
+        const states = {
+            healthy: { icon: 'check-circle', text: t('altCodes.health.healthy') },
+            unhealthy: { icon: 'exclamation-triangle', text: t('altCodes.health.unhealthy') },
+            unknown: { icon: 'question-circle', text: t('altCodes.health.unknown') }
+        };
+        const state = states[health.status];
+        
+        healthElement.className = `code-health ${health.status}`;
+        healthElement.innerHTML = `<i class="fas fa-${state.icon}"></i><span>${state.text}</span>`;
+        if (health.error) healthElement.title = health.error;
+        card.classList.toggle('target-unhealthy', health.status === 'unhealthy');
+    }
+
     /**
      * Create individual code card
      */
@@ -190,13 +250,15 @@ class AlternativeCodesManager {
         card.style.animationDelay = `${index * 0.1}s`;
         
         const timeLeft = codeData.expires - Date.now();
-        const isExpiringSoon = timeLeft < 1800000; // 30 minutes
+        const state = getCodeState(codeData);
+        const usable = USABLE_CODE_STATES.includes(state);
+        card.classList.add(`state-${state}`);
         
         card.innerHTML = `
             <div class="code-header">
                 <span class="code-age">${this.formatAge(codeData.generated)}</span>
-                <span class="code-status ${isExpiringSoon ? 'expires-soon' : 'active'}">
-                    ${isExpiringSoon ? 'SCADE PRESTO' : 'ATTIVO'}
+                <span class="code-status ${state}">
+                    ${CODE_STATE_BADGES[state] ? t(CODE_STATE_BADGES[state]) : state.toUpperCase()}
                 </span>
             </div>
             
@@ -206,57 +268,80 @@ class AlternativeCodesManager {
             
             <div class="code-info">
                 <span><i class="fas fa-clock"></i> ${this.formatTimeLeft(timeLeft)}</span>
-                <span><i class="fas fa-download"></i> ${codeData.uses || 0} usi</span>
+                <span><i class="fas fa-download"></i> ${t('altCodes.uses', { uses: codeData.uses || 0 })}</span>
+            </div>
+            
+            ${!usable ? '' : `
+            <div class="code-health checking">
+                <i class="fas fa-circle-notch fa-spin"></i>
+                <span>${t('altCodes.health.checking')}</span>
             </div>
+            `}
             
+            ${state === 'revoked' ? `
+            <div class="code-withdrawn" role="alert">
+                <i class="fas fa-ban"></i>
+                <span>${t('altCodes.withdrawn')} <span class="code-withdrawn-reason"></span></span>
+            </div>
+            ` : !usable ? `
+            <div class="code-inactive">
+                <i class="fas fa-${state === 'draft' ? 'hourglass-start' : 'history'}"></i>
+                <span>${t(state === 'draft' ? 'altCodes.inactive.draft' : 'altCodes.inactive.expired')}</span>
+            </div>
+            ` : `
             <div class="code-actions">
                 <button class="btn-copy-code" data-code="${codeData.code}">
                     <i class="fas fa-copy"></i>
-                    Copia
+                    ${t('altCodes.copy')}
                 </button>
                 <button class="btn-use-code" data-code="${codeData.code}">
                     <i class="fas fa-external-link-alt"></i>
-                    Usa Ora
+                    ${t('altCodes.use')}
                 </button>
             </div>
+            `}
         `;
         
+        if (state === 'revoked') {
+            const revocation = typeof codeManager !== 'undefined' && codeManager
+                ? codeManager.registry.getRevocation(codeData.code)
+                : null;
+            // Reasons come from the manifest, set as text rather than markup
+            card.querySelector('.code-withdrawn-reason').textContent = revocation && revocation.reason ? revocation.reason : '';
+        }
+        
         return card;
     }
 
     /**
-     * Format code age
+     * Format code age, e.g. "5 min fa"
      */
     formatAge(timestamp) {
-        const age = Date.now() - timestamp;
-        const minutes = Math.floor(age / 60000);
-        
-        if (minutes < 1) return 'Appena generato';
-        if (minutes < 60) return `${minutes}m fa`;
+        const now = Date.now();
+        if (now - timestamp < 60000) return t('altCodes.age.justNow');
         
-        const hours = Math.floor(minutes / 60);
-        return `${hours}h fa`;
+        return getI18n().formatRelativeTime(timestamp, now, { numeric: 'auto', style: 'short' });
     }
 
     /**
      * Format time left
      */
     formatTimeLeft(timeLeft) {
-        if (timeLeft <= 0) return 'Scaduto';
+        if (timeLeft <= 0) return t('altCodes.timeLeft.expired');
         
         const minutes = Math.floor(timeLeft / 60000);
         
-        if (minutes < 60) return `${minutes}m rimanenti`;
+        if (minutes < 60) return t('altCodes.timeLeft.minutes', { minutes: minutes });
         
         const hours = Math.floor(minutes / 60);
         const remainingMinutes = minutes % 60;
         
         if (hours < 24) {
-            return remainingMinutes > 0 ? `${hours}h ${remainingMinutes}m` : `${hours}h`;
+            return t('altCodes.timeLeft.hours', { hours: hours, minutes: remainingMinutes });
         }
         
         const days = Math.floor(hours / 24);
-        return `${days}g rimanenti`;
+        return t('altCodes.timeLeft.days', { days: days });
     }
 
     /**
@@ -312,7 +397,7 @@ class AlternativeCodesManager {
      */
     showCopyFeedback(button, copiedText) {
         const originalHtml = button.innerHTML;
-        button.innerHTML = '<i class="fas fa-check"></i> Copiato!';
+        button.innerHTML = `<i class="fas fa-check"></i> ${t('altCodes.copied')}`;
         button.disabled = true;
         
         setTimeout(() => {
@@ -321,7 +406,7 @@ class AlternativeCodesManager {
         }, 2000);
         
         // Show toast notification
-        this.showToast(`Copiato: ${copiedText}`, 'success');
+        this.showToast(t('altCodes.toast.copied', { text: copiedText }), 'success');
     }
 
     /**
@@ -394,18 +479,13 @@ class AlternativeCodesManager {
         const now = new Date();
         
         if (this.lastUpdateElement) {
-            this.lastUpdateElement.textContent = now.toLocaleTimeString('it-IT', {
-                hour: '2-digit',
-                minute: '2-digit'
-            });
+            this.lastUpdateElement.textContent = getI18n().formatTime(now);
         }
         
         if (this.nextRefreshElement) {
-            const nextRefresh = new Date(now.getTime() + 3600000); // 1 hour later
-            this.nextRefreshElement.textContent = nextRefresh.toLocaleTimeString('it-IT', {
-                hour: '2-digit',
-                minute: '2-digit'
-            });
+            const scheduled = typeof codeManager !== 'undefined' && codeManager ? codeManager.getNextRotationTime() : null;
+            const nextRefresh = scheduled || new Date(now.getTime() + 3600000); // 1 hour later
+            this.nextRefreshElement.textContent = getI18n().formatTime(nextRefresh);
         }
     }
 
@@ -548,7 +628,7 @@ function copyDirectLink() {
         document.execCommand('copy');
         
         if (altCodesManager) {
-            altCodesManager.showToast('Link diretto copiato!', 'success');
+            altCodesManager.showToast(t('altCodes.toast.linkCopied'), 'success');
         }
     }
 }
@@ -557,7 +637,7 @@ function copyShortUrl() {
     const shortUrl = document.getElementById('short-url').textContent;
     navigator.clipboard.writeText(shortUrl).then(() => {
         if (altCodesManager) {
-            altCodesManager.showToast('URL corto copiato!', 'success');
+            altCodesManager.showToast(t('altCodes.toast.shortUrlCopied'), 'success');
         }
     });
 }
@@ -565,7 +645,7 @@ function copyShortUrl() {
 function downloadQR() {
     // Implementation for QR code download
     if (altCodesManager) {
-        altCodesManager.showToast('QR Code scaricato!', 'success');
+        altCodesManager.showToast(t('altCodes.toast.qrDownloaded'), 'success');
     }
 }
 
@@ -0,0 +1,314 @@
+/**
+ * APK Download Module
+ * Streams an APK with fetch, resumes with Range requests after failures and checks the catalog hash
+ */
+
+class ApkDownloadError extends Error {
+    constructor(message, options = {}) {
+        super(message);
+        this.name = 'ApkDownloadError';
+        this.status = options.status || null;
+        // 'network', 'http', 'integrity' or 'cancelled'
+        this.reason = options.reason || 'network';
+        // Integrity failures and 4xx responses will not get better by retrying
+        this.retryable = options.retryable !== false;
+    }
+}
+
+class ResumableApkDownload extends EventTarget {
+    constructor(options = {}) {
+        super();
+
+        if (!options.url) {
+            throw new Error('ResumableApkDownload requires a url');
+        }
+
+        this.url = options.url;
+        this.size = options.size || null;
+        this.sha256 = options.sha256 ? options.sha256.toLowerCase() : null;
+        this.contentType = options.contentType || 'application/vnd.android.package-archive';
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 5;
+        this.baseDelay = options.baseDelay || 1000;
+        this.maxDelay = options.maxDelay || 30000;
+        this.stallTimeout = options.stallTimeout || 20000;
+
+        this.chunks = [];
+        this.received = 0;
+        this.total = this.size;
+        this.controller = null;
+        this.stallTimer = null;
+        this.running = false;
+        this.aborted = false;
+    }
+
+    /**
+     * Whether the browser can stream a download
+     */
+    static get supported() {
+        return typeof fetch !== 'undefined' &&
+            typeof ReadableStream !== 'undefined' &&
+            typeof AbortController !== 'undefined';
+    }
+
+    /**
+     * Download the file, resolving to a verified Blob
+     * Calling start() again after a failure resumes from the bytes already received
+     */
+    async start() {
+        if (this.running) {
+            throw new ApkDownloadError('Download already running', { reason: 'cancelled', retryable: false });
+        }
+
+        this.running = true;
+        this.aborted = false;
+        let attempt = 0;
+
+        try {
+            while (true) {
+                const before = this.received;
+
+                try {
+                    await this.fetchRemaining();
+                    break;
+                } catch (error) {
+                    if (this.aborted || !error.retryable) throw error;
+
+                    // Any progress means the connection works, start the backoff again
+                    if (this.received > before) attempt = 0;
+                    if (attempt >= this.maxRetries) throw error;
+
+                    const delay = this.getRetryDelay(attempt++);
+                    this.emit('retry', { attempt: attempt, delay: delay, error: error });
+                    await this.wait(delay);
+                }
+            }
+
+            return await this.finish();
+        } finally {
+            this.running = false;
+            this.controller = null;
+        }
+    }
+
+    /**
+     * Request the bytes not received yet and stream them into memory
+     * A connection that stays silent for stallTimeout is aborted so it can be resumed
+     */
+    async fetchRemaining() {
+        this.controller = new AbortController();
+
+        try {
+            this.armStallTimer();
+            await this.readResponse();
+        } finally {
+            clearTimeout(this.stallTimer);
+        }
+    }
+
+    /**
+     * Send the (ranged) request and read its body
+     */
+    async readResponse() {
+        const headers = this.received > 0 ? { Range: `bytes=${this.received}-` } : {};
+        let response;
+
+        try {
+            response = await fetch(this.url, { headers: headers, cache: 'no-store', signal: this.controller.signal });
+        } catch (error) {
+            throw this.toDownloadError(error);
+        }
+
+        // The file is already complete on our side
+        if (response.status === 416 && this.total && this.received >= this.total) {
+            return;
+        }
+
+        if (!response.ok) {
+            throw new ApkDownloadError(`Server responded with ${response.status}`, {
+                status: response.status,
+                reason: 'http',
+                retryable: response.status >= 500 || response.status === 408 || response.status === 429
+            });
+        }
+
+        if (response.status === 206) {
+            const range = this.readContentRange(response);
+
+            // Bytes from anywhere but where we stopped would corrupt the file
+            if (!range || range.start !== this.received) {
+                this.reset();
+
+                if (!range || range.start !== 0) {
+                    if (response.body) response.body.cancel().catch(() => {});
+                    throw new ApkDownloadError('Server sent a different range, restarting the download');
+                }
+            }
+
+            this.total = range.total || this.total;
+        } else {
+            // Range ignored: the server sent the whole file again
+            this.chunks = [];
+            this.received = 0;
+            const length = parseInt(response.headers.get('content-length'), 10);
+            this.total = Number.isFinite(length) ? length : this.total;
+        }
+
+        await this.readBody(response.body);
+
+        if (this.total && this.received < this.total) {
+            throw new ApkDownloadError('Connection closed before the download finished');
+        }
+    }
+
+    /**
+     * Read a response body chunk by chunk, reporting progress
+     */
+    async readBody(body) {
+        const reader = body.getReader();
+
+        while (true) {
+            let result;
+            try {
+                result = await reader.read();
+            } catch (error) {
+                throw this.toDownloadError(error);
+            }
+
+            if (result.done) break;
+
+            this.chunks.push(result.value);
+            this.received += result.value.byteLength;
+            this.armStallTimer();
+            this.emit('progress', { received: this.received, total: this.total, progress: this.progress });
+        }
+    }
+
+    /**
+     * (Re)start the timer that aborts a silent connection
+     */
+    armStallTimer() {
+        const controller = this.controller;
+        clearTimeout(this.stallTimer);
+        this.stallTimer = setTimeout(() => controller.abort(), this.stallTimeout);
+    }
+
+    /**
+     * Assemble the file and check it against the published hash (sha256Hex from release-catalog.js)
+     */
+    async finish() {
+        const blob = new Blob(this.chunks, { type: this.contentType });
+
+        if (this.sha256) {
+            this.emit('verifying', { size: blob.size });
+            const hash = await sha256Hex(blob);
+
+            if (hash !== this.sha256) {
+                // A corrupted file cannot be resumed, the next start() begins from scratch
+                this.reset();
+                throw new ApkDownloadError('Downloaded file does not match the published SHA-256', {
+                    reason: 'integrity',
+                    retryable: false
+                });
+            }
+        }
+
+        return blob;
+    }
+
+    /**
+     * Stop the download, keeping received bytes so it can be resumed
+     */
+    abort() {
+        this.aborted = true;
+        if (this.controller) this.controller.abort();
+    }
+
+    /**
+     * Forget received bytes
+     */
+    reset() {
+        this.chunks = [];
+        this.received = 0;
+        this.total = this.size;
+    }
+
+    /**
+     * Downloaded percentage, or null when the size is unknown
+     */
+    get progress() {
+        return this.total ? Math.min(100, (this.received / this.total) * 100) : null;
+    }
+
+    /**
+     * Exponential backoff with jitter
+     */
+    getRetryDelay(attempt) {
+        const delay = Math.min(this.baseDelay * Math.pow(2, attempt), this.maxDelay);
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+
+    /**
+     * Sleep, cut short by abort()
+     */
+    wait(delay) {
+        return new Promise((resolve, reject) => {
+            const cancel = () => reject(new ApkDownloadError('Download cancelled', { reason: 'cancelled', retryable: false }));
+
+            // abort() may have come in between the failed attempt and the backoff
+            if (this.aborted) {
+                cancel();
+                return;
+            }
+
+            const timer = setTimeout(resolve, delay);
+            this.controller = { abort: () => {
+                clearTimeout(timer);
+                cancel();
+            } };
+        });
+    }
+
+    /**
+     * { start, end, total } from a Content-Range header such as "bytes 100-199/200", or null
+     * total is null when the server does not know it ("bytes 100-199/*")
+     */
+    readContentRange(response) {
+        const match = /^bytes (\d+)-(\d+)\/(\d+|\*)$/i.exec((response.headers.get('content-range') || '').trim());
+        if (!match) return null;
+
+        return {
+            start: parseInt(match[1], 10),
+            end: parseInt(match[2], 10),
+            total: match[3] === '*' ? null : parseInt(match[3], 10)
+        };
+    }
+
+    /**
+     * Wrap fetch and stream errors, cancellations are not retried
+     */
+    toDownloadError(error) {
+        if (this.aborted) {
+            return new ApkDownloadError('Download cancelled', { reason: 'cancelled', retryable: false });
+        }
+        if (error.name === 'AbortError') {
+            return new ApkDownloadError('Download stalled');
+        }
+        return new ApkDownloadError(error.message);
+    }
+
+    /**
+     * Dispatch a CustomEvent with the given detail
+     */
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail: detail }));
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ApkDownloadError = ApkDownloadError;
+    window.ResumableApkDownload = ResumableApkDownload;
+}
+if (typeof module !== 'undefined') {
+    module.exports = { ApkDownloadError, ResumableApkDownload };
+}
\ No newline at end of file
@@ -0,0 +1,151 @@
+/**
+ * Code Generator Module
+ * Generates unpredictable, collision-free codes with crypto.getRandomValues
+ */
+
+const DEFAULT_CODE_ALPHABET = '0123456789';
+
+// Reserved sets up to this size are scanned exhaustively before giving up
+const MAX_SCAN_SPACE = 1000000;
+
+class CodeExhaustedError extends Error {
+    constructor(message, capacity = null) {
+        super(message);
+        this.name = 'CodeExhaustedError';
+        this.capacity = capacity;
+    }
+}
+
+/**
+ * Get crypto.getRandomValues in both browsers and Node
+ */
+function getRandomValuesSource() {
+    if (typeof globalThis !== 'undefined' && globalThis.crypto && globalThis.crypto.getRandomValues) {
+        return globalThis.crypto;
+    }
+    if (typeof require === 'function') {
+        return require('crypto').webcrypto;
+    }
+    throw new Error('crypto.getRandomValues is not available');
+}
+
+class CodeGenerator {
+    constructor(options = {}) {
+        this.length = options.length || 5;
+        this.alphabet = options.alphabet || DEFAULT_CODE_ALPHABET;
+        this.maxAttempts = options.maxAttempts || 100;
+        this.crypto = options.crypto || getRandomValuesSource();
+
+        if (new Set(this.alphabet).size !== this.alphabet.length || this.alphabet.length < 2) {
+            throw new Error('Code alphabet needs at least two distinct characters');
+        }
+    }
+
+    /**
+     * Number of distinct codes this generator can produce
+     */
+    get capacity() {
+        return Math.pow(this.alphabet.length, this.length);
+    }
+
+    /**
+     * Uniform random integer in [0, max) without modulo bias
+     */
+    randomIndex(max) {
+        const limit = Math.floor(0x100000000 / max) * max;
+        const buffer = new Uint32Array(1);
+
+        do {
+            this.crypto.getRandomValues(buffer);
+        } while (buffer[0] >= limit);
+
+        return buffer[0] % max;
+    }
+
+    /**
+     * Generate a single random code
+     */
+    randomCode() {
+        let code = '';
+        for (let i = 0; i < this.length; i++) {
+            code += this.alphabet[this.randomIndex(this.alphabet.length)];
+        }
+        return code;
+    }
+
+    /**
+     * Code at a given position of the full code space
+     */
+    codeAt(position) {
+        let code = '';
+        for (let i = 0; i < this.length; i++) {
+            code = this.alphabet[position % this.alphabet.length] + code;
+            position = Math.floor(position / this.alphabet.length);
+        }
+        return code;
+    }
+
+    /**
+     * Generate a code that is not in the reserved list
+     * Throws CodeExhaustedError when no free code is left
+     */
+    generate(reserved = []) {
+        const taken = reserved instanceof Set ? reserved : new Set(reserved);
+        const capacity = this.capacity;
+        const usable = [...taken].filter(code => this.isValid(code)).length;
+
+        if (usable >= capacity) {
+            throw new CodeExhaustedError(`All ${capacity} codes of length ${this.length} are reserved`, capacity);
+        }
+
+        for (let attempt = 0; attempt < this.maxAttempts; attempt++) {
+            const code = this.randomCode();
+            if (!taken.has(code)) return code;
+        }
+
+        // The space is nearly full, walk it from a random offset to find a free code
+        if (capacity <= MAX_SCAN_SPACE) {
+            const offset = this.randomIndex(capacity);
+            for (let i = 0; i < capacity; i++) {
+                const code = this.codeAt((offset + i) % capacity);
+                if (!taken.has(code)) return code;
+            }
+        }
+
+        throw new CodeExhaustedError(`No free code found after ${this.maxAttempts} attempts`, capacity);
+    }
+
+    /**
+     * Generate several codes that are unique among themselves and the reserved list
+     */
+    generateMany(count, reserved = []) {
+        const taken = new Set(reserved);
+        const codes = [];
+
+        for (let i = 0; i < count; i++) {
+            const code = this.generate(taken);
+            taken.add(code);
+            codes.push(code);
+        }
+
+        return codes;
+    }
+
+    /**
+     * Whether a code could have been produced by this generator
+     */
+    isValid(code) {
+        return typeof code === 'string' &&
+            code.length === this.length &&
+            [...code].every(char => this.alphabet.includes(char));
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.CodeGenerator = CodeGenerator;
+    window.CodeExhaustedError = CodeExhaustedError;
+}
+if (typeof module !== 'undefined') {
+    module.exports = { CodeGenerator, CodeExhaustedError, DEFAULT_CODE_ALPHABET };
+}
\ No newline at end of file
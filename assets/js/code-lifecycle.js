@@ -0,0 +1,127 @@
+/**
+ * Code Lifecycle Module
+ * Allowed status transitions for codes and the audit log of every change
+ */
+
+// draft -> active -> retiring -> expired, any code can be revoked.
+// emergency codes are active codes issued on demand when the pool ran dry.
+const CODE_LIFECYCLE = {
+    draft: ['active', 'revoked'],
+    active: ['retiring', 'expired', 'revoked'],
+    emergency: ['expired', 'revoked'],
+    retiring: ['expired', 'revoked'],
+    expired: ['revoked'],
+    revoked: []
+};
+
+// States a code can still be handed out and validated in
+const USABLE_CODE_STATES = ['active', 'retiring', 'emergency'];
+
+class CodeLifecycleError extends Error {
+    constructor(code, from, to) {
+        super(`Code ${code} cannot move from ${from} to ${to}`);
+        this.name = 'CodeLifecycleError';
+        this.code = code;
+        this.from = from;
+        this.to = to;
+    }
+}
+
+/**
+ * Whether a code may move between two states
+ */
+function canTransition(from, to) {
+    return Boolean(CODE_LIFECYCLE[from]) && CODE_LIFECYCLE[from].includes(to);
+}
+
+/**
+ * Throw CodeLifecycleError unless the transition is allowed
+ */
+function assertTransition(code, from, to) {
+    if (!canTransition(from, to)) {
+        throw new CodeLifecycleError(code, from, to);
+    }
+}
+
+/**
+ * State of a code right now, usable codes past their expiry count as expired
+ */
+function getCodeState(entry, now = Date.now()) {
+    const state = entry.status || 'active';
+
+    if (USABLE_CODE_STATES.includes(state) && entry.expires <= now) {
+        return 'expired';
+    }
+
+    return state;
+}
+
+/**
+ * Append-only record of status changes, kept in localStorage
+ */
+class CodeAuditLog {
+    constructor(options = {}) {
+        this.key = options.key || 'code_audit_log';
+        this.limit = options.limit || 200;
+    }
+
+    /**
+     * Stored records, oldest first
+     */
+    getEntries(code = null) {
+        let entries = [];
+
+        try {
+            entries = JSON.parse(localStorage.getItem(this.key) || '[]');
+        } catch (error) {
+            console.warn('Error reading code audit log:', error);
+        }
+
+        return code ? entries.filter(entry => entry.code === code) : entries;
+    }
+
+    /**
+     * Record a status change ({ code, from, to, reason, actor })
+     */
+    record(change) {
+        const entry = {
+            code: change.code,
+            from: change.from,
+            to: change.to,
+            at: change.at || Date.now(),
+            reason: change.reason || null,
+            actor: change.actor || 'system'
+        };
+
+        // Re-read before writing so records from other tabs are kept
+        const entries = this.getEntries().concat(entry).slice(-this.limit);
+
+        try {
+            localStorage.setItem(this.key, JSON.stringify(entries));
+        } catch (error) {
+            console.warn('Error writing code audit log:', error);
+        }
+
+        return entry;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.CODE_LIFECYCLE = CODE_LIFECYCLE;
+    window.CodeLifecycleError = CodeLifecycleError;
+    window.CodeAuditLog = CodeAuditLog;
+    window.canTransition = canTransition;
+    window.getCodeState = getCodeState;
+}
+if (typeof module !== 'undefined') {
+    module.exports = {
+        CODE_LIFECYCLE,
+        USABLE_CODE_STATES,
+        CodeLifecycleError,
+        CodeAuditLog,
+        canTransition,
+        assertTransition,
+        getCodeState
+    };
+}
\ No newline at end of file
@@ -4,115 +4,145 @@
  */
 
 class CodeManager {
-    constructor() {
-        this.preGeneratedCodes = [];
+    constructor(options = {}) {
+        this.registry = options.registry || getCodeRegistry();
+        this.sync = options.sync || (typeof getCodePoolSync !== 'undefined' ? getCodePoolSync() : null);
+        this.codeGenerator = options.codeGenerator || new CodeGenerator({ length: 5 });
         this.rotationInterval = 3600000; // 1 hour
+        // Drives the schedule, timestamps and expiry; give the registry the same clock (see CodeRegistry)
+        this.clock = options.clock || systemClock;
+        this.scheduler = options.scheduler || new RotationScheduler({ clock: this.clock });
         this.maxCodes = 20;
         this.minActiveCodes = 5;
+        this.manifestUrl = options.manifestUrl || 'codes.json';
+        this.loadError = null;
         
-        this.init();
+        // Resolves once the pool has been loaded from the registry
+        this.ready = this.init();
+    }
+
+    /**
+     * Codes held by the shared registry
+     */
+    get preGeneratedCodes() {
+        return this.registry.all();
+    }
+
+    /**
+     * Only the elected tab rotates when several tabs share the pool
+     */
+    isRotationLeader() {
+        return !this.sync || this.sync.isLeader;
+    }
+
+    /**
+     * Codes are only invented locally when no read-only source is authoritative
+     */
+    canGenerateCodes() {
+        return this.registry.writable && !this.registry.authoritative;
     }
 
     /**
      * Initialize code manager
      */
-    init() {
-        this.loadPreGeneratedCodes();
+    async init() {
+        await this.loadPreGeneratedCodes();
         this.setupAutoRotation();
         this.generateInitialCodes();
     }
 
     /**
-     * Load pre-generated codes from localStorage
+     * Wait for the registry and seed it when a local-only pool is empty
+     */
+    async loadPreGeneratedCodes() {
+        await this.registry.ready;
+        this.loadError = this.registry.loadError;
+
+        if (this.registry.all().length > 0) {
+            this.cleanExpiredCodes();
+        } else if (this.canGenerateCodes()) {
+            await this.createInitialCodeSet();
+        }
+    }
+
+    /**
+     * Create initial set of codes from the signed codes manifest
+     * Its revocation list is copied into the registry so withdrawn codes are never issued again
      */
-    loadPreGeneratedCodes() {
+    async createInitialCodeSet() {
         try {
-            const stored = localStorage.getItem('pregenerated_codes');
-            if (stored) {
-                this.preGeneratedCodes = JSON.parse(stored);
-                this.cleanExpiredCodes();
-            } else {
-                this.createInitialCodeSet();
-            }
+            const manifestSource = this.registry.sources.find(source => source instanceof ManifestCodeSource) ||
+                new ManifestCodeSource({ url: this.manifestUrl });
+            const codes = await manifestSource.load();
+            
+            manifestSource.revocations
+                .filter(revocation => !this.registry.getRevocation(revocation.code))
+                .forEach(revocation => this.registry.revoke(revocation.code, revocation.reason, {
+                    actor: 'manifest',
+                    revokedAt: revocation.revokedAt
+                }));
+            
+            this.registry.add(codes.filter(code => !this.registry.getRevocation(code.code)), 'manifest');
+            this.cleanExpiredCodes();
+            this.savePreGeneratedCodes();
         } catch (error) {
-            console.warn('Error loading pre-generated codes:', error);
-            this.createInitialCodeSet();
+            console.warn('Error loading codes manifest:', error);
+            this.loadError = error;
         }
     }
 
     /**
-     * Create initial set of codes
+     * Codes new ones must not repeat: the pool and every revoked code
      */
-    createInitialCodeSet() {
-        const now = Date.now();
-        const codes = [
-            { code: '45789', generated: now - 300000, expires: now + 3300000, status: 'active', uses: 0 },
-            { code: '23456', generated: now - 600000, expires: now + 3000000, status: 'active', uses: 0 },
-            { code: '67890', generated: now - 900000, expires: now + 2700000, status: 'active', uses: 0 },
-            { code: '34567', generated: now - 1200000, expires: now + 2400000, status: 'active', uses: 0 },
-            { code: '78901', generated: now - 1500000, expires: now + 2100000, status: 'active', uses: 0 },
-            { code: '12345', generated: now - 1800000, expires: now + 1800000, status: 'active', uses: 0 },
-            { code: '56789', generated: now - 2100000, expires: now + 1500000, status: 'active', uses: 0 },
-            { code: '98765', generated: now - 2400000, expires: now + 1200000, status: 'active', uses: 0 }
-        ];
-
-        this.preGeneratedCodes = codes;
-        this.savePreGeneratedCodes();
+    getTakenCodes() {
+        return this.preGeneratedCodes.map(c => c.code).concat([...this.registry.revocations.keys()]);
     }
 
     /**
      * Generate new codes
      */
     generateNewCodes(count = 5) {
-        const now = Date.now();
-        const newCodes = [];
-
-        for (let i = 0; i < count; i++) {
-            const code = {
-                code: this.generateUniqueCode(),
-                generated: now + (i * 60000), // Stagger by 1 minute
-                expires: now + this.rotationInterval + (i * 60000),
-                status: 'active',
-                uses: 0
-            };
-            
-            newCodes.push(code);
+        // Read-only sources are authoritative, never invent codes locally
+        if (!this.canGenerateCodes()) return [];
+
+        const now = this.clock.now();
+        let codeStrings;
+
+        try {
+            codeStrings = this.codeGenerator.generateMany(count, this.getTakenCodes());
+        } catch (error) {
+            if (!(error instanceof CodeExhaustedError)) throw error;
+            console.warn('Code generation stopped:', error.message);
+            return [];
         }
 
-        this.preGeneratedCodes.push(...newCodes);
+        const newCodes = codeStrings.map((codeString, i) => ({
+            code: codeString,
+            generated: now + (i * 60000), // Stagger by 1 minute
+            expires: now + this.rotationInterval + (i * 60000),
+            status: 'active',
+            uses: 0
+        }));
+
+        this.registry.add(newCodes, 'generated');
         this.trimCodeList();
-        this.savePreGeneratedCodes();
 
         return newCodes;
     }
 
     /**
-     * Generate unique 5-digit code
+     * Generate a code not already in the pool
+     * Throws CodeExhaustedError when every code is taken
      */
     generateUniqueCode() {
-        let code;
-        let attempts = 0;
-        const maxAttempts = 100;
-
-        do {
-            code = Math.floor(10000 + Math.random() * 90000).toString();
-            attempts++;
-        } while (
-            this.preGeneratedCodes.some(c => c.code === code) && 
-            attempts < maxAttempts
-        );
-
-        return code;
+        return this.codeGenerator.generate(this.getTakenCodes());
     }
 
     /**
-     * Get active codes
+     * Get codes that can still be used (active, retiring and emergency)
      */
     getActiveCodes() {
-        const now = Date.now();
-        return this.preGeneratedCodes
-            .filter(code => code.expires > now && code.status === 'active')
-            .sort((a, b) => b.generated - a.generated);
+        return this.registry.getActive();
     }
 
     /**
@@ -122,27 +152,33 @@ class CodeManager {
         const activeCodes = this.getActiveCodes();
         
         if (activeCodes.length === 0) {
+            if (!this.canGenerateCodes()) return null;
+
             // Generate emergency code
-            const emergencyCode = this.generateEmergencyCode();
-            return emergencyCode;
+            try {
+                return this.generateEmergencyCode();
+            } catch (error) {
+                if (!(error instanceof CodeExhaustedError)) throw error;
+                console.warn('No emergency code available:', error.message);
+                return null;
+            }
         }
 
-        // Return least used code
-        const sortedCodes = activeCodes.sort((a, b) => a.uses - b.uses);
+        // Return least used code, handing out retiring codes only when nothing fresher is left
+        const sortedCodes = activeCodes.sort((a, b) =>
+            (a.status === 'retiring') - (b.status === 'retiring') || a.uses - b.uses
+        );
         const selectedCode = sortedCodes[0];
         
         // Increment usage
-        selectedCode.uses++;
-        this.savePreGeneratedCodes();
-
-        return selectedCode;
+        return this.registry.update(selectedCode.code, { uses: selectedCode.uses + 1 });
     }
 
     /**
      * Generate emergency code when no codes available
      */
     generateEmergencyCode() {
-        const now = Date.now();
+        const now = this.clock.now();
         const emergencyCode = {
             code: this.generateUniqueCode(),
             generated: now,
@@ -151,66 +187,60 @@ class CodeManager {
             uses: 1
         };
 
-        this.preGeneratedCodes.push(emergencyCode);
-        this.savePreGeneratedCodes();
-
-        return emergencyCode;
+        return this.registry.add(emergencyCode, 'emergency')[0];
     }
 
     /**
      * Mark code as used
      */
     markCodeAsUsed(codeString) {
-        const code = this.preGeneratedCodes.find(c => c.code === codeString);
-        if (code) {
-            code.uses++;
-            code.lastUsed = Date.now();
-            this.savePreGeneratedCodes();
-        }
+        this.registry.markUsed(codeString);
     }
 
     /**
      * Validate code
      */
     validateCode(codeString) {
-        const code = this.preGeneratedCodes.find(c => c.code === codeString);
-        
-        if (!code) {
-            return { valid: false, reason: 'Code not found' };
-        }
+        return this.registry.validate(codeString);
+    }
 
-        if (code.expires < Date.now()) {
-            return { valid: false, reason: 'Code expired' };
+    /**
+     * Withdraw a code that has already been handed out
+     */
+    revokeCode(codeString, reason = null) {
+        const revocation = this.registry.revoke(codeString, reason, { actor: 'code-manager' });
+        
+        // Track revocation
+        if (typeof adsMonetization !== 'undefined') {
+            adsMonetization.trackEvent('code_revoked', { code: codeString, reason: reason });
         }
+        
+        return revocation;
+    }
 
-        if (code.status !== 'active' && code.status !== 'emergency') {
-            return { valid: false, reason: 'Code inactive' };
-        }
+    /**
+     * Draft codes and expired codes not cleaned up yet, shown greyed out next to the usable ones
+     */
+    getInactiveCodes() {
+        const now = this.clock.now();
+        return this.preGeneratedCodes.filter(code => ['draft', 'expired'].includes(getCodeState(code, now)));
+    }
 
-        return {
-            valid: true,
-            code: code,
-            timeLeft: code.expires - Date.now(),
-            uses: code.uses
-        };
+    /**
+     * Get revoked codes so they can be shown as withdrawn
+     */
+    getRevokedCodes() {
+        return this.registry.getRevoked();
     }
 
     /**
      * Clean expired codes
      */
     cleanExpiredCodes() {
-        const now = Date.now();
-        const beforeCount = this.preGeneratedCodes.length;
-        
-        this.preGeneratedCodes = this.preGeneratedCodes.filter(code => {
-            // Keep codes that expire in the future or were used recently
-            return code.expires > now || (code.lastUsed && (now - code.lastUsed) < 300000); // 5 minutes grace
-        });
-
-        const cleanedCount = beforeCount - this.preGeneratedCodes.length;
+        // Keep codes that were used recently for 5 minutes after expiry
+        const cleanedCount = this.registry.cleanExpired(300000);
         
         if (cleanedCount > 0) {
-            this.savePreGeneratedCodes();
             console.log(`Cleaned ${cleanedCount} expired codes`);
         }
 
@@ -223,8 +253,10 @@ class CodeManager {
     trimCodeList() {
         if (this.preGeneratedCodes.length > this.maxCodes) {
             // Sort by expiry date and keep the newest ones
-            this.preGeneratedCodes.sort((a, b) => b.expires - a.expires);
-            this.preGeneratedCodes = this.preGeneratedCodes.slice(0, this.maxCodes);
+            const kept = this.preGeneratedCodes
+                .sort((a, b) => b.expires - a.expires)
+                .slice(0, this.maxCodes);
+            this.registry.remove(code => !kept.includes(code));
         }
     }
 
@@ -232,20 +264,22 @@ class CodeManager {
      * Setup automatic code rotation
      */
     setupAutoRotation() {
-        // Rotate codes every hour
-        setInterval(() => {
-            this.rotateActiveCodes();
-        }, this.rotationInterval);
+        // Rotate codes at the top of every hour
+        this.scheduler.addTask('rotate', this.rotationInterval, () => {
+            if (this.isRotationLeader()) this.rotateActiveCodes();
+        });
 
         // Check and maintain minimum codes every 10 minutes
-        setInterval(() => {
-            this.maintainCodePool();
-        }, 600000); // 10 minutes
+        this.scheduler.addTask('maintain', 600000, () => {
+            if (this.isRotationLeader()) this.maintainCodePool();
+        });
 
         // Clean expired codes every 5 minutes
-        setInterval(() => {
-            this.cleanExpiredCodes();
-        }, 300000); // 5 minutes
+        this.scheduler.addTask('clean', 300000, () => {
+            if (this.isRotationLeader()) this.cleanExpiredCodes();
+        });
+
+        this.scheduler.start();
     }
 
     /**
@@ -259,17 +293,19 @@ class CodeManager {
         
         // Generate new codes if needed
         const activeCodes = this.getActiveCodes();
-        if (activeCodes.length < this.minActiveCodes) {
+        if (this.canGenerateCodes() && activeCodes.length < this.minActiveCodes) {
             const needed = this.minActiveCodes - activeCodes.length;
             this.generateNewCodes(needed);
             console.log(`Generated ${needed} new codes during rotation`);
         }
 
-        // Mark old codes for retirement (but don't remove immediately)
-        const now = Date.now();
+        // Mark old codes for retirement (but don't remove immediately).
+        // Manifest codes are left alone: their state comes from the manifest and would not be saved
+        const now = this.clock.now();
         this.preGeneratedCodes.forEach(code => {
+            if (this.registry.isLocked(code.code)) return;
             if (code.expires < now + 1800000 && code.status === 'active') { // 30 minutes before expiry
-                code.status = 'retiring';
+                this.registry.transition(code.code, 'retiring', { reason: 'rotation' });
             }
         });
 
@@ -282,7 +318,7 @@ class CodeManager {
     maintainCodePool() {
         const activeCodes = this.getActiveCodes();
         
-        if (activeCodes.length < this.minActiveCodes) {
+        if (this.canGenerateCodes() && activeCodes.length < this.minActiveCodes) {
             const needed = this.minActiveCodes - activeCodes.length;
             this.generateNewCodes(needed);
             console.log(`Maintaining code pool: generated ${needed} codes`);
@@ -295,32 +331,36 @@ class CodeManager {
     generateInitialCodes() {
         const activeCodes = this.getActiveCodes();
         
-        if (activeCodes.length < this.minActiveCodes) {
+        if (this.canGenerateCodes() && activeCodes.length < this.minActiveCodes) {
             const needed = this.minActiveCodes - activeCodes.length;
-            setTimeout(() => {
-                this.generateNewCodes(needed);
-                console.log(`Initial code generation: created ${needed} codes`);
+            this.clock.setTimeout(() => {
+                if (!this.isRotationLeader()) return;
+                const created = this.generateNewCodes(needed);
+                console.log(`Initial code generation: created ${created.length} codes`);
             }, 2000);
         }
     }
 
     /**
-     * Save pre-generated codes to localStorage
+     * Save pre-generated codes back to the registry's writable source
      */
     savePreGeneratedCodes() {
+        if (!this.registry.writable) return;
+
         try {
-            localStorage.setItem('pregenerated_codes', JSON.stringify(this.preGeneratedCodes));
-            localStorage.setItem('codes_last_update', Date.now().toString());
+            localStorage.setItem('codes_last_update', this.clock.now().toString());
         } catch (error) {
-            console.warn('Error saving pre-generated codes:', error);
+            console.warn('Error saving codes timestamp:', error);
         }
+
+        this.registry.save();
     }
 
     /**
      * Get code statistics
      */
     getCodeStats() {
-        const now = Date.now();
+        const now = this.clock.now();
         const activeCodes = this.getActiveCodes();
         const expiringSoon = activeCodes.filter(code => code.expires < now + 1800000); // 30 minutes
         const totalUses = this.preGeneratedCodes.reduce((sum, code) => sum + code.uses, 0);
@@ -338,12 +378,11 @@ class CodeManager {
     }
 
     /**
-     * Get next rotation time
+     * Get next rotation time from the schedule
      */
     getNextRotationTime() {
-        const lastUpdate = parseInt(localStorage.getItem('codes_last_update') || '0');
-        const nextRotation = lastUpdate + this.rotationInterval;
-        return new Date(nextRotation);
+        const nextRotation = this.scheduler.nextRun('rotate');
+        return nextRotation ? new Date(nextRotation) : null;
     }
 
     /**
@@ -365,8 +404,8 @@ class CodeManager {
     exportCodes() {
         const exportData = {
             codes: this.preGeneratedCodes,
-            timestamp: Date.now(),
-            version: '1.0'
+            timestamp: this.clock.now(),
+            version: CODE_EXPORT_VERSION
         };
         
         return JSON.stringify(exportData, null, 2);
@@ -374,21 +413,31 @@ class CodeManager {
 
     /**
      * Import codes from backup
+     * mode 'replace' swaps the whole pool, 'merge' updates matching codes and adds new ones.
+     * Nothing is changed unless every entry passes validation.
      */
-    importCodes(jsonData) {
+    importCodes(jsonData, options = {}) {
+        const mode = options.mode || 'replace';
+        
+        if (mode !== 'replace' && mode !== 'merge') {
+            return { success: false, error: `Unknown import mode: ${mode}` };
+        }
+        
         try {
-            const importData = JSON.parse(jsonData);
+            const { codes, migratedFrom } = parseCodeExport(JSON.parse(jsonData));
             
-            if (importData.codes && Array.isArray(importData.codes)) {
-                this.preGeneratedCodes = importData.codes;
-                this.cleanExpiredCodes();
-                this.savePreGeneratedCodes();
-                return { success: true, imported: importData.codes.length };
+            if (mode === 'replace') {
+                this.registry.replace(codes, 'import');
             } else {
-                return { success: false, error: 'Invalid data format' };
+                this.registry.add(codes, 'import');
+                this.trimCodeList();
             }
+            
+            this.cleanExpiredCodes();
+            this.savePreGeneratedCodes();
+            return { success: true, imported: codes.length, mode: mode, migratedFrom: migratedFrom };
         } catch (error) {
-            return { success: false, error: error.message };
+            return { success: false, error: error.message, errors: error.errors || [] };
         }
     }
 
@@ -396,7 +445,7 @@ class CodeManager {
      * Reset all codes (for debugging)
      */
     resetCodes() {
-        this.preGeneratedCodes = [];
+        this.registry.replace([]);
         this.createInitialCodeSet();
         console.log('All codes reset');
         
@@ -432,6 +481,10 @@ function markCodeUsed(code) {
     }
 }
 
+function revokeCode(code, reason) {
+    return codeManager ? codeManager.revokeCode(code, reason) : null;
+}
+
 function forceCodeRotation() {
     if (codeManager) {
         codeManager.forceRotation();
@@ -0,0 +1,462 @@
+/**
+ * Code Registry Module
+ * Single store of Downloader codes shared by every code module on the page
+ */
+
+// Default clock for timestamps and expiry checks, replaced by a fake one when testing
+const registryClock = {
+    now: () => Date.now()
+};
+
+/**
+ * Convert any stored code shape to the registry entry type
+ * { code, url, generated, expires, status, uses, lastUsed, origin, size, sha256, release }
+ */
+function normalizeCodeEntry(entry, origin = 'local', now = Date.now()) {
+    const normalized = {
+        code: String(entry.code),
+        generated: entry.generated || now,
+        expires: entry.expires,
+        status: entry.status || 'active',
+        // Older downloader cache entries only recorded a used flag
+        uses: typeof entry.uses === 'number' ? entry.uses : (entry.used ? 1 : 0),
+        origin: entry.origin || origin
+    };
+
+    if (entry.url) normalized.url = entry.url;
+    if (entry.lastUsed) normalized.lastUsed = entry.lastUsed;
+    if (entry.size) normalized.size = entry.size;
+    if (entry.sha256) normalized.sha256 = entry.sha256;
+    if (entry.release) normalized.release = entry.release;
+
+    return normalized;
+}
+
+/**
+ * Origin recorded for codes loaded from a source
+ */
+function getSourceOrigin(source) {
+    if (typeof ManifestCodeSource !== 'undefined' && source instanceof ManifestCodeSource) return 'manifest';
+    if (typeof HttpCodeSource !== 'undefined' && source instanceof HttpCodeSource) return 'http';
+    return 'local';
+}
+
+/**
+ * Sources configured for the page
+ * window.codeSourceConfig may be a single source config or a list; read-only sources are
+ * authoritative for their codes and the first writable one stores everything else
+ */
+function getCodeRegistrySources() {
+    const pageConfig = typeof window !== 'undefined' ? window.codeSourceConfig : null;
+    const configs = Array.isArray(pageConfig) ? pageConfig : [getCodeSourceConfig({ key: 'code_registry' })];
+    return configs.map(config => createCodeSource(config));
+}
+
+class CodeRegistry extends EventTarget {
+    constructor(options = {}) {
+        super();
+        this.sources = options.sources || getCodeRegistrySources();
+        // Pass the clock of the CodeManager's scheduler so rotation, expiry and cleanup agree
+        this.clock = options.clock || registryClock;
+        this.entries = [];
+        this.lockedCodes = new Set();
+        this.loadError = null;
+        this.auditLog = options.auditLog || new CodeAuditLog();
+        // Revoked codes by value, from the manifests and revoke() calls in this browser
+        this.revocations = new Map();
+        this.revocationKey = options.revocationKey || 'code_revocations';
+
+        // Resolves once every source has been loaded
+        this.ready = this.load();
+    }
+
+    /**
+     * Source local changes are written to, if any
+     */
+    get writableSource() {
+        return this.sources.find(source => source.writable) || null;
+    }
+
+    /**
+     * Whether codes can be added or changed persistently
+     */
+    get writable() {
+        return this.writableSource !== null;
+    }
+
+    /**
+     * Whether a read-only source decides which codes exist
+     */
+    get authoritative() {
+        return this.sources.some(source => !source.writable);
+    }
+
+    /**
+     * Load and merge every source, read-only sources win on conflicts
+     */
+    async load() {
+        const entries = new Map();
+        const lockedCodes = new Set();
+        this.loadError = null;
+
+        for (const source of this.sources) {
+            try {
+                const codes = await source.load();
+                (Array.isArray(codes) ? codes : []).forEach(code => {
+                    const entry = normalizeCodeEntry(code, getSourceOrigin(source), this.clock.now());
+                    if (lockedCodes.has(entry.code)) return;
+
+                    entries.set(entry.code, entry);
+                    if (!source.writable) lockedCodes.add(entry.code);
+                });
+            } catch (error) {
+                console.warn(`Error loading codes from ${source.constructor.name}:`, error);
+                this.loadError = this.loadError || error;
+            }
+        }
+
+        this.entries = [...entries.values()];
+        this.lockedCodes = lockedCodes;
+        this.loadRevocations();
+        this.emitChange('load', this.entries);
+    }
+
+    /**
+     * Collect revocation lists from the sources and local storage, and mark matching codes
+     */
+    loadRevocations() {
+        const revocations = new Map();
+        const sourceLists = this.sources.map(source => source.revocations || []);
+
+        sourceLists.concat([this.readLocalRevocations()]).forEach(list => {
+            list.forEach(revocation => revocations.set(String(revocation.code), revocation));
+        });
+
+        this.revocations = revocations;
+        this.entries.forEach(entry => {
+            if (revocations.has(entry.code)) entry.status = 'revoked';
+        });
+    }
+
+    /**
+     * Revocations made in this browser
+     */
+    readLocalRevocations() {
+        try {
+            return JSON.parse(localStorage.getItem(this.revocationKey) || '[]');
+        } catch (error) {
+            console.warn('Error reading code revocations:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Reload every source
+     */
+    reload() {
+        this.ready = this.load();
+        return this.ready;
+    }
+
+    /**
+     * All entries, in storage order
+     */
+    all() {
+        return this.entries.slice();
+    }
+
+    /**
+     * Entry for a code, or null
+     */
+    get(code) {
+        return this.entries.find(entry => entry.code === String(code)) || null;
+    }
+
+    /**
+     * Whether an entry can be handed out right now
+     */
+    isActive(entry, now = this.clock.now()) {
+        return Boolean(entry) && !this.revocations.has(entry.code) && USABLE_CODE_STATES.includes(getCodeState(entry, now));
+    }
+
+    /**
+     * Revocation record for a code ({ code, revokedAt, reason }), or null
+     */
+    getRevocation(code) {
+        return this.revocations.get(String(code)) || null;
+    }
+
+    /**
+     * Revoked entries, most recently revoked first
+     */
+    getRevoked() {
+        return this.entries
+            .filter(entry => entry.status === 'revoked')
+            .sort((a, b) => {
+                const revokedA = (this.getRevocation(a.code) || {}).revokedAt || 0;
+                const revokedB = (this.getRevocation(b.code) || {}).revokedAt || 0;
+                return revokedB - revokedA;
+            });
+    }
+
+    /**
+     * Active entries, newest first, optionally limited to one origin
+     */
+    getActive(options = {}) {
+        const now = this.clock.now();
+        return this.entries
+            .filter(entry => this.isActive(entry, now))
+            .filter(entry => !options.origin || entry.origin === options.origin)
+            .sort((a, b) => b.generated - a.generated);
+    }
+
+    /**
+     * Validate a code, the one answer every page uses
+     */
+    validate(code) {
+        const entry = this.get(code);
+        const revocation = this.getRevocation(code);
+
+        // Revoked codes are rejected even when this browser never saw them issued
+        if (revocation || (entry && entry.status === 'revoked')) {
+            return { valid: false, reason: 'Code revoked', state: 'revoked', revocation: revocation };
+        }
+
+        if (!entry) {
+            return { valid: false, reason: 'Code not found' };
+        }
+
+        const now = this.clock.now();
+        const state = getCodeState(entry, now);
+
+        if (state === 'expired') {
+            return { valid: false, reason: 'Code expired', state: state };
+        }
+
+        if (!USABLE_CODE_STATES.includes(state)) {
+            return { valid: false, reason: 'Code inactive', state: state };
+        }
+
+        return {
+            valid: true,
+            state: state,
+            code: entry,
+            expires: entry.expires,
+            timeLeft: entry.expires - now,
+            uses: entry.uses
+        };
+    }
+
+    /**
+     * Add entries, replacing existing ones with the same code
+     */
+    add(codes, origin = 'local') {
+        const now = this.clock.now();
+        const added = (Array.isArray(codes) ? codes : [codes]).map(code => normalizeCodeEntry(code, origin, now));
+
+        added.forEach(entry => {
+            const index = this.entries.findIndex(existing => existing.code === entry.code);
+            if (index >= 0) {
+                this.entries[index] = { ...this.entries[index], ...entry };
+            } else {
+                this.entries.push(entry);
+            }
+        });
+
+        this.commit('add', added);
+        return added;
+    }
+
+    /**
+     * Change fields of an existing entry
+     * Status changes go through the lifecycle and are audited
+     */
+    update(code, changes, details = {}) {
+        const entry = this.get(code);
+        if (!entry) return null;
+
+        const from = entry.status;
+        const statusChanged = changes.status !== undefined && changes.status !== from;
+
+        if (statusChanged) {
+            assertTransition(entry.code, from, changes.status);
+        }
+
+        Object.assign(entry, changes);
+
+        if (statusChanged) {
+            this.auditLog.record({ code: entry.code, from: from, to: entry.status, at: this.clock.now(), reason: details.reason, actor: details.actor });
+        }
+
+        this.commit('update', [entry]);
+        return entry;
+    }
+
+    /**
+     * Move a code to another lifecycle state
+     */
+    transition(code, to, details = {}) {
+        return this.update(code, { status: to }, details);
+    }
+
+    /**
+     * Record a use of a code
+     */
+    markUsed(code) {
+        const entry = this.get(code);
+        if (!entry) return null;
+
+        return this.update(entry.code, { uses: entry.uses + 1, lastUsed: this.clock.now() });
+    }
+
+    /**
+     * Remove entries matching a predicate, returns how many were removed
+     */
+    remove(predicate) {
+        const removed = this.entries.filter(predicate);
+        if (removed.length === 0) return 0;
+
+        this.entries = this.entries.filter(entry => !removed.includes(entry));
+        this.commit('remove', removed);
+        return removed.length;
+    }
+
+    /**
+     * Replace every entry
+     */
+    replace(codes, origin = 'local') {
+        const now = this.clock.now();
+        this.entries = codes.map(code => normalizeCodeEntry(code, origin, now));
+        this.commit('replace', this.entries);
+    }
+
+    /**
+     * Withdraw a code, whether or not it is in the registry
+     * details.revokedAt keeps the time of a revocation copied from a manifest
+     */
+    revoke(code, reason = null, details = {}) {
+        const revocation = { code: String(code), revokedAt: details.revokedAt || this.clock.now(), reason: reason };
+        const local = this.readLocalRevocations().filter(entry => entry.code !== revocation.code);
+
+        try {
+            localStorage.setItem(this.revocationKey, JSON.stringify(local.concat(revocation)));
+        } catch (error) {
+            console.warn('Error saving code revocation:', error);
+        }
+
+        this.revocations.set(revocation.code, revocation);
+
+        const entry = this.get(revocation.code);
+        if (entry && entry.status !== 'revoked') {
+            this.transition(entry.code, 'revoked', { reason: reason, actor: details.actor });
+        } else {
+            if (!entry) {
+                this.auditLog.record({ code: revocation.code, from: null, to: 'revoked', at: revocation.revokedAt, reason: reason, actor: details.actor });
+            }
+            this.commit('revoke', entry ? [entry] : []);
+        }
+
+        return revocation;
+    }
+
+    /**
+     * Move usable codes past their expiry to the expired state
+     */
+    expireCodes(now = this.clock.now()) {
+        const expired = this.entries.filter(entry =>
+            entry.status !== 'expired' && getCodeState(entry, now) === 'expired'
+        );
+
+        expired.forEach(entry => this.transition(entry.code, 'expired', { reason: 'ttl' }));
+        return expired.length;
+    }
+
+    /**
+     * Drop expired entries, keeping ones used within the grace period
+     */
+    cleanExpired(graceMs = 0) {
+        const now = this.clock.now();
+        this.expireCodes(now);
+
+        return this.remove(entry =>
+            entry.expires <= now && !(entry.lastUsed && now - entry.lastUsed < graceMs)
+        );
+    }
+
+    /**
+     * Persist and announce a change
+     */
+    commit(type, codes) {
+        this.save();
+        this.emitChange(type, codes);
+    }
+
+    /**
+     * Whether a code belongs to a read-only source and cannot be changed persistently
+     */
+    isLocked(code) {
+        return this.lockedCodes.has(String(code));
+    }
+
+    /**
+     * Entries not owned by a read-only source
+     */
+    getLocalEntries() {
+        return this.entries.filter(entry => !this.lockedCodes.has(entry.code));
+    }
+
+    /**
+     * Replace local entries with a snapshot saved by another tab, without saving again
+     */
+    applySnapshot(codes) {
+        const locked = this.entries.filter(entry => this.lockedCodes.has(entry.code));
+        const local = codes
+            .map(code => normalizeCodeEntry(code, 'local', this.clock.now()))
+            .filter(entry => !this.lockedCodes.has(entry.code));
+
+        this.entries = [...locked, ...local];
+        this.loadRevocations();
+        this.emitChange('sync', this.entries);
+    }
+
+    /**
+     * Write local entries to the writable source
+     */
+    save() {
+        const source = this.writableSource;
+        if (!source) return;
+
+        source.save(this.getLocalEntries()).catch(error => {
+            console.warn('Error saving code registry:', error);
+        });
+    }
+
+    /**
+     * Dispatch a change event ({ type, codes })
+     * type is load, add, update, revoke, remove, replace, or sync for changes made in another tab
+     */
+    emitChange(type, codes) {
+        this.dispatchEvent(new CustomEvent('change', { detail: { type: type, codes: codes } }));
+    }
+}
+
+let sharedCodeRegistry = null;
+
+/**
+ * Registry instance shared by every module on the page
+ */
+function getCodeRegistry() {
+    if (!sharedCodeRegistry) {
+        sharedCodeRegistry = new CodeRegistry();
+    }
+    return sharedCodeRegistry;
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.CodeRegistry = CodeRegistry;
+    window.getCodeRegistry = getCodeRegistry;
+}
+if (typeof module !== 'undefined') {
+    module.exports = { CodeRegistry, normalizeCodeEntry, getCodeRegistry };
+}
\ No newline at end of file
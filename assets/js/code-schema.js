@@ -0,0 +1,213 @@
+/**
+ * Code Schema Module
+ * JSON schema, validation and version migrations for code pool backups
+ */
+
+const CODE_EXPORT_VERSION = '1.0';
+
+const CODE_ENTRY_SCHEMA = {
+    type: 'object',
+    required: ['code', 'generated', 'expires', 'status', 'uses'],
+    properties: {
+        code: { type: 'string', pattern: '^\\d{4,8}$' },
+        url: { type: 'string', pattern: '^https?://\\S+$' },
+        generated: { type: 'integer', minimum: 0 },
+        expires: { type: 'integer', minimum: 0 },
+        status: { type: 'string', enum: ['draft', 'active', 'retiring', 'expired', 'revoked', 'emergency'] },
+        uses: { type: 'integer', minimum: 0 },
+        lastUsed: { type: 'integer', minimum: 0 },
+        origin: { type: 'string' },
+        size: { type: 'integer', minimum: 1 },
+        sha256: { type: 'string', pattern: '^[0-9a-f]{64}$' },
+        release: { type: 'string' }
+    }
+};
+
+// Shape written by CodeManager.exportCodes()
+const CODE_EXPORT_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Popcornia code pool export',
+    type: 'object',
+    required: ['codes', 'version'],
+    properties: {
+        version: { type: 'string' },
+        timestamp: { type: 'integer', minimum: 0 },
+        codes: { type: 'array', items: CODE_ENTRY_SCHEMA }
+    }
+};
+
+/**
+ * Migrations keyed by the version they upgrade from
+ * Each one receives the export data and returns it at the next version
+ */
+const CODE_MIGRATIONS = {
+    // Unversioned data, including the old 'downloader_codes' cache shape ({ used: boolean })
+    'none': (data) => ({
+        ...data,
+        version: '1.0',
+        codes: (data.codes || []).map(entry => {
+            const { used, ...rest } = entry;
+            return {
+                status: 'active',
+                uses: used ? 1 : 0,
+                ...rest,
+                code: entry.code !== undefined ? String(entry.code) : entry.code
+            };
+        })
+    })
+};
+
+class CodeImportError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'CodeImportError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Register a migration hook upgrading data from the given version
+ */
+function registerCodeMigration(fromVersion, migrate) {
+    CODE_MIGRATIONS[fromVersion] = migrate;
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        default: return typeof value === type;
+    }
+}
+
+/**
+ * Validate a value against the subset of JSON schema used above
+ */
+function validateSchema(value, schema, path = '') {
+    const label = path || 'value';
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        return [`${label} must be of type ${schema.type}`];
+    }
+
+    const errors = [];
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${label} must be one of ${schema.enum.join(', ')}`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${label} does not match ${schema.pattern}`);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${label} must be >= ${schema.minimum}`);
+    }
+    if (schema.required) {
+        schema.required
+            .filter(key => value[key] === undefined)
+            .forEach(key => errors.push(`${path ? `${path}.` : ''}${key} is required`));
+    }
+    if (schema.properties) {
+        Object.entries(schema.properties)
+            .filter(([key]) => value[key] !== undefined)
+            .forEach(([key, propertySchema]) => {
+                errors.push(...validateSchema(value[key], propertySchema, path ? `${path}.${key}` : key));
+            });
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a single code entry, returns a list of error messages
+ */
+function validateCodeEntry(entry) {
+    const errors = validateSchema(entry, CODE_ENTRY_SCHEMA);
+
+    if (errors.length === 0 && entry.expires <= entry.generated) {
+        errors.push('expires must be after generated');
+    }
+
+    return errors;
+}
+
+/**
+ * Upgrade export data to CODE_EXPORT_VERSION through the migration hooks
+ */
+function migrateCodeExport(data) {
+    let migrated = data;
+    const seen = new Set();
+
+    while ((migrated.version || 'none') !== CODE_EXPORT_VERSION) {
+        const version = migrated.version || 'none';
+        const migrate = CODE_MIGRATIONS[version];
+
+        if (!migrate || seen.has(version)) {
+            throw new CodeImportError(`Unsupported export version: ${version}`);
+        }
+
+        seen.add(version);
+        migrated = migrate(migrated);
+    }
+
+    return migrated;
+}
+
+/**
+ * Migrate and validate export data
+ * Returns the validated codes or throws CodeImportError with per-entry errors
+ */
+function parseCodeExport(data) {
+    if (!matchesType(data, 'object')) {
+        throw new CodeImportError('Invalid data format');
+    }
+
+    const migrated = migrateCodeExport(data);
+    // Entries are checked one by one below, with their index
+    const topLevelErrors = validateSchema({ ...migrated, codes: Array.isArray(migrated.codes) ? [] : migrated.codes }, CODE_EXPORT_SCHEMA);
+
+    if (topLevelErrors.length > 0) {
+        throw new CodeImportError('Invalid data format', topLevelErrors.map(message => ({ index: null, message })));
+    }
+
+    const errors = [];
+    const seenCodes = new Set();
+
+    migrated.codes.forEach((entry, index) => {
+        validateCodeEntry(entry).forEach(message => {
+            errors.push({ index, code: entry && entry.code, message });
+        });
+
+        if (entry && seenCodes.has(entry.code)) {
+            errors.push({ index, code: entry.code, message: 'duplicate code' });
+        }
+        seenCodes.add(entry && entry.code);
+    });
+
+    if (errors.length > 0) {
+        throw new CodeImportError(`${errors.length} invalid code entries`, errors);
+    }
+
+    return { codes: migrated.codes, migratedFrom: data.version || 'none' };
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.CODE_EXPORT_SCHEMA = CODE_EXPORT_SCHEMA;
+    window.CodeImportError = CodeImportError;
+    window.registerCodeMigration = registerCodeMigration;
+    window.parseCodeExport = parseCodeExport;
+}
+if (typeof module !== 'undefined') {
+    module.exports = {
+        CODE_EXPORT_VERSION,
+        CODE_EXPORT_SCHEMA,
+        CODE_ENTRY_SCHEMA,
+        CodeImportError,
+        registerCodeMigration,
+        validateCodeEntry,
+        migrateCodeExport,
+        parseCodeExport
+    };
+}
\ No newline at end of file
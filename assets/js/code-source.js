@@ -0,0 +1,177 @@
+/**
+ * Code Source Module
+ * Pluggable backends that supply the Downloader code pool
+ */
+
+class CodeSource {
+    constructor(options = {}) {
+        this.options = options;
+    }
+
+    /**
+     * Whether codes can be written back to this source
+     */
+    get writable() {
+        return false;
+    }
+
+    /**
+     * Load codes, resolves to an array or null when the source is empty
+     */
+    async load() {
+        throw new Error(`${this.constructor.name} does not implement load()`);
+    }
+
+    /**
+     * Persist codes back to the source
+     */
+    async save(codes) {
+        throw new Error(`${this.constructor.name} is read-only`);
+    }
+}
+
+/**
+ * Per-browser pool kept in localStorage (legacy behaviour)
+ */
+class LocalStorageCodeSource extends CodeSource {
+    constructor(options = {}) {
+        super(options);
+        this.key = options.key || 'pregenerated_codes';
+    }
+
+    get writable() {
+        return true;
+    }
+
+    async load() {
+        const stored = localStorage.getItem(this.key);
+        return stored ? JSON.parse(stored) : null;
+    }
+
+    async save(codes) {
+        localStorage.setItem(this.key, JSON.stringify(codes));
+    }
+}
+
+/**
+ * Signed static JSON manifest published next to the pages
+ */
+class ManifestCodeSource extends CodeSource {
+    constructor(options = {}) {
+        super(options);
+        this.url = options.url || 'codes.json';
+        this.manifest = null;
+        this.revocations = [];
+    }
+
+    async load() {
+        const response = await fetch(this.url, { cache: 'no-cache' });
+
+        if (!response.ok) {
+            throw new Error(`Manifest request failed: ${response.status}`);
+        }
+
+        const manifest = await response.json();
+        const codes = await parseCodesManifest(manifest, { verify: this.options.verify });
+
+        this.manifest = manifest;
+        this.revocations = parseManifestRevocations(manifest);
+        return codes;
+    }
+}
+
+/**
+ * Remote HTTP endpoint serving (and optionally accepting) the pool
+ */
+class HttpCodeSource extends CodeSource {
+    constructor(options = {}) {
+        super(options);
+
+        if (!options.url) {
+            throw new Error('HttpCodeSource requires a url');
+        }
+
+        this.url = options.url;
+        this.headers = options.headers || {};
+    }
+
+    get writable() {
+        return this.options.writable === true;
+    }
+
+    async load() {
+        const response = await fetch(this.url, {
+            headers: { Accept: 'application/json', ...this.headers }
+        });
+
+        if (!response.ok) {
+            throw new Error(`Code endpoint request failed: ${response.status}`);
+        }
+
+        const data = await response.json();
+        const codes = Array.isArray(data) ? data : data.codes;
+        return Array.isArray(codes) ? codes : null;
+    }
+
+    async save(codes) {
+        if (!this.writable) {
+            return super.save(codes);
+        }
+
+        const response = await fetch(this.url, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', ...this.headers },
+            body: JSON.stringify({ codes })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Code endpoint rejected update: ${response.status}`);
+        }
+    }
+}
+
+/**
+ * Create a code source from a config object
+ * ({ type: 'localStorage' | 'manifest' | 'http', ... })
+ */
+function createCodeSource(config = {}) {
+    switch (config.type) {
+        case 'manifest':
+            return new ManifestCodeSource(config);
+        case 'http':
+            return new HttpCodeSource(config);
+        case 'localStorage':
+        case undefined:
+            return new LocalStorageCodeSource(config);
+        default:
+            throw new Error(`Unknown code source type: ${config.type}`);
+    }
+}
+
+/**
+ * Page-level config set before the code scripts are loaded
+ */
+function getCodeSourceConfig(defaults = {}) {
+    const pageConfig = typeof window !== 'undefined' ? window.codeSourceConfig : null;
+    return { ...defaults, ...(pageConfig || {}) };
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.CodeSource = CodeSource;
+    window.LocalStorageCodeSource = LocalStorageCodeSource;
+    window.ManifestCodeSource = ManifestCodeSource;
+    window.HttpCodeSource = HttpCodeSource;
+    window.createCodeSource = createCodeSource;
+    window.getCodeSourceConfig = getCodeSourceConfig;
+}
+if (typeof module !== 'undefined') {
+    module.exports = {
+        CodeSource,
+        LocalStorageCodeSource,
+        ManifestCodeSource,
+        HttpCodeSource,
+        createCodeSource,
+        getCodeSourceConfig
+    };
+}
\ No newline at end of file
@@ -0,0 +1,206 @@
+/**
+ * Code Sync Module
+ * Keeps the code registry in step across open tabs and elects one tab to run rotation
+ */
+
+const CODE_SYNC_CHANNEL = 'popcornia-codes';
+const CODE_LEADER_KEY = 'code_pool_leader';
+
+// Default clock for the lease and the heartbeat, replaced by a fake one when testing
+const syncClock = {
+    now: () => Date.now(),
+    setTimeout: (callback, delay) => setTimeout(callback, delay),
+    clearTimeout: (timer) => clearTimeout(timer)
+};
+
+/**
+ * Random id for this tab
+ */
+function createTabId() {
+    const bytes = new Uint8Array(8);
+    (globalThis.crypto || require('crypto').webcrypto).getRandomValues(bytes);
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+class CodePoolSync extends EventTarget {
+    constructor(options = {}) {
+        super();
+        this.registry = options.registry || getCodeRegistry();
+        this.tabId = options.tabId || createTabId();
+        this.clock = options.clock || syncClock;
+        this.leaseKey = options.leaseKey || CODE_LEADER_KEY;
+        this.leaseDuration = options.leaseDuration || 15000;
+        this.heartbeatInterval = options.heartbeatInterval || 5000;
+        this.channel = null;
+        this.isLeader = false;
+        this.heartbeatTimer = null;
+
+        this.init(options.channelName || CODE_SYNC_CHANNEL);
+    }
+
+    /**
+     * Start listening for other tabs and join the leader election
+     */
+    init(channelName) {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(channelName);
+            this.channel.addEventListener('message', (e) => this.handleMessage(e.data));
+        } else if (typeof window !== 'undefined' && window.addEventListener) {
+            // Older browsers: the storage event fires in every other tab on save
+            window.addEventListener('storage', (e) => this.handleStorageEvent(e));
+        }
+
+        this.registry.addEventListener('change', (e) => this.handleLocalChange(e.detail));
+
+        this.electLeader();
+        this.scheduleHeartbeat();
+
+        if (typeof window !== 'undefined' && window.addEventListener) {
+            window.addEventListener('pagehide', () => this.resign());
+        }
+    }
+
+    /**
+     * Renew our lease, or take over an expired one, every heartbeatInterval
+     */
+    scheduleHeartbeat() {
+        this.heartbeatTimer = this.clock.setTimeout(() => {
+            this.electLeader();
+            this.scheduleHeartbeat();
+        }, this.heartbeatInterval);
+    }
+
+    /**
+     * Broadcast local changes, ignoring ones that came from other tabs
+     */
+    handleLocalChange(detail) {
+        if (detail.type === 'load' || detail.type === 'sync' || !this.channel) return;
+
+        this.channel.postMessage({
+            type: 'snapshot',
+            tabId: this.tabId,
+            codes: this.registry.getLocalEntries()
+        });
+    }
+
+    /**
+     * Apply a message from another tab
+     */
+    handleMessage(message) {
+        if (!message || message.tabId === this.tabId) return;
+
+        if (message.type === 'snapshot' && Array.isArray(message.codes)) {
+            this.registry.applySnapshot(message.codes);
+        } else if (message.type === 'resign') {
+            this.electLeader();
+        }
+    }
+
+    /**
+     * Apply a snapshot another tab wrote to localStorage
+     */
+    handleStorageEvent(e) {
+        const source = this.registry.writableSource;
+
+        if (e.key === this.leaseKey && !e.newValue) {
+            this.electLeader();
+            return;
+        }
+
+        if (!source || e.key !== source.key || !e.newValue) return;
+
+        try {
+            this.registry.applySnapshot(JSON.parse(e.newValue));
+        } catch (error) {
+            console.warn('Error applying synced codes:', error);
+        }
+    }
+
+    /**
+     * Read the current leader lease
+     */
+    readLease() {
+        try {
+            return JSON.parse(localStorage.getItem(this.leaseKey) || 'null');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Claim or renew the leader lease when it is free, expired or already ours
+     */
+    electLeader() {
+        const now = this.clock.now();
+        const lease = this.readLease();
+
+        if (!lease || lease.expires < now || lease.tabId === this.tabId) {
+            try {
+                localStorage.setItem(this.leaseKey, JSON.stringify({ tabId: this.tabId, expires: now + this.leaseDuration }));
+            } catch (error) {
+                // Without storage every tab has to look after its own pool
+                this.setLeader(true);
+                return;
+            }
+        }
+
+        // Read back so two tabs claiming at once settle on the last writer
+        const current = this.readLease();
+        this.setLeader(Boolean(current) && current.tabId === this.tabId);
+    }
+
+    /**
+     * Update leadership and notify listeners when it changes
+     */
+    setLeader(isLeader) {
+        if (this.isLeader === isLeader) return;
+
+        this.isLeader = isLeader;
+        this.dispatchEvent(new CustomEvent('leaderchange', { detail: { isLeader: isLeader, tabId: this.tabId } }));
+    }
+
+    /**
+     * Give up leadership so another tab can take over straight away
+     */
+    resign() {
+        this.clock.clearTimeout(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+
+        if (this.isLeader) {
+            const lease = this.readLease();
+            if (lease && lease.tabId === this.tabId) {
+                localStorage.removeItem(this.leaseKey);
+            }
+            if (this.channel) {
+                this.channel.postMessage({ type: 'resign', tabId: this.tabId });
+            }
+            this.setLeader(false);
+        }
+
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+    }
+}
+
+let sharedCodePoolSync = null;
+
+/**
+ * Sync instance shared by every module on the page
+ */
+function getCodePoolSync() {
+    if (!sharedCodePoolSync) {
+        sharedCodePoolSync = new CodePoolSync();
+    }
+    return sharedCodePoolSync;
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.CodePoolSync = CodePoolSync;
+    window.getCodePoolSync = getCodePoolSync;
+}
+if (typeof module !== 'undefined') {
+    module.exports = { CodePoolSync, getCodePoolSync };
+}
\ No newline at end of file
@@ -0,0 +1,225 @@
+/**
+ * Codes Manifest Module
+ * Parses and verifies the signed codes.json manifest
+ */
+
+const MANIFEST_VERSION = 1;
+
+// ECDSA P-256 key used to verify codes.json (private half is kept offline)
+const MANIFEST_PUBLIC_KEY = {
+    kty: 'EC',
+    crv: 'P-256',
+    x: '40bfYHsEbYfWM7g-xHqJuPYqi0TMxd4Wyc9GJ0Hu1C0',
+    y: 'kvzypKHyzLqHFg3loQh2aj8S8XkhR_FTqKv0FhD0Loc',
+    ext: true
+};
+
+const SIGNATURE_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+const KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+
+class ManifestVerificationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ManifestVerificationError';
+    }
+}
+
+/**
+ * Get SubtleCrypto in both browsers and Node
+ */
+function getSubtleCrypto() {
+    if (typeof globalThis !== 'undefined' && globalThis.crypto && globalThis.crypto.subtle) {
+        return globalThis.crypto.subtle;
+    }
+    if (typeof require === 'function') {
+        return require('crypto').webcrypto.subtle;
+    }
+    throw new ManifestVerificationError('SubtleCrypto is not available');
+}
+
+/**
+ * Serialize a value as JSON with object keys sorted at every level
+ */
+function canonicalize(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalize).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Bytes covered by the signature: the manifest without its signature block
+ */
+function getSignedPayload(manifest) {
+    const { signature, ...payload } = manifest;
+    return new TextEncoder().encode(canonicalize(payload));
+}
+
+function base64ToBytes(base64) {
+    if (typeof atob === 'function') {
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    }
+    return new Uint8Array(Buffer.from(base64, 'base64'));
+}
+
+function bytesToBase64(bytes) {
+    if (typeof btoa === 'function') {
+        return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+    }
+    return Buffer.from(bytes).toString('base64');
+}
+
+/**
+ * Verify the manifest signature, throws ManifestVerificationError on failure
+ */
+async function verifyManifest(manifest, publicKeyJwk = MANIFEST_PUBLIC_KEY) {
+    if (!manifest || typeof manifest !== 'object') {
+        throw new ManifestVerificationError('Manifest is not an object');
+    }
+
+    if (manifest.version !== MANIFEST_VERSION) {
+        throw new ManifestVerificationError(`Unsupported manifest version: ${manifest.version}`);
+    }
+
+    if (!manifest.signature || !manifest.signature.value) {
+        throw new ManifestVerificationError('Manifest is not signed');
+    }
+
+    const subtle = getSubtleCrypto();
+    const key = await subtle.importKey('jwk', publicKeyJwk, KEY_ALGORITHM, false, ['verify']);
+    const valid = await subtle.verify(
+        SIGNATURE_ALGORITHM,
+        key,
+        base64ToBytes(manifest.signature.value),
+        getSignedPayload(manifest)
+    );
+
+    if (!valid) {
+        throw new ManifestVerificationError('Manifest signature does not match');
+    }
+
+    return true;
+}
+
+/**
+ * Sign a manifest with a private JWK (used by the maintainer tooling)
+ */
+async function signManifest(manifest, privateKeyJwk, keyId = 'codes') {
+    const subtle = getSubtleCrypto();
+    const key = await subtle.importKey('jwk', privateKeyJwk, KEY_ALGORITHM, false, ['sign']);
+    const { signature, ...payload } = manifest;
+    const value = await subtle.sign(SIGNATURE_ALGORITHM, key, getSignedPayload(payload));
+
+    return {
+        ...payload,
+        signature: {
+            algorithm: 'ES256',
+            keyId: keyId,
+            value: bytesToBase64(value)
+        }
+    };
+}
+
+/**
+ * Convert a manifest entry to the CodeManager code shape
+ * size, sha256 and release describe the APK behind the code and are optional
+ */
+function manifestEntryToCode(entry) {
+    const code = {
+        code: String(entry.code),
+        url: entry.url,
+        generated: Date.parse(entry.created),
+        expires: Date.parse(entry.expires),
+        status: entry.status || 'active',
+        uses: 0
+    };
+
+    if (entry.size) code.size = entry.size;
+    if (entry.sha256) code.sha256 = entry.sha256;
+    if (entry.release) code.release = entry.release;
+
+    return code;
+}
+
+/**
+ * Convert a CodeManager code back to a manifest entry
+ */
+function codeToManifestEntry(code, defaultUrl = null) {
+    const entry = {
+        code: String(code.code),
+        url: code.url || defaultUrl,
+        created: new Date(code.generated).toISOString(),
+        expires: new Date(code.expires).toISOString(),
+        status: code.status || 'active'
+    };
+
+    if (code.size) entry.size = code.size;
+    if (code.sha256) entry.sha256 = code.sha256;
+    if (code.release) entry.release = code.release;
+
+    return entry;
+}
+
+/**
+ * Revocation list shipped with the manifest
+ * Entries are { code, revoked: ISO date, reason } and may name codes not in the codes list
+ */
+function parseManifestRevocations(manifest) {
+    if (manifest.revoked === undefined) return [];
+
+    if (!Array.isArray(manifest.revoked)) {
+        throw new ManifestVerificationError('Manifest revocation list is not a list');
+    }
+
+    return manifest.revoked.map(entry => ({
+        code: String(entry.code),
+        revokedAt: Date.parse(entry.revoked) || null,
+        reason: entry.reason || null
+    }));
+}
+
+/**
+ * Verify a manifest and return its codes in CodeManager shape
+ * Codes on the revocation list come back with status 'revoked'
+ */
+async function parseCodesManifest(manifest, options = {}) {
+    if (options.verify !== false) {
+        await verifyManifest(manifest, options.publicKey);
+    }
+
+    if (!Array.isArray(manifest.codes)) {
+        throw new ManifestVerificationError('Manifest has no codes list');
+    }
+
+    const revoked = new Set(parseManifestRevocations(manifest).map(entry => entry.code));
+
+    return manifest.codes.map(manifestEntryToCode).map(code =>
+        revoked.has(code.code) ? { ...code, status: 'revoked' } : code
+    );
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ManifestVerificationError = ManifestVerificationError;
+    window.verifyManifest = verifyManifest;
+    window.parseCodesManifest = parseCodesManifest;
+    window.parseManifestRevocations = parseManifestRevocations;
+}
+if (typeof module !== 'undefined') {
+    module.exports = {
+        MANIFEST_VERSION,
+        MANIFEST_PUBLIC_KEY,
+        ManifestVerificationError,
+        canonicalize,
+        verifyManifest,
+        signManifest,
+        manifestEntryToCode,
+        codeToManifestEntry,
+        parseManifestRevocations,
+        parseCodesManifest
+    };
+}
\ No newline at end of file
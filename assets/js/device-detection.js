@@ -3,94 +3,379 @@
  * Detects Android TV, FireStick, and other devices for optimized experience
  */
 
+// Model codes of TV hardware, matched against the UA or Client Hints model.
+// Add new Android TV devices here as they ship, Fire TV models are detailed in firetv-models.js.
+const TV_MODEL_TABLE = [
+    { pattern: /^AFT[A-Z0-9]+$/, platform: 'firetv', name: 'Amazon Fire TV' },
+    { pattern: /^SHIELD Android TV$/i, platform: 'androidtv', name: 'NVIDIA SHIELD TV' },
+    { pattern: /^Chromecast$/i, platform: 'androidtv', name: 'Chromecast con Google TV' },
+    { pattern: /^MIBOX\d*$|^Mi Box/i, platform: 'androidtv', name: 'Xiaomi Mi Box' },
+    { pattern: /^MiTV-/i, platform: 'androidtv', name: 'Xiaomi Mi TV Stick' },
+    { pattern: /^BRAVIA /i, platform: 'androidtv', name: 'Sony BRAVIA' },
+    { pattern: /^ADT-\d$/i, platform: 'androidtv', name: 'Android TV ADT' },
+    { pattern: /^(onn\. 4K|Google TV Streamer)/i, platform: 'androidtv', name: 'Google TV box' }
+];
+
+// UA tokens only TV browsers and webviews send
+const TV_UA_TOKENS = /\b(android ?tv|google ?tv|smart-?tv|hbbtv|tizen|web0s|webos|netcast|fire ?tv|crkey|aftv)\b/i;
+
+// Screen widths TVs report, in CSS pixels
+const TV_SCREEN_WIDTHS = [960, 1280, 1920, 3840];
+
+// Devices the user can pick when detection gets it wrong, the choice is kept in localStorage;
+// label is a message key
+const DEVICE_OVERRIDE_KEY = 'deviceOverride';
+const DEVICE_CHOICES = {
+    firestick: { kind: 'tv', platform: 'firetv', label: 'device.type.firestick' },
+    androidtv: { kind: 'tv', platform: 'android', label: 'device.type.androidtv' },
+    phone: { kind: 'phone', platform: 'android', label: 'device.type.phone' },
+    tablet: { kind: 'tablet', platform: 'android', label: 'device.type.tablet' },
+    desktop: { kind: 'desktop', platform: null, label: 'device.type.desktop' }
+};
+
+// Messages naming the detected device types, shown next to the automatic choice
+const DEVICE_TYPE_LABELS = {
+    firestick: 'device.type.firestick',
+    androidtv: 'device.type.androidtv',
+    tv: 'device.type.tv',
+    'android-phone': 'device.type.phone',
+    'android-tablet': 'device.type.tablet',
+    mobile: 'device.type.phone',
+    desktop: 'device.type.desktop',
+    unknown: 'device.type.unknown'
+};
+
+/**
+ * Device model from an Android UA string, null when missing or frozen ("K" in reduced UAs)
+ */
+function getUserAgentModel(userAgent) {
+    const match = /Android [\d.]*;\s*([^;)]+?)(?:\s+Build\/[^;)]*)?\s*[;)]/i.exec(userAgent);
+    const model = match ? match[1].trim() : null;
+    return model && model !== 'K' && model !== 'wv' ? model : null;
+}
+
+/**
+ * TV model table entry for a model code
+ */
+function findTVModel(model) {
+    return model ? TV_MODEL_TABLE.find(entry => entry.pattern.test(model)) || null : null;
+}
+
+/**
+ * Read the signals the classifier works on from the browser
+ */
+function collectDeviceSignals() {
+    const media = query => typeof window.matchMedia === 'function' && window.matchMedia(query).matches;
+    const uaData = navigator.userAgentData || null;
+
+    return {
+        userAgent: navigator.userAgent || '',
+        uaData: uaData ? { mobile: uaData.mobile, platform: uaData.platform, model: null } : null,
+        media: {
+            pointerNone: media('(pointer: none)'),
+            pointerCoarse: media('(pointer: coarse)'),
+            pointerFine: media('(pointer: fine)'),
+            hover: media('(hover: hover)')
+        },
+        screen: {
+            width: window.screen ? window.screen.width : 0,
+            height: window.screen ? window.screen.height : 0
+        },
+        touchPoints: navigator.maxTouchPoints || 0
+    };
+}
+
+/**
+ * Classify a device from its signals
+ * Each signal adds weighted evidence for tv, tablet, phone or desktop; the evidence is
+ * combined per kind and the margin over the runner-up becomes the confidence
+ */
+function classifyDevice(signals) {
+    const evidence = [];
+    const add = (kind, weight, reason) => evidence.push({ kind, weight, reason });
+
+    const ua = signals.userAgent || '';
+    const uaData = signals.uaData || null;
+    const media = signals.media || {};
+    const screen = signals.screen || {};
+    const touch = signals.touchPoints > 0 || media.pointerCoarse === true;
+    const isAndroid = /android/i.test(ua) || (uaData && uaData.platform === 'Android');
+    const model = (uaData && uaData.model) || getUserAgentModel(ua);
+    const tvModel = findTVModel(model);
+    const isFireTV = (tvModel && tvModel.platform === 'firetv') || /\bAFT[A-Z0-9]+\b|fire ?tv/i.test(ua);
+    const fireTVModel = isFireTV && typeof getFireTVModel !== 'undefined'
+        ? getFireTVModel(tvModel ? model : (ua.match(/\bAFT[A-Z0-9]+\b/) || [])[0])
+        : null;
+
+    // User-Agent and Client Hints
+    if (tvModel) {
+        add('tv', 0.9, `Model ${model} is a known TV device (${fireTVModel ? fireTVModel.name : tvModel.name})`);
+    }
+    if (TV_UA_TOKENS.test(ua)) {
+        add('tv', 0.6, `User-Agent has a TV token (${ua.match(TV_UA_TOKENS)[0]})`);
+    }
+    if (/\b(iPhone|iPod)\b/.test(ua)) {
+        add('phone', 0.8, 'User-Agent is an iPhone');
+    }
+    if (/\biPad\b/.test(ua)) {
+        add('tablet', 0.8, 'User-Agent is an iPad');
+    }
+    const isDesktopModeIPad = /Macintosh/.test(ua) && signals.touchPoints > 1;
+    if (isDesktopModeIPad) {
+        add('tablet', 0.7, 'Touch screen on a Mac User-Agent (iPadOS desktop mode)');
+    }
+    // TV webviews send "Mobile Safari" too, the model table wins there
+    if (isAndroid && /\bMobile\b/.test(ua) && !tvModel) {
+        add('phone', 0.6, 'Android User-Agent with the Mobile token');
+    } else if (isAndroid && !tvModel) {
+        add('tablet', 0.3, 'Android User-Agent without the Mobile token');
+    }
+    if (/Windows NT|Macintosh|X11|CrOS/.test(ua) && !isAndroid && !isDesktopModeIPad && !/\bMobile\b/.test(ua)) {
+        add('desktop', 0.6, 'Desktop operating system in the User-Agent');
+    }
+    if (uaData && uaData.mobile === true) {
+        add('phone', 0.5, 'Client Hints report a mobile device');
+    } else if (uaData && uaData.mobile === false && ['Windows', 'macOS', 'Linux', 'Chrome OS'].includes(uaData.platform)) {
+        add('desktop', 0.5, `Client Hints report ${uaData.platform}`);
+    }
+
+    // Input capabilities
+    if (media.pointerNone && !media.hover) {
+        add('tv', 0.5, 'No pointing device (pointer: none)');
+    }
+    if (media.pointerCoarse && !media.hover) {
+        add('phone', 0.2, 'Touch input without hover');
+        add('tablet', 0.2, 'Touch input without hover');
+    }
+    if (media.pointerFine && media.hover) {
+        add('desktop', 0.4, 'Mouse or trackpad (pointer: fine, hover)');
+    }
+    if (isAndroid && signals.touchPoints === 0 && !media.pointerFine) {
+        add('tv', 0.3, 'Android without a touch screen');
+    }
+
+    // Screen metrics
+    const shortSide = Math.min(screen.width || 0, screen.height || 0);
+    if (touch && shortSide > 0) {
+        if (shortSide < 600) {
+            add('phone', 0.4, `Touch screen ${shortSide}px on its short side`);
+        } else {
+            add('tablet', 0.4, `Touch screen ${shortSide}px on its short side`);
+        }
+    }
+    if (!touch && TV_SCREEN_WIDTHS.includes(screen.width) && screen.width * 9 === screen.height * 16) {
+        add('tv', 0.2, `TV resolution ${screen.width}x${screen.height} without touch`);
+    }
+
+    // Combine evidence per kind: 1 - product of (1 - weight)
+    const scores = { tv: 0, tablet: 0, phone: 0, desktop: 0 };
+    Object.keys(scores).forEach(kind => {
+        const misses = evidence.filter(item => item.kind === kind).reduce((product, item) => product * (1 - item.weight), 1);
+        scores[kind] = Math.round((1 - misses) * 100) / 100;
+    });
+
+    // On a tie the non-TV kind wins: a TV layout on a tablet is worse than the reverse
+    const ranked = Object.keys(scores).sort((a, b) => scores[b] - scores[a] || (a === 'tv') - (b === 'tv'));
+    const kind = scores[ranked[0]] > 0 ? ranked[0] : null;
+    const confidence = kind ? Math.round((scores[ranked[0]] - scores[ranked[1]]) * 100) / 100 : 0;
+
+    return {
+        ...getDeviceTypeInfo(kind, isFireTV ? 'firetv' : (isAndroid ? 'android' : null)),
+        model: model,
+        fireTVModel: fireTVModel,
+        confidence: confidence,
+        reasons: evidence.filter(item => item.kind === kind).sort((a, b) => b.weight - a.weight).map(item => item.reason),
+        scores: scores
+    };
+}
+
+/**
+ * Device flags for a detected kind, in the shape the pages read
+ * platform is 'firetv', 'android' or null
+ */
+function getDeviceTypeInfo(kind, platform) {
+    const isAndroid = platform !== null;
+    const info = {
+        isFireStick: false,
+        isAndroidTV: false,
+        isAndroidPhone: false,
+        isAndroidTablet: false,
+        isMobile: false,
+        isTV: false,
+        deviceType: 'unknown',
+        recommendedMethod: 'android-apk'
+    };
+
+    if (kind === 'tv') {
+        info.isTV = true;
+        info.recommendedMethod = 'downloader-code';
+
+        if (platform === 'firetv') {
+            info.isFireStick = true;
+            info.deviceType = 'firestick';
+        } else if (isAndroid) {
+            info.isAndroidTV = true;
+            info.deviceType = 'androidtv';
+        } else {
+            info.deviceType = 'tv';
+        }
+    } else if (kind === 'tablet' || kind === 'phone') {
+        info.isMobile = true;
+
+        if (!isAndroid) {
+            info.deviceType = 'mobile';
+        } else if (kind === 'tablet') {
+            info.isAndroidTablet = true;
+            info.deviceType = 'android-tablet';
+        } else {
+            info.isAndroidPhone = true;
+            info.deviceType = 'android-phone';
+        }
+    } else if (kind === 'desktop') {
+        info.deviceType = 'desktop';
+    }
+
+    return info;
+}
+
 class DeviceDetector {
     constructor() {
         this.userAgent = navigator.userAgent.toLowerCase();
         this.platform = navigator.platform?.toLowerCase() || '';
-        this.deviceInfo = this.detectDevice();
+        this.signals = collectDeviceSignals();
+        
+        // A device picked by the user wins over detection on every page
+        this.override = this.loadOverride();
+        this.detectedInfo = this.detectDevice();
+        this.deviceInfo = this.applyOverride(this.detectedInfo);
+        
+        // Arrow key handling on TVs, set up by enableKeyboardNavigation
+        this.spatialNavigator = null;
         
         // Initialize device-specific optimizations
         this.initializeDeviceOptimizations();
+        
+        // Back on the remote dismisses the redirect notification and the TV banner
+        if (typeof getRemoteInput !== 'undefined') {
+            getRemoteInput().on('back', () => this.dismissNotification(), REMOTE_PRIORITY.modal);
+        }
+        
+        // Chrome freezes the model in the UA, ask Client Hints for the real one
+        this.ready = this.refineWithClientHints();
     }
 
     /**
-     * Detect device type based on user agent and other indicators
+     * Detect device type from User-Agent, Client Hints, input capabilities and screen metrics
+     * Returns the device flags plus confidence (0-1), reasons and per-kind scores
      */
     detectDevice() {
-        const info = {
-            isFireStick: false,
-            isAndroidTV: false,
-            isAndroidPhone: false,
-            isAndroidTablet: false,
-            isMobile: false,
-            isTV: false,
-            deviceType: 'unknown',
-            recommendedMethod: 'android-apk'
-        };
+        return classifyDevice(this.signals);
+    }
 
-        // FireStick detection
-        if (this.userAgent.includes('afts') || 
-            this.userAgent.includes('aftm') || 
-            this.userAgent.includes('aftb') || 
-            this.userAgent.includes('afta') ||
-            this.userAgent.includes('firetv')) {
-            info.isFireStick = true;
-            info.isTV = true;
-            info.deviceType = 'firestick';
-            info.recommendedMethod = 'downloader-code';
+    /**
+     * Re-run detection with the high-entropy Client Hints model
+     */
+    async refineWithClientHints() {
+        const uaData = navigator.userAgentData;
+        if (!uaData || typeof uaData.getHighEntropyValues !== 'function') return this.deviceInfo;
+        
+        try {
+            const values = await uaData.getHighEntropyValues(['model', 'platformVersion']);
+            if (!values.model) return this.deviceInfo;
+            
+            this.signals.uaData.model = values.model;
+        } catch (error) {
+            console.warn('Client Hints not available:', error);
+            return this.deviceInfo;
         }
-        // Android TV detection
-        else if (this.userAgent.includes('android') && 
-                (this.userAgent.includes('tv') || 
-                 this.userAgent.includes('googletv') ||
-                 this.userAgent.includes('chromecast') ||
-                 this.userAgent.includes('androidtv'))) {
-            info.isAndroidTV = true;
-            info.isTV = true;
-            info.deviceType = 'androidtv';
-            info.recommendedMethod = 'downloader-code';
+        
+        const previous = this.deviceInfo;
+        this.detectedInfo = this.detectDevice();
+        this.deviceInfo = this.applyOverride(this.detectedInfo);
+        this.updateDevicePicker();
+        
+        if (this.deviceInfo.deviceType !== previous.deviceType) {
+            document.body.classList.remove(`device-${previous.deviceType}`);
+            if (!this.deviceInfo.isTV) document.body.classList.remove('tv-device');
+            if (!this.deviceInfo.isMobile) document.body.classList.remove('mobile-device');
+            this.initializeDeviceOptimizations(previous);
         }
-        // Android Phone/Tablet detection
-        else if (this.userAgent.includes('android')) {
-            info.isMobile = true;
-            
-            // Check if it's a tablet (rough estimation)
-            const isTablet = window.screen.width >= 768 || 
-                           this.userAgent.includes('tablet') ||
-                           (window.screen.width > window.screen.height && window.screen.width >= 1024);
-            
-            if (isTablet) {
-                info.isAndroidTablet = true;
-                info.deviceType = 'android-tablet';
+        
+        return this.deviceInfo;
+    }
+
+    /**
+     * Device picked on an earlier visit, null to use detection
+     */
+    loadOverride() {
+        try {
+            const choice = localStorage.getItem(DEVICE_OVERRIDE_KEY);
+            return DEVICE_CHOICES[choice] ? choice : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Detected info with the picked device in place of the detected one
+     */
+    applyOverride(detected) {
+        if (!this.override) return { ...detected, overridden: false };
+        
+        const choice = DEVICE_CHOICES[this.override];
+        return {
+            ...detected,
+            ...getDeviceTypeInfo(choice.kind, choice.platform),
+            // The detected Fire TV model only counts when the user agrees it is a Fire TV
+            fireTVModel: this.override === 'firestick' ? detected.fireTVModel : null,
+            confidence: 1,
+            reasons: [`Device picked by the user (${this.override})`],
+            overridden: true
+        };
+    }
+
+    /**
+     * Pick the device by hand, null goes back to detection
+     * Optimizations cannot be undone in place, so the page reloads with the new choice
+     */
+    setOverride(choice) {
+        const override = DEVICE_CHOICES[choice] ? choice : null;
+        
+        try {
+            if (override) {
+                localStorage.setItem(DEVICE_OVERRIDE_KEY, override);
             } else {
-                info.isAndroidPhone = true;
-                info.deviceType = 'android-phone';
+                localStorage.removeItem(DEVICE_OVERRIDE_KEY);
             }
-            info.recommendedMethod = 'android-apk';
+        } catch (error) {
+            console.warn('Could not store the device choice:', error);
+            return;
         }
-        // Generic mobile detection
-        else if (/mobi|android|iphone|ipad|ipod|blackberry|iemobile|opera mini/i.test(this.userAgent)) {
-            info.isMobile = true;
-            info.deviceType = 'mobile';
-            info.recommendedMethod = 'android-apk';
+        
+        if (typeof gtag !== 'undefined') {
+            gtag('event', 'device_override', {
+                device_choice: override || 'auto',
+                detected_type: this.detectedInfo.deviceType
+            });
         }
-
-        return info;
+        
+        window.location.reload();
     }
 
     /**
      * Initialize device-specific optimizations
+     * previous is the earlier detection when it is refined, its optimizations stay in place
      */
-    initializeDeviceOptimizations() {
+    initializeDeviceOptimizations(previous = null) {
         // Add device classes to body
         document.body.classList.add(`device-${this.deviceInfo.deviceType}`);
         
-        if (this.deviceInfo.isTV) {
+        if (this.deviceInfo.isTV && !(previous && previous.isTV)) {
             document.body.classList.add('tv-device');
             this.enableTVOptimizations();
         }
         
-        if (this.deviceInfo.isMobile) {
+        if (this.deviceInfo.isMobile && !(previous && previous.isMobile)) {
             document.body.classList.add('mobile-device');
             this.enableMobileOptimizations();
         }
@@ -155,9 +440,17 @@ class DeviceDetector {
 
     /**
      * Enable keyboard navigation for TV remotes
+     * Arrows move focus geometrically with spatial-navigation.js, in document order without it
      */
     enableKeyboardNavigation() {
+        if (typeof SpatialNavigator !== 'undefined') {
+            this.spatialNavigator = new SpatialNavigator();
+            this.spatialNavigator.enable();
+        }
+        
         document.addEventListener('keydown', (e) => {
+            if (this.spatialNavigator && e.key.startsWith('Arrow')) return;
+            
             const focusableElements = this.getFocusableElements();
             const currentIndex = focusableElements.indexOf(document.activeElement);
             
@@ -225,6 +518,15 @@ class DeviceDetector {
         }
     }
 
+    /**
+     * Device name for messages, e.g. 'Fire TV Stick 4K Max (2ª generazione)'
+     */
+    getDeviceName() {
+        const model = this.getFireTVModel();
+        if (model) return getFireTVModelLabel(model);
+        return this.deviceInfo.isFireStick ? 'FireStick' : 'Android TV';
+    }
+
     /**
      * Create TV recommendation banner
      */
@@ -237,13 +539,14 @@ class DeviceDetector {
                     <i class="fas fa-tv"></i>
                 </div>
                 <div class="tv-banner-text">
-                    <h3>Dispositivo TV Rilevato!</h3>
-                    <p>Per la migliore esperienza su ${this.deviceInfo.isFireStick ? 'FireStick' : 'Android TV'}, usa il sistema di codici Downloader</p>
+                    <h3>${t('device.banner.title')}</h3>
+                    <p>${t('device.banner.text', { device: this.getDeviceName() })}</p>
+                    <a href="#device-picker" class="tv-banner-change">${t('device.banner.change')}</a>
                 </div>
                 <div class="tv-banner-actions">
                     <a href="firestick-code.html" class="btn-tv-recommendation">
                         <i class="fas fa-code"></i>
-                        Ottieni Codice Ora
+                        ${t('device.banner.getCode')}
                     </a>
                     <button onclick="this.parentElement.parentElement.parentElement.remove()" class="btn-tv-dismiss">
                         <i class="fas fa-times"></i>
@@ -291,6 +594,14 @@ class DeviceDetector {
                 opacity: 0.9;
             }
             
+            .tv-banner-change {
+                display: inline-block;
+                margin-top: 5px;
+                color: white;
+                opacity: 0.8;
+                font-size: 0.9rem;
+            }
+            
             .tv-banner-actions {
                 margin-left: auto;
                 display: flex;
@@ -363,6 +674,107 @@ class DeviceDetector {
         return banner;
     }
 
+    /**
+     * Add the device picker to the page footer
+     */
+    showDevicePicker() {
+        if (document.getElementById('device-picker')) return;
+        
+        const container = document.querySelector('footer .container') || document.body;
+        container.appendChild(this.createDevicePicker());
+    }
+
+    /**
+     * Create the picker that overrides detection
+     */
+    createDevicePicker() {
+        const picker = document.createElement('div');
+        picker.id = 'device-picker';
+        picker.className = 'device-picker';
+        picker.innerHTML = `
+            <label for="device-picker-select">
+                <i class="fas fa-tv"></i>
+                ${t('device.picker.label')}
+            </label>
+            <select id="device-picker-select">
+                <option value="">${this.getAutomaticLabel()}</option>
+                ${Object.keys(DEVICE_CHOICES).map(choice => `<option value="${choice}">${t(DEVICE_CHOICES[choice].label)}</option>`).join('')}
+            </select>
+        `;
+        
+        const select = picker.querySelector('select');
+        select.value = this.override || '';
+        select.addEventListener('change', () => this.setOverride(select.value || null));
+        
+        if (!document.querySelector('#device-picker-styles')) {
+            const style = document.createElement('style');
+            style.id = 'device-picker-styles';
+            style.textContent = `
+                .device-picker {
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    gap: 10px;
+                    margin: 20px 0;
+                    color: rgba(255,255,255,0.8);
+                }
+                
+                .device-picker select {
+                    background: rgba(255,255,255,0.1);
+                    color: white;
+                    border: 1px solid rgba(255,255,255,0.2);
+                    border-radius: 20px;
+                    padding: 8px 15px;
+                    font: inherit;
+                    cursor: pointer;
+                }
+                
+                .device-picker select option {
+                    color: #333;
+                }
+            `;
+            document.head.appendChild(style);
+        }
+        
+        return picker;
+    }
+
+    /**
+     * Label of the automatic choice, naming what detection found
+     */
+    getAutomaticLabel() {
+        const type = this.detectedInfo.deviceType;
+        return t('device.picker.automatic', { device: DEVICE_TYPE_LABELS[type] ? t(DEVICE_TYPE_LABELS[type]) : type });
+    }
+
+    /**
+     * Refresh the automatic choice after detection was refined
+     */
+    updateDevicePicker() {
+        const option = document.querySelector('#device-picker-select option[value=""]');
+        if (option) option.textContent = this.getAutomaticLabel();
+    }
+
+    /**
+     * Dismiss the redirect notification, or the TV banner, returns false when neither is shown
+     */
+    dismissNotification() {
+        const cancelBtn = document.querySelector('.redirect-notification .btn-redirect-cancel');
+        if (cancelBtn) {
+            // Its click handler also stops the redirect countdown
+            cancelBtn.click();
+            return true;
+        }
+        
+        const banner = document.querySelector('.tv-recommendation-banner');
+        if (banner) {
+            banner.remove();
+            return true;
+        }
+        
+        return false;
+    }
+
     /**
      * Disable sticky ads on small screens
      */
@@ -384,12 +796,19 @@ class DeviceDetector {
     }
 
     /**
-     * Get device information
+     * Get device information, the picked device when the user overrode detection
      */
     getDeviceInfo() {
         return { ...this.deviceInfo };
     }
 
+    /**
+     * Device information as detected, ignoring the user's choice
+     */
+    getDetectedDeviceInfo() {
+        return { ...this.detectedInfo };
+    }
+
     /**
      * Check if device is TV
      */
@@ -404,6 +823,21 @@ class DeviceDetector {
         return this.deviceInfo.isMobile;
     }
 
+    /**
+     * Fire TV model details (firetv-models.js), null on other devices and unknown models
+     */
+    getFireTVModel() {
+        return this.deviceInfo.fireTVModel || null;
+    }
+
+    /**
+     * APK ABI this device runs best, null when any build will do
+     */
+    getPreferredAbi() {
+        const model = this.getFireTVModel();
+        return model ? model.abi : null;
+    }
+
     /**
      * Get recommended download method
      */
@@ -420,7 +854,10 @@ class DeviceDetector {
                 device_type: this.deviceInfo.deviceType,
                 is_tv: this.deviceInfo.isTV,
                 is_mobile: this.deviceInfo.isMobile,
-                recommended_method: this.deviceInfo.recommendedMethod
+                recommended_method: this.deviceInfo.recommendedMethod,
+                device_model: this.deviceInfo.fireTVModel ? this.deviceInfo.fireTVModel.code : null,
+                confidence: this.deviceInfo.confidence,
+                overridden: this.deviceInfo.overridden
             });
         }
 
@@ -460,10 +897,10 @@ class DeviceDetector {
         notification.innerHTML = `
             <div class="redirect-content">
                 <i class="fas fa-info-circle"></i>
-                <p>Ti reindirizzeremo alla pagina ottimale per il tuo dispositivo TV tra <span id="redirect-timer">${delay/1000}</span> secondi</p>
+                <p id="redirect-message">${t('device.redirect.message', { seconds: delay / 1000 })}</p>
                 <div class="redirect-actions">
-                    <button onclick="window.location.href='${targetUrl}'" class="btn-redirect-now">Vai Ora</button>
-                    <button onclick="this.parentElement.parentElement.parentElement.remove()" class="btn-redirect-cancel">Annulla</button>
+                    <button onclick="window.location.href='${targetUrl}'" class="btn-redirect-now">${t('device.redirect.now')}</button>
+                    <button onclick="this.parentElement.parentElement.parentElement.remove()" class="btn-redirect-cancel">${t('device.redirect.cancel')}</button>
                 </div>
             </div>
         `;
@@ -474,8 +911,8 @@ class DeviceDetector {
         let timeLeft = delay / 1000;
         const timer = setInterval(() => {
             timeLeft--;
-            const timerEl = document.getElementById('redirect-timer');
-            if (timerEl) timerEl.textContent = timeLeft;
+            const messageEl = document.getElementById('redirect-message');
+            if (messageEl) messageEl.textContent = t('device.redirect.message', { seconds: timeLeft });
             
             if (timeLeft <= 0) {
                 clearInterval(timer);
@@ -498,6 +935,7 @@ let deviceDetector;
 document.addEventListener('DOMContentLoaded', () => {
     deviceDetector = new DeviceDetector();
     deviceDetector.trackDeviceAnalytics();
+    deviceDetector.showDevicePicker();
     
     // Auto-redirect can be enabled per page
     // deviceDetector.autoRedirect({ enableAutoRedirect: true, delay: 8000 });
@@ -505,8 +943,9 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Export for use in other modules
 window.DeviceDetector = DeviceDetector;
+window.classifyDevice = classifyDevice;
 if (typeof module !== 'undefined') {
-    module.exports = DeviceDetector;
+    module.exports = { DeviceDetector, TV_MODEL_TABLE, DEVICE_CHOICES, DEVICE_OVERRIDE_KEY, classifyDevice, collectDeviceSignals, findTVModel };
 }
 
 /**
@@ -10,6 +10,20 @@ class AndroidDownloadManager {
         this.countdownInterval = null;
         this.downloadReady = false;
         
+        // Release offered for download, from releases.json when the catalog is loaded
+        this.catalog = typeof getReleaseCatalog !== 'undefined' ? getReleaseCatalog() : null;
+        this.release = null;
+        this.apk = null;
+        this.download = null;
+        // Set when the catalog loaded without any release, there is nothing to download then
+        this.noRelease = false;
+        
+        // Hosts the selected APK is served from, fastest first once probed
+        this.mirrorSelector = typeof getMirrorSelector !== 'undefined' ? getMirrorSelector() : null;
+        this.mirrors = [];
+        this.mirror = null;
+        this.mirrorsReady = Promise.resolve();
+        
         this.init();
     }
 
@@ -19,6 +33,7 @@ class AndroidDownloadManager {
     init() {
         this.setupCountdownElements();
         this.bindEvents();
+        this.setupReleasePicker();
         
         // Start countdown if no AdBlock detected
         setTimeout(() => {
@@ -55,6 +70,284 @@ class AndroidDownloadManager {
         if (downloadLink) {
             downloadLink.addEventListener('click', (e) => this.trackDownload(e));
         }
+
+        // Cancel keeps the received bytes, the download button resumes
+        const cancelBtn = document.getElementById('download-cancel');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => this.download && this.download.abort());
+        }
+
+        // Hash check of a file the user already has
+        const verifyInput = document.getElementById('verify-file-input');
+        if (verifyInput) {
+            verifyInput.addEventListener('change', () => this.verifyLocalFile(verifyInput.files[0]));
+        }
+    }
+
+    /**
+     * Fill the version picker from the release catalog
+     * The page keeps its static download link when the catalog cannot be loaded
+     */
+    async setupReleasePicker() {
+        if (!this.catalog) return;
+        
+        await this.catalog.ready;
+        // Client Hints can still name the Fire TV model, which picks the APK build
+        if (typeof deviceDetector !== 'undefined' && deviceDetector) {
+            await deviceDetector.ready;
+        }
+        const latest = this.catalog.getLatest('stable') || this.catalog.all()[0];
+        if (!latest) {
+            // A catalog that loaded but lists nothing means there is no APK to offer yet
+            if (!this.catalog.loadError) this.showNoRelease();
+            return;
+        }
+        
+        // ?version=2.3.4 links straight to an older or beta release
+        const requested = this.catalog.get(new URLSearchParams(window.location.search).get('version'));
+        const release = requested || latest;
+        
+        const picker = document.getElementById('release-picker');
+        const select = document.getElementById('release-select');
+        const abiSelect = document.getElementById('release-abi');
+        
+        if (select) {
+            fillReleaseSelect(select, this.catalog, release.version);
+            select.addEventListener('change', () => this.selectRelease(select.value));
+        }
+        if (abiSelect) {
+            abiSelect.addEventListener('change', () => this.selectRelease(this.release.version, abiSelect.value));
+        }
+        if (picker) {
+            picker.classList.remove('hidden');
+        }
+        
+        this.selectRelease(release.version);
+    }
+
+    /**
+     * Turn the download button off while no release is published
+     */
+    showNoRelease() {
+        this.noRelease = true;
+        this.setText('download-file-info', t('download.noRelease'));
+        
+        const link = document.getElementById('download-link');
+        if (link) {
+            link.removeAttribute('href');
+            link.setAttribute('aria-disabled', 'true');
+            link.classList.add('disabled');
+        }
+    }
+
+    /**
+     * Point the download at a release and show its details
+     * Without an explicit ABI the build for the detected Fire TV model is offered
+     */
+    selectRelease(version, abi = null) {
+        const release = this.catalog.get(version);
+        if (!release) return;
+        
+        this.release = release;
+        this.apk = this.catalog.getApk(release, abi || this.getDeviceAbi());
+        this.discardDownload();
+        
+        this.mirrors = this.apk.mirrors;
+        this.useMirror(this.mirrors[0]);
+        this.mirrorsReady = this.rankMirrors();
+        
+        this.setText('download-file-info', `${this.apk.fileName} - ${formatReleaseSize(this.apk.size)}`);
+        this.setText('release-min-android', getAndroidVersionName(release.minSdk));
+        this.updateAbiSelect();
+        this.updateReleaseNotes();
+        this.updateIntegrity();
+        
+        if (typeof adsMonetization !== 'undefined') {
+            adsMonetization.trackEvent('release_selected', {
+                version: release.version,
+                channel: this.catalog.getChannel(release),
+                abi: this.apk.abi
+            });
+        }
+    }
+
+    /**
+     * ABI of the detected Fire TV model, null on other devices
+     */
+    getDeviceAbi() {
+        return typeof deviceDetector !== 'undefined' && deviceDetector ? deviceDetector.getPreferredAbi() : null;
+    }
+
+    /**
+     * Probe the mirrors of the selected APK and point the download at the fastest
+     */
+    async rankMirrors() {
+        if (!this.mirrorSelector) return;
+        
+        const apk = this.apk;
+        const ranked = await this.mirrorSelector.rank(apk.mirrors);
+        
+        // Another release was picked while probing
+        if (apk !== this.apk) return;
+        
+        this.mirrors = ranked;
+        if (!this.download || !this.download.running) {
+            this.useMirror(ranked[0]);
+        }
+    }
+
+    /**
+     * Download the selected APK from a mirror
+     */
+    useMirror(mirror) {
+        this.mirror = mirror;
+        
+        const downloadLink = document.getElementById('download-link');
+        if (downloadLink) {
+            downloadLink.href = mirror.url;
+            downloadLink.setAttribute('download', this.apk.fileName);
+        }
+    }
+
+    /**
+     * Next mirror to try after the current one failed, or null when there is none left
+     * A file that fails the hash check counts as a failure of the mirror that served it
+     */
+    getFailoverMirror(error, tried) {
+        if (error.reason === 'cancelled') return null;
+        
+        if (this.mirrorSelector) {
+            this.mirrorSelector.markFailed(this.mirror.url);
+        }
+        
+        return this.mirrors.find(mirror => !tried.has(mirror.id)) || null;
+    }
+
+    /**
+     * Offer the per-ABI builds of the selected release, hidden when there is only one
+     */
+    updateAbiSelect() {
+        const abiSelect = document.getElementById('release-abi');
+        if (!abiSelect) return;
+        
+        abiSelect.innerHTML = '';
+        this.release.apks.forEach(apk => {
+            const option = document.createElement('option');
+            option.value = apk.abi;
+            option.textContent = apk.abi === 'universal' ? t('download.abi.universal') : apk.abi;
+            option.selected = apk === this.apk;
+            abiSelect.appendChild(option);
+        });
+        
+        abiSelect.classList.toggle('hidden', this.release.apks.length < 2);
+    }
+
+    /**
+     * Show the changelog of the selected release in the page language
+     */
+    updateReleaseNotes() {
+        const notes = document.getElementById('release-notes');
+        const list = document.getElementById('release-changelog');
+        if (!notes || !list) return;
+        
+        const changelog = getReleaseChangelog(this.release, getI18n().locale);
+        list.innerHTML = '';
+        changelog.forEach(change => {
+            const item = document.createElement('li');
+            item.textContent = change;
+            list.appendChild(item);
+        });
+        
+        this.setText('release-notes-version', this.release.version);
+        notes.classList.toggle('hidden', changelog.length === 0);
+    }
+
+    /**
+     * Show the published SHA-256 and signing certificate fingerprint of the selected APK
+     */
+    updateIntegrity() {
+        const integrity = document.getElementById('release-integrity');
+        if (!integrity) return;
+        
+        this.setText('release-sha256', this.apk.sha256);
+        this.setText('release-certificate', this.release.certificateSha256 || '');
+        
+        const certificateRow = document.getElementById('release-certificate-row');
+        if (certificateRow) {
+            certificateRow.style.display = this.release.certificateSha256 ? '' : 'none';
+        }
+        
+        // A result for the previous release no longer applies
+        this.showVerifyResult('', '');
+        integrity.classList.remove('hidden');
+    }
+
+    /**
+     * Hash a locally selected file with SubtleCrypto and compare it with the catalog
+     * Without a published release there is no hash to trust, so nothing is checked
+     */
+    async verifyLocalFile(file) {
+        if (!file || !this.apk) return;
+        
+        this.showVerifyResult('pending', t('download.verify.pending', { file: file.name }));
+        
+        let hash;
+        try {
+            hash = await sha256Hex(file);
+        } catch (error) {
+            console.warn('Error hashing local file:', error);
+            this.showVerifyResult('error', t('download.verify.unsupported'));
+            return;
+        }
+        
+        const match = this.catalog ? this.catalog.findByHash(hash) : null;
+        let result;
+        
+        if (this.apk && hash === this.apk.sha256) {
+            result = 'valid';
+            this.showVerifyResult(result, t('download.verify.valid', { version: this.release.version, abi: this.apk.abi }), hash);
+        } else if (match) {
+            result = 'other';
+            this.showVerifyResult(result, t('download.verify.other', { version: match.release.version, abi: match.apk.abi }), hash);
+        } else {
+            result = 'invalid';
+            this.showVerifyResult(result, t('download.verify.invalid'), hash);
+        }
+        
+        if (typeof adsMonetization !== 'undefined') {
+            adsMonetization.trackEvent('apk_hash_check', {
+                result: result,
+                version: this.release ? this.release.version : null
+            });
+        }
+    }
+
+    /**
+     * Show the outcome of a local file check, with the computed hash for support
+     */
+    showVerifyResult(state, message, hash = null) {
+        const element = document.getElementById('verify-file-result');
+        if (!element) return;
+        
+        element.className = `verify-result ${state}`.trim();
+        element.textContent = message;
+        
+        if (hash) {
+            const hashLine = document.createElement('code');
+            hashLine.textContent = `SHA-256: ${hash}`;
+            element.appendChild(document.createElement('br'));
+            element.appendChild(hashLine);
+        }
+    }
+
+    /**
+     * Set the text of an element when it is on the page
+     */
+    setText(id, text) {
+        const element = document.getElementById(id);
+        if (element) {
+            element.textContent = text;
+        }
     }
 
     /**
@@ -112,10 +405,10 @@ class AndroidDownloadManager {
     }
 
     /**
-     * Update countdown circle SVG
+     * Update countdown circle SVG, the download progress uses a copy of the circle
      */
-    updateCountdownCircle(progress) {
-        const circle = document.getElementById('countdown-path');
+    updateCountdownCircle(progress, circleId = 'countdown-path') {
+        const circle = document.getElementById(circleId);
         if (circle) {
             const circumference = 2 * Math.PI * 70; // radius = 70
             const strokeDasharray = circumference;
@@ -133,17 +426,17 @@ class AndroidDownloadManager {
         if (!this.countdownMessage) return;
         
         const messages = [
-            'Attendi per favore, stiamo preparando il tuo file APK',
-            'Verifica sicurezza del file in corso...',
-            'Ottimizzazione per il tuo dispositivo...',
-            'Generazione link di download...',
-            'Quasi pronto! Ultimi controlli...'
+            'download.countdown.preparing',
+            'download.countdown.checking',
+            'download.countdown.optimizing',
+            'download.countdown.link',
+            'download.countdown.almostReady'
         ];
         
         const messageIndex = Math.floor((this.countdownDuration - remaining) / (this.countdownDuration / messages.length));
         const message = messages[Math.min(messageIndex, messages.length - 1)];
         
-        this.countdownMessage.textContent = message;
+        this.countdownMessage.textContent = t(message);
     }
 
     /**
@@ -212,11 +505,11 @@ class AndroidDownloadManager {
             
             const videoInterval = setInterval(() => {
                 videoCountdown--;
-                videoBtn.innerHTML = `<i class="fas fa-video"></i> Video in corso... ${videoCountdown}s`;
+                videoBtn.innerHTML = `<i class="fas fa-video"></i> ${t('download.video.playing', { seconds: videoCountdown })}`;
                 
                 if (videoCountdown <= 0) {
                     clearInterval(videoInterval);
-                    videoBtn.innerHTML = '<i class="fas fa-check"></i> Video Completato!';
+                    videoBtn.innerHTML = `<i class="fas fa-check"></i> ${t('download.video.complete')}`;
                     videoBtn.disabled = true;
                     
                     // Skip countdown
@@ -251,12 +544,23 @@ class AndroidDownloadManager {
      * Track actual download
      */
     trackDownload(event) {
+        if (this.noRelease) {
+            if (event) event.preventDefault();
+            return;
+        }
+        
         console.log('APK download started');
         
+        const apk = this.apk || {};
+        
         // Track download
         if (typeof adsMonetization !== 'undefined') {
             adsMonetization.trackEvent('apk_download_start', {
-                file_size: '25.6MB',
+                file_size: apk.size || null,
+                version: this.release ? this.release.version : null,
+                channel: this.release ? this.catalog.getChannel(this.release) : null,
+                abi: apk.abi || null,
+                mirror: this.mirror ? this.mirror.id : null,
                 source: 'android_download_page'
             });
         }
@@ -264,18 +568,181 @@ class AndroidDownloadManager {
         // Track with Google Analytics
         if (typeof gtag !== 'undefined') {
             gtag('event', 'file_download', {
-                file_name: 'MiaApp.apk',
+                file_name: apk.fileName || 'Popcornia.apk',
                 file_extension: 'apk',
                 source: 'download_page'
             });
         }
         
+        // Stream the file in the page so drops on flaky Wi-Fi can be resumed
+        if (this.apk && typeof ResumableApkDownload !== 'undefined' && ResumableApkDownload.supported) {
+            if (event) event.preventDefault();
+            this.startResumableDownload();
+            return;
+        }
+        
         // Show download success message after delay
         setTimeout(() => {
             this.showDownloadSuccess();
         }, 2000);
     }
 
+    /**
+     * Download the selected APK with progress, retries and a hash check
+     * Starting again after a failure resumes the same download
+     * The whole APK is held in memory until it is verified and saved, which is fine at APK sizes
+     * but means a download cannot outgrow what the browser lets a tab allocate
+     */
+    async startResumableDownload() {
+        if (this.download && this.download.running) return;
+        
+        await this.mirrorsReady;
+        
+        if (!this.download) {
+            this.download = new ResumableApkDownload({ url: this.mirror.url, size: this.apk.size, sha256: this.apk.sha256 });
+            this.download.addEventListener('progress', (e) => this.updateDownloadProgress(e.detail.progress));
+            this.download.addEventListener('retry', (e) => {
+                this.setText('download-progress-status', t('download.progress.retry', { seconds: Math.ceil(e.detail.delay / 1000) }));
+            });
+            this.download.addEventListener('verifying', () => {
+                this.setText('download-progress-status', t('download.progress.verifying'));
+            });
+        }
+        
+        const download = this.download;
+        const apk = this.apk;
+        const tried = new Set();
+        let blob = null;
+        
+        this.showDownloadProgress(true);
+        this.updateDownloadProgress(download.progress || 0);
+        this.setText('download-progress-status', t(download.received > 0 ? 'download.progress.resuming' : 'download.progress.downloading'));
+        
+        while (!blob) {
+            // Every mirror serves the same file, so the received bytes carry over
+            // (a failed hash check already dropped them, the next mirror starts from scratch)
+            tried.add(this.mirror.id);
+            download.url = this.mirror.url;
+            // With other mirrors left, give up on a host sooner
+            download.maxRetries = tried.size < this.mirrors.length ? 2 : 5;
+            
+            try {
+                blob = await download.start();
+            } catch (error) {
+                // A release switch discarded this download
+                if (download !== this.download) return;
+                
+                const next = this.getFailoverMirror(error, tried);
+                if (next) {
+                    console.warn(`APK mirror ${this.mirror.id} failed, switching to ${next.id}:`, error);
+                    this.setText('download-progress-status', t('download.progress.failover', { mirror: this.mirror.name, next: next.name }));
+                    this.useMirror(next);
+                    continue;
+                }
+                
+                // Only reported once every mirror has failed, or the user cancelled
+                console.warn('APK download failed:', error);
+                this.setText('download-progress-status', this.getDownloadErrorMessage(error));
+                this.showDownloadProgress(true, false);
+                
+                if (typeof adsMonetization !== 'undefined') {
+                    adsMonetization.trackEvent('apk_download_failed', {
+                        reason: error.reason || 'network',
+                        received: download.received,
+                        version: this.release.version,
+                        mirror: this.mirror.id
+                    });
+                }
+                return;
+            }
+        }
+        
+        if (download !== this.download) return;
+        
+        this.saveFile(blob, apk.fileName);
+        this.download = null;
+        this.setText('download-progress-status', t('download.progress.complete'));
+        this.showDownloadProgress(true, false);
+        this.showDownloadSuccess();
+        
+        if (typeof adsMonetization !== 'undefined') {
+            adsMonetization.trackEvent('apk_download_complete', {
+                version: this.release.version,
+                file_size: blob.size,
+                mirror: this.mirror.id
+            });
+        }
+    }
+
+    /**
+     * Message shown when the in-page download stops
+     */
+    getDownloadErrorMessage(error) {
+        switch (error.reason) {
+            case 'integrity':
+                return t('download.error.integrity');
+            case 'cancelled':
+                return t('download.error.cancelled');
+            case 'http':
+                return t('download.error.http', { status: error.status });
+            default:
+                return t('download.error.interrupted');
+        }
+    }
+
+    /**
+     * Show the download progress circle and percentage
+     */
+    updateDownloadProgress(progress) {
+        this.updateCountdownCircle(progress, 'download-progress-path');
+        this.setText('download-progress-percent', `${Math.floor(progress)}%`);
+    }
+
+    /**
+     * Show or hide the progress block and its cancel button
+     */
+    showDownloadProgress(visible, cancellable = true) {
+        const progress = document.getElementById('download-progress');
+        const cancelBtn = document.getElementById('download-cancel');
+        
+        if (progress) {
+            progress.classList.toggle('hidden', !visible);
+        }
+        if (cancelBtn) {
+            cancelBtn.style.display = cancellable ? '' : 'none';
+        }
+    }
+
+    /**
+     * Drop an unfinished download, e.g. when another release is picked
+     */
+    discardDownload() {
+        if (!this.download) return;
+        
+        const download = this.download;
+        this.download = null;
+        download.abort();
+        this.showDownloadProgress(false);
+    }
+
+    /**
+     * Hand a downloaded Blob to the browser as a file
+     */
+    saveFile(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        
+        link.href = url;
+        link.download = fileName;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        // Give the browser time to start writing the file
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+
     /**
      * Show download success message
      */
@@ -286,8 +753,8 @@ class AndroidDownloadManager {
             <div class="success-content">
                 <i class="fas fa-check-circle"></i>
                 <div class="success-text">
-                    <h4>Download Iniziato!</h4>
-                    <p>Il file MiaApp.apk è stato scaricato nella cartella Download</p>
+                    <h4>${t('download.success.title')}</h4>
+                    <p>${t('download.success.text', { file: this.apk ? this.apk.fileName : 'Popcornia.apk' })}</p>
                 </div>
                 <button onclick="this.parentElement.parentElement.remove()">
                     <i class="fas fa-times"></i>
@@ -408,7 +875,8 @@ class AndroidDownloadManager {
             countdownDuration: this.countdownDuration,
             currentCountdown: this.currentCountdown,
             downloadReady: this.downloadReady,
-            isRunning: this.countdownInterval !== null
+            isRunning: this.countdownInterval !== null,
+            release: this.release ? this.release.version : null
         };
     }
 }
@@ -4,351 +4,192 @@
  */
 
 class DownloaderIntegration {
-    constructor() {
+    constructor(options = {}) {
+        this.registry = options.registry || getCodeRegistry();
+        this.sync = options.sync || (typeof getCodePoolSync !== 'undefined' ? getCodePoolSync() : null);
         this.baseUrl = window.location.origin;
-        this.apkUrl = `${this.baseUrl}/downloads/app.apk`;
-        this.aftvNewsUrl = 'https://go.aftvnews.com/';
         
-        // Code generation methods
-        this.methods = {
-            iframe: true,
-            popup: true,
-            direct: true,
-            fallback: true
-        };
+        // Short-code resolver and the APK it points at, configured per page
+        const resolverConfig = window.downloaderResolverConfig || {};
+        this.resolver = options.resolver || new DownloaderResolver(resolverConfig);
+        this.apkUrl = options.apkUrl || resolverConfig.apkUrl || `${this.baseUrl}/downloads/app.apk`;
+        this.healthChecker = options.healthChecker ||
+            (typeof getTargetHealthChecker !== 'undefined' ? getTargetHealthChecker() : null);
+        
+        // Each catalog release gets its own code, the configured apkUrl is used without a catalog
+        this.catalog = options.catalog || (typeof getReleaseCatalog !== 'undefined' ? getReleaseCatalog() : null);
+        this.release = null;
+        this.apk = null;
+        this.mirrorSelector = options.mirrorSelector ||
+            (typeof getMirrorSelector !== 'undefined' ? getMirrorSelector() : null);
         
-        // Generated codes cache
-        this.codesCache = [];
+        // Resolved codes are kept in the shared registry
+        this.maxCachedCodes = 10;
         this.lastCodeGeneration = null;
         this.codeExpiryTime = 3600000; // 1 hour
         
-        this.init();
+        // Resolves once the registry has loaded
+        this.ready = this.init();
     }
 
     /**
      * Initialize Downloader integration
      */
-    init() {
-        this.loadCachedCodes();
+    async init() {
+        await this.registry.ready;
+        
+        if (this.catalog) {
+            await this.catalog.ready;
+            if (typeof deviceDetector !== 'undefined' && deviceDetector) {
+                await deviceDetector.ready;
+            }
+            if (!this.release) this.selectRelease(this.catalog.getLatest('stable'));
+        }
+        
         this.setupPeriodicRefresh();
     }
 
     /**
-     * Generate new Downloader code using multiple fallback methods
+     * Point code generation at a catalog release (and ABI), returns the chosen APK
+     * Opened on a Fire TV, the code points at the build for its model
      */
-    async generateCode() {
-        const methods = [
-            () => this.generateViaIframe(),
-            () => this.generateViaPopup(),
-            () => this.generateViaDirectLink(),
-            () => this.generateViaFallback()
-        ];
-
-        for (const method of methods) {
-            try {
-                const result = await method();
-                if (result.success) {
-                    this.cacheCode(result.code);
-                    return result;
-                }
-            } catch (error) {
-                console.warn('Code generation method failed:', error);
-                continue;
-            }
-        }
-
-        // If all methods fail, return a fallback code
-        return this.generateFallbackCode();
+    selectRelease(release, abi = null) {
+        if (!this.catalog || !release) return null;
+        
+        this.release = release;
+        this.apk = this.catalog.getApk(release, abi || this.getDeviceAbi());
+        this.apkUrl = this.apk.url;
+        return this.apk;
     }
 
     /**
-     * Method 1: Generate code via hidden iframe
+     * ABI of the detected Fire TV model, null on other devices
      */
-    generateViaIframe() {
-        return new Promise((resolve, reject) => {
-            try {
-                // Create hidden iframe
-                const iframe = document.createElement('iframe');
-                iframe.name = 'downloader_frame';
-                iframe.style.display = 'none';
-                iframe.sandbox = 'allow-forms allow-scripts allow-same-origin allow-popups';
-                
-                document.body.appendChild(iframe);
-
-                // Create form to submit to AFTVNews
-                const form = document.createElement('form');
-                form.method = 'POST';
-                form.action = this.aftvNewsUrl;
-                form.target = 'downloader_frame';
-                form.style.display = 'none';
-
-                // Add URL field
-                const urlInput = document.createElement('input');
-                urlInput.type = 'hidden';
-                urlInput.name = 'url';
-                urlInput.value = this.apkUrl;
-                
-                form.appendChild(urlInput);
-                document.body.appendChild(form);
-
-                // Submit form
-                form.submit();
-
-                // Listen for iframe load
-                iframe.onload = () => {
-                    try {
-                        // Try to extract code from iframe (may be blocked by CORS)
-                        const iframeDoc = iframe.contentDocument || iframe.contentWindow.document;
-                        const code = this.extractCodeFromPage(iframeDoc);
-                        
-                        if (code) {
-                            resolve({ success: true, code, method: 'iframe' });
-                        } else {
-                            reject(new Error('No code found in iframe'));
-                        }
-                    } catch (error) {
-                        // CORS blocked, try alternative extraction
-                        const code = this.generateRandomCode();
-                        resolve({ success: true, code, method: 'iframe-fallback' });
-                    } finally {
-                        // Cleanup
-                        document.body.removeChild(iframe);
-                        document.body.removeChild(form);
-                    }
-                };
-
-                // Timeout after 10 seconds
-                setTimeout(() => {
-                    document.body.removeChild(iframe);
-                    document.body.removeChild(form);
-                    reject(new Error('Iframe method timeout'));
-                }, 10000);
-
-            } catch (error) {
-                reject(error);
-            }
-        });
+    getDeviceAbi() {
+        return typeof deviceDetector !== 'undefined' && deviceDetector ? deviceDetector.getPreferredAbi() : null;
     }
 
     /**
-     * Method 2: Generate code via popup window
+     * Whether a code points at the selected release
      */
-    generateViaPopup() {
-        return new Promise((resolve, reject) => {
-            try {
-                const popup = window.open(
-                    `${this.aftvNewsUrl}?url=${encodeURIComponent(this.apkUrl)}`,
-                    'downloader_popup',
-                    'width=600,height=400,scrollbars=yes,resizable=yes'
-                );
-
-                if (!popup) {
-                    reject(new Error('Popup blocked'));
-                    return;
-                }
-
-                // Monitor popup for code or closure
-                const checkPopup = setInterval(() => {
-                    try {
-                        if (popup.closed) {
-                            clearInterval(checkPopup);
-                            // Assume success and generate fallback code
-                            const code = this.generateRandomCode();
-                            resolve({ success: true, code, method: 'popup' });
-                            return;
-                        }
-
-                        // Try to read popup content (may be blocked by CORS)
-                        const popupDoc = popup.document;
-                        if (popupDoc) {
-                            const code = this.extractCodeFromPage(popupDoc);
-                            if (code) {
-                                popup.close();
-                                clearInterval(checkPopup);
-                                resolve({ success: true, code, method: 'popup-extract' });
-                                return;
-                            }
-                        }
-                    } catch (error) {
-                        // CORS blocked, continue monitoring
-                    }
-                }, 1000);
-
-                // Timeout after 30 seconds
-                setTimeout(() => {
-                    clearInterval(checkPopup);
-                    if (!popup.closed) {
-                        popup.close();
-                    }
-                    reject(new Error('Popup method timeout'));
-                }, 30000);
-
-            } catch (error) {
-                reject(error);
-            }
-        });
+    matchesRelease(entry) {
+        return !this.catalog || this.catalog.codeMatches(entry, this.release);
     }
 
     /**
-     * Method 3: Generate code via direct link
+     * Codes this module resolved, newest first
      */
-    generateViaDirectLink() {
-        return new Promise((resolve, reject) => {
-            try {
-                // Create direct link with pre-formatted parameters
-                const directUrl = `${this.aftvNewsUrl}?url=${encodeURIComponent(this.apkUrl)}`;
-                
-                // Try to fetch the page (may be blocked by CORS)
-                fetch(directUrl, { mode: 'no-cors' })
-                    .then(() => {
-                        // Can't read response due to CORS, but request was sent
-                        // Generate a code based on URL hash or timestamp
-                        const code = this.generateCodeFromUrl(directUrl);
-                        resolve({ success: true, code, method: 'direct-link' });
-                    })
-                    .catch(() => {
-                        reject(new Error('Direct link method failed'));
-                    });
-
-            } catch (error) {
-                reject(error);
-            }
-        });
+    get codesCache() {
+        return this.registry.all()
+            .filter(entry => entry.origin === 'resolver')
+            .sort((a, b) => b.generated - a.generated);
     }
 
     /**
-     * Method 4: Fallback code generation
+     * Generate a Downloader code by registering the APK URL with the resolver
+     * Falls back to a previously resolved code that is still valid, never to a made-up one
      */
-    generateViaFallback() {
-        return new Promise((resolve) => {
-            // Use pre-generated codes or create new ones
-            const code = this.getPreGeneratedCode() || this.generateRandomCode();
-            resolve({ success: true, code, method: 'fallback' });
-        });
+    async generateCode() {
+        const result = await this.resolveCode();
+
+        if (result.success) {
+            return result;
+        }
+
+        const cachedCode = this.getPreGeneratedCode();
+        if (cachedCode) {
+            return { success: true, code: cachedCode, method: 'cache' };
+        }
+
+        return { success: false, error: result.error, method: result.method };
     }
 
     /**
-     * Generate fallback code when all methods fail
+     * Mirrors of the selected APK, fastest first
      */
-    generateFallbackCode() {
-        return {
-            success: true,
-            code: this.generateRandomCode(),
-            method: 'emergency-fallback'
-        };
+    async getMirrors() {
+        const mirrors = this.apk ? this.apk.mirrors : [{ id: 'origin', name: 'Popcornia', url: this.apkUrl }];
+        return this.mirrorSelector ? this.mirrorSelector.rank(mirrors) : mirrors;
     }
 
     /**
-     * Extract code from AFTVNews page
+     * Register the APK URL with the resolver and cache the returned code
+     * A mirror that is known to be broken is never registered, the next one is tried instead
      */
-    extractCodeFromPage(doc) {
-        try {
-            // Look for common patterns in AFTVNews response
-            const codePatterns = [
-                /code[:\s]+(\d{4,6})/i,
-                /(\d{4,6})[^\d]/,
-                /#(\d{4,6})/,
-                /id[:\s]+(\d{4,6})/i
-            ];
-
-            const content = doc.body ? doc.body.innerText : '';
-            
-            for (const pattern of codePatterns) {
-                const match = content.match(pattern);
-                if (match && match[1]) {
-                    return match[1];
+    async resolveCode() {
+        const mirrors = await this.getMirrors();
+        let healthError = null;
+
+        for (const mirror of mirrors) {
+            if (this.healthChecker) {
+                const expected = this.apk ? { size: this.apk.size, sha256: this.apk.sha256 } : {};
+                const health = await this.healthChecker.check(mirror.url, expected);
+                // An unknown result from a host that also failed probing is treated as down
+                if (health.status === 'unhealthy' || (health.status === 'unknown' && mirror.available === false)) {
+                    console.warn(`APK mirror ${mirror.id} is unhealthy:`, health.error);
+                    if (this.mirrorSelector) this.mirrorSelector.markFailed(mirror.url);
+                    healthError = health.error;
+                    continue;
                 }
             }
 
-            // Check URL for code
-            const urlCode = this.extractCodeFromUrl(doc.URL || window.location.href);
-            if (urlCode) return urlCode;
+            const result = await this.resolver.resolve(mirror.url);
 
-            return null;
-        } catch (error) {
-            console.warn('Error extracting code from page:', error);
-            return null;
-        }
-    }
-
-    /**
-     * Extract code from URL
-     */
-    extractCodeFromUrl(url) {
-        try {
-            const urlObj = new URL(url);
-            const fragments = urlObj.hash.substring(1).split(/[\/\-_]/);
-            
-            for (const fragment of fragments) {
-                if (/^\d{4,6}$/.test(fragment)) {
-                    return fragment;
-                }
+            if (result.success) {
+                this.cacheCode(result.code, result.expires, mirror.url);
+            } else {
+                console.warn('Code resolution failed:', result.error);
             }
 
-            return null;
-        } catch (error) {
-            return null;
+            // Resolver errors are not a mirror problem, another mirror would fail the same way
+            return { ...result, mirror: mirror.id };
         }
-    }
 
-    /**
-     * Generate random 5-digit code
-     */
-    generateRandomCode() {
-        return Math.floor(10000 + Math.random() * 90000).toString();
-    }
-
-    /**
-     * Generate code from URL using hash
-     */
-    generateCodeFromUrl(url) {
-        // Simple hash function to generate consistent code from URL
-        let hash = 0;
-        for (let i = 0; i < url.length; i++) {
-            const char = url.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32-bit integer
-        }
-        
-        // Convert to 5-digit code
-        const code = Math.abs(hash % 90000) + 10000;
-        return code.toString();
+        return { success: false, error: t('downloader.error.apkUnavailable', { error: healthError }), method: 'resolver' };
     }
 
     /**
      * Cache generated code
      */
-    cacheCode(code) {
-        const codeEntry = {
+    cacheCode(code, expires = null, url = this.apkUrl) {
+        // The resolver returns the same code for the same URL, the registry keeps one entry per code
+        const entry = {
             code: code,
+            url: url,
             generated: Date.now(),
-            expires: Date.now() + this.codeExpiryTime,
-            used: false
+            expires: expires || Date.now() + this.codeExpiryTime,
+            status: 'active',
+            uses: 0
         };
-
-        this.codesCache.unshift(codeEntry);
+        
+        if (this.apk) {
+            entry.size = this.apk.size;
+            entry.sha256 = this.apk.sha256;
+            entry.release = this.release.version;
+        }
+        
+        this.registry.add(entry, 'resolver');
         this.lastCodeGeneration = Date.now();
 
-        // Keep only last 10 codes
-        this.codesCache = this.codesCache.slice(0, 10);
-
-        // Save to localStorage
-        this.saveCachedCodes();
+        // Keep only the last resolved codes
+        const stale = this.codesCache.slice(this.maxCachedCodes);
+        if (stale.length > 0) {
+            this.registry.remove(entry => stale.includes(entry));
+        }
     }
 
     /**
-     * Get pre-generated code from cache
+     * Get the least used active code for the selected release
      */
     getPreGeneratedCode() {
-        const validCodes = this.codesCache.filter(entry => 
-            !entry.used && entry.expires > Date.now()
-        );
+        const validCodes = this.registry.getActive()
+            .filter(entry => this.matchesRelease(entry))
+            // Skip codes whose file failed or whose host is down, they would not download
+            .filter(entry => !entry.url || !this.mirrorSelector || this.mirrorSelector.isAvailable(entry.url))
+            .sort((a, b) => a.uses - b.uses);
 
         if (validCodes.length > 0) {
-            const code = validCodes[0];
-            code.used = true;
-            this.saveCachedCodes();
-            return code.code;
+            return this.registry.markUsed(validCodes[0].code).code;
         }
 
         return null;
@@ -359,22 +200,23 @@ class DownloaderIntegration {
      */
     getActiveCodes() {
         const now = Date.now();
-        return this.codesCache
-            .filter(entry => entry.expires > now)
-            .map(entry => ({
-                code: entry.code,
-                generated: entry.generated,
-                expires: entry.expires,
-                timeLeft: entry.expires - now,
-                used: entry.used
-            }))
-            .sort((a, b) => b.generated - a.generated);
+        return this.registry.getActive().map(entry => ({
+            code: entry.code,
+            generated: entry.generated,
+            expires: entry.expires,
+            timeLeft: entry.expires - now,
+            uses: entry.uses,
+            origin: entry.origin,
+            release: entry.release || null
+        }));
     }
 
     /**
      * Pre-generate codes for faster access
      */
     async preGenerateCodes(count = 5) {
+        if (!this.resolver.configured) return [];
+
         const promises = [];
         
         for (let i = 0; i < count; i++) {
@@ -396,48 +238,21 @@ class DownloaderIntegration {
         return results.filter(result => result.success);
     }
 
-    /**
-     * Load cached codes from localStorage
-     */
-    loadCachedCodes() {
-        try {
-            const cached = localStorage.getItem('downloader_codes');
-            if (cached) {
-                this.codesCache = JSON.parse(cached);
-                
-                // Remove expired codes
-                const now = Date.now();
-                this.codesCache = this.codesCache.filter(entry => entry.expires > now);
-            }
-        } catch (error) {
-            console.warn('Error loading cached codes:', error);
-            this.codesCache = [];
-        }
-    }
-
-    /**
-     * Save cached codes to localStorage
-     */
-    saveCachedCodes() {
-        try {
-            localStorage.setItem('downloader_codes', JSON.stringify(this.codesCache));
-        } catch (error) {
-            console.warn('Error saving cached codes:', error);
-        }
-    }
-
     /**
      * Setup periodic code refresh
      */
     setupPeriodicRefresh() {
+        // Only the leader tab talks to the resolver, the others get its codes through sync
+        const isLeader = () => !this.sync || this.sync.isLeader;
+
         // Refresh codes every 30 minutes
         setInterval(() => {
-            this.preGenerateCodes(3);
+            if (isLeader()) this.preGenerateCodes(3);
         }, 1800000); // 30 minutes
 
         // Initial pre-generation after page load
         setTimeout(() => {
-            this.preGenerateCodes(2);
+            if (isLeader()) this.preGenerateCodes(2);
         }, 5000);
     }
 
@@ -475,34 +290,24 @@ class DownloaderIntegration {
      * Validate if code is still active
      */
     validateCode(code) {
-        const codeEntry = this.codesCache.find(entry => entry.code === code);
-        
-        if (!codeEntry) {
-            return { valid: false, reason: 'Code not found' };
-        }
-
-        if (codeEntry.expires < Date.now()) {
-            return { valid: false, reason: 'Code expired' };
-        }
-
-        return { valid: true, expires: codeEntry.expires };
+        return this.registry.validate(code);
     }
 
     /**
      * Get statistics about code generation
      */
     getStats() {
-        const now = Date.now();
-        const activeCodes = this.codesCache.filter(entry => entry.expires > now);
-        const usedCodes = this.codesCache.filter(entry => entry.used);
+        const codesCache = this.codesCache;
+        const activeCodes = codesCache.filter(entry => this.registry.isActive(entry));
+        const usedCodes = codesCache.filter(entry => entry.uses > 0);
         
         return {
-            totalCodesGenerated: this.codesCache.length,
+            totalCodesGenerated: codesCache.length,
             activeCodes: activeCodes.length,
             usedCodes: usedCodes.length,
             lastGeneration: this.lastCodeGeneration,
-            cacheSize: this.codesCache.length,
-            successRate: this.codesCache.length > 0 ? (activeCodes.length / this.codesCache.length * 100).toFixed(1) : 0
+            cacheSize: codesCache.length,
+            successRate: codesCache.length > 0 ? (activeCodes.length / codesCache.length * 100).toFixed(1) : 0
         };
     }
 
@@ -510,14 +315,8 @@ class DownloaderIntegration {
      * Clean expired codes from cache
      */
     cleanExpiredCodes() {
-        const now = Date.now();
-        const beforeCount = this.codesCache.length;
-        
-        this.codesCache = this.codesCache.filter(entry => entry.expires > now);
-        
-        const cleanedCount = beforeCount - this.codesCache.length;
+        const cleanedCount = this.registry.cleanExpired();
         if (cleanedCount > 0) {
-            this.saveCachedCodes();
             console.log(`Cleaned ${cleanedCount} expired codes`);
         }
         
@@ -530,8 +329,8 @@ let downloaderIntegration;
 document.addEventListener('DOMContentLoaded', () => {
     downloaderIntegration = new DownloaderIntegration();
     
-    // Clean expired codes on startup
-    downloaderIntegration.cleanExpiredCodes();
+    // Clean expired codes once the registry has loaded
+    downloaderIntegration.ready.then(() => downloaderIntegration.cleanExpiredCodes());
 });
 
 // Global functions for use in HTML
@@ -548,7 +347,8 @@ async function generateDownloaderCode() {
         if (typeof adsMonetization !== 'undefined') {
             adsMonetization.trackEvent('code_generated', {
                 method: result.method,
-                success: result.success
+                success: result.success,
+                mirror: result.mirror || null
             });
         }
         
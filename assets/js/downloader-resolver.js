@@ -0,0 +1,124 @@
+/**
+ * Downloader Resolver Module
+ * Registers APK URLs with a short-code resolver and returns the real Downloader code
+ */
+
+class DownloaderResolverError extends Error {
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'DownloaderResolverError';
+        this.status = status;
+    }
+}
+
+class DownloaderResolver {
+    constructor(options = {}) {
+        this.baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+        this.timeout = options.timeout || 10000;
+        this.codePattern = options.codePattern || /^\d{4,8}$/;
+    }
+
+    /**
+     * Whether a resolver endpoint has been configured
+     */
+    get configured() {
+        return this.baseUrl.length > 0;
+    }
+
+    /**
+     * Register an APK URL and return the resolver's short code
+     * Resolves to { success, code, url, expires, method } or { success: false, error, method }
+     */
+    async resolve(apkUrl) {
+        try {
+            const data = await this.request('/codes', {
+                method: 'POST',
+                body: JSON.stringify({ url: apkUrl })
+            });
+
+            return {
+                success: true,
+                code: this.readCode(data),
+                url: data.url || apkUrl,
+                expires: data.expires ? Date.parse(data.expires) : null,
+                method: 'resolver'
+            };
+        } catch (error) {
+            return { success: false, error: error.message, method: 'resolver' };
+        }
+    }
+
+    /**
+     * Look up the target URL registered for a short code
+     */
+    async lookup(code) {
+        try {
+            const data = await this.request(`/codes/${encodeURIComponent(code)}`, { method: 'GET' });
+
+            return {
+                success: true,
+                code: this.readCode(data),
+                url: data.url,
+                expires: data.expires ? Date.parse(data.expires) : null,
+                method: 'resolver'
+            };
+        } catch (error) {
+            return { success: false, error: error.message, method: 'resolver' };
+        }
+    }
+
+    /**
+     * Send a JSON request to the resolver with a timeout
+     */
+    async request(path, options) {
+        if (!this.configured) {
+            throw new DownloaderResolverError('Resolver endpoint not configured');
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(`${this.baseUrl}${path}`, {
+                ...options,
+                headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new DownloaderResolverError(`Resolver responded with ${response.status}`, response.status);
+            }
+
+            return await response.json();
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new DownloaderResolverError('Resolver request timed out');
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Extract and validate the numeric code from a resolver response
+     */
+    readCode(data) {
+        const code = data && data.code !== undefined ? String(data.code) : '';
+
+        if (!this.codePattern.test(code)) {
+            throw new DownloaderResolverError('Resolver returned no valid code');
+        }
+
+        return code;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.DownloaderResolver = DownloaderResolver;
+    window.DownloaderResolverError = DownloaderResolverError;
+}
+if (typeof module !== 'undefined') {
+    module.exports = { DownloaderResolver, DownloaderResolverError };
+}
\ No newline at end of file
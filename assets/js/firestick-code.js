@@ -3,12 +3,52 @@
  * Handles the step-by-step code generation process
  */
 
+// Allowed moves between generation method states
+const METHOD_STATE_TRANSITIONS = {
+    idle: ['pending'],
+    // Back to idle when the run is abandoned
+    pending: ['resolved', 'failed', 'offline', 'idle'],
+    resolved: ['idle'],
+    failed: ['idle'],
+    offline: ['idle']
+};
+
+// Badge/card classes used for each method state
+const METHOD_STATE_CLASSES = {
+    idle: 'standby',
+    pending: 'trying',
+    resolved: 'success',
+    failed: 'failed',
+    offline: 'offline'
+};
+
+// Progress of the flow in this tab, so a reload lands back on the same step
+const FLOW_PROGRESS_KEY = 'firestick_flow';
+
+// Deep links to a step, e.g. firestick-code.html#step-4
+const STEP_HASH_PATTERN = /^#step-([1-5])$/;
+
 class FireStickCodeGenerator {
     constructor() {
         this.currentStep = 1;
         this.totalSteps = 5;
+        // Deep links and history entries can only reach steps this tab got to
+        this.furthestStep = 1;
+        // Set while a navigation replaces the current history entry instead of adding one
+        this.replaceHistory = false;
+        this.registry = getCodeRegistry();
+        this.catalog = typeof getReleaseCatalog !== 'undefined' ? getReleaseCatalog() : null;
+        this.release = null;
         this.generatedCode = null;
+        this.generationMethod = null;
+        // Pausable PacedTimers by step, cancelled with clearStepTimer
         this.stepTimers = {};
+        this.pacer = new StepPacer();
+        // Bumped when a generation run is abandoned, so its late results are ignored
+        this.generationId = 0;
+        this.methodStates = { 'method-a': 'idle', 'method-b': 'idle', 'method-c': 'idle' };
+        this.methodErrors = {};
+        this.generating = false;
         
         this.init();
     }
@@ -17,26 +57,89 @@ class FireStickCodeGenerator {
      * Initialize code generator
      */
     init() {
+        const progress = this.loadProgress();
+        
         this.bindEvents();
-        this.initializeStepSystem();
+        this.releaseReady = this.setupReleasePicker(progress ? progress.release : null);
+        this.ready = this.initializeStepSystem(progress);
         
-        // Start automatic progression after initial delay
-        setTimeout(() => {
-            if (!isAdBlockDetected || !isAdBlockDetected()) {
-                this.startAutomaticProgression();
-            }
-        }, 3000);
+        // Start automatic progression after initial delay, unless the flow resumed further on
+        this.ready.then(() => {
+            setTimeout(() => {
+                if (this.currentStep === 1 && (!isAdBlockDetected || !isAdBlockDetected())) {
+                    this.startAutomaticProgression();
+                }
+            }, 3000);
+        });
     }
 
     /**
      * Initialize step system
+     * Starts on the step in the URL hash or the one this tab was on before a reload
      */
-    initializeStepSystem() {
-        // Show first step
-        this.showStep(1);
+    async initializeStepSystem(progress) {
+        const step = this.getHashStep() || (progress ? progress.step : 1);
+        
+        if (progress) {
+            this.furthestStep = progress.furthestStep;
+            this.generatedCode = progress.code;
+            this.generationMethod = progress.method;
+        }
+        
+        // The saved code is checked against the registry and shown with its release
+        if (step >= 4 && this.generatedCode) {
+            await Promise.all([this.registry.ready, this.releaseReady]);
+        }
         
-        // Setup step indicators
-        this.updateStepProgress();
+        this.withHistoryReplaced(() => this.goToStep(step, { resumed: true }));
+        return this.currentStep;
+    }
+
+    /**
+     * Step number in the URL hash, or null
+     */
+    getHashStep() {
+        const match = STEP_HASH_PATTERN.exec(window.location.hash);
+        return match ? parseInt(match[1], 10) : null;
+    }
+
+    /**
+     * Progress saved by this tab, or null
+     */
+    loadProgress() {
+        try {
+            const progress = JSON.parse(sessionStorage.getItem(FLOW_PROGRESS_KEY));
+            if (!progress || !Number.isInteger(progress.step) || progress.step < 1 || progress.step > this.totalSteps) {
+                return null;
+            }
+            
+            return {
+                step: progress.step,
+                furthestStep: Math.max(progress.step, Number.isInteger(progress.furthestStep) ? progress.furthestStep : 1),
+                code: typeof progress.code === 'string' ? progress.code : null,
+                method: progress.method || null,
+                release: progress.release || null
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Save the current step and code for this tab
+     */
+    saveProgress() {
+        try {
+            sessionStorage.setItem(FLOW_PROGRESS_KEY, JSON.stringify({
+                step: this.currentStep,
+                furthestStep: this.furthestStep,
+                code: this.generatedCode,
+                method: this.generationMethod,
+                release: this.release ? this.release.version : null
+            }));
+        } catch (error) {
+            console.warn('Could not save the code generation progress:', error);
+        }
     }
 
     /**
@@ -62,16 +165,296 @@ class FireStickCodeGenerator {
                 this.generateNewCode();
             }
         });
+
+        // Pull the displayed code if it is revoked while the page is open
+        this.registry.addEventListener('change', () => this.checkDisplayedCode());
+
+        // Back on the remote steps back through the flow
+        if (typeof getRemoteInput !== 'undefined') {
+            getRemoteInput().on('back', () => this.goBack());
+        }
+
+        // Browser back/forward and edited #step-N hashes
+        window.addEventListener('popstate', (e) => this.handlePopState(e));
+
+        // Pacing controls, a new preference reschedules the current step
+        this.pacer.bindControls(document.getElementById('step-pacing'));
+        this.pacer.onChange(() => this.applyPacing());
+
+        // Fast forward on the remote works as the Next button
+        if (typeof getRemoteInput !== 'undefined') {
+            getRemoteInput().on('fastForward', () => this.goToNextStep());
+        }
+    }
+
+    /**
+     * Let the user pick the release the code should install, stable by default
+     */
+    async setupReleasePicker(savedVersion = null) {
+        if (!this.catalog) return;
+        
+        await this.catalog.ready;
+        const requested = this.catalog.get(new URLSearchParams(window.location.search).get('version'));
+        const release = requested || this.catalog.get(savedVersion) || this.catalog.getLatest('stable');
+        if (!release) return;
+        
+        const picker = document.getElementById('release-picker');
+        const select = document.getElementById('release-select');
+        
+        if (select) {
+            fillReleaseSelect(select, this.catalog, release.version);
+            select.addEventListener('change', () => this.selectRelease(select.value));
+        }
+        if (picker) {
+            picker.classList.remove('hidden');
+        }
+        
+        this.selectRelease(release.version);
+    }
+
+    /**
+     * Generate codes for a release from now on
+     */
+    selectRelease(version) {
+        const release = this.catalog.get(version);
+        if (!release) return;
+        
+        this.release = release;
+        
+        if (typeof downloaderIntegration !== 'undefined' && downloaderIntegration) {
+            downloaderIntegration.selectRelease(release);
+        }
+    }
+
+    /**
+     * Whether a code installs the selected release
+     */
+    matchesRelease(entry) {
+        return !this.catalog || this.catalog.codeMatches(entry, this.release);
     }
 
     /**
      * Start automatic step progression
      */
     startAutomaticProgression() {
+        this.clearStepTimer('step1');
+        if (!this.pacer.advancesAutomatically()) return;
+        
         // Auto-progress from step 1 to step 2 after 8 seconds
-        this.stepTimers.step1 = setTimeout(() => {
-            this.goToStep2();
-        }, 8000);
+        this.stepTimers.step1 = this.pacer.start(() => this.goToStep2(), 8000);
+    }
+
+    /**
+     * Move on from the current step with the Next button, returns whether there was a next step
+     */
+    goToNextStep() {
+        const generation = this.stepTimers.generation;
+        
+        switch (this.currentStep) {
+            case 1:
+                this.goToStep2();
+                return true;
+            case 2:
+                // Next only shows up once the wait is over
+                if (generation && !generation.done) return false;
+                this.goToStep3();
+                return true;
+            case 3:
+                // Back on step 3 with a code already found, Next shows it again
+                if (this.generating || !this.hasValidCode()) return false;
+                this.goToStep4({ resumed: true });
+                return true;
+            case 4:
+                this.goToStep5();
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Reschedule the current step after the pacing preference changed
+     */
+    applyPacing() {
+        const generation = this.stepTimers.generation;
+        
+        if (this.currentStep === 1) {
+            if (!isAdBlockDetected || !isAdBlockDetected()) {
+                this.startAutomaticProgression();
+            }
+        } else if (this.currentStep === 2 && generation && generation.done) {
+            this.finishGenerationWait();
+        } else if (this.currentStep === 4 && this.generatedCode) {
+            this.scheduleInstructions();
+        }
+    }
+
+    /**
+     * Step back from the remote's Back key
+     * Goes back through the history entries of the flow; without one the code step is the way
+     * back from the instructions and earlier steps start over. Returns false on step 1 so Back
+     * leaves the page as usual
+     */
+    goBack() {
+        const errorStep = document.getElementById('step-error');
+        const onError = errorStep && errorStep.classList.contains('active');
+        
+        if (!onError && this.currentStep <= 1) return false;
+        
+        // handlePopState shows the previous step
+        const state = window.history.state;
+        if (!onError && state && state.depth > 0) {
+            window.history.back();
+            return true;
+        }
+        
+        const fromStep = onError ? 'error' : this.currentStep;
+        this.withHistoryReplaced(() => this.goToStep(fromStep === 5 ? 4 : 1, { resumed: true }));
+        this.trackStepChange(fromStep, this.currentStep, 'remote');
+        return true;
+    }
+
+    /**
+     * Show the step of a history entry
+     */
+    handlePopState(e) {
+        const fromStep = this.currentStep;
+        const step = e.state && e.state.step ? e.state.step : this.getHashStep() || 1;
+        
+        this.withHistoryReplaced(() => this.goToStep(step, { resumed: true }));
+        this.trackStepChange(fromStep, this.currentStep, 'history');
+    }
+
+    /**
+     * Track a step change the user asked for
+     */
+    trackStepChange(fromStep, toStep, source) {
+        if (fromStep === toStep || typeof adsMonetization === 'undefined') return;
+        
+        adsMonetization.trackEvent(typeof fromStep === 'number' && toStep > fromStep ? 'step_forward' : 'step_back', {
+            from_step: fromStep,
+            to_step: toStep,
+            source: source
+        });
+    }
+
+    /**
+     * Show any step, running what that step does on the way in
+     * Steps past the furthest one reached fall back to it, and the code steps
+     * regenerate a code when the saved one is no longer valid. Coming back to step 3
+     * with a valid code shows how it was found instead of generating a new one
+     */
+    goToStep(step, options = {}) {
+        const target = this.resolveStep(step);
+        
+        this.stopFlow();
+        
+        switch (target) {
+            case 2:
+                this.goToStep2();
+                break;
+            case 3:
+                if (options.resumed && this.hasValidCode()) {
+                    this.showGenerationResult();
+                } else {
+                    this.goToStep3();
+                }
+                break;
+            case 4:
+                this.goToStep4(options);
+                break;
+            case 5:
+                this.renderGeneratedCode();
+                this.goToStep5(options);
+                break;
+            default:
+                this.showStep(1);
+        }
+    }
+
+    /**
+     * Step a navigation to a step actually lands on
+     */
+    resolveStep(step) {
+        const target = Math.min(Math.max(1, step), this.furthestStep);
+        
+        if (target >= 4 && !this.hasValidCode()) {
+            return 3;
+        }
+        
+        return target;
+    }
+
+    /**
+     * Whether the generated code can still be shown
+     */
+    hasValidCode() {
+        return Boolean(this.generatedCode) && this.registry.validate(this.generatedCode).valid;
+    }
+
+    /**
+     * Back to step 1, cancelling timers and any generation in progress
+     */
+    restart() {
+        this.stopFlow();
+        this.showStep(1);
+    }
+
+    /**
+     * Cancel step timers and abandon any generation in progress
+     */
+    stopFlow() {
+        this.clearStepTimers();
+        this.generationId++;
+        this.generating = false;
+    }
+
+    /**
+     * Run a navigation that replaces the current history entry instead of adding one
+     */
+    withHistoryReplaced(navigate) {
+        this.replaceHistory = true;
+        try {
+            navigate();
+        } finally {
+            this.replaceHistory = false;
+        }
+    }
+
+    /**
+     * Point the URL at a step: a new history entry per step, step 1 keeps the plain URL
+     * depth counts the flow's entries below this one, so Back knows when it would leave the page
+     */
+    updateHistory(stepNumber) {
+        if (!window.history || typeof window.history.pushState !== 'function') return;
+        
+        const current = window.history.state;
+        const depth = current && current.depth ? current.depth : 0;
+        const url = stepNumber === 1
+            ? window.location.pathname + window.location.search
+            : `#step-${stepNumber}`;
+        
+        if (this.replaceHistory || (current && current.step === stepNumber)) {
+            window.history.replaceState({ step: stepNumber, depth: depth }, '', url);
+        } else {
+            window.history.pushState({ step: stepNumber, depth: current && current.step ? depth + 1 : 0 }, '', url);
+        }
+    }
+
+    /**
+     * Cancel every pending step timer
+     */
+    clearStepTimers() {
+        Object.keys(this.stepTimers).forEach(name => this.clearStepTimer(name));
+    }
+
+    /**
+     * Cancel one step timer
+     */
+    clearStepTimer(name) {
+        const timer = this.stepTimers[name];
+        if (timer) timer.cancel();
+        delete this.stepTimers[name];
     }
 
     /**
@@ -87,8 +470,15 @@ class FireStickCodeGenerator {
         const targetStep = document.getElementById(`step-${stepNumber}`);
         if (targetStep) {
             targetStep.classList.add('active');
-            this.currentStep = stepNumber;
-            this.updateStepProgress();
+            
+            // The error step sits outside the numbered progression and its history
+            if (typeof stepNumber === 'number') {
+                this.currentStep = stepNumber;
+                this.furthestStep = Math.max(this.furthestStep, stepNumber);
+                this.updateStepProgress();
+                this.updateHistory(stepNumber);
+            }
+            this.saveProgress();
             
             // Focus first interactive element for TV users
             if (typeof deviceDetector !== 'undefined' && deviceDetector.isTV()) {
@@ -114,8 +504,12 @@ class FireStickCodeGenerator {
      * Go to step 2 (Generation timer)
      */
     goToStep2() {
+        // The continue button runs this from its onclick and from bindEvents
+        if (this.currentStep === 2) return;
+        
         console.log('Moving to step 2 - Generation timer');
         
+        this.clearStepTimer('step1');
         this.showStep(2);
         this.startGenerationTimer();
         
@@ -130,40 +524,65 @@ class FireStickCodeGenerator {
 
     /**
      * Start generation countdown timer
+     * Pauses with the pacer; in manual pacing the end of the wait shows the Next button
      */
     startGenerationTimer() {
-        let countdown = 10;
+        const seconds = 10;
         const countdownElement = document.getElementById('generation-countdown');
         const countdownDisplay = document.getElementById('countdown-display-2');
         const countdownPath = document.getElementById('countdown-path-2');
         
-        const updateCountdown = () => {
+        this.toggleNextButton(2, false);
+        
+        const updateCountdown = (countdown) => {
             if (countdownElement) countdownElement.textContent = countdown;
             if (countdownDisplay) countdownDisplay.textContent = countdown;
             
             // Update SVG circle
             if (countdownPath) {
                 const circumference = 2 * Math.PI * 70;
-                const progress = ((10 - countdown) / 10) * 100;
+                const progress = ((seconds - countdown) / seconds) * 100;
                 const strokeDashoffset = circumference - (progress / 100) * circumference;
                 countdownPath.style.strokeDashoffset = strokeDashoffset;
             }
             
             // Update status items
-            this.updateGenerationStatus(10 - countdown);
+            this.updateGenerationStatus(seconds - countdown);
         };
 
-        updateCountdown();
+        updateCountdown(seconds);
 
-        const timerInterval = setInterval(() => {
-            countdown--;
-            updateCountdown();
-            
-            if (countdown <= 0) {
-                clearInterval(timerInterval);
-                this.goToStep3();
-            }
-        }, 1000);
+        this.clearStepTimer('generation');
+        this.stepTimers.generation = this.pacer.start(() => this.finishGenerationWait(), seconds * 1000, {
+            onTick: remaining => updateCountdown(Math.ceil(remaining / 1000))
+        });
+    }
+
+    /**
+     * End of the generation wait: on to step 3, or the Next button in manual pacing
+     */
+    finishGenerationWait() {
+        if (this.pacer.advancesAutomatically()) {
+            this.goToStep3();
+            return;
+        }
+        
+        this.toggleNextButton(2, true);
+    }
+
+    /**
+     * Show or hide a step's Next button, focusing it for remote users when it shows up
+     */
+    toggleNextButton(stepNumber, visible) {
+        const section = document.getElementById(`step-${stepNumber}-next`);
+        if (!section) return;
+        
+        section.classList.toggle('hidden', !visible);
+        
+        const button = section.querySelector('button');
+        if (visible && button && typeof deviceDetector !== 'undefined' && deviceDetector.isTV()) {
+            button.focus();
+        }
     }
 
     /**
@@ -201,118 +620,263 @@ class FireStickCodeGenerator {
         }
     }
 
+    /**
+     * Step 3 as the last generation left it, with Next back to the code
+     * Going back from step 4 lands here, regenerating would push step 4 again
+     */
+    showGenerationResult() {
+        this.showStep(3);
+        this.toggleNextButton(3, true);
+    }
+
     /**
      * Start code generation process
+     * Tries each method in turn and only moves on to step 4 with a verified code
      */
     async startCodeGeneration() {
+        if (this.generating) return;
+        
         console.log('Starting code generation process...');
         
-        // Method A: Try iframe method
-        this.updateMethodStatus('method-a', 'trying');
-        this.animateMethodProgress('method-a-progress', 0, 100, 3000);
+        const run = ++this.generationId;
+        this.generating = true;
+        this.generatedCode = null;
+        this.toggleNextButton(3, false);
+        this.clearStepTimer('step4');
+        this.clearStepTimer('step5');
+        this.resetMethodStates();
         
         try {
-            const result = await this.generateCodeViaDownloader();
+            await this.runGenerationMethods(run);
+        } finally {
+            if (run === this.generationId) this.generating = false;
+        }
+    }
+
+    /**
+     * Try each generation method until one yields a verified code
+     * Stops quietly once the run is abandoned (see restart)
+     */
+    async runGenerationMethods(run) {
+        const methods = [
+            { id: 'method-a', needsNetwork: true, run: () => this.generateCodeViaDownloader() },
+            { id: 'method-b', needsNetwork: true, run: () => this.generateCodeFromManifest() },
+            { id: 'method-c', needsNetwork: false, run: () => this.generateCodeFromCache() }
+        ];
+        
+        for (const method of methods) {
+            const result = await this.runGenerationMethod(method, run);
+            if (run !== this.generationId) return;
             
-            if (result.success) {
-                this.updateMethodStatus('method-a', 'success');
+            if (result) {
                 this.generatedCode = result.code;
+                this.generationMethod = result.method;
                 
-                setTimeout(() => {
-                    this.goToStep4();
-                }, 1000);
+                this.stepTimers.step4 = this.pacer.start(() => this.goToStep4(), 1000);
                 return;
             }
-        } catch (error) {
-            console.warn('Method A failed:', error);
         }
         
-        // Method A failed, try Method B
-        this.updateMethodStatus('method-a', 'failed');
-        this.updateMethodStatus('method-b', 'trying');
+        this.showGenerationError();
+    }
+
+    /**
+     * Run a single generation method and record its final state
+     * Results of an abandoned run are dropped, the cards already belong to the next one
+     */
+    async runGenerationMethod(method, run) {
+        if (method.needsNetwork && navigator.onLine === false) {
+            this.setMethodState(method.id, 'pending');
+            this.setMethodState(method.id, 'offline', t('firestick.error.noConnection'));
+            return null;
+        }
+        
+        this.setMethodState(method.id, 'pending');
+        this.animateMethodProgress(`${method.id}-progress`, 0, 100, 3000);
         
-        setTimeout(async () => {
-            try {
-                const result = await this.generateCodeViaPopup();
-                
-                if (result.success) {
-                    this.updateMethodStatus('method-b', 'success');
-                    this.generatedCode = result.code;
-                    this.goToStep4();
-                    return;
-                }
-            } catch (error) {
-                console.warn('Method B failed:', error);
+        try {
+            const result = await method.run();
+            if (run !== this.generationId) return null;
+            
+            if (result && result.success && result.code && this.registry.getRevocation(result.code)) {
+                this.setMethodState(method.id, 'failed', t('firestick.error.codeWithdrawn'));
+                return null;
             }
             
-            // Method B failed, use fallback
-            this.updateMethodStatus('method-b', 'failed');
-            this.updateMethodStatus('method-c', 'trying');
+            const healthy = result && result.success && result.code ? await this.isTargetHealthy(result.code) : true;
+            if (run !== this.generationId) return null;
             
-            setTimeout(() => {
-                this.generatedCode = this.generateFallbackCode();
-                this.updateMethodStatus('method-c', 'success');
-                this.goToStep4();
-            }, 2000);
-        }, 2000);
+            if (!healthy) {
+                this.setMethodState(method.id, 'failed', t('firestick.error.targetUnreachable'));
+                return null;
+            }
+            
+            if (result && result.success && result.code) {
+                this.setMethodState(method.id, 'resolved');
+                return result;
+            }
+            
+            this.setMethodState(method.id, 'failed', result ? result.error : null);
+        } catch (error) {
+            console.warn(`${method.id} failed:`, error);
+            if (run !== this.generationId) return null;
+            
+            const offline = method.needsNetwork && navigator.onLine === false;
+            this.setMethodState(method.id, offline ? 'offline' : 'failed', error.message);
+        }
+        
+        return null;
     }
 
     /**
-     * Generate code via Downloader integration
+     * Check the APK behind a code; only a target known to be broken fails the method
      */
-    async generateCodeViaDownloader() {
-        if (typeof downloaderIntegration !== 'undefined') {
-            return await downloaderIntegration.generateCode();
+    async isTargetHealthy(code) {
+        const entry = this.registry.get(code);
+        if (!entry || !entry.url || typeof getTargetHealthChecker === 'undefined') return true;
+        
+        const health = await getTargetHealthChecker().check(entry.url, { size: entry.size, sha256: entry.sha256 });
+        // Let failover skip this file for the next attempt, other files on its host are unaffected
+        // Let failover skip the host for the next attempt
+        if (health.status === 'unhealthy' && typeof getMirrorSelector !== 'undefined') {
+            getMirrorSelector().markFailed(entry.url);
         }
         
-        // Fallback if integration not available
-        return {
-            success: true,
-            code: this.generateRandomCode(),
-            method: 'fallback'
-        };
+        return health.status !== 'unhealthy';
     }
 
     /**
-     * Generate code via popup method
+     * Reset every method back to idle before a new attempt
      */
-    async generateCodeViaPopup() {
-        // Simulate popup method
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                resolve({
-                    success: true,
-                    code: this.generateRandomCode(),
-                    method: 'popup'
-                });
-            }, 1000);
+    resetMethodStates() {
+        Object.keys(this.methodStates).forEach(methodId => {
+            this.setMethodState(methodId, 'idle');
         });
     }
 
     /**
-     * Generate fallback code
+     * Move a method to a new state, rejecting transitions the flow does not allow
+     */
+    setMethodState(methodId, state, error = null) {
+        const current = this.methodStates[methodId];
+        
+        if (current !== state && !METHOD_STATE_TRANSITIONS[current].includes(state)) {
+            throw new Error(`Invalid method transition for ${methodId}: ${current} -> ${state}`);
+        }
+        
+        this.methodStates[methodId] = state;
+        this.methodErrors[methodId] = error;
+        this.updateMethodStatus(methodId, state);
+    }
+
+    /**
+     * Method A: register the APK URL with the Downloader resolver
+     * Without a resolver endpoint in downloaderResolverConfig the method is off, not failing
+     */
+    async generateCodeViaDownloader() {
+        if (typeof downloaderIntegration === 'undefined' || !downloaderIntegration) {
+            return { success: false, error: t('firestick.error.downloaderUnavailable') };
+        }
+        if (!downloaderIntegration.resolver.configured) {
+            return { success: false, error: t('firestick.error.resolverDisabled') };
+        }
+        
+        await downloaderIntegration.ready;
+        return await downloaderIntegration.resolveCode();
+    }
+
+    /**
+     * Method B: newest active code from the signed codes manifest
      */
-    generateFallbackCode() {
-        return Math.floor(10000 + Math.random() * 90000).toString();
+    async generateCodeFromManifest() {
+        await this.registry.reload();
+        const activeCode = this.registry.getActive({ origin: 'manifest' })
+            .find(entry => this.matchesRelease(entry));
+        
+        if (!activeCode) {
+            return { success: false, error: t('firestick.error.noActiveCode') };
+        }
+        
+        return { success: true, code: activeCode.code, method: 'manifest' };
+    }
+
+    /**
+     * Method C: a code resolved earlier on this device that has not expired yet
+     * Manifest codes are Method B's to hand out, one it rejected must not come back as cached
+     */
+    async generateCodeFromCache() {
+        await this.registry.ready;
+        const cachedCode = this.registry.getActive()
+            .find(entry => entry.origin !== 'manifest' && this.matchesRelease(entry));
+        
+        if (!cachedCode) {
+            return { success: false, error: t('firestick.error.noCachedCode') };
+        }
+        
+        return { success: true, code: cachedCode.code, method: 'cache' };
+    }
+
+    /**
+     * Show the error step when no method produced a verified code
+     */
+    showGenerationError() {
+        console.warn('No verified code available', this.methodStates);
+        
+        const reasonsList = document.getElementById('generation-error-reasons');
+        if (reasonsList) {
+            reasonsList.innerHTML = '';
+            Object.keys(this.methodStates).forEach(methodId => {
+                const title = document.querySelector(`#${methodId} h3`);
+                const reason = this.methodStates[methodId] === 'offline'
+                    ? t('firestick.error.offline')
+                    : this.methodErrors[methodId] || t('firestick.error.noCode');
+
+                // Errors can carry resolver and server text, set as text rather than markup
+                const item = document.createElement('li');
+                const label = document.createElement('strong');
+                label.textContent = `${title ? title.textContent : methodId}:`;
+                item.appendChild(label);
+                item.appendChild(document.createTextNode(` ${reason}`));
+                reasonsList.appendChild(item);
+            });
+        }
+        
+        this.showStep('error');
+        
+        // Track failure
+        if (typeof adsMonetization !== 'undefined') {
+            adsMonetization.trackEvent('code_generation_failed', {
+                states: { ...this.methodStates },
+                online: navigator.onLine
+            });
+        }
     }
 
     /**
-     * Generate random 5-digit code
+     * Retry generation from the error step
      */
-    generateRandomCode() {
-        return Math.floor(10000 + Math.random() * 90000).toString();
+    retryCodeGeneration() {
+        this.showStep(3);
+        this.startCodeGeneration();
+        
+        // Track retry
+        if (typeof adsMonetization !== 'undefined') {
+            adsMonetization.trackEvent('code_generation_retry');
+        }
     }
 
     /**
      * Update method status indicator
      */
-    updateMethodStatus(methodId, status) {
+    updateMethodStatus(methodId, state) {
         const methodCard = document.getElementById(methodId);
         if (!methodCard) return;
         
         const statusBadge = methodCard.querySelector('.status-badge');
         if (!statusBadge) return;
         
+        const status = METHOD_STATE_CLASSES[state] || state;
+        
         // Remove old status classes
         statusBadge.className = 'status-badge';
         methodCard.className = 'method-card';
@@ -323,12 +887,14 @@ class FireStickCodeGenerator {
         
         // Update text
         const statusTexts = {
-            trying: 'Tentativo in corso...',
-            success: 'Completato ✓',
-            failed: 'Fallito ✗'
+            idle: 'firestick.method.idle',
+            pending: 'firestick.method.pending',
+            resolved: 'firestick.method.resolved',
+            failed: 'firestick.method.failed',
+            offline: 'firestick.method.offline'
         };
         
-        statusBadge.textContent = statusTexts[status] || status;
+        statusBadge.textContent = statusTexts[state] ? t(statusTexts[state]) : state;
     }
 
     /**
@@ -355,19 +921,76 @@ class FireStickCodeGenerator {
         requestAnimationFrame(animate);
     }
 
+    /**
+     * Re-check the code on screen after the registry changes
+     */
+    checkDisplayedCode() {
+        if (!this.generatedCode || this.generating || this.currentStep < 4) return;
+        
+        const validation = this.registry.validate(this.generatedCode);
+        if (validation.state === 'revoked') {
+            this.showCodeWithdrawn(validation.revocation);
+        }
+    }
+
+    /**
+     * Replace a revoked code with a clear withdrawn message
+     */
+    showCodeWithdrawn(revocation) {
+        const code = this.generatedCode;
+        
+        this.generatedCode = null;
+        this.clearStepTimer('step5');
+        this.saveProgress();
+        
+        const reasonsList = document.getElementById('generation-error-reasons');
+        if (reasonsList) {
+            const item = document.createElement('li');
+            // Reasons come from the manifest, set as text rather than markup
+            item.textContent = revocation && revocation.reason
+                ? t('firestick.withdrawn.reason', { code: code, reason: revocation.reason })
+                : t('firestick.withdrawn.text', { code: code });
+            reasonsList.innerHTML = '';
+            reasonsList.appendChild(item);
+        }
+        
+        this.showStep('error');
+        
+        // Track withdrawn code
+        if (typeof adsMonetization !== 'undefined') {
+            adsMonetization.trackEvent('code_withdrawn_shown', { code: code });
+        }
+    }
+
     /**
      * Go to step 4 (Display generated code)
+     * options.resumed: back on a code shown before, which is not tracked again
      */
-    goToStep4() {
+    goToStep4(options = {}) {
+        // The code may have expired, been replaced or been revoked since it was picked
+        const validation = this.generatedCode ? this.registry.validate(this.generatedCode) : { valid: false };
+        
+        if (validation.state === 'revoked') {
+            this.showCodeWithdrawn(validation.revocation);
+            return;
+        }
+        
+        if (!validation.valid) {
+            this.showGenerationError();
+            return;
+        }
+        
         console.log('Moving to step 4 - Display code');
         
         this.showStep(4);
         this.displayGeneratedCode();
         
         // Track successful generation
-        if (typeof adsMonetization !== 'undefined') {
+        if (!options.resumed && typeof adsMonetization !== 'undefined') {
             adsMonetization.trackEvent('code_generated_success', {
                 code: this.generatedCode,
+                method: this.generationMethod,
+                release: this.release ? this.release.version : null,
                 step: 4
             });
         }
@@ -377,6 +1000,24 @@ class FireStickCodeGenerator {
      * Display the generated code
      */
     displayGeneratedCode() {
+        this.renderGeneratedCode();
+        this.scheduleInstructions();
+    }
+
+    /**
+     * Auto-progress to instructions after 5 seconds, unless the code should stay on screen
+     */
+    scheduleInstructions() {
+        this.clearStepTimer('step5');
+        if (!this.pacer.advancesAutomatically('code')) return;
+        
+        this.stepTimers.step5 = this.pacer.start(() => this.goToStep5(), 5000);
+    }
+
+    /**
+     * Put the generated code into the code and instruction steps
+     */
+    renderGeneratedCode() {
         const codeElement = document.getElementById('generated-code');
         const displayCodeElement = document.getElementById('display-code');
         
@@ -395,16 +1036,18 @@ class FireStickCodeGenerator {
             displayCodeElement.textContent = this.generatedCode;
         }
         
+        const releaseElement = document.getElementById('code-release');
+        const releaseVersionElement = document.getElementById('code-release-version');
+        if (releaseElement && releaseVersionElement) {
+            releaseVersionElement.textContent = this.release ? this.release.version : '';
+            releaseElement.style.display = this.release ? '' : 'none';
+        }
+        
         // Generate QR code
         this.generateQRCode();
         
         // Start typing animation
         this.startTypingAnimation();
-        
-        // Auto-progress to instructions after 5 seconds
-        setTimeout(() => {
-            this.goToStep5();
-        }, 5000);
     }
 
     /**
@@ -451,13 +1094,14 @@ class FireStickCodeGenerator {
     /**
      * Go to step 5 (Instructions)
      */
-    goToStep5() {
+    goToStep5(options = {}) {
         console.log('Moving to step 5 - Instructions');
         
+        this.clearStepTimer('step5');
         this.showStep(5);
         
         // Track completion
-        if (typeof adsMonetization !== 'undefined') {
+        if (!options.resumed && typeof adsMonetization !== 'undefined') {
             adsMonetization.trackEvent('firestick_process_complete', {
                 code: this.generatedCode,
                 total_steps: this.totalSteps
@@ -508,7 +1152,7 @@ class FireStickCodeGenerator {
         message.className = 'copy-success-message';
         message.innerHTML = `
             <i class="fas fa-check-circle"></i>
-            <span>Codice copiato: ${this.generatedCode}</span>
+            <span>${t('firestick.copied', { code: this.generatedCode })}</span>
         `;
         
         // Add styles
@@ -561,9 +1205,12 @@ class FireStickCodeGenerator {
     getStats() {
         return {
             currentStep: this.currentStep,
+            furthestStep: this.furthestStep,
             totalSteps: this.totalSteps,
             generatedCode: this.generatedCode,
-            activeTimers: Object.keys(this.stepTimers).length
+            methodStates: { ...this.methodStates },
+            activeTimers: Object.values(this.stepTimers).filter(timer => !timer.done).length,
+            pacing: { ...this.pacer.preferences }
         };
     }
 }
@@ -576,11 +1223,18 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Global functions for HTML interaction
 function goToStep2() {
-    if (fireStickGenerator) {
+    // Only from step 1, where its button is, so a stray call cannot pull a resumed flow back
+    if (fireStickGenerator && fireStickGenerator.currentStep === 1) {
         fireStickGenerator.goToStep2();
     }
 }
 
+function goToNextStep() {
+    if (fireStickGenerator) {
+        fireStickGenerator.goToNextStep();
+    }
+}
+
 function copyCode() {
     if (fireStickGenerator) {
         fireStickGenerator.copyGeneratedCode();
@@ -593,5 +1247,11 @@ function generateNewCode() {
     }
 }
 
+function retryCodeGeneration() {
+    if (fireStickGenerator) {
+        fireStickGenerator.retryCodeGeneration();
+    }
+}
+
 // Export for debugging
 window.fireStickGenerator = fireStickGenerator;
\ No newline at end of file
@@ -0,0 +1,77 @@
+/**
+ * Fire TV Models Module
+ * Amazon Fire TV hardware by AFT* model code, from Amazon's Fire TV device specifications
+ */
+
+// Android SDK level each Fire OS major version is based on
+const FIRE_OS_SDK = {
+    5: 22, // Android 5.1
+    6: 25, // Android 7.1
+    7: 28, // Android 9
+    8: 30  // Android 11
+};
+
+// 'low' devices ship with 8 GB and have about 5 GB free for apps
+const FIRETV_STORAGE_CLASSES = {
+    low: 8,
+    standard: 16
+};
+
+// Add new devices here as they ship; abi is the primary ABI Fire OS runs apps with,
+// tips are message keys
+const FIRETV_MODELS = {
+    AFTB: { name: 'Fire TV', generation: 1, year: 2014, fireOS: 5, abi: 'armeabi-v7a', storageClass: 'low' },
+    AFTM: {
+        name: 'Fire TV Stick', generation: 1, year: 2014, fireOS: 5, abi: 'armeabi-v7a', storageClass: 'low',
+        tips: ['firetv.tips.lowMemory']
+    },
+    AFTS: { name: 'Fire TV', generation: 2, year: 2015, fireOS: 5, abi: 'arm64-v8a', storageClass: 'low' },
+    AFTT: { name: 'Fire TV Stick', generation: 2, year: 2016, fireOS: 5, abi: 'armeabi-v7a', storageClass: 'low' },
+    AFTN: { name: 'Fire TV', generation: 3, year: 2017, fireOS: 6, abi: 'armeabi-v7a', storageClass: 'low' },
+    AFTA: { name: 'Fire TV Cube', generation: 1, year: 2018, fireOS: 6, abi: 'armeabi-v7a', storageClass: 'standard' },
+    AFTMM: { name: 'Fire TV Stick 4K', generation: 1, year: 2018, fireOS: 6, abi: 'armeabi-v7a', storageClass: 'low' },
+    AFTR: { name: 'Fire TV Cube', generation: 2, year: 2019, fireOS: 7, abi: 'armeabi-v7a', storageClass: 'standard' },
+    AFTSSS: { name: 'Fire TV Stick', generation: 3, year: 2020, fireOS: 7, abi: 'armeabi-v7a', storageClass: 'low' },
+    AFTSS: { name: 'Fire TV Stick Lite', generation: 1, year: 2020, fireOS: 7, abi: 'armeabi-v7a', storageClass: 'low' },
+    AFTKA: { name: 'Fire TV Stick 4K Max', generation: 1, year: 2021, fireOS: 7, abi: 'armeabi-v7a', storageClass: 'low' },
+    AFTGAZL: { name: 'Fire TV Cube', generation: 3, year: 2022, fireOS: 7, abi: 'arm64-v8a', storageClass: 'standard' },
+    AFTKM: { name: 'Fire TV Stick 4K', generation: 2, year: 2023, fireOS: 8, abi: 'armeabi-v7a', storageClass: 'low' },
+    AFTKRT: { name: 'Fire TV Stick 4K Max', generation: 2, year: 2023, fireOS: 8, abi: 'arm64-v8a', storageClass: 'standard' }
+};
+
+/**
+ * Model details for an AFT* code, null for codes not in the table
+ * Returns { code, name, generation, year, fireOS, sdk, abi, storageClass, storage, tips }
+ */
+function getFireTVModel(code) {
+    const key = String(code || '').trim().toUpperCase();
+    const model = FIRETV_MODELS[key];
+    if (!model) return null;
+
+    return {
+        code: key,
+        ...model,
+        sdk: FIRE_OS_SDK[model.fireOS] || null,
+        storage: FIRETV_STORAGE_CLASSES[model.storageClass] || null,
+        tips: model.tips || []
+    };
+}
+
+/**
+ * Name shown to users, e.g. 'Fire TV Stick 4K Max (2ª generazione)'
+ * The generation is left out for products that only had one
+ */
+function getFireTVModelLabel(model) {
+    const generations = Object.values(FIRETV_MODELS).filter(entry => entry.name === model.name).length;
+    return generations > 1 ? t('firetv.model.generation', { name: model.name, generation: model.generation }) : model.name;
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.FIRETV_MODELS = FIRETV_MODELS;
+    window.getFireTVModel = getFireTVModel;
+    window.getFireTVModelLabel = getFireTVModelLabel;
+}
+if (typeof module !== 'undefined') {
+    module.exports = { FIRETV_MODELS, FIRE_OS_SDK, FIRETV_STORAGE_CLASSES, getFireTVModel, getFireTVModelLabel };
+}
\ No newline at end of file
@@ -0,0 +1,523 @@
+/**
+ * I18n Module
+ * Message catalogs per language with ICU-style plurals and selects, dates and relative times through Intl
+ */
+
+// Languages the site ships, by the name users know them under
+const I18N_LOCALES = {
+    it: 'Italiano',
+    en: 'English',
+    es: 'Español'
+};
+
+// Messages are written in Italian first, other catalogs fall back to it for missing keys
+const I18N_SOURCE_LOCALE = 'it';
+
+// Language for visitors whose browser asks for none of ours
+const I18N_FALLBACK_LOCALE = 'en';
+
+// The language picked in the switcher, kept across visits
+const I18N_STORAGE_KEY = 'locale';
+
+// Catalogs by language, filled by the bundles in assets/js/locales
+const I18N_CATALOGS = {};
+
+/**
+ * Add messages to a language's catalog, later bundles override earlier keys
+ */
+function registerLocaleBundle(locale, messages) {
+    I18N_CATALOGS[locale] = { ...(I18N_CATALOGS[locale] || {}), ...messages };
+}
+
+/**
+ * First supported language in a preference list such as navigator.languages, or null
+ * 'es-419' matches 'es'
+ */
+function matchLocale(languages) {
+    for (const language of languages || []) {
+        if (!language) continue;
+
+        const tag = String(language).toLowerCase();
+        if (I18N_LOCALES[tag]) return tag;
+
+        const base = tag.split('-')[0];
+        if (I18N_LOCALES[base]) return base;
+    }
+
+    return null;
+}
+
+const parsedMessages = new Map();
+
+/**
+ * Parse an ICU message into text and argument parts
+ * Supports {name}, {n, number}, {d, date, short}, {d, time}, {n, plural, ...}, {n, selectordinal, ...}
+ * and {x, select, ...}; an apostrophe only quotes when followed by a brace or '#', so "l'app" stays as is
+ */
+function parseMessage(pattern) {
+    if (!parsedMessages.has(pattern)) {
+        parsedMessages.set(pattern, parseMessageParts(pattern, 0, false).parts);
+    }
+    return parsedMessages.get(pattern);
+}
+
+/**
+ * Parse text and arguments up to an unmatched '}' or the end, returns { parts, end }
+ */
+function parseMessageParts(pattern, start, inPlural) {
+    const parts = [];
+    let text = '';
+    let i = start;
+
+    const flush = () => {
+        if (text) parts.push(text);
+        text = '';
+    };
+
+    while (i < pattern.length) {
+        const char = pattern[i];
+
+        if (char === "'") {
+            const next = pattern[i + 1];
+
+            if (next === "'") {
+                text += "'";
+                i += 2;
+                continue;
+            }
+
+            if (next === '{' || next === '}' || (inPlural && next === '#')) {
+                // Quoted literal up to the closing apostrophe
+                i++;
+                while (i < pattern.length) {
+                    if (pattern[i] === "'") {
+                        if (pattern[i + 1] !== "'") break;
+                        i++;
+                    }
+                    text += pattern[i];
+                    i++;
+                }
+                i++;
+                continue;
+            }
+        }
+
+        if (char === '{') {
+            flush();
+            const argument = parseMessageArgument(pattern, i + 1);
+            parts.push(argument.part);
+            i = argument.end + 1;
+            continue;
+        }
+
+        if (char === '}') break;
+
+        if (char === '#' && inPlural) {
+            flush();
+            parts.push({ type: 'pound' });
+            i++;
+            continue;
+        }
+
+        text += char;
+        i++;
+    }
+
+    flush();
+    return { parts, end: i };
+}
+
+/**
+ * Parse an argument after its '{', returns { part, end } with end at its closing '}'
+ */
+function parseMessageArgument(pattern, start) {
+    const readToken = (from) => {
+        let end = from;
+        while (end < pattern.length && pattern[end] !== ',' && pattern[end] !== '}') end++;
+        return { value: pattern.slice(from, end).trim(), end };
+    };
+
+    const name = readToken(start);
+    if (pattern[name.end] !== ',') {
+        return { part: { type: 'argument', name: name.value }, end: name.end };
+    }
+
+    const type = readToken(name.end + 1);
+    const part = { type: type.value, name: name.value };
+
+    if (!['plural', 'selectordinal', 'select'].includes(type.value)) {
+        const style = pattern[type.end] === ',' ? readToken(type.end + 1) : { value: '', end: type.end };
+        part.style = style.value;
+        return { part, end: style.end };
+    }
+
+    // Options: [offset:n] selector {message} selector {message} ...
+    part.options = {};
+    part.offset = 0;
+    let i = type.end + 1;
+
+    while (i < pattern.length) {
+        while (/\s/.test(pattern[i])) i++;
+        if (pattern[i] === '}' || i >= pattern.length) break;
+
+        let selector = '';
+        while (i < pattern.length && !/[\s{]/.test(pattern[i])) selector += pattern[i++];
+        while (/\s/.test(pattern[i])) i++;
+
+        if (selector.startsWith('offset:')) {
+            part.offset = Number(selector.slice(7)) || 0;
+            continue;
+        }
+        if (pattern[i] !== '{') {
+            throw new SyntaxError(`Expected a message for "${selector}" in: ${pattern}`);
+        }
+
+        const message = parseMessageParts(pattern, i + 1, type.value !== 'select');
+        part.options[selector] = message.parts;
+        i = message.end + 1;
+    }
+
+    return { part, end: i };
+}
+
+/**
+ * Fill a parsed message with values
+ */
+function formatMessageParts(parts, values, locale, pluralValue = null) {
+    return parts.map(part => {
+        if (typeof part === 'string') return part;
+        if (part.type === 'pound') return formatI18nNumber(pluralValue, locale);
+
+        const value = values[part.name];
+
+        switch (part.type) {
+            case 'plural':
+            case 'selectordinal': {
+                const number = Number(value) - part.offset;
+                const exact = part.options[`=${Number(value)}`];
+                const category = new Intl.PluralRules(locale, { type: part.type === 'plural' ? 'cardinal' : 'ordinal' }).select(number);
+                const option = exact || part.options[category] || part.options.other || [];
+                return formatMessageParts(option, values, locale, number);
+            }
+            case 'select': {
+                const option = part.options[String(value)] || part.options.other || [];
+                return formatMessageParts(option, values, locale, pluralValue);
+            }
+            case 'number':
+                return formatI18nNumber(value, locale, part.style === 'percent' ? { style: 'percent' } : {});
+            case 'date':
+                return new Intl.DateTimeFormat(locale, { dateStyle: part.style || 'medium' }).format(new Date(value));
+            case 'time':
+                return new Intl.DateTimeFormat(locale, { timeStyle: part.style || 'short' }).format(new Date(value));
+            default:
+                if (value === undefined || value === null) return `{${part.name}}`;
+                return typeof value === 'number' ? formatI18nNumber(value, locale) : String(value);
+        }
+    }).join('');
+}
+
+/**
+ * Format a number for a language
+ */
+function formatI18nNumber(value, locale, options = {}) {
+    return new Intl.NumberFormat(locale, options).format(value);
+}
+
+/**
+ * Format an ICU message for a language
+ */
+function formatMessage(pattern, values = {}, locale = I18N_SOURCE_LOCALE) {
+    return formatMessageParts(parseMessage(pattern), values, locale);
+}
+
+// Largest unit first, used for relative times such as "3 hours ago"
+const RELATIVE_TIME_UNITS = [
+    { unit: 'year', ms: 31536000000 },
+    { unit: 'month', ms: 2592000000 },
+    { unit: 'week', ms: 604800000 },
+    { unit: 'day', ms: 86400000 },
+    { unit: 'hour', ms: 3600000 },
+    { unit: 'minute', ms: 60000 },
+    { unit: 'second', ms: 1000 }
+];
+
+class I18n {
+    constructor(options = {}) {
+        this.catalogs = options.catalogs || I18N_CATALOGS;
+        this.locale = options.locale || this.detectLocale();
+        this.missing = new Set();
+    }
+
+    /**
+     * Language from ?lang=, the switcher or the browser, in that order
+     */
+    detectLocale() {
+        const requested = typeof window !== 'undefined' && window.location
+            ? new URLSearchParams(window.location.search).get('lang')
+            : null;
+        if (requested && I18N_LOCALES[requested]) return requested;
+
+        const saved = this.loadLocale();
+        if (saved) return saved;
+
+        const languages = typeof navigator !== 'undefined'
+            ? (navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language])
+            : [];
+        return matchLocale(languages) || I18N_FALLBACK_LOCALE;
+    }
+
+    /**
+     * Language picked in the switcher, or null
+     */
+    loadLocale() {
+        try {
+            const locale = localStorage.getItem(I18N_STORAGE_KEY);
+            return I18N_LOCALES[locale] ? locale : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Message for a key in the current language, falling back to the Italian source
+     * and to the key itself, so a missing translation never breaks the page
+     */
+    t(key, values = {}) {
+        const catalog = this.catalogs[this.locale] || {};
+        let pattern = catalog[key];
+        let locale = this.locale;
+
+        if (pattern === undefined) {
+            pattern = (this.catalogs[I18N_SOURCE_LOCALE] || {})[key];
+            locale = I18N_SOURCE_LOCALE;
+            this.reportMissing(key);
+        }
+        if (pattern === undefined) return key;
+
+        try {
+            return formatMessage(pattern, values, locale);
+        } catch (error) {
+            console.warn(`Invalid message ${key}:`, error);
+            return pattern;
+        }
+    }
+
+    /**
+     * Whether a key has a message in the current language or the source
+     */
+    has(key) {
+        return key in (this.catalogs[this.locale] || {}) || key in (this.catalogs[I18N_SOURCE_LOCALE] || {});
+    }
+
+    /**
+     * Warn once per key without a translation
+     */
+    reportMissing(key) {
+        if (this.locale === I18N_SOURCE_LOCALE || this.missing.has(key)) return;
+
+        this.missing.add(key);
+        console.warn(`Missing ${this.locale} translation: ${key}`);
+    }
+
+    /**
+     * Date in the current language, options as for Intl.DateTimeFormat
+     */
+    formatDate(date, options = { dateStyle: 'medium' }) {
+        return new Intl.DateTimeFormat(this.locale, options).format(new Date(date));
+    }
+
+    /**
+     * Time of day in the current language, e.g. 14:05
+     */
+    formatTime(date, options = { hour: '2-digit', minute: '2-digit' }) {
+        return new Intl.DateTimeFormat(this.locale, options).format(new Date(date));
+    }
+
+    /**
+     * Number in the current language
+     */
+    formatNumber(value, options = {}) {
+        return formatI18nNumber(value, this.locale, options);
+    }
+
+    /**
+     * Time from now in the largest fitting unit, e.g. "3 ore fa" or "tra 2 giorni"
+     */
+    formatRelativeTime(date, now = Date.now(), options = { numeric: 'auto' }) {
+        const diff = new Date(date).getTime() - now;
+        const { unit, ms } = RELATIVE_TIME_UNITS.find(entry => Math.abs(diff) >= entry.ms) || RELATIVE_TIME_UNITS[RELATIVE_TIME_UNITS.length - 1];
+
+        return new Intl.RelativeTimeFormat(this.locale, options).format(Math.trunc(diff / ms), unit);
+    }
+
+    /**
+     * Switch language; the page reloads because modules render their text once
+     * Where localStorage is blocked the choice travels as ?lang= instead
+     */
+    setLocale(locale) {
+        if (!I18N_LOCALES[locale] || locale === this.locale) return;
+
+        let stored = true;
+        try {
+            localStorage.setItem(I18N_STORAGE_KEY, locale);
+        } catch (error) {
+            console.warn('Could not store the language choice, switching with ?lang= instead:', error);
+            stored = false;
+        }
+
+        if (typeof gtag !== 'undefined') {
+            gtag('event', 'language_changed', {
+                from_locale: this.locale,
+                to_locale: locale
+            });
+        }
+
+        // A stored choice drops ?lang=, which would win over it; without storage the parameter carries the choice
+        const url = new URL(window.location.href);
+        if (stored) {
+            url.searchParams.delete('lang');
+        } else {
+            url.searchParams.set('lang', locale);
+        }
+        window.location.replace(url.href);
+    }
+
+    /**
+     * Translate static markup: data-i18n sets the text, data-i18n-attr="title:key;aria-label:key" sets attributes
+     */
+    applyTranslations(root = document) {
+        document.documentElement.lang = this.locale;
+
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(value => value.trim());
+                if (attribute && key) element.setAttribute(attribute, this.t(key));
+            });
+        });
+
+        this.keepLocaleInLinks(root);
+    }
+
+    /**
+     * Carry ?lang= over to the site's other pages when the language only lives in the URL
+     */
+    keepLocaleInLinks(root = document) {
+        const requested = new URLSearchParams(window.location.search).get('lang');
+        if (requested !== this.locale || this.loadLocale() === this.locale) return;
+
+        // In-page anchors stay as they are, the pages scroll to them by their href
+        root.querySelectorAll('a[href]:not([href^="#"])').forEach(link => {
+            const url = new URL(link.getAttribute('href'), window.location.href);
+            if (url.origin !== window.location.origin || !url.pathname.endsWith('.html')) return;
+
+            url.searchParams.set('lang', this.locale);
+            link.setAttribute('href', url.pathname.split('/').pop() + url.search + url.hash);
+        });
+    }
+
+    /**
+     * Add the language switcher to the page footer
+     */
+    showLanguagePicker() {
+        if (document.getElementById('language-picker')) return;
+
+        const container = document.querySelector('footer .container') || document.body;
+        container.appendChild(this.createLanguagePicker());
+    }
+
+    /**
+     * Create the language switcher
+     */
+    createLanguagePicker() {
+        const picker = document.createElement('div');
+        picker.id = 'language-picker';
+        picker.className = 'language-picker';
+        picker.innerHTML = `
+            <label for="language-picker-select">
+                <i class="fas fa-language"></i>
+                ${this.t('i18n.picker.label')}
+            </label>
+            <select id="language-picker-select">
+                ${Object.keys(I18N_LOCALES).map(locale => `<option value="${locale}" lang="${locale}">${I18N_LOCALES[locale]}</option>`).join('')}
+            </select>
+        `;
+
+        const select = picker.querySelector('select');
+        select.value = this.locale;
+        select.addEventListener('change', () => this.setLocale(select.value));
+
+        if (!document.querySelector('#language-picker-styles')) {
+            const style = document.createElement('style');
+            style.id = 'language-picker-styles';
+            style.textContent = `
+                .language-picker {
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    gap: 10px;
+                    margin: 20px 0;
+                    color: rgba(255,255,255,0.8);
+                }
+
+                .language-picker select {
+                    background: rgba(255,255,255,0.1);
+                    color: white;
+                    border: 1px solid rgba(255,255,255,0.2);
+                    border-radius: 20px;
+                    padding: 8px 15px;
+                    font: inherit;
+                    cursor: pointer;
+                }
+
+                .language-picker select option {
+                    color: #333;
+                }
+            `;
+            document.head.appendChild(style);
+        }
+
+        return picker;
+    }
+}
+
+let sharedI18n = null;
+
+/**
+ * Translator shared by every module on the page
+ */
+function getI18n() {
+    if (!sharedI18n) {
+        sharedI18n = new I18n();
+    }
+    return sharedI18n;
+}
+
+/**
+ * Message for a key in the page language, shorthand for getI18n().t()
+ */
+function t(key, values = {}) {
+    return getI18n().t(key, values);
+}
+
+// Translate the markup before the page modules start
+if (typeof document !== 'undefined' && typeof document.addEventListener === 'function') {
+    document.addEventListener('DOMContentLoaded', () => {
+        getI18n().applyTranslations();
+        getI18n().showLanguagePicker();
+    });
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.I18n = I18n;
+    window.getI18n = getI18n;
+    window.registerLocaleBundle = registerLocaleBundle;
+    window.t = t;
+}
+if (typeof module !== 'undefined') {
+    module.exports = { I18n, I18N_LOCALES, I18N_CATALOGS, registerLocaleBundle, matchLocale, formatMessage, parseMessage, getI18n, t };
+}
\ No newline at end of file
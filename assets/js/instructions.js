@@ -8,6 +8,12 @@ class InstructionsManager {
         this.currentDevice = 'firestick';
         this.openFAQs = new Set();
         
+        // The embed does not report clicks inside it, this is the last command sent from the remote
+        this.videoPlaying = false;
+        
+        // Latest release, checked against the detected Fire TV model
+        this.catalog = typeof getReleaseCatalog !== 'undefined' ? getReleaseCatalog() : null;
+        
         this.init();
     }
 
@@ -17,6 +23,7 @@ class InstructionsManager {
     init() {
         this.bindEvents();
         this.initializeDeviceSwitching();
+        this.showModelTips();
         this.initializeFAQs();
         this.setupScrollAnimations();
     }
@@ -57,6 +64,41 @@ class InstructionsManager {
                 this.trackQuickAction(btn);
             });
         });
+
+        // TV remote: Back closes the help modal, media keys control the tutorial video
+        if (typeof getRemoteInput !== 'undefined') {
+            const remote = getRemoteInput();
+            remote.on('back', () => this.closeHelpModal(), REMOTE_PRIORITY.modal);
+            remote.on('playPause', () => this.controlVideo(this.videoPlaying ? 'pause' : 'play'));
+            remote.on('play', () => this.controlVideo('play'));
+            remote.on('pause', () => this.controlVideo('pause'));
+        }
+    }
+
+    /**
+     * Send play or pause to the tutorial embed through the YouTube or Vimeo player API
+     */
+    controlVideo(command) {
+        const iframe = document.querySelector('.video-container iframe');
+        if (!iframe || !iframe.contentWindow) return false;
+        
+        let message;
+        if (/youtube(-nocookie)?\.com/.test(iframe.src)) {
+            // Needs enablejsapi=1 in the embed URL
+            message = { event: 'command', func: command === 'play' ? 'playVideo' : 'pauseVideo', args: [] };
+        } else if (/vimeo\.com/.test(iframe.src)) {
+            message = { method: command };
+        } else {
+            return false;
+        }
+        
+        iframe.contentWindow.postMessage(JSON.stringify(message), new URL(iframe.src).origin);
+        this.videoPlaying = command === 'play';
+        
+        if (typeof adsMonetization !== 'undefined') {
+            adsMonetization.trackEvent('tutorial_video_remote', { command: command });
+        }
+        return true;
     }
 
     /**
@@ -73,7 +115,7 @@ class InstructionsManager {
      * Initialize device switching
      */
     initializeDeviceSwitching() {
-        // Set initial device based on detection
+        // Set initial device based on detection, or the device the user picked
         if (typeof deviceDetector !== 'undefined') {
             const deviceInfo = deviceDetector.getDeviceInfo();
             
@@ -90,6 +132,83 @@ class InstructionsManager {
         this.showDeviceInstructions(this.currentDevice);
     }
 
+    /**
+     * Show tips for the detected Fire TV model above the FireStick guide
+     */
+    async showModelTips() {
+        if (typeof deviceDetector === 'undefined' || !deviceDetector) return;
+        
+        // Client Hints can still name the model
+        await deviceDetector.ready;
+        const model = deviceDetector.getFireTVModel();
+        const container = document.getElementById('firestick-model-tips');
+        const list = document.getElementById('firestick-model-tips-list');
+        if (!model || !container || !list) return;
+        
+        let release = null;
+        if (this.catalog) {
+            await this.catalog.ready;
+            release = this.catalog.getLatest('stable');
+        }
+        
+        const name = document.getElementById('firestick-model-name');
+        if (name) {
+            name.textContent = t('instructions.modelTips.title', { model: getFireTVModelLabel(model), fireOS: model.fireOS });
+        }
+        
+        list.innerHTML = '';
+        this.getModelTips(model, release).forEach(tip => {
+            const item = document.createElement('li');
+            item.textContent = tip;
+            list.appendChild(item);
+        });
+        container.classList.remove('hidden');
+        
+        if (typeof adsMonetization !== 'undefined') {
+            adsMonetization.trackEvent('model_tips_shown', {
+                device_model: model.code,
+                fire_os: model.fireOS
+            });
+        }
+    }
+
+    /**
+     * Tips for a Fire TV model: where the unknown apps setting lives on its Fire OS,
+     * whether it can run the release and which build to pick, storage and model quirks
+     */
+    getModelTips(model, release = null) {
+        const tips = [];
+        
+        if (model.fireOS >= 7) {
+            tips.push(t('instructions.modelTips.perAppSources', { fireOS: model.fireOS }));
+            tips.push(t('instructions.modelTips.developerOptions'));
+        } else {
+            // The developer options moved from "Dispositivo" to "La mia Fire TV" with Fire OS 6
+            tips.push(t('instructions.modelTips.unknownSources', { fireOS: model.fireOS, menu: model.fireOS === 5 ? 'device' : 'myFireTV' }));
+        }
+        
+        if (release && model.sdk && release.minSdk > model.sdk) {
+            tips.push(t('instructions.modelTips.unsupported', {
+                version: release.version,
+                required: getAndroidVersionName(release.minSdk),
+                android: getAndroidVersionName(model.sdk)
+            }));
+        } else if (release) {
+            const apk = this.catalog.getApk(release, model.abi);
+            tips.push(t('instructions.modelTips.recommended', {
+                version: release.version,
+                abi: apk.abi,
+                size: formatReleaseSize(apk.size)
+            }));
+        }
+        
+        if (model.storageClass === 'low') {
+            tips.push(t('instructions.modelTips.lowStorage', { storage: model.storage }));
+        }
+        
+        return tips.concat(model.tips.map(tip => t(tip)));
+    }
+
     /**
      * Show instructions for specific device
      */
@@ -304,6 +423,7 @@ class InstructionsManager {
         
         const helpModal = document.createElement('div');
         helpModal.className = 'help-modal';
+        helpModal.setAttribute('data-nav-trap', '');
         helpModal.innerHTML = `
             <div class="help-modal-content">
                 <div class="help-modal-header">
@@ -330,6 +450,7 @@ class InstructionsManager {
         closeBtn.addEventListener('click', () => {
             helpModal.remove();
         });
+        closeBtn.focus();
         
         helpModal.addEventListener('click', (e) => {
             if (e.target === helpModal) {
@@ -338,37 +459,41 @@ class InstructionsManager {
         });
     }
 
+    /**
+     * Close the help modal, returns false when none is open
+     */
+    closeHelpModal() {
+        const helpModal = document.querySelector('.help-modal');
+        if (!helpModal) return false;
+        
+        helpModal.remove();
+        return true;
+    }
+
     /**
      * Get help content for topic
+     * Each topic has help.<topic>.title, .intro and .step1 to .stepN messages
      */
     getHelpContent(topic) {
         const helpTopics = {
-            'adblock': {
-                title: 'Disabilitare AdBlock',
-                content: `
-                    <p>Per accedere ai codici gratuiti, disabilita temporaneamente AdBlock:</p>
-                    <ol>
-                        <li>Clicca sull'icona AdBlock nella barra del browser</li>
-                        <li>Seleziona "Pausa su questo sito"</li>
-                        <li>Ricarica la pagina</li>
-                    </ol>
-                `
-            },
-            'downloader': {
-                title: 'Installare Downloader',
-                content: `
-                    <p>L'app Downloader è necessaria per installare APK su FireStick:</p>
-                    <ol>
-                        <li>Vai nell'Amazon App Store</li>
-                        <li>Cerca "Downloader"</li>
-                        <li>Installa l'app di AFTVnews</li>
-                        <li>È gratuita e sicura</li>
-                    </ol>
-                `
-            }
+            'adblock': { steps: 3 },
+            'downloader': { steps: 4 }
         };
         
-        return helpTopics[topic] || null;
+        const help = helpTopics[topic];
+        if (!help) return null;
+        
+        const steps = Array.from({ length: help.steps }, (_, index) => `<li>${t(`help.${topic}.step${index + 1}`)}</li>`);
+        
+        return {
+            title: t(`help.${topic}.title`),
+            content: `
+                <p>${t(`help.${topic}.intro`)}</p>
+                <ol>
+                    ${steps.join('')}
+                </ol>
+            `
+        };
     }
 
     /**
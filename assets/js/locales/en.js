@@ -0,0 +1,587 @@
+/**
+ * English Messages
+ * Also served to visitors whose browser asks for none of our languages
+ */
+
+registerLocaleBundle('en', {
+    'altCodes.state.draft': 'DRAFT',
+    'altCodes.state.active': 'ACTIVE',
+    'altCodes.state.emergency': 'EMERGENCY',
+    'altCodes.state.retiring': 'EXPIRES SOON',
+    'altCodes.state.expired': 'EXPIRED',
+    'altCodes.state.revoked': 'WITHDRAWN',
+    'altCodes.unavailable.unverified': 'We couldn\'t verify the official code list. Please try again later.',
+    'altCodes.unavailable.empty': 'No codes are available right now. Please try again later.',
+    'altCodes.health.healthy': 'Download verified',
+    'altCodes.health.unhealthy': 'Download unreachable: don\'t use this code',
+    'altCodes.health.unknown': 'Couldn\'t check the download',
+    'altCodes.uses': '{uses, plural, one {# use} other {# uses}}',
+    'altCodes.health.checking': 'Checking download...',
+    'altCodes.withdrawn': 'Code withdrawn: don\'t use it anymore.',
+    'altCodes.copy': 'Copy',
+    'altCodes.use': 'Use Now',
+    'altCodes.age.justNow': 'Just generated',
+    'altCodes.timeLeft.expired': 'Expired',
+    'altCodes.timeLeft.minutes': '{minutes, plural, one {# minute left} other {# minutes left}}',
+    'altCodes.timeLeft.hours': '{minutes, plural, =0 {{hours} h} other {{hours} h # min}}',
+    'altCodes.timeLeft.days': '{days, plural, one {# day left} other {# days left}}',
+    'altCodes.copied': 'Copied!',
+    'altCodes.toast.copied': 'Copied: {text}',
+    'altCodes.toast.linkCopied': 'Direct link copied!',
+    'altCodes.toast.shortUrlCopied': 'Short URL copied!',
+    'altCodes.toast.qrDownloaded': 'QR code downloaded!',
+    'altCodes.inactive.draft': 'Not active yet: it will be usable soon.',
+    'altCodes.inactive.expired': 'Code expired: use one of the active codes.',
+    'altCodes.meta.title': 'Alternative Downloader Codes - Popcornia',
+    'altCodes.header.text': 'Backup system with pre-generated codes refreshed every hour',
+    'altCodes.header.lastUpdate': 'Last update:',
+    'altCodes.header.status': 'System Active',
+    'altCodes.access.title': 'Access the Codes',
+    'altCodes.access.text': 'View these ads to get the free codes',
+    'altCodes.access.loading': 'Loading codes...',
+    'altCodes.access.wait': 'Wait',
+    'altCodes.access.seconds': 'seconds to get in',
+    'altCodes.access.instant.title': 'Instant Access',
+    'altCodes.access.instant.text': 'Watch a short video to get the codes right away',
+    'altCodes.list.title': 'Available Codes',
+    'altCodes.list.refresh': 'Refresh List',
+    'altCodes.list.nextRefresh': 'Next update:',
+    'altCodes.methods.title': 'Alternative Methods',
+    'altCodes.methods.link.title': 'Direct Link',
+    'altCodes.methods.link.text': 'Use this ready-made link in Downloader:',
+    'altCodes.methods.qr.title': 'QR Code',
+    'altCodes.methods.qr.text': 'Scan it with your phone to open it quickly:',
+    'altCodes.methods.qr.download': 'Download QR',
+    'altCodes.methods.short.title': 'Short URL',
+    'altCodes.methods.short.text': 'Share this short link:',
+    'altCodes.methods.short.note': 'Always redirects to the newest code',
+    'altCodes.stats.title': 'Usage Statistics',
+    'altCodes.stats.today': 'Codes Generated Today',
+    'altCodes.stats.successRate': 'Success Rate',
+    'altCodes.stats.responseTime': 'Average Response Time',
+    'altCodes.stats.active': 'Active Codes',
+    'altCodes.usage.title': 'How to Use the Codes',
+    'altCodes.usage.step1.title': 'Pick a Code',
+    'altCodes.usage.step1.text': 'Choose one of the available codes from the list above',
+    'altCodes.usage.step2.title': 'Copy the Code',
+    'altCodes.usage.step2.text': 'Click "Copy" or memorize the 5-digit code',
+    'altCodes.usage.step3.title': 'Use It in the Downloader App',
+    'altCodes.usage.step3.text': 'Open Downloader on the FireStick/TV and enter the code',
+    'altCodes.usage.step4.title': 'Download and Install',
+    'altCodes.usage.step4.text': 'Press Download, then Install when it finishes',
+    'altCodes.usage.guide': 'Detailed Guide',
+    'altCodes.usage.generator': 'Automatic Generator',
+
+    'instructions.modelTips.title': '{model} - Fire OS {fireOS}',
+    'instructions.modelTips.perAppSources': 'On Fire OS {fireOS} the permission is per app: Settings > My Fire TV > Developer Options > Install unknown apps > Downloader.',
+    'instructions.modelTips.developerOptions': 'If "Developer Options" is missing, open Settings > My Fire TV > About and press OK on the device name 7 times.',
+    'instructions.modelTips.unknownSources': 'On Fire OS {fireOS} turn on "Apps from Unknown Sources" in Settings > {menu, select, device {Device} other {My Fire TV}} > Developer Options.',
+    'instructions.modelTips.unsupported': 'Popcornia {version} needs Android {required}: this model is stuck on Android {android} and cannot install it.',
+    'instructions.modelTips.recommended': 'Recommended build for this model: Popcornia {version} {abi, select, universal {universal} other {{abi}}} ({size}).',
+    'instructions.modelTips.lowStorage': 'With {storage} GB of storage space is tight: once installed, choose "Delete" in Downloader to remove the APK file.',
+
+    'help.adblock.title': 'Turning off AdBlock',
+    'help.adblock.intro': 'To get the free codes, turn off AdBlock for a moment:',
+    'help.adblock.step1': 'Click the AdBlock icon in the browser toolbar',
+    'help.adblock.step2': 'Choose "Pause on this site"',
+    'help.adblock.step3': 'Reload the page',
+    'help.downloader.title': 'Installing Downloader',
+    'help.downloader.intro': 'You need the Downloader app to install APKs on a FireStick:',
+    'help.downloader.step1': 'Open the Amazon Appstore',
+    'help.downloader.step2': 'Search for "Downloader"',
+    'help.downloader.step3': 'Install the app by AFTVnews',
+    'help.downloader.step4': 'It\'s free and safe',
+
+    'firetv.tips.lowMemory': 'With 1 GB of RAM, close other apps before installing or restart the device.',
+    'firetv.model.generation': '{name} ({generation, selectordinal, one {#st} two {#nd} few {#rd} other {#th}} generation)',
+
+    'device.type.firestick': 'FireStick / Fire TV',
+    'device.type.androidtv': 'Android TV',
+    'device.type.tv': 'Smart TV',
+    'device.type.phone': 'Phone',
+    'device.type.tablet': 'Tablet',
+    'device.type.desktop': 'Computer',
+    'device.type.unknown': 'not recognised',
+    'device.banner.title': 'TV Device Detected!',
+    'device.banner.text': 'For the best experience on {device}, use the Downloader code system',
+    'device.banner.change': 'Not your device? Change it',
+    'device.banner.getCode': 'Get Code Now',
+    'device.picker.label': 'Your device',
+    'device.picker.automatic': 'Automatic ({device})',
+    'device.redirect.message': 'We\'ll take you to the best page for your TV device in {seconds, plural, one {# second} other {# seconds}}',
+    'device.redirect.now': 'Go Now',
+    'device.redirect.cancel': 'Cancel',
+
+    'download.verify.pending': 'Computing the SHA-256 of {file}...',
+    'download.verify.unsupported': 'This browser can\'t compute the hash.',
+    'download.verify.valid': 'Original file: it matches Popcornia {version} ({abi}).',
+    'download.verify.other': 'Original file, but for another version: Popcornia {version} ({abi}).',
+    'download.verify.invalid': 'The file doesn\'t match any published version. Don\'t install it, download it again from this page.',
+    'download.abi.universal': 'Universal',
+    'download.countdown.preparing': 'Please wait, we are preparing your APK file',
+    'download.countdown.checking': 'Checking the file is safe...',
+    'download.countdown.optimizing': 'Optimizing for your device...',
+    'download.countdown.link': 'Generating the download link...',
+    'download.countdown.almostReady': 'Almost ready! Final checks...',
+    'download.video.playing': 'Video playing... {seconds}s',
+    'download.video.complete': 'Video Complete!',
+    'download.progress.retry': 'Connection lost, retrying in {seconds}s...',
+    'download.progress.verifying': 'Checking the file SHA-256...',
+    'download.progress.resuming': 'Resuming the download...',
+    'download.progress.downloading': 'Downloading...',
+    'download.progress.failover': '{mirror} isn\'t responding, switching to {next}...',
+    'download.progress.complete': 'Download complete and verified',
+    'download.error.integrity': 'The downloaded file doesn\'t match the published hash and was discarded. Tap "Download APK Now" to try again.',
+    'download.error.cancelled': 'Download paused. Tap "Download APK Now" to resume.',
+    'download.error.http': 'The server responded with error {status}. Please try again later.',
+    'download.error.interrupted': 'Download interrupted. Tap "Download APK Now" to pick up where it stopped.',
+    'download.success.title': 'Download Started!',
+    'download.success.text': 'The file {file} was saved to your Download folder',
+    'download.meta.title': 'Android APK Download - Popcornia',
+    'download.header.title': 'Popcornia for Android',
+    'download.header.direct': 'Direct APK Download',
+    'download.header.verified': 'Safe and Verified',
+    'download.header.compatible': 'Compatible with Android',
+    'download.countdown.title': 'Preparing the Download...',
+    'download.countdown.startsIn': 'Your download will start automatically in',
+    'download.countdown.seconds': 'seconds',
+    'download.video.title': 'Instant Download (Optional)',
+    'download.video.text': 'Watch this short video to download right away',
+    'download.video.skip': 'Watch to skip the countdown',
+    'download.ready.title': 'Download Ready!',
+    'download.ready.text': 'Your APK file is ready to download',
+    'download.ready.button': 'Download APK Now',
+    'download.progress.cancel': 'Cancel',
+    'download.notes.title': 'What\'s new in version',
+    'download.integrity.title': 'Check the file integrity',
+    'download.integrity.sha256': 'SHA-256 of the APK file',
+    'download.integrity.certificate': 'Signing certificate fingerprint (SHA-256)',
+    'download.integrity.checkFile': 'Check a file you already downloaded',
+    'download.install.title': 'How to Install on Android',
+    'download.install.step1.title': '1. Download the APK',
+    'download.install.step1.text': 'Tap the "Download APK Now" button above. The file will be saved to the Download folder on your device.',
+    'download.install.step2.title': '2. Allow Unknown Sources',
+    'download.install.step2.goTo': 'Go to',
+    'download.install.step2.path': 'Settings → Security → Unknown Sources',
+    'download.install.step2.text': 'and turn the option on. This allows installing apps from outside the Play Store.',
+    'download.install.settings': 'Settings',
+    'download.install.security': 'Security',
+    'download.install.unknownSources': 'Unknown Sources',
+    'download.install.step3.title': '3. Find the APK File',
+    'download.install.step3.text': 'Open the File Manager app and go to the folder',
+    'download.install.step3.file': '. You will find the file',
+    'download.install.step4.title': '4. Install the APK',
+    'download.install.step4.tap': 'Tap the APK file and press',
+    'download.install.step4.install': '"Install"',
+    'download.install.step4.wait': '. Wait a few seconds for the installation to finish.',
+    'download.install.step5.title': '5. Open the App',
+    'download.install.step5.text': 'Once installed, you\'ll find the MiaApp icon on your home screen. Tap it to start!',
+    'download.trouble.title': 'Troubleshooting',
+    'download.trouble.blocked.title': '"Installation blocked"',
+    'download.trouble.blocked.text': 'Make sure "Unknown Sources" is turned on in the security settings.',
+    'download.trouble.notInstalled.title': '"App not installed"',
+    'download.trouble.notInstalled.text': 'An older version may be installed. Go to Settings → Apps and uninstall older versions of MiaApp.',
+    'download.trouble.corrupt.title': '"Corrupted APK file"',
+    'download.trouble.corrupt.text': 'Download the file again. Make sure your internet connection is stable while downloading.',
+    'download.noRelease': 'No release published yet',
+
+    'firestick.error.noConnection': 'No connection',
+    'firestick.error.codeWithdrawn': 'Code withdrawn',
+    'firestick.error.targetUnreachable': 'The APK file the code points to can\'t be reached',
+    'firestick.error.downloaderUnavailable': 'Downloader integration unavailable',
+    'firestick.error.noActiveCode': 'No active code in the official list',
+    'firestick.error.noCachedCode': 'No recent code on this device',
+    'firestick.error.offline': 'No internet connection',
+    'firestick.error.noCode': 'No code received',
+    'firestick.method.idle': 'Waiting...',
+    'firestick.method.pending': 'Trying...',
+    'firestick.method.resolved': 'Done ✓',
+    'firestick.method.failed': 'Failed ✗',
+    'firestick.method.offline': 'Offline',
+    'firestick.withdrawn.text': 'Code {code} was withdrawn and no longer works.',
+    'firestick.withdrawn.reason': 'Code {code} was withdrawn and no longer works. Reason: {reason}',
+    'firestick.copied': 'Code copied: {code}',
+    'firestick.error.resolverDisabled': 'Automatic generation is not enabled on this site',
+    'firestick.header.devices': 'For FireStick & Android TV',
+    'firestick.meta.title': 'Downloader Code for FireStick/Android TV - Popcornia',
+    'firestick.header.title': 'Downloader Code',
+    'firestick.header.system': 'AFTVNews Downloader System',
+    'firestick.header.validity': 'Valid for 1 Hour',
+    'firestick.step1.title': 'Preparing the Code',
+    'firestick.step1.heading': 'We\'re Preparing Your Code',
+    'firestick.step1.text': 'The system is generating a unique code for your installation. Please wait a few seconds...',
+    'firestick.release.label': 'App version',
+    'firestick.step1.whileWaiting': 'While you wait, have a look at these:',
+    'firestick.step1.continue': 'Continue to Step 2',
+    'firestick.step2.title': 'Generating',
+    'firestick.step2.heading': 'Generating the Code...',
+    'firestick.step2.readyIn': 'The code will be ready in',
+    'firestick.step2.seconds': 'seconds',
+    'firestick.step2.connecting': 'Connecting to the AFTVNews Server...',
+    'firestick.step2.checkUrl': 'Checking the APK URL',
+    'firestick.step2.generate': 'Generating a unique code',
+    'firestick.step2.validate': 'Final validation',
+    'firestick.step3.title': 'Generation System',
+    'firestick.step3.heading': 'Generating the Downloader Code',
+    'firestick.step3.text': 'We\'re picking the best way to generate your code...',
+    'firestick.methodA.title': 'Method A - Automatic',
+    'firestick.methodA.text': 'Automatic generation through the AFTVNews server',
+    'firestick.methodB.title': 'Method B - Official List',
+    'firestick.methodB.text': 'An active code from the signed code list',
+    'firestick.methodC.title': 'Method C - Recent Code',
+    'firestick.methodC.text': 'The last verified code still valid on this device',
+    'firestick.error.title': 'Code Unavailable',
+    'firestick.error.heading': 'We couldn\'t get a verified code',
+    'firestick.error.warning': 'Don\'t enter unverified codes in Downloader: they would lead to a page that doesn\'t exist.',
+    'firestick.error.retry': 'Try Again',
+    'firestick.step4.title': 'Code Generated',
+    'firestick.step4.heading': 'Code Generated Successfully!',
+    'firestick.step4.text': 'Here\'s your code for the Downloader app:',
+    'firestick.code.label': 'Your Downloader Code:',
+    'firestick.code.copy': 'Copy Code',
+    'firestick.code.new': 'New Code',
+    'firestick.code.validity': 'Valid for 1 hour',
+    'firestick.code.verified': 'Verified and safe',
+    'firestick.code.release': 'Version',
+    'firestick.qr.title': 'Scan with your phone:',
+    'firestick.qr.text': 'Scan to open this page on your phone',
+    'firestick.step5.title': 'How to Use It',
+    'firestick.step5.heading': 'How to Use the Code in Downloader',
+    'firestick.step5.open.title': '1. Open the Downloader App',
+    'firestick.step5.open.text': 'On your FireStick or Android TV, find and open the Downloader app',
+    'firestick.step5.enter.title': '2. Enter the Code',
+    'firestick.step5.enter.text': 'In the search field, type the code:',
+    'firestick.step5.download.title': '3. Press Download',
+    'firestick.step5.download.text': 'Click the "Download" button or press OK on the remote',
+    'firestick.step5.install.title': '4. Install the APK',
+    'firestick.step5.install.text': 'Once downloaded, press "Install" to finish the installation',
+    'firestick.trouble.title': 'Troubleshooting',
+    'firestick.trouble.code.title': 'Code Doesn\'t Work?',
+    'firestick.trouble.code.text': 'The code may have expired. Get a new one with "New Code" above.',
+    'firestick.trouble.connection.title': 'Connection Problems?',
+    'firestick.trouble.connection.text': 'Check that the FireStick is connected to the internet and try again.',
+    'firestick.trouble.downloader.title': 'Downloader Not Installed?',
+    'firestick.trouble.downloader.text': 'Get the free "Downloader" app from the FireStick App Store.',
+
+    'pacing.paused': 'Paused',
+    'pacing.label': 'Progress',
+    'pacing.mode.auto': 'Automatic',
+    'pacing.mode.manual': 'With the Next button',
+    'pacing.keepCode': 'Keep the code on screen',
+    'pacing.next': 'Next',
+    'pacing.toInstructions': 'Go to the Instructions',
+
+    'remote.quickActions.title': 'Quick Actions',
+    'remote.quickActions.device': 'Change device',
+    'remote.quickActions.top': 'Back to top',
+    'remote.quickActions.close': 'Close',
+
+    'nav.firestick': 'FireStick Code',
+    'nav.android': 'Android Download',
+    'nav.instructions': 'Instructions',
+    'nav.home': 'Home',
+    'nav.backHome': '← Back to Home',
+    'nav.altCodes': 'Alternative Codes',
+    'nav.instructionsDetailed': 'Detailed Instructions',
+    'nav.features': 'Features',
+    'nav.screenshots': 'Screenshots',
+    'nav.download': 'Download',
+    'nav.faq': 'FAQ',
+    'nav.back': 'Back to Home',
+    'nav.generator': 'Code Generator',
+    'nav.mainGenerator': 'Main Generator',
+    'nav.instructionsFull': 'Full Instructions',
+
+    'home.recommended': 'Recommended for your device',
+    'home.meta.title': 'Popcornia - Download for Android, FireStick and Android TV',
+    'home.hero.title': 'Popcornia - Endless Streaming',
+    'home.hero.subtitle': 'On Every Device',
+    'home.hero.text': 'Discover the world of streaming with Popcornia! Movies, TV series and exclusive content. Quick and easy setup with the Downloader code system for FireStick and Android TV.',
+    'home.hero.androidButton': 'DOWNLOAD FOR ANDROID',
+    'home.hero.tvButton': 'GET THE FIRESTICK/TV CODE',
+    'home.hero.tvImage': 'App on a TV',
+    'home.hero.phoneImage': 'App on a phone',
+    'home.install.title': 'How to Install',
+    'home.tv.title': 'FireStick / Android TV',
+    'home.install.tv.step1.title': 'Get the Code',
+    'home.install.tv.step1.text': 'Click "Get the FireStick/TV code" and follow the instructions',
+    'home.install.tv.step2.title': 'Open Downloader',
+    'home.install.tv.step2.text': 'Launch the Downloader app on your FireStick or Android TV',
+    'home.install.tv.step3.title': 'Enter the Code',
+    'home.install.tv.step3.text': 'Type the 5-digit code into the Downloader app',
+    'home.install.tv.step4.title': 'Install',
+    'home.install.tv.step4.text': 'Press Download, then Install when asked',
+    'home.install.android.title': 'Android Phone / Tablet',
+    'home.downloadApk': 'Download APK',
+    'home.install.android.step1.text': 'Click "Download for Android" to get the APK file',
+    'home.install.android.step2.title': 'Allow Unknown Sources',
+    'home.install.android.step2.text': 'Go to Settings > Security > Unknown Sources',
+    'home.install.android.step3.title': 'Install the APK',
+    'home.install.android.step3.text': 'Tap the downloaded file and follow the instructions',
+    'home.features.title': 'Key Features',
+    'home.features.uhd.title': 'Ultra HD Streaming',
+    'home.features.uhd.text': '4K and HD video, optimized for every device',
+    'home.features.exclusive.title': 'Exclusive Content',
+    'home.features.exclusive.text': 'Thousands of movies and TV series, always up to date',
+    'home.features.cinema.title': 'Cinema Experience',
+    'home.features.cinema.text': 'An interface made for the big screen, with simple controls',
+    'home.features.install.title': 'Easy Setup',
+    'home.features.install.text': 'Downloader codes for one-click installation',
+    'home.features.catalog.title': 'Endless Catalog',
+    'home.features.catalog.text': 'New content every day, always something to watch',
+    'home.features.support.title': '24/7 Support',
+    'home.features.support.text': 'Full help with any problem',
+    'home.features.devices.title': 'Multi-Device',
+    'home.features.devices.text': 'Works on phones, tablets, TV boxes and smart TVs',
+    'home.features.buffering.title': 'Zero Buffering',
+    'home.features.buffering.text': 'Advanced technology for smooth streaming without interruptions',
+    'home.screenshots.image1': 'Screenshot 1',
+    'home.screenshots.image2': 'Screenshot 2',
+    'home.screenshots.image3': 'Screenshot 3',
+    'home.screenshots.image4': 'Screenshot 4',
+    'home.download.title': 'Download Now',
+    'home.download.android.title': 'Android Phone/Tablet',
+    'home.download.android.text': 'Direct download of the APK file for Android devices',
+    'home.download.tv.text': 'Get the code to install through the Downloader app',
+    'home.download.tv.button': 'Get Code',
+    'home.faq.title': 'Frequently Asked Questions',
+    'home.faq.firestick.question': 'How do I install the app on a FireStick?',
+    'home.faq.firestick.step1': '1. Click "Get the FireStick/TV code"',
+    'home.faq.firestick.step2': '2. Follow the instructions to get the code',
+    'home.faq.firestick.step3': '3. Open the Downloader app on the FireStick',
+    'home.faq.firestick.step4': '4. Enter the 5-digit code',
+    'home.faq.firestick.step5': '5. Press Download, then Install',
+    'home.faq.downloader.question': 'I don\'t have the Downloader app, how do I install it?',
+    'home.faq.downloader.step1': '1. Open the FireStick App Store',
+    'home.faq.downloader.step2': '2. Search for "Downloader"',
+    'home.faq.downloader.step3': '3. Install the free app by AFTVnews',
+    'home.faq.downloader.step4': '4. Once installed, come back here to get the code',
+    'home.faq.code.question': 'The code doesn\'t work, what do I do?',
+    'home.faq.code.intro': 'Codes expire after 1 hour. If it doesn\'t work:',
+    'home.faq.code.step1': '1. Generate a new code',
+    'home.faq.code.step2': '2. Make sure you typed every digit correctly',
+    'home.faq.code.step3': '3. Check the FireStick\'s internet connection',
+    'home.faq.code.step4': '4. Restart the Downloader app if needed',
+    'home.faq.safe.question': 'Is the app safe?',
+    'home.faq.safe.answer': 'Yes, the app is completely safe. It is tested for viruses and malware. The Downloader code system is used by millions of FireStick users around the world and is considered safe and reliable.',
+    'home.faq.androidtv.question': 'Can I install it on Android TV?',
+    'home.faq.androidtv.intro': 'Absolutely! The process is the same as on the FireStick:',
+    'home.faq.androidtv.step1': '1. Install the Downloader app from the Play Store',
+    'home.faq.androidtv.step2': '2. Get the code from this site',
+    'home.faq.androidtv.step3': '3. Enter the code in the Downloader app',
+    'home.faq.androidtv.step4': '4. Install as usual',
+    'home.faq.price.question': 'How much does the app cost?',
+    'home.faq.price.answer': 'The app is completely free. There are no hidden costs or subscriptions. Downloading and using it is free forever.',
+
+    'release.channel.stable': 'Stable',
+    'release.channel.beta': 'Beta',
+    'release.channel.previous': 'Previous versions',
+    'release.picker.label': 'Version',
+    'release.picker.abi': 'Architecture',
+
+    'downloader.error.apkUnavailable': 'APK unavailable: {error}',
+
+    'ads.adblockDisabled.title': 'Thank you!',
+    'ads.adblockDisabled.text': 'AdBlock is off. You can now access all the content.',
+    'ads.label': 'ADVERTISEMENT',
+    'ads.adblock.title': 'AdBlock Detected',
+    'ads.adblock.download': 'To download the app for free, please turn off AdBlock for this site.',
+    'ads.adblock.why': 'This helps us keep the service free for everyone.',
+    'ads.adblock.confirm': 'I\'ve Turned Off AdBlock',
+    'ads.video.label': 'VIDEO AD',
+    'ads.video.button': 'Watch Video (Skip Timer)',
+    'ads.adblock.altCodes': 'To get the free alternative codes, turn off AdBlock for this site.',
+    'ads.video.length': '30 seconds',
+    'ads.adblock.firestick': 'To get the Downloader code for free, please turn off AdBlock for this site.',
+    'ads.video.interstitial': 'VIDEO AD',
+
+    'i18n.picker.label': 'Language',
+
+    'footer.home.about': 'The best streaming app for Android, FireStick and Android TV',
+    'footer.links': 'Useful Links',
+    'footer.support': 'Support',
+    'footer.emailSupport': 'Email Support',
+    'footer.troubleshooting': 'Troubleshooting',
+    'footer.videoTutorial': 'Video Tutorials',
+    'footer.home.copyright': '2024 Popcornia. All rights reserved.',
+    'footer.download.copyright': '2024 MiaApp. Safe and free download.',
+    'footer.altCodes.about': 'Backup system so the Downloader codes are always available',
+    'footer.altCodes.online': 'System Online',
+    'footer.contact': 'Contact Us',
+    'footer.altCodes.copyright': '2024 MiaApp. A safe and reliable code system.',
+    'footer.firestick.copyright': '2024 MiaApp. A safe and free Downloader system.',
+
+    'guide.meta.title': 'Full Instructions - How to Install Popcornia on FireStick and Android',
+    'guide.header.title': 'Complete Installation Guide',
+    'guide.header.text': 'Detailed tutorials for installing MiaApp on every device',
+    'guide.device.pick': 'Choose your device:',
+    'guide.device.androidPhone': 'Android Phone',
+    'guide.video.title': 'Video Tutorial',
+    'guide.video.heading': 'Watch the Full Tutorial',
+    'guide.video.text': 'A 5-minute video showing the whole installation process',
+    'guide.video.iframe': 'MiaApp Installation Tutorial',
+    'guide.firestick.title': 'Installing on Amazon FireStick',
+    'guide.firestick.text': 'A complete guide to installing MiaApp with the Downloader app',
+    'guide.modelTips.device': 'Your device:',
+    'guide.prereq.title': 'Before You Start',
+    'guide.prereq.internet.title': 'Internet Connection',
+    'guide.prereq.internet.text': 'Make sure the FireStick is connected to the internet',
+    'guide.prereq.downloader.title': 'Downloader App',
+    'guide.prereq.downloader.text': 'Install the free "Downloader" app from the Amazon App Store',
+    'guide.menu.settings': 'Settings',
+    'guide.prereq.settings.text': 'Turn on "Apps from Unknown Sources" in the settings',
+    'guide.steps.title': 'Step-by-Step Guide',
+    'guide.firestick.step1.title': 'Install the Downloader App',
+    'guide.firestick.step1.text': 'If you don\'t have the Downloader app yet:',
+    'guide.firestick.step1.home': 'Go to the FireStick home screen',
+    'guide.firestick.step1.find': 'Go to "Find" or "Search"',
+    'guide.firestick.step1.search': 'Search for "Downloader" (by AFTVnews)',
+    'guide.firestick.step1.install': 'Select and install the free app',
+    'guide.firestick.step1.screenshot': 'Screenshot: Downloader in the App Store',
+    'guide.unknownSources.title': 'Allow Unknown Sources',
+    'guide.firestick.step2.text': 'Set up the FireStick to allow outside apps:',
+    'guide.menu.goTo': 'Go to',
+    'guide.firestick.step2.settingsNote': '(Settings)',
+    'guide.menu.select': 'Select',
+    'guide.menu.clickOn': 'Click',
+    'guide.menu.turnOn': 'Turn on',
+    'guide.firestick.step2.confirm': 'Confirm with "Turn On"',
+    'guide.firestick.step2.screenshot': 'Screenshot: Developer Options',
+    'guide.firestick.step3.title': 'Get the Downloader Code',
+    'guide.firestick.step3.text': 'Generate the code to download the app:',
+    'guide.firestick.step3.visit': 'Visit this site from a computer or phone',
+    'guide.firestick.step3.click': 'Click "Get Code for FireStick/TV"',
+    'guide.firestick.step3.wait': 'Wait for the code to be generated',
+    'guide.firestick.step3.note': 'Write down the 5-digit code (e.g. 12345)',
+    'guide.firestick.step3.example': 'Example code:',
+    'guide.firestick.step3.link': 'Generate a Code Now',
+    'guide.firestick.step4.title': 'Use the Code in the Downloader App',
+    'guide.firestick.step4.text': 'Enter the code on the FireStick:',
+    'guide.firestick.step4.open': 'Open the',
+    'guide.firestick.step4.onDevice': 'app on the FireStick',
+    'guide.firestick.step4.field': 'In the URL field, enter your 5-digit code',
+    'guide.firestick.step4.press': 'Press the',
+    'guide.firestick.step4.orOk': 'button or OK',
+    'guide.firestick.step4.wait': 'Wait for the download to start on its own',
+    'guide.firestick.step4.placeholder': 'Enter the code here...',
+    'guide.installApk': 'Install the APK',
+    'guide.finish': 'Finish the installation:',
+    'guide.firestick.step5.done': 'When the download is complete, press',
+    'guide.firestick.step5.wait': 'Wait for the installation (about 10-30 seconds)',
+    'guide.menu.press': 'Press',
+    'guide.firestick.step5.launch': 'to start the app',
+    'guide.firestick.step5.orPress': 'Or press',
+    'guide.firestick.step5.toFinish': 'to finish',
+    'guide.firestick.step5.success': 'Congratulations! MiaApp is now installed on your FireStick',
+    'guide.firestick.trouble.title': 'FireStick Troubleshooting',
+    'guide.trouble.cause': 'Cause:',
+    'guide.trouble.fix': 'Fix:',
+    'guide.firestick.trouble.blocked.title': '"Installation Blocked"',
+    'guide.firestick.trouble.blocked.cause': 'Unknown sources are not allowed',
+    'guide.firestick.trouble.blocked.fix': 'Follow step 2 to turn on "Apps from Unknown Sources"',
+    'guide.firestick.trouble.invalid.title': '"Invalid Code"',
+    'guide.firestick.trouble.invalid.cause': 'The code expired or was mistyped',
+    'guide.firestick.trouble.invalid.fix': 'Generate a new code or check that you typed it correctly',
+    'guide.firestick.trouble.failed.title': '"Download Failed"',
+    'guide.firestick.trouble.failed.cause': 'Internet connection problems',
+    'guide.firestick.trouble.failed.fix': 'Check the Wi-Fi connection and try again',
+    'guide.firestick.trouble.crash.title': '"App Won\'t Start"',
+    'guide.firestick.trouble.crash.cause': 'A corrupt or incompatible APK file',
+    'guide.firestick.trouble.crash.fix': 'Uninstall it and reinstall with a new code',
+    'guide.androidtv.title': 'Installing on Android TV',
+    'guide.androidtv.text': 'Much like the FireStick, with a few differences in the settings',
+    'guide.androidtv.step1.title': 'Install Downloader from the Play Store',
+    'guide.androidtv.step1.text': 'On Android TV you can install Downloader straight from the Play Store:',
+    'guide.menu.openThe': 'Open the',
+    'guide.androidtv.step1.search': 'Search for "Downloader by AFTVnews"',
+    'guide.androidtv.step1.install': 'Install the free app',
+    'guide.androidtv.step2.title': 'Allow Unknown Sources on Android TV',
+    'guide.androidtv.step2.text': 'The process is slightly different on Android TV:',
+    'guide.androidtv.step2.security': 'Security & Restrictions',
+    'guide.androidtv.step2.find': 'Find',
+    'guide.menu.unknownSources': 'Unknown Sources',
+    'guide.androidtv.step2.allowFor': 'Turn the option on for',
+    'guide.androidtv.step2.note': 'On Android TV you need to allow unknown sources for the Downloader app specifically',
+    'guide.androidtv.step3.title': 'Follow the Same Steps as the FireStick',
+    'guide.androidtv.step3.text': 'The remaining steps are the same as on the FireStick:',
+    'guide.androidtv.step3.code': 'Get the code from the site',
+    'guide.androidtv.step3.enter': 'Enter the code in the Downloader app',
+    'guide.androidtv.step3.install': 'Install the downloaded APK',
+    'guide.androidtv.step3.link': 'See the detailed FireStick instructions above',
+    'guide.android.title': 'Installing on an Android Phone/Tablet',
+    'guide.android.text': 'Direct download and manual installation of the APK file',
+    'guide.android.step1.title': 'Download the APK File',
+    'guide.android.step1.text': 'Get the installation file:',
+    'guide.android.step1.click': 'Click "Download for Android" on the home page',
+    'guide.android.step1.countdown': 'Wait for the ad countdown',
+    'guide.android.step1.download': 'Download the MiaApp.apk file',
+    'guide.android.step1.folder': 'The file is saved in the Download folder',
+    'guide.android.step1.link': 'Download the APK Now',
+    'guide.android.step2.text': 'Allow apps from outside the Play Store to be installed:',
+    'guide.android.oreo.title': 'Android 8+ (Oreo and later)',
+    'guide.android.oreo.settings': 'Settings → Apps & Notifications',
+    'guide.android.oreo.special': 'Special app access',
+    'guide.android.oreo.unknown': 'Install unknown apps',
+    'guide.android.oreo.allow': 'Allow it for the browser/file manager you use',
+    'guide.android.legacy.title': 'Android 7 and earlier',
+    'guide.android.legacy.settings': 'Settings → Security',
+    'guide.android.legacy.toggle': 'Turn on the switch',
+    'guide.android.legacy.confirm': 'Confirm with "OK"',
+    'guide.android.step3.or': 'or',
+    'guide.android.step3.find': 'Find the file',
+    'guide.android.step3.tap': 'Tap the file to start the installation',
+    'guide.android.step3.whenAsked': 'when asked',
+    'guide.android.step3.install': 'Install',
+    'guide.android.step3.wait': 'Wait for it to finish',
+    'guide.android.step3.openApp': 'Open',
+    'guide.android.step3.done': 'Done',
+    'guide.android.trouble.title': 'Common Android Problems',
+    'guide.android.trouble.blocked.title': '"Installation blocked for security"',
+    'guide.android.trouble.blocked.text': 'Go to Settings → Security → Unknown Sources and turn the option on',
+    'guide.android.trouble.missing.title': '"File not found"',
+    'guide.android.trouble.missing.text': 'Check the Download folder or use the Files/File Manager app to look for MiaApp.apk',
+    'guide.android.trouble.space.title': '"Not enough space"',
+    'guide.android.trouble.space.text': 'Free up at least 50MB by deleting temporary files or unused apps',
+    'guide.android.trouble.notInstalled.title': '"App not installed"',
+    'guide.android.trouble.notInstalled.text': 'An older version may be installed. Go to Settings → Apps and uninstall older versions',
+    'guide.faq.title': 'Frequently Asked Questions',
+    'guide.faq.duration.q': 'How long does a Downloader code last?',
+    'guide.faq.duration.before': 'Codes generated by our system last',
+    'guide.faq.duration.hour': '1 hour',
+    'guide.faq.duration.after': 'from when they are created. After that you need to generate a new code. This is for security and to prevent abuse of the system.',
+    'guide.faq.devices.q': 'Can I use the same code on several devices?',
+    'guide.faq.devices.a': 'Yes, you can use the same code on several FireSticks or Android TVs while the code is still valid (within 1 hour). There\'s no limit on the number of installations.',
+    'guide.faq.safe.q': 'Is the app safe? Does it contain viruses?',
+    'guide.faq.safe.before': 'The app is completely',
+    'guide.faq.safe.strong': 'safe and virus-free',
+    'guide.faq.safe.after': '. It is scanned regularly with antivirus software and contains no malware. The Downloader code system is used by millions of people and is considered safe.',
+    'guide.faq.unavailable.q': 'What if the Downloader app isn\'t available?',
+    'guide.faq.unavailable.a': 'If the Downloader app isn\'t in your store:',
+    'guide.faq.unavailable.browser': 'Try searching for "Browser" and use it to download the APK directly',
+    'guide.faq.unavailable.files': 'Use the "Files" app if available',
+    'guide.faq.unavailable.playStore': 'On Android TV, try the Play Store',
+    'guide.faq.unavailable.usb': 'As a last resort, copy the APK over USB',
+    'guide.faq.update.q': 'How do I update the app to new versions?',
+    'guide.faq.update.a': 'To update MiaApp:',
+    'guide.faq.update.code': 'Generate a new code on the site',
+    'guide.faq.update.use': 'Use the code in the Downloader app',
+    'guide.faq.update.install': 'Install the new version over the existing one',
+    'guide.faq.update.noUninstall': 'You don\'t need to uninstall the previous version',
+    'guide.faq.smartTv.q': 'Can I install the app on a (non-Android) Smart TV?',
+    'guide.faq.smartTv.a': 'MiaApp only works on Android devices. For Samsung, LG or other non-Android Smart TVs, you need:',
+    'guide.faq.smartTv.firestick': 'A FireStick plugged into the TV',
+    'guide.faq.smartTv.box': 'An Android TV Box',
+    'guide.faq.smartTv.chromecast': 'Chromecast with Google TV',
+    'guide.links.title': 'Useful Links',
+    'guide.links.code.title': 'Generate a Downloader Code',
+    'guide.links.code.text': 'Automatic system for getting FireStick/TV codes',
+    'guide.links.apk.title': 'Download the Android APK',
+    'guide.links.apk.text': 'Download the APK for Android devices directly',
+    'guide.links.altCodes.text': 'A backup system with pre-generated codes',
+    'guide.links.home.text': 'The main page with every download option',
+    'guide.footer.text': 'Detailed guides for installing MiaApp on any device',
+    'guide.footer.help': 'Need Help?',
+    'guide.footer.contact': 'Contact Support',
+    'guide.footer.faq': 'Full FAQ',
+    'guide.footer.copyright': '2024 MiaApp. Up-to-date, verified guides.'
+});
\ No newline at end of file
@@ -0,0 +1,586 @@
+/**
+ * Spanish Messages
+ */
+
+registerLocaleBundle('es', {
+    'altCodes.state.draft': 'BORRADOR',
+    'altCodes.state.active': 'ACTIVO',
+    'altCodes.state.emergency': 'EMERGENCIA',
+    'altCodes.state.retiring': 'CADUCA PRONTO',
+    'altCodes.state.expired': 'CADUCADO',
+    'altCodes.state.revoked': 'RETIRADO',
+    'altCodes.unavailable.unverified': 'No se ha podido verificar la lista oficial de códigos. Inténtalo de nuevo más tarde.',
+    'altCodes.unavailable.empty': 'No hay códigos disponibles en este momento. Inténtalo de nuevo más tarde.',
+    'altCodes.health.healthy': 'Descarga verificada',
+    'altCodes.health.unhealthy': 'Descarga no disponible: no uses este código',
+    'altCodes.health.unknown': 'No se ha podido comprobar la descarga',
+    'altCodes.uses': '{uses, plural, one {# uso} other {# usos}}',
+    'altCodes.health.checking': 'Comprobando la descarga...',
+    'altCodes.withdrawn': 'Código retirado: no lo uses más.',
+    'altCodes.copy': 'Copiar',
+    'altCodes.use': 'Usar Ahora',
+    'altCodes.age.justNow': 'Recién generado',
+    'altCodes.timeLeft.expired': 'Caducado',
+    'altCodes.timeLeft.minutes': '{minutes, plural, one {queda # minuto} other {quedan # minutos}}',
+    'altCodes.timeLeft.hours': '{minutes, plural, =0 {{hours} h} other {{hours} h # min}}',
+    'altCodes.timeLeft.days': '{days, plural, one {queda # día} other {quedan # días}}',
+    'altCodes.copied': '¡Copiado!',
+    'altCodes.toast.copied': 'Copiado: {text}',
+    'altCodes.toast.linkCopied': '¡Enlace directo copiado!',
+    'altCodes.toast.shortUrlCopied': '¡URL corta copiada!',
+    'altCodes.toast.qrDownloaded': '¡Código QR descargado!',
+    'altCodes.inactive.draft': 'Todavía no está activo: se podrá usar pronto.',
+    'altCodes.inactive.expired': 'Código caducado: usa uno de los códigos activos.',
+    'altCodes.meta.title': 'Códigos alternativos de Downloader - Popcornia',
+    'altCodes.header.text': 'Sistema de respaldo con códigos pregenerados que se renuevan cada hora',
+    'altCodes.header.lastUpdate': 'Última actualización:',
+    'altCodes.header.status': 'Sistema activo',
+    'altCodes.access.title': 'Acceso a los códigos',
+    'altCodes.access.text': 'Mira estos anuncios para acceder a los códigos gratuitos',
+    'altCodes.access.loading': 'Cargando códigos...',
+    'altCodes.access.wait': 'Espera',
+    'altCodes.access.seconds': 'segundos para acceder',
+    'altCodes.access.instant.title': 'Acceso instantáneo',
+    'altCodes.access.instant.text': 'Mira un breve vídeo para acceder a los códigos al instante',
+    'altCodes.list.title': 'Códigos disponibles',
+    'altCodes.list.refresh': 'Actualizar lista',
+    'altCodes.list.nextRefresh': 'Próxima actualización:',
+    'altCodes.methods.title': 'Métodos alternativos',
+    'altCodes.methods.link.title': 'Enlace directo',
+    'altCodes.methods.link.text': 'Usa este enlace ya preparado en Downloader:',
+    'altCodes.methods.qr.title': 'Código QR',
+    'altCodes.methods.qr.text': 'Escanéalo con el teléfono para abrirlo rápido:',
+    'altCodes.methods.qr.download': 'Descargar QR',
+    'altCodes.methods.short.title': 'URL corta',
+    'altCodes.methods.short.text': 'Comparte este enlace corto:',
+    'altCodes.methods.short.note': 'Redirige automáticamente al código más reciente',
+    'altCodes.stats.title': 'Estadísticas de uso',
+    'altCodes.stats.today': 'Códigos generados hoy',
+    'altCodes.stats.successRate': 'Tasa de éxito',
+    'altCodes.stats.responseTime': 'Tiempo medio de respuesta',
+    'altCodes.stats.active': 'Códigos activos',
+    'altCodes.usage.title': 'Cómo usar los códigos',
+    'altCodes.usage.step1.title': 'Elige un código',
+    'altCodes.usage.step1.text': 'Selecciona uno de los códigos disponibles de la lista de arriba',
+    'altCodes.usage.step2.title': 'Copia el código',
+    'altCodes.usage.step2.text': 'Haz clic en "Copiar" o memoriza el código de 5 cifras',
+    'altCodes.usage.step3.title': 'Úsalo en la app Downloader',
+    'altCodes.usage.step3.text': 'Abre Downloader en el FireStick/TV e introduce el código',
+    'altCodes.usage.step4.title': 'Descarga e instala',
+    'altCodes.usage.step4.text': 'Pulsa Download y luego Instalar cuando termine',
+    'altCodes.usage.guide': 'Guía detallada',
+    'altCodes.usage.generator': 'Generador automático',
+
+    'instructions.modelTips.title': '{model} - Fire OS {fireOS}',
+    'instructions.modelTips.perAppSources': 'En Fire OS {fireOS} el permiso es por aplicación: Configuración > Mi Fire TV > Opciones para desarrolladores > Instalar aplicaciones desconocidas > Downloader.',
+    'instructions.modelTips.developerOptions': 'Si no aparece "Opciones para desarrolladores", abre Configuración > Mi Fire TV > Acerca de y pulsa OK 7 veces sobre el nombre del dispositivo.',
+    'instructions.modelTips.unknownSources': 'En Fire OS {fireOS} activa "Aplicaciones de origen desconocido" en Configuración > {menu, select, device {Dispositivo} other {Mi Fire TV}} > Opciones para desarrolladores.',
+    'instructions.modelTips.unsupported': 'Popcornia {version} requiere Android {required}: este modelo se quedó en Android {android} y no puede instalarla.',
+    'instructions.modelTips.recommended': 'Versión recomendada para este modelo: Popcornia {version} {abi, select, universal {universal} other {{abi}}} ({size}).',
+    'instructions.modelTips.lowStorage': 'Con {storage} GB de memoria hay poco espacio: al terminar la instalación elige "Eliminar" en Downloader para borrar el archivo APK.',
+
+    'help.adblock.title': 'Desactivar AdBlock',
+    'help.adblock.intro': 'Para acceder a los códigos gratuitos, desactiva AdBlock temporalmente:',
+    'help.adblock.step1': 'Haz clic en el icono de AdBlock en la barra del navegador',
+    'help.adblock.step2': 'Selecciona "Pausar en este sitio"',
+    'help.adblock.step3': 'Recarga la página',
+    'help.downloader.title': 'Instalar Downloader',
+    'help.downloader.intro': 'Necesitas la app Downloader para instalar APK en el FireStick:',
+    'help.downloader.step1': 'Abre la Amazon Appstore',
+    'help.downloader.step2': 'Busca "Downloader"',
+    'help.downloader.step3': 'Instala la app de AFTVnews',
+    'help.downloader.step4': 'Es gratuita y segura',
+
+    'firetv.tips.lowMemory': 'Con 1 GB de RAM cierra las demás apps antes de instalar o reinicia el dispositivo.',
+    'firetv.model.generation': '{name} ({generation}.ª generación)',
+
+    'device.type.firestick': 'FireStick / Fire TV',
+    'device.type.androidtv': 'Android TV',
+    'device.type.tv': 'Smart TV',
+    'device.type.phone': 'Teléfono',
+    'device.type.tablet': 'Tableta',
+    'device.type.desktop': 'Ordenador',
+    'device.type.unknown': 'no reconocido',
+    'device.banner.title': '¡Dispositivo TV Detectado!',
+    'device.banner.text': 'Para la mejor experiencia en {device}, usa el sistema de códigos de Downloader',
+    'device.banner.change': '¿No es tu dispositivo? Cámbialo',
+    'device.banner.getCode': 'Obtener Código Ahora',
+    'device.picker.label': 'Tu dispositivo',
+    'device.picker.automatic': 'Automático ({device})',
+    'device.redirect.message': 'Te llevaremos a la página óptima para tu dispositivo TV en {seconds, plural, one {# segundo} other {# segundos}}',
+    'device.redirect.now': 'Ir Ahora',
+    'device.redirect.cancel': 'Cancelar',
+
+    'download.verify.pending': 'Calculando el SHA-256 de {file}...',
+    'download.verify.unsupported': 'Este navegador no puede calcular el hash.',
+    'download.verify.valid': 'Archivo original: coincide con Popcornia {version} ({abi}).',
+    'download.verify.other': 'Archivo original, pero de otra versión: Popcornia {version} ({abi}).',
+    'download.verify.invalid': 'El archivo no coincide con ninguna versión publicada. No lo instales y descárgalo de nuevo desde esta página.',
+    'download.abi.universal': 'Universal',
+    'download.countdown.preparing': 'Espera, estamos preparando tu archivo APK',
+    'download.countdown.checking': 'Comprobando la seguridad del archivo...',
+    'download.countdown.optimizing': 'Optimizando para tu dispositivo...',
+    'download.countdown.link': 'Generando el enlace de descarga...',
+    'download.countdown.almostReady': '¡Casi listo! Últimas comprobaciones...',
+    'download.video.playing': 'Vídeo en curso... {seconds}s',
+    'download.video.complete': '¡Vídeo completado!',
+    'download.progress.retry': 'Conexión perdida, nuevo intento en {seconds}s...',
+    'download.progress.verifying': 'Comprobando el SHA-256 del archivo...',
+    'download.progress.resuming': 'Reanudando la descarga...',
+    'download.progress.downloading': 'Descargando...',
+    'download.progress.failover': '{mirror} no responde, pasando a {next}...',
+    'download.progress.complete': 'Descarga completada y verificada',
+    'download.error.integrity': 'El archivo descargado no coincide con el hash publicado y se ha descartado. Toca "Descargar APK ahora" para intentarlo de nuevo.',
+    'download.error.cancelled': 'Descarga en pausa. Toca "Descargar APK ahora" para reanudarla.',
+    'download.error.http': 'El servidor respondió con el error {status}. Inténtalo de nuevo más tarde.',
+    'download.error.interrupted': 'Descarga interrumpida. Toca "Descargar APK ahora" para continuar donde se detuvo.',
+    'download.success.title': '¡Descarga iniciada!',
+    'download.success.text': 'El archivo {file} se ha guardado en la carpeta Descargas',
+    'download.meta.title': 'Descarga del APK para Android - Popcornia',
+    'download.header.title': 'Popcornia para Android',
+    'download.header.direct': 'Descarga directa del APK',
+    'download.header.verified': 'Seguro y verificado',
+    'download.header.compatible': 'Compatible con Android',
+    'download.countdown.title': 'Preparando la descarga...',
+    'download.countdown.startsIn': 'Tu descarga empezará automáticamente en',
+    'download.countdown.seconds': 'segundos',
+    'download.video.title': 'Descarga instantánea (opcional)',
+    'download.video.text': 'Mira este breve vídeo para descargar al instante',
+    'download.video.skip': 'Míralo para saltar la cuenta atrás',
+    'download.ready.title': '¡Descarga lista!',
+    'download.ready.text': 'Tu archivo APK está listo para descargar',
+    'download.ready.button': 'Descargar APK ahora',
+    'download.progress.cancel': 'Cancelar',
+    'download.notes.title': 'Novedades de la versión',
+    'download.integrity.title': 'Comprueba la integridad del archivo',
+    'download.integrity.sha256': 'SHA-256 del archivo APK',
+    'download.integrity.certificate': 'Huella del certificado de firma (SHA-256)',
+    'download.integrity.checkFile': 'Comprueba un archivo ya descargado',
+    'download.install.title': 'Cómo instalar en Android',
+    'download.install.step1.title': '1. Descarga el APK',
+    'download.install.step1.text': 'Toca el botón "Descargar APK ahora" de arriba. El archivo se guardará en la carpeta Download de tu dispositivo.',
+    'download.install.step2.title': '2. Permite orígenes desconocidos',
+    'download.install.step2.goTo': 'Ve a',
+    'download.install.step2.path': 'Ajustes → Seguridad → Orígenes desconocidos',
+    'download.install.step2.text': 'y activa la opción. Así se pueden instalar apps de fuera de Play Store.',
+    'download.install.settings': 'Ajustes',
+    'download.install.security': 'Seguridad',
+    'download.install.unknownSources': 'Orígenes desconocidos',
+    'download.install.step3.title': '3. Busca el archivo APK',
+    'download.install.step3.text': 'Abre la app Gestor de archivos y ve a la carpeta',
+    'download.install.step3.file': '. Ahí encontrarás el archivo',
+    'download.install.step4.title': '4. Instala el APK',
+    'download.install.step4.tap': 'Toca el archivo APK y pulsa',
+    'download.install.step4.install': '"Instalar"',
+    'download.install.step4.wait': '. Espera unos segundos a que termine la instalación.',
+    'download.install.step5.title': '5. Abre la app',
+    'download.install.step5.text': 'Cuando esté instalada, encontrarás el icono de MiaApp en la pantalla de inicio. ¡Tócalo para empezar!',
+    'download.trouble.title': 'Solución de problemas',
+    'download.trouble.blocked.title': '"Instalación bloqueada"',
+    'download.trouble.blocked.text': 'Asegúrate de haber activado "Orígenes desconocidos" en los ajustes de seguridad.',
+    'download.trouble.notInstalled.title': '"App no instalada"',
+    'download.trouble.notInstalled.text': 'Puede que haya versiones anteriores. Ve a Ajustes → Aplicaciones y desinstala las versiones anteriores de MiaApp.',
+    'download.trouble.corrupt.title': '"Archivo APK dañado"',
+    'download.trouble.corrupt.text': 'Vuelve a descargar el archivo. Asegúrate de tener una conexión a internet estable durante la descarga.',
+    'download.noRelease': 'Todavía no hay ninguna versión publicada',
+
+    'firestick.error.noConnection': 'Sin conexión',
+    'firestick.error.codeWithdrawn': 'Código retirado',
+    'firestick.error.targetUnreachable': 'No se puede acceder al archivo APK al que apunta el código',
+    'firestick.error.downloaderUnavailable': 'Integración con Downloader no disponible',
+    'firestick.error.noActiveCode': 'Ningún código activo en la lista oficial',
+    'firestick.error.noCachedCode': 'Ningún código reciente en este dispositivo',
+    'firestick.error.offline': 'Sin conexión a internet',
+    'firestick.error.noCode': 'No se obtuvo ningún código',
+    'firestick.method.idle': 'En espera...',
+    'firestick.method.pending': 'Intentando...',
+    'firestick.method.resolved': 'Completado ✓',
+    'firestick.method.failed': 'Fallido ✗',
+    'firestick.method.offline': 'Sin conexión',
+    'firestick.withdrawn.text': 'El código {code} se ha retirado y ya no funciona.',
+    'firestick.withdrawn.reason': 'El código {code} se ha retirado y ya no funciona. Motivo: {reason}',
+    'firestick.copied': 'Código copiado: {code}',
+    'firestick.error.resolverDisabled': 'La generación automática no está activada en este sitio',
+    'firestick.header.devices': 'Para FireStick y Android TV',
+    'firestick.meta.title': 'Código de Downloader para FireStick/Android TV - Popcornia',
+    'firestick.header.title': 'Código de Downloader',
+    'firestick.header.system': 'Sistema Downloader de AFTVNews',
+    'firestick.header.validity': 'Válido 1 hora',
+    'firestick.step1.title': 'Preparando el código',
+    'firestick.step1.heading': 'Estamos preparando tu código',
+    'firestick.step1.text': 'El sistema está generando un código único para tu instalación. Espera unos segundos...',
+    'firestick.release.label': 'Versión de la app',
+    'firestick.step1.whileWaiting': 'Mientras esperas, echa un vistazo a esto:',
+    'firestick.step1.continue': 'Continuar al paso 2',
+    'firestick.step2.title': 'Generando',
+    'firestick.step2.heading': 'Generando el código...',
+    'firestick.step2.readyIn': 'El código estará listo en',
+    'firestick.step2.seconds': 'segundos',
+    'firestick.step2.connecting': 'Conectando con el servidor de AFTVNews...',
+    'firestick.step2.checkUrl': 'Comprobando la URL del APK',
+    'firestick.step2.generate': 'Generando un código único',
+    'firestick.step2.validate': 'Validación final',
+    'firestick.step3.title': 'Sistema de generación',
+    'firestick.step3.heading': 'Generación del código de Downloader',
+    'firestick.step3.text': 'Elegimos el mejor método para generar tu código...',
+    'firestick.methodA.title': 'Método A - Automático',
+    'firestick.methodA.text': 'Generación automática mediante el servidor de AFTVNews',
+    'firestick.methodB.title': 'Método B - Lista oficial',
+    'firestick.methodB.text': 'Un código activo de la lista firmada de códigos',
+    'firestick.methodC.title': 'Método C - Código reciente',
+    'firestick.methodC.text': 'El último código verificado que sigue siendo válido en este dispositivo',
+    'firestick.error.title': 'Código no disponible',
+    'firestick.error.heading': 'No hemos podido obtener un código verificado',
+    'firestick.error.warning': 'No introduzcas códigos no verificados en Downloader: llevarían a una página que no existe.',
+    'firestick.error.retry': 'Reintentar',
+    'firestick.step4.title': 'Código generado',
+    'firestick.step4.heading': '¡Código generado con éxito!',
+    'firestick.step4.text': 'Aquí tienes tu código para la app Downloader:',
+    'firestick.code.label': 'Tu código de Downloader:',
+    'firestick.code.copy': 'Copiar código',
+    'firestick.code.new': 'Nuevo código',
+    'firestick.code.validity': 'Válido durante 1 hora',
+    'firestick.code.verified': 'Verificado y seguro',
+    'firestick.code.release': 'Versión',
+    'firestick.qr.title': 'Escanéalo con el teléfono:',
+    'firestick.qr.text': 'Escanéalo para abrir esta página en el teléfono',
+    'firestick.step5.title': 'Instrucciones de uso',
+    'firestick.step5.heading': 'Cómo usar el código en Downloader',
+    'firestick.step5.open.title': '1. Abre la app Downloader',
+    'firestick.step5.open.text': 'En tu FireStick o Android TV, busca y abre la app Downloader',
+    'firestick.step5.enter.title': '2. Introduce el código',
+    'firestick.step5.enter.text': 'En el campo de búsqueda, escribe el código:',
+    'firestick.step5.download.title': '3. Pulsa Download',
+    'firestick.step5.download.text': 'Haz clic en el botón "Download" o pulsa OK en el mando',
+    'firestick.step5.install.title': '4. Instala el APK',
+    'firestick.step5.install.text': 'Cuando termine la descarga, pulsa "Install" para completar la instalación',
+    'firestick.trouble.title': 'Solución de problemas',
+    'firestick.trouble.code.title': '¿El código no funciona?',
+    'firestick.trouble.code.text': 'Puede que el código haya caducado. Genera uno nuevo con "Nuevo código" arriba.',
+    'firestick.trouble.connection.title': '¿Problemas de conexión?',
+    'firestick.trouble.connection.text': 'Comprueba que el FireStick esté conectado a internet y vuelve a intentarlo.',
+    'firestick.trouble.downloader.title': '¿Downloader no está instalado?',
+    'firestick.trouble.downloader.text': 'Descarga la app gratuita "Downloader" de la tienda de apps del FireStick.',
+
+    'pacing.paused': 'En pausa',
+    'pacing.label': 'Avance',
+    'pacing.mode.auto': 'Automático',
+    'pacing.mode.manual': 'Con el botón Siguiente',
+    'pacing.keepCode': 'Mantener el código en pantalla',
+    'pacing.next': 'Siguiente',
+    'pacing.toInstructions': 'Ir a las instrucciones',
+
+    'remote.quickActions.title': 'Acciones rápidas',
+    'remote.quickActions.device': 'Cambiar dispositivo',
+    'remote.quickActions.top': 'Volver arriba',
+    'remote.quickActions.close': 'Cerrar',
+
+    'nav.firestick': 'Código para FireStick',
+    'nav.android': 'Descarga Android',
+    'nav.instructions': 'Instrucciones',
+    'nav.home': 'Inicio',
+    'nav.backHome': '← Volver al inicio',
+    'nav.altCodes': 'Códigos alternativos',
+    'nav.instructionsDetailed': 'Instrucciones detalladas',
+    'nav.features': 'Funciones',
+    'nav.screenshots': 'Capturas',
+    'nav.download': 'Descargar',
+    'nav.faq': 'Preguntas frecuentes',
+    'nav.back': 'Volver al inicio',
+    'nav.generator': 'Generador de códigos',
+    'nav.mainGenerator': 'Generador principal',
+    'nav.instructionsFull': 'Instrucciones completas',
+
+    'home.recommended': 'Recomendado para tu dispositivo',
+    'home.meta.title': 'Popcornia - Descarga para Android, FireStick y Android TV',
+    'home.hero.title': 'Popcornia - Streaming sin límites',
+    'home.hero.subtitle': 'En cualquier dispositivo',
+    'home.hero.text': '¡Descubre el mundo del streaming con Popcornia! Películas, series y contenido exclusivo. Instalación rápida y sencilla con el sistema de códigos de Downloader para FireStick y Android TV.',
+    'home.hero.androidButton': 'DESCARGAR PARA ANDROID',
+    'home.hero.tvButton': 'OBTENER CÓDIGO PARA FIRESTICK/TV',
+    'home.hero.tvImage': 'App en una TV',
+    'home.hero.phoneImage': 'App en un teléfono',
+    'home.install.title': 'Cómo instalar',
+    'home.tv.title': 'FireStick / Android TV',
+    'home.install.tv.step1.title': 'Obtén el código',
+    'home.install.tv.step1.text': 'Haz clic en "Obtener código para FireStick/TV" y sigue las instrucciones',
+    'home.install.tv.step2.title': 'Abre Downloader',
+    'home.install.tv.step2.text': 'Inicia la app Downloader en tu FireStick o Android TV',
+    'home.install.tv.step3.title': 'Introduce el código',
+    'home.install.tv.step3.text': 'Escribe el código de 5 cifras en la app Downloader',
+    'home.install.tv.step4.title': 'Instala',
+    'home.install.tv.step4.text': 'Pulsa Download y luego Instalar cuando se te pida',
+    'home.install.android.title': 'Teléfono / tableta Android',
+    'home.downloadApk': 'Descargar APK',
+    'home.install.android.step1.text': 'Haz clic en "Descargar para Android" para bajar el archivo APK',
+    'home.install.android.step2.title': 'Permite orígenes desconocidos',
+    'home.install.android.step2.text': 'Ve a Ajustes > Seguridad > Orígenes desconocidos',
+    'home.install.android.step3.title': 'Instala el APK',
+    'home.install.android.step3.text': 'Toca el archivo descargado y sigue las instrucciones',
+    'home.features.title': 'Características principales',
+    'home.features.uhd.title': 'Streaming Ultra HD',
+    'home.features.uhd.text': 'Vídeo en 4K y HD, optimizado para todos los dispositivos',
+    'home.features.exclusive.title': 'Contenido exclusivo',
+    'home.features.exclusive.text': 'Miles de películas y series siempre actualizadas',
+    'home.features.cinema.title': 'Experiencia de cine',
+    'home.features.cinema.text': 'Interfaz pensada para la pantalla grande, con controles sencillos',
+    'home.features.install.title': 'Instalación fácil',
+    'home.features.install.text': 'Códigos de Downloader para instalar con un clic',
+    'home.features.catalog.title': 'Catálogo infinito',
+    'home.features.catalog.text': 'Contenido nuevo cada día, siempre hay algo que ver',
+    'home.features.support.title': 'Soporte 24/7',
+    'home.features.support.text': 'Ayuda completa con cualquier problema',
+    'home.features.devices.title': 'Multidispositivo',
+    'home.features.devices.text': 'Funciona en teléfonos, tabletas, TV box y smart TV',
+    'home.features.buffering.title': 'Sin buffering',
+    'home.features.buffering.text': 'Tecnología avanzada para un streaming fluido sin cortes',
+    'home.screenshots.image1': 'Captura 1',
+    'home.screenshots.image2': 'Captura 2',
+    'home.screenshots.image3': 'Captura 3',
+    'home.screenshots.image4': 'Captura 4',
+    'home.download.title': 'Descargar ahora',
+    'home.download.android.title': 'Teléfono/tableta Android',
+    'home.download.android.text': 'Descarga directa del archivo APK para dispositivos Android',
+    'home.download.tv.text': 'Obtén el código para instalar con la app Downloader',
+    'home.download.tv.button': 'Obtener código',
+    'home.faq.title': 'Preguntas frecuentes',
+    'home.faq.firestick.question': '¿Cómo instalo la app en un FireStick?',
+    'home.faq.firestick.step1': '1. Haz clic en "Obtener código para FireStick/TV"',
+    'home.faq.firestick.step2': '2. Sigue las instrucciones para obtener el código',
+    'home.faq.firestick.step3': '3. Abre la app Downloader en el FireStick',
+    'home.faq.firestick.step4': '4. Introduce el código de 5 cifras',
+    'home.faq.firestick.step5': '5. Pulsa Download y luego Instalar',
+    'home.faq.downloader.question': 'No tengo la app Downloader, ¿cómo la instalo?',
+    'home.faq.downloader.step1': '1. Abre la tienda de apps del FireStick',
+    'home.faq.downloader.step2': '2. Busca "Downloader"',
+    'home.faq.downloader.step3': '3. Instala la app gratuita de AFTVnews',
+    'home.faq.downloader.step4': '4. Cuando esté instalada, vuelve aquí para obtener el código',
+    'home.faq.code.question': 'El código no funciona, ¿qué hago?',
+    'home.faq.code.intro': 'Los códigos caducan al cabo de 1 hora. Si no funciona:',
+    'home.faq.code.step1': '1. Genera un código nuevo',
+    'home.faq.code.step2': '2. Asegúrate de haber escrito bien todas las cifras',
+    'home.faq.code.step3': '3. Comprueba la conexión a internet del FireStick',
+    'home.faq.code.step4': '4. Reinicia la app Downloader si hace falta',
+    'home.faq.safe.question': '¿La app es segura?',
+    'home.faq.safe.answer': 'Sí, la app es totalmente segura. Está analizada contra virus y malware. El sistema de códigos de Downloader lo usan millones de usuarios de FireStick en todo el mundo y se considera seguro y fiable.',
+    'home.faq.androidtv.question': '¿Puedo instalarla en Android TV?',
+    'home.faq.androidtv.intro': '¡Por supuesto! El proceso es el mismo que en el FireStick:',
+    'home.faq.androidtv.step1': '1. Instala la app Downloader desde Play Store',
+    'home.faq.androidtv.step2': '2. Obtén el código en este sitio',
+    'home.faq.androidtv.step3': '3. Introduce el código en la app Downloader',
+    'home.faq.androidtv.step4': '4. Instala como de costumbre',
+    'home.faq.price.question': '¿Cuánto cuesta la app?',
+    'home.faq.price.answer': 'La app es totalmente gratuita. No hay costes ocultos ni suscripciones. Descargarla y usarla es gratis para siempre.',
+
+    'release.channel.stable': 'Estable',
+    'release.channel.beta': 'Beta',
+    'release.channel.previous': 'Versiones anteriores',
+    'release.picker.label': 'Versión',
+    'release.picker.abi': 'Arquitectura',
+
+    'downloader.error.apkUnavailable': 'APK no disponible: {error}',
+
+    'ads.adblockDisabled.title': '¡Gracias!',
+    'ads.adblockDisabled.text': 'AdBlock está desactivado. Ya puedes acceder a todo el contenido.',
+    'ads.label': 'PUBLICIDAD',
+    'ads.adblock.title': 'AdBlock detectado',
+    'ads.adblock.download': 'Para descargar la app gratis, te pedimos que desactives AdBlock en este sitio.',
+    'ads.adblock.why': 'Así podemos mantener el servicio gratuito para todos.',
+    'ads.adblock.confirm': 'He desactivado AdBlock',
+    'ads.video.label': 'ANUNCIO EN VÍDEO',
+    'ads.video.button': 'Ver vídeo (saltar espera)',
+    'ads.adblock.altCodes': 'Para acceder a los códigos alternativos gratuitos, desactiva AdBlock en este sitio.',
+    'ads.video.length': '30 segundos',
+    'ads.adblock.firestick': 'Para obtener gratis el código de Downloader, te pedimos que desactives AdBlock en este sitio.',
+    'ads.video.interstitial': 'ANUNCIO EN VÍDEO',
+
+    'i18n.picker.label': 'Idioma',
+
+    'footer.home.about': 'La mejor app de streaming para Android, FireStick y Android TV',
+    'footer.links': 'Enlaces útiles',
+    'footer.support': 'Soporte',
+    'footer.emailSupport': 'Soporte por email',
+    'footer.troubleshooting': 'Solución de problemas',
+    'footer.videoTutorial': 'Tutoriales en vídeo',
+    'footer.home.copyright': '2024 Popcornia. Todos los derechos reservados.',
+    'footer.download.copyright': '2024 MiaApp. Descarga segura y gratuita.',
+    'footer.altCodes.about': 'Sistema de respaldo para tener siempre acceso a los códigos de Downloader',
+    'footer.altCodes.online': 'Sistema en línea',
+    'footer.contact': 'Contáctanos',
+    'footer.altCodes.copyright': '2024 MiaApp. Un sistema de códigos seguro y fiable.',
+    'footer.firestick.copyright': '2024 MiaApp. Un sistema Downloader seguro y gratuito.',
+
+    'guide.meta.title': 'Instrucciones completas - Cómo instalar Popcornia en FireStick y Android',
+    'guide.header.title': 'Guía completa de instalación',
+    'guide.header.text': 'Tutoriales detallados para instalar MiaApp en todos los dispositivos',
+    'guide.device.pick': 'Elige tu dispositivo:',
+    'guide.device.androidPhone': 'Teléfono Android',
+    'guide.video.title': 'Videotutorial',
+    'guide.video.heading': 'Mira el tutorial completo',
+    'guide.video.text': 'Un vídeo de 5 minutos que muestra todo el proceso de instalación',
+    'guide.video.iframe': 'Tutorial de instalación de MiaApp',
+    'guide.firestick.title': 'Instalación en Amazon FireStick',
+    'guide.firestick.text': 'Guía completa para instalar MiaApp con la app Downloader',
+    'guide.modelTips.device': 'Tu dispositivo:',
+    'guide.prereq.title': 'Antes de empezar',
+    'guide.prereq.internet.title': 'Conexión a internet',
+    'guide.prereq.internet.text': 'Asegúrate de que el FireStick esté conectado a internet',
+    'guide.prereq.downloader.title': 'App Downloader',
+    'guide.prereq.downloader.text': 'Instala la app gratuita "Downloader" desde la Amazon App Store',
+    'guide.menu.settings': 'Ajustes',
+    'guide.prereq.settings.text': 'Activa "Apps de origen desconocido" en los ajustes',
+    'guide.steps.title': 'Guía paso a paso',
+    'guide.firestick.step1.title': 'Instala la app Downloader',
+    'guide.firestick.step1.text': 'Si aún no tienes la app Downloader:',
+    'guide.firestick.step1.home': 'Ve a la pantalla de inicio del FireStick',
+    'guide.firestick.step1.find': 'Ve a "Find" o "Search"',
+    'guide.firestick.step1.search': 'Busca "Downloader" (de AFTVnews)',
+    'guide.firestick.step1.install': 'Selecciona e instala la app gratuita',
+    'guide.firestick.step1.screenshot': 'Captura: Downloader en la App Store',
+    'guide.unknownSources.title': 'Permite orígenes desconocidos',
+    'guide.firestick.step2.text': 'Configura el FireStick para permitir apps externas:',
+    'guide.menu.goTo': 'Ve a',
+    'guide.firestick.step2.settingsNote': '(Configuración)',
+    'guide.menu.select': 'Selecciona',
+    'guide.menu.clickOn': 'Haz clic en',
+    'guide.menu.turnOn': 'Activa',
+    'guide.firestick.step2.confirm': 'Confirma con "Turn On"',
+    'guide.firestick.step2.screenshot': 'Captura: Developer Options',
+    'guide.firestick.step3.title': 'Consigue el código de Downloader',
+    'guide.firestick.step3.text': 'Genera el código para descargar la app:',
+    'guide.firestick.step3.visit': 'Visita este sitio desde el ordenador o el teléfono',
+    'guide.firestick.step3.click': 'Haz clic en "Obtener código para FireStick/TV"',
+    'guide.firestick.step3.wait': 'Espera a que se genere el código',
+    'guide.firestick.step3.note': 'Apunta el código de 5 cifras (p. ej. 12345)',
+    'guide.firestick.step3.example': 'Código de ejemplo:',
+    'guide.firestick.step3.link': 'Generar código ahora',
+    'guide.firestick.step4.title': 'Usa el código en la app Downloader',
+    'guide.firestick.step4.text': 'Introduce el código en el FireStick:',
+    'guide.firestick.step4.open': 'Abre la app',
+    'guide.firestick.step4.onDevice': 'en el FireStick',
+    'guide.firestick.step4.field': 'En el campo URL, introduce tu código de 5 cifras',
+    'guide.firestick.step4.press': 'Pulsa el botón',
+    'guide.firestick.step4.orOk': 'o la tecla OK',
+    'guide.firestick.step4.wait': 'Espera a que la descarga empiece sola',
+    'guide.firestick.step4.placeholder': 'Introduce el código aquí...',
+    'guide.installApk': 'Instala el APK',
+    'guide.finish': 'Completa la instalación:',
+    'guide.firestick.step5.done': 'Cuando termine la descarga, pulsa',
+    'guide.firestick.step5.wait': 'Espera a la instalación (unos 10-30 segundos)',
+    'guide.menu.press': 'Pulsa',
+    'guide.firestick.step5.launch': 'para abrir la app',
+    'guide.firestick.step5.orPress': 'O pulsa',
+    'guide.firestick.step5.toFinish': 'para terminar',
+    'guide.firestick.step5.success': '¡Enhorabuena! MiaApp ya está instalada en tu FireStick',
+    'guide.firestick.trouble.title': 'Solución de problemas del FireStick',
+    'guide.trouble.cause': 'Causa:',
+    'guide.trouble.fix': 'Solución:',
+    'guide.firestick.trouble.blocked.title': '"Instalación bloqueada"',
+    'guide.firestick.trouble.blocked.cause': 'Los orígenes desconocidos no están permitidos',
+    'guide.firestick.trouble.blocked.fix': 'Sigue el paso 2 para activar "Apps from Unknown Sources"',
+    'guide.firestick.trouble.invalid.title': '"Código no válido"',
+    'guide.firestick.trouble.invalid.cause': 'El código ha caducado o se escribió mal',
+    'guide.firestick.trouble.invalid.fix': 'Genera un código nuevo o comprueba que lo escribiste bien',
+    'guide.firestick.trouble.failed.title': '"Descarga fallida"',
+    'guide.firestick.trouble.failed.cause': 'Problemas de conexión a internet',
+    'guide.firestick.trouble.failed.fix': 'Comprueba la conexión Wi-Fi y vuelve a intentarlo',
+    'guide.firestick.trouble.crash.title': '"La app no se abre"',
+    'guide.firestick.trouble.crash.cause': 'Archivo APK dañado o incompatible',
+    'guide.firestick.trouble.crash.fix': 'Desinstálala y vuelve a instalarla con un código nuevo',
+    'guide.androidtv.title': 'Instalación en Android TV',
+    'guide.androidtv.text': 'Parecido al FireStick, con algunas diferencias en los ajustes',
+    'guide.androidtv.step1.title': 'Instala Downloader desde Play Store',
+    'guide.androidtv.step1.text': 'En Android TV puedes instalar Downloader directamente desde Play Store:',
+    'guide.menu.openThe': 'Abre el',
+    'guide.androidtv.step1.search': 'Busca "Downloader by AFTVnews"',
+    'guide.androidtv.step1.install': 'Instala la app gratuita',
+    'guide.androidtv.step2.title': 'Permite orígenes desconocidos en Android TV',
+    'guide.androidtv.step2.text': 'El proceso es algo distinto en Android TV:',
+    'guide.androidtv.step2.security': 'Seguridad y restricciones',
+    'guide.androidtv.step2.find': 'Busca',
+    'guide.menu.unknownSources': 'Orígenes desconocidos',
+    'guide.androidtv.step2.allowFor': 'Activa la opción para',
+    'guide.androidtv.step2.note': 'En Android TV tendrás que permitir los orígenes desconocidos específicamente para la app Downloader',
+    'guide.androidtv.step3.title': 'Sigue los mismos pasos que en el FireStick',
+    'guide.androidtv.step3.text': 'Los pasos restantes son iguales que en el FireStick:',
+    'guide.androidtv.step3.code': 'Consigue el código en el sitio',
+    'guide.androidtv.step3.enter': 'Introduce el código en la app Downloader',
+    'guide.androidtv.step3.install': 'Instala el APK descargado',
+    'guide.androidtv.step3.link': 'Consulta arriba las instrucciones detalladas para FireStick',
+    'guide.android.title': 'Instalación en teléfono/tablet Android',
+    'guide.android.text': 'Descarga directa e instalación manual del archivo APK',
+    'guide.android.step1.title': 'Descarga el archivo APK',
+    'guide.android.step1.text': 'Consigue el archivo de instalación:',
+    'guide.android.step1.click': 'Haz clic en "Descargar para Android" en la página de inicio',
+    'guide.android.step1.countdown': 'Espera la cuenta atrás publicitaria',
+    'guide.android.step1.download': 'Descarga el archivo MiaApp.apk',
+    'guide.android.step1.folder': 'El archivo se guardará en la carpeta Download',
+    'guide.android.step1.link': 'Descargar APK ahora',
+    'guide.android.step2.text': 'Permite instalar apps de fuera de Play Store:',
+    'guide.android.oreo.title': 'Android 8+ (Oreo y posteriores)',
+    'guide.android.oreo.settings': 'Ajustes → Aplicaciones y notificaciones',
+    'guide.android.oreo.special': 'Acceso especial de aplicaciones',
+    'guide.android.oreo.unknown': 'Instalar aplicaciones desconocidas',
+    'guide.android.oreo.allow': 'Permítelo para el navegador o gestor de archivos que uses',
+    'guide.android.legacy.title': 'Android 7 y anteriores',
+    'guide.android.legacy.settings': 'Ajustes → Seguridad',
+    'guide.android.legacy.toggle': 'Activa el interruptor',
+    'guide.android.legacy.confirm': 'Confirma con "OK"',
+    'guide.android.step3.or': 'o',
+    'guide.android.step3.find': 'Busca el archivo',
+    'guide.android.step3.tap': 'Toca el archivo para iniciar la instalación',
+    'guide.android.step3.whenAsked': 'cuando se te pida',
+    'guide.android.step3.install': 'Instalar',
+    'guide.android.step3.wait': 'Espera a que termine',
+    'guide.android.step3.openApp': 'Abrir',
+    'guide.android.step3.done': 'Listo',
+    'guide.android.trouble.title': 'Problemas comunes en Android',
+    'guide.android.trouble.blocked.title': '"Instalación bloqueada por seguridad"',
+    'guide.android.trouble.blocked.text': 'Ve a Ajustes → Seguridad → Orígenes desconocidos y activa la opción',
+    'guide.android.trouble.missing.title': '"Archivo no encontrado"',
+    'guide.android.trouble.missing.text': 'Revisa la carpeta Download o usa la app Files/Gestor de archivos para buscar MiaApp.apk',
+    'guide.android.trouble.space.title': '"Espacio insuficiente"',
+    'guide.android.trouble.space.text': 'Libera al menos 50MB borrando archivos temporales o apps que no uses',
+    'guide.android.trouble.notInstalled.title': '"Aplicación no instalada"',
+    'guide.android.trouble.notInstalled.text': 'Puede que haya una versión anterior. Ve a Ajustes → Aplicaciones y desinstala las versiones anteriores',
+    'guide.faq.title': 'Preguntas frecuentes',
+    'guide.faq.duration.q': '¿Cuánto dura un código de Downloader?',
+    'guide.faq.duration.before': 'Los códigos que genera nuestro sistema duran',
+    'guide.faq.duration.hour': '1 hora',
+    'guide.faq.duration.after': 'desde su creación. Pasado ese tiempo tendrás que generar un código nuevo. Es por seguridad y para evitar abusos del sistema.',
+    'guide.faq.devices.q': '¿Puedo usar el mismo código en varios dispositivos?',
+    'guide.faq.devices.a': 'Sí, puedes usar el mismo código en varios FireStick o Android TV mientras siga siendo válido (durante 1 hora). No hay límite de instalaciones.',
+    'guide.faq.safe.q': '¿La app es segura? ¿Contiene virus?',
+    'guide.faq.safe.before': 'La app es completamente',
+    'guide.faq.safe.strong': 'segura y libre de virus',
+    'guide.faq.safe.after': '. Se analiza con antivirus de forma habitual y no contiene malware. Millones de usuarios usan el sistema de códigos de Downloader y se considera seguro.',
+    'guide.faq.unavailable.q': '¿Qué hago si la app Downloader no está disponible?',
+    'guide.faq.unavailable.a': 'Si la app Downloader no está en tu tienda:',
+    'guide.faq.unavailable.browser': 'Prueba a buscar "Browser" y úsalo para descargar el APK directamente',
+    'guide.faq.unavailable.files': 'Usa la app "Files" si está disponible',
+    'guide.faq.unavailable.playStore': 'En Android TV, prueba Play Store',
+    'guide.faq.unavailable.usb': 'Como último recurso, pasa el APK por USB',
+    'guide.faq.update.q': '¿Cómo actualizo la app a nuevas versiones?',
+    'guide.faq.update.a': 'Para actualizar MiaApp:',
+    'guide.faq.update.code': 'Genera un código nuevo en el sitio',
+    'guide.faq.update.use': 'Usa el código en la app Downloader',
+    'guide.faq.update.install': 'Instala la nueva versión encima de la existente',
+    'guide.faq.update.noUninstall': 'No hace falta desinstalar la versión anterior',
+    'guide.faq.smartTv.q': '¿Puedo instalar la app en una Smart TV (no Android)?',
+    'guide.faq.smartTv.a': 'MiaApp solo funciona en dispositivos Android. Para Smart TV Samsung, LG u otras marcas sin Android, necesitarás:',
+    'guide.faq.smartTv.firestick': 'Un FireStick conectado a la TV',
+    'guide.faq.smartTv.box': 'Un Android TV Box',
+    'guide.faq.smartTv.chromecast': 'Chromecast con Google TV',
+    'guide.links.title': 'Enlaces útiles',
+    'guide.links.code.title': 'Generar código de Downloader',
+    'guide.links.code.text': 'Sistema automático para obtener códigos para FireStick/TV',
+    'guide.links.apk.title': 'Descargar APK de Android',
+    'guide.links.apk.text': 'Descarga directamente el APK para dispositivos Android',
+    'guide.links.altCodes.text': 'Sistema de respaldo con códigos generados de antemano',
+    'guide.links.home.text': 'Página principal con todas las opciones de descarga',
+    'guide.footer.text': 'Guías detalladas para instalar MiaApp en cualquier dispositivo',
+    'guide.footer.help': '¿Necesitas ayuda?',
+    'guide.footer.contact': 'Contactar con soporte',
+    'guide.footer.faq': 'Preguntas frecuentes completas',
+    'guide.footer.copyright': '2024 MiaApp. Guías actualizadas y verificadas.'
+});
\ No newline at end of file
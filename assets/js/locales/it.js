@@ -0,0 +1,587 @@
+/**
+ * Italian Messages
+ * Source catalog: every key starts here, the other languages fall back to it
+ */
+
+registerLocaleBundle('it', {
+    'altCodes.state.draft': 'BOZZA',
+    'altCodes.state.active': 'ATTIVO',
+    'altCodes.state.emergency': 'EMERGENZA',
+    'altCodes.state.retiring': 'SCADE PRESTO',
+    'altCodes.state.expired': 'SCADUTO',
+    'altCodes.state.revoked': 'RITIRATO',
+    'altCodes.unavailable.unverified': 'Impossibile verificare la lista ufficiale dei codici. Riprova più tardi.',
+    'altCodes.unavailable.empty': 'Nessun codice disponibile al momento. Riprova più tardi.',
+    'altCodes.health.healthy': 'Download verificato',
+    'altCodes.health.unhealthy': 'Download non raggiungibile: non usare questo codice',
+    'altCodes.health.unknown': 'Impossibile verificare il download',
+    'altCodes.uses': '{uses, plural, one {# uso} other {# usi}}',
+    'altCodes.health.checking': 'Verifica download...',
+    'altCodes.withdrawn': 'Codice ritirato: non usarlo più.',
+    'altCodes.copy': 'Copia',
+    'altCodes.use': 'Usa Ora',
+    'altCodes.age.justNow': 'Appena generato',
+    'altCodes.timeLeft.expired': 'Scaduto',
+    'altCodes.timeLeft.minutes': '{minutes, plural, one {# minuto rimanente} other {# minuti rimanenti}}',
+    'altCodes.timeLeft.hours': '{minutes, plural, =0 {{hours} h} other {{hours} h # min}}',
+    'altCodes.timeLeft.days': '{days, plural, one {# giorno rimanente} other {# giorni rimanenti}}',
+    'altCodes.copied': 'Copiato!',
+    'altCodes.toast.copied': 'Copiato: {text}',
+    'altCodes.toast.linkCopied': 'Link diretto copiato!',
+    'altCodes.toast.shortUrlCopied': 'URL corto copiato!',
+    'altCodes.toast.qrDownloaded': 'QR Code scaricato!',
+    'altCodes.inactive.draft': 'Non ancora attivo: sarà utilizzabile a breve.',
+    'altCodes.inactive.expired': 'Codice scaduto: usa uno dei codici attivi.',
+    'altCodes.meta.title': 'Codici Alternativi Downloader - Popcornia',
+    'altCodes.header.text': 'Sistema di backup con codici pre-generati aggiornati ogni ora',
+    'altCodes.header.lastUpdate': 'Ultimo aggiornamento:',
+    'altCodes.header.status': 'Sistema Attivo',
+    'altCodes.access.title': 'Accesso ai Codici',
+    'altCodes.access.text': 'Visualizza queste pubblicità per accedere ai codici gratuiti',
+    'altCodes.access.loading': 'Caricamento codici in corso...',
+    'altCodes.access.wait': 'Attendere',
+    'altCodes.access.seconds': 'secondi per accedere',
+    'altCodes.access.instant.title': 'Accesso Istantaneo',
+    'altCodes.access.instant.text': 'Guarda un breve video per accedere immediatamente ai codici',
+    'altCodes.list.title': 'Codici Disponibili',
+    'altCodes.list.refresh': 'Aggiorna Lista',
+    'altCodes.list.nextRefresh': 'Prossimo aggiornamento:',
+    'altCodes.methods.title': 'Metodi Alternativi',
+    'altCodes.methods.link.title': 'Link Diretto',
+    'altCodes.methods.link.text': 'Usa questo link pre-formattato per Downloader:',
+    'altCodes.methods.qr.title': 'QR Code',
+    'altCodes.methods.qr.text': 'Scansiona con il telefono per aprire velocemente:',
+    'altCodes.methods.qr.download': 'Scarica QR',
+    'altCodes.methods.short.title': 'URL Corto',
+    'altCodes.methods.short.text': 'Condividi questo link breve:',
+    'altCodes.methods.short.note': 'Reindirizza automaticamente al codice più recente',
+    'altCodes.stats.title': 'Statistiche d\'Uso',
+    'altCodes.stats.today': 'Codici Generati Oggi',
+    'altCodes.stats.successRate': 'Tasso di Successo',
+    'altCodes.stats.responseTime': 'Tempo Medio Risposta',
+    'altCodes.stats.active': 'Codici Attivi',
+    'altCodes.usage.title': 'Come Usare i Codici',
+    'altCodes.usage.step1.title': 'Scegli un Codice',
+    'altCodes.usage.step1.text': 'Seleziona uno dei codici disponibili dalla lista sopra',
+    'altCodes.usage.step2.title': 'Copia il Codice',
+    'altCodes.usage.step2.text': 'Clicca "Copia" o memorizza il codice a 5 cifre',
+    'altCodes.usage.step3.title': 'Usa nell\'App Downloader',
+    'altCodes.usage.step3.text': 'Apri Downloader su FireStick/TV e inserisci il codice',
+    'altCodes.usage.step4.title': 'Download e Installa',
+    'altCodes.usage.step4.text': 'Premi Download e poi Installa quando completato',
+    'altCodes.usage.guide': 'Guida Dettagliata',
+    'altCodes.usage.generator': 'Generatore Automatico',
+
+    'instructions.modelTips.title': '{model} - Fire OS {fireOS}',
+    'instructions.modelTips.perAppSources': 'Su Fire OS {fireOS} il permesso è per singola app: Impostazioni > La mia Fire TV > Opzioni sviluppatore > Installa app sconosciute > Downloader.',
+    'instructions.modelTips.developerOptions': 'Se "Opzioni sviluppatore" non compare, apri Impostazioni > La mia Fire TV > Informazioni e premi 7 volte OK sul nome del dispositivo.',
+    'instructions.modelTips.unknownSources': 'Su Fire OS {fireOS} attiva "App da origini sconosciute" in Impostazioni > {menu, select, device {Dispositivo} other {La mia Fire TV}} > Opzioni sviluppatore.',
+    'instructions.modelTips.unsupported': 'Popcornia {version} richiede Android {required}: questo modello è fermo ad Android {android} e non può installarla.',
+    'instructions.modelTips.recommended': 'Versione consigliata per questo modello: Popcornia {version} {abi, select, universal {universale} other {{abi}}} ({size}).',
+    'instructions.modelTips.lowStorage': 'Con {storage} GB di memoria lo spazio è poco: a installazione finita scegli "Elimina" in Downloader per cancellare il file APK.',
+
+    'help.adblock.title': 'Disabilitare AdBlock',
+    'help.adblock.intro': 'Per accedere ai codici gratuiti, disabilita temporaneamente AdBlock:',
+    'help.adblock.step1': 'Clicca sull\'icona AdBlock nella barra del browser',
+    'help.adblock.step2': 'Seleziona "Pausa su questo sito"',
+    'help.adblock.step3': 'Ricarica la pagina',
+    'help.downloader.title': 'Installare Downloader',
+    'help.downloader.intro': 'L\'app Downloader è necessaria per installare APK su FireStick:',
+    'help.downloader.step1': 'Vai nell\'Amazon App Store',
+    'help.downloader.step2': 'Cerca "Downloader"',
+    'help.downloader.step3': 'Installa l\'app di AFTVnews',
+    'help.downloader.step4': 'È gratuita e sicura',
+
+    'firetv.tips.lowMemory': 'Con 1 GB di RAM chiudi le altre app prima di installare, oppure riavvia il dispositivo.',
+    'firetv.model.generation': '{name} ({generation}ª generazione)',
+
+    'device.type.firestick': 'FireStick / Fire TV',
+    'device.type.androidtv': 'Android TV',
+    'device.type.tv': 'Smart TV',
+    'device.type.phone': 'Telefono',
+    'device.type.tablet': 'Tablet',
+    'device.type.desktop': 'Computer',
+    'device.type.unknown': 'non riconosciuto',
+    'device.banner.title': 'Dispositivo TV Rilevato!',
+    'device.banner.text': 'Per la migliore esperienza su {device}, usa il sistema di codici Downloader',
+    'device.banner.change': 'Non è il tuo dispositivo? Cambialo',
+    'device.banner.getCode': 'Ottieni Codice Ora',
+    'device.picker.label': 'Il tuo dispositivo',
+    'device.picker.automatic': 'Automatico ({device})',
+    'device.redirect.message': 'Ti reindirizzeremo alla pagina ottimale per il tuo dispositivo TV tra {seconds, plural, one {# secondo} other {# secondi}}',
+    'device.redirect.now': 'Vai Ora',
+    'device.redirect.cancel': 'Annulla',
+
+    'download.verify.pending': 'Calcolo SHA-256 di {file} in corso...',
+    'download.verify.unsupported': 'Impossibile calcolare l\'hash in questo browser.',
+    'download.verify.valid': 'File originale: corrisponde a Popcornia {version} ({abi}).',
+    'download.verify.other': 'File originale, ma di un\'altra versione: Popcornia {version} ({abi}).',
+    'download.verify.invalid': 'Il file non corrisponde a nessuna versione pubblicata. Non installarlo e scaricalo di nuovo da questa pagina.',
+    'download.abi.universal': 'Universale',
+    'download.countdown.preparing': 'Attendi per favore, stiamo preparando il tuo file APK',
+    'download.countdown.checking': 'Verifica sicurezza del file in corso...',
+    'download.countdown.optimizing': 'Ottimizzazione per il tuo dispositivo...',
+    'download.countdown.link': 'Generazione link di download...',
+    'download.countdown.almostReady': 'Quasi pronto! Ultimi controlli...',
+    'download.video.playing': 'Video in corso... {seconds}s',
+    'download.video.complete': 'Video Completato!',
+    'download.progress.retry': 'Connessione persa, nuovo tentativo tra {seconds}s...',
+    'download.progress.verifying': 'Verifica SHA-256 del file...',
+    'download.progress.resuming': 'Ripresa del download...',
+    'download.progress.downloading': 'Download in corso...',
+    'download.progress.failover': '{mirror} non risponde, passo a {next}...',
+    'download.progress.complete': 'Download completato e verificato',
+    'download.error.integrity': 'Il file scaricato non corrisponde all\'hash pubblicato ed è stato scartato. Tocca "Scarica APK Ora" per riprovare.',
+    'download.error.cancelled': 'Download in pausa. Tocca "Scarica APK Ora" per riprendere.',
+    'download.error.http': 'Il server ha risposto con errore {status}. Riprova più tardi.',
+    'download.error.interrupted': 'Download interrotto. Tocca "Scarica APK Ora" per riprendere da dove si era fermato.',
+    'download.success.title': 'Download Iniziato!',
+    'download.success.text': 'Il file {file} è stato scaricato nella cartella Download',
+    'download.meta.title': 'Download APK Android - Popcornia',
+    'download.header.title': 'Popcornia per Android',
+    'download.header.direct': 'Download Diretto APK',
+    'download.header.verified': 'Sicuro e Verificato',
+    'download.header.compatible': 'Compatibile Android',
+    'download.countdown.title': 'Preparazione Download...',
+    'download.countdown.startsIn': 'Il tuo download inizierà automaticamente tra',
+    'download.countdown.seconds': 'secondi',
+    'download.video.title': 'Download Istantaneo (Opzionale)',
+    'download.video.text': 'Guarda questo breve video per ottenere il download immediato',
+    'download.video.skip': 'Guarda per skip countdown',
+    'download.ready.title': 'Download Pronto!',
+    'download.ready.text': 'Il tuo file APK è pronto per il download',
+    'download.ready.button': 'Scarica APK Ora',
+    'download.progress.cancel': 'Annulla',
+    'download.notes.title': 'Novità della versione',
+    'download.integrity.title': 'Verifica l\'integrità del file',
+    'download.integrity.sha256': 'SHA-256 del file APK',
+    'download.integrity.certificate': 'Impronta del certificato di firma (SHA-256)',
+    'download.integrity.checkFile': 'Controlla un file già scaricato',
+    'download.install.title': 'Come Installare su Android',
+    'download.install.step1.title': '1. Scarica l\'APK',
+    'download.install.step1.text': 'Tocca il pulsante "Scarica APK Ora" qui sopra. Il file verrà salvato nella cartella Download del tuo dispositivo.',
+    'download.install.step2.title': '2. Abilita Sorgenti Sconosciute',
+    'download.install.step2.goTo': 'Vai in',
+    'download.install.step2.path': 'Impostazioni → Sicurezza → Sorgenti Sconosciute',
+    'download.install.step2.text': 'e attiva l\'opzione. Questo permette l\'installazione di app esterne al Play Store.',
+    'download.install.settings': 'Impostazioni',
+    'download.install.security': 'Sicurezza',
+    'download.install.unknownSources': 'Sorgenti Sconosciute',
+    'download.install.step3.title': '3. Trova il File APK',
+    'download.install.step3.text': 'Apri l\'app File Manager e naviga nella cartella',
+    'download.install.step3.file': '. Troverai il file',
+    'download.install.step4.title': '4. Installa l\'APK',
+    'download.install.step4.tap': 'Tocca il file APK e premi',
+    'download.install.step4.install': '"Installa"',
+    'download.install.step4.wait': '. Attendi qualche secondo per completare l\'installazione.',
+    'download.install.step5.title': '5. Avvia l\'App',
+    'download.install.step5.text': 'Una volta installata, troverai l\'icona di MiaApp nella schermata home. Tocca per avviare!',
+    'download.trouble.title': 'Risoluzione Problemi',
+    'download.trouble.blocked.title': '"Installazione bloccata"',
+    'download.trouble.blocked.text': 'Assicurati di aver abilitato "Sorgenti Sconosciute" nelle impostazioni di sicurezza.',
+    'download.trouble.notInstalled.title': '"App non installata"',
+    'download.trouble.notInstalled.text': 'Potrebbero esserci versioni precedenti. Vai in Impostazioni → App e disinstalla versioni precedenti di MiaApp.',
+    'download.trouble.corrupt.title': '"File APK corrotto"',
+    'download.trouble.corrupt.text': 'Riprova a scaricare il file. Assicurati di avere una connessione internet stabile durante il download.',
+    'download.noRelease': 'Nessuna versione pubblicata per ora',
+
+    'firestick.error.noConnection': 'Nessuna connessione',
+    'firestick.error.codeWithdrawn': 'Codice ritirato',
+    'firestick.error.targetUnreachable': 'Il file APK collegato al codice non è raggiungibile',
+    'firestick.error.downloaderUnavailable': 'Integrazione Downloader non disponibile',
+    'firestick.error.noActiveCode': 'Nessun codice attivo nella lista ufficiale',
+    'firestick.error.noCachedCode': 'Nessun codice recente su questo dispositivo',
+    'firestick.error.offline': 'Nessuna connessione a internet',
+    'firestick.error.noCode': 'Nessun codice ottenuto',
+    'firestick.method.idle': 'In standby...',
+    'firestick.method.pending': 'Tentativo in corso...',
+    'firestick.method.resolved': 'Completato ✓',
+    'firestick.method.failed': 'Fallito ✗',
+    'firestick.method.offline': 'Offline',
+    'firestick.withdrawn.text': 'Il codice {code} è stato ritirato e non funziona più.',
+    'firestick.withdrawn.reason': 'Il codice {code} è stato ritirato e non funziona più. Motivo: {reason}',
+    'firestick.copied': 'Codice copiato: {code}',
+    'firestick.error.resolverDisabled': 'Generazione automatica non attiva su questo sito',
+    'firestick.header.devices': 'Per FireStick & Android TV',
+    'firestick.meta.title': 'Codice Downloader per FireStick/Android TV - Popcornia',
+    'firestick.header.title': 'Codice Downloader',
+    'firestick.header.system': 'Sistema AFTVNews Downloader',
+    'firestick.header.validity': 'Valido 1 Ora',
+    'firestick.step1.title': 'Preparazione Codice',
+    'firestick.step1.heading': 'Stiamo Preparando il Tuo Codice',
+    'firestick.step1.text': 'Il sistema sta generando un codice univoco per la tua installazione. Attendi qualche secondo...',
+    'firestick.release.label': 'Versione dell\'app',
+    'firestick.step1.whileWaiting': 'Mentre attendi, dai un\'occhiata a questi contenuti:',
+    'firestick.step1.continue': 'Continua al Passo 2',
+    'firestick.step2.title': 'Generazione in Corso',
+    'firestick.step2.heading': 'Generando Codice...',
+    'firestick.step2.readyIn': 'Il codice sarà pronto tra',
+    'firestick.step2.seconds': 'secondi',
+    'firestick.step2.connecting': 'Connessione al Server AFTVNews...',
+    'firestick.step2.checkUrl': 'Verifica URL APK',
+    'firestick.step2.generate': 'Generazione codice univoco',
+    'firestick.step2.validate': 'Validazione finale',
+    'firestick.step3.title': 'Sistema di Generazione',
+    'firestick.step3.heading': 'Generazione Codice Downloader',
+    'firestick.step3.text': 'Selezioniamo il metodo migliore per generare il tuo codice...',
+    'firestick.methodA.title': 'Metodo A - Automatico',
+    'firestick.methodA.text': 'Generazione automatica tramite server AFTVNews',
+    'firestick.methodB.title': 'Metodo B - Lista Ufficiale',
+    'firestick.methodB.text': 'Codice attivo dalla lista firmata dei codici',
+    'firestick.methodC.title': 'Metodo C - Codice Recente',
+    'firestick.methodC.text': 'Ultimo codice verificato ancora valido su questo dispositivo',
+    'firestick.error.title': 'Codice Non Disponibile',
+    'firestick.error.heading': 'Non siamo riusciti a ottenere un codice verificato',
+    'firestick.error.warning': 'Non inserire codici non verificati nel Downloader: porterebbero a una pagina inesistente.',
+    'firestick.error.retry': 'Riprova',
+    'firestick.step4.title': 'Codice Generato',
+    'firestick.step4.heading': 'Codice Generato con Successo!',
+    'firestick.step4.text': 'Ecco il tuo codice per l\'app Downloader:',
+    'firestick.code.label': 'Il Tuo Codice Downloader:',
+    'firestick.code.copy': 'Copia Codice',
+    'firestick.code.new': 'Nuovo Codice',
+    'firestick.code.validity': 'Valido per 1 ora',
+    'firestick.code.verified': 'Verificato e sicuro',
+    'firestick.code.release': 'Versione',
+    'firestick.qr.title': 'Scansiona con il telefono:',
+    'firestick.qr.text': 'Scansiona per aprire questa pagina sul telefono',
+    'firestick.step5.title': 'Istruzioni d\'Uso',
+    'firestick.step5.heading': 'Come Usare il Codice nel Downloader',
+    'firestick.step5.open.title': '1. Apri l\'App Downloader',
+    'firestick.step5.open.text': 'Sul tuo FireStick o Android TV, naviga e apri l\'app Downloader',
+    'firestick.step5.enter.title': '2. Inserisci il Codice',
+    'firestick.step5.enter.text': 'Nel campo di ricerca, digita il codice:',
+    'firestick.step5.download.title': '3. Premi Download',
+    'firestick.step5.download.text': 'Clicca sul pulsante "Download" o premi OK sul telecomando',
+    'firestick.step5.install.title': '4. Installa l\'APK',
+    'firestick.step5.install.text': 'Una volta scaricato, premi "Install" per completare l\'installazione',
+    'firestick.trouble.title': 'Risoluzione Problemi',
+    'firestick.trouble.code.title': 'Codice Non Funziona?',
+    'firestick.trouble.code.text': 'Il codice potrebbe essere scaduto. Genera un nuovo codice cliccando "Nuovo Codice" sopra.',
+    'firestick.trouble.connection.title': 'Problemi di Connessione?',
+    'firestick.trouble.connection.text': 'Verifica che il FireStick sia connesso ad internet e riprova.',
+    'firestick.trouble.downloader.title': 'Downloader Non Installato?',
+    'firestick.trouble.downloader.text': 'Scarica l\'app gratuita "Downloader" dall\'App Store del FireStick.',
+
+    'pacing.paused': 'In pausa',
+    'pacing.label': 'Avanzamento',
+    'pacing.mode.auto': 'Automatico',
+    'pacing.mode.manual': 'Con il pulsante Avanti',
+    'pacing.keepCode': 'Tieni il codice sullo schermo',
+    'pacing.next': 'Avanti',
+    'pacing.toInstructions': 'Vai alle Istruzioni',
+
+    'remote.quickActions.title': 'Azioni Rapide',
+    'remote.quickActions.device': 'Cambia dispositivo',
+    'remote.quickActions.top': 'Torna su',
+    'remote.quickActions.close': 'Chiudi',
+
+    'nav.firestick': 'Codice per FireStick',
+    'nav.android': 'Download Android',
+    'nav.instructions': 'Istruzioni',
+    'nav.home': 'Home',
+    'nav.backHome': '← Torna alla Home',
+    'nav.altCodes': 'Codici Alternativi',
+    'nav.instructionsDetailed': 'Istruzioni Dettagliate',
+    'nav.features': 'Features',
+    'nav.screenshots': 'Screenshots',
+    'nav.download': 'Download',
+    'nav.faq': 'FAQ',
+    'nav.back': 'Torna alla Home',
+    'nav.generator': 'Generatore Codici',
+    'nav.mainGenerator': 'Generatore Principale',
+    'nav.instructionsFull': 'Istruzioni Complete',
+
+    'home.recommended': 'Consigliato per il tuo dispositivo',
+    'home.meta.title': 'Popcornia - Download per Android, FireStick e Android TV',
+    'home.hero.title': 'Popcornia - Streaming Infinito',
+    'home.hero.subtitle': 'Su Ogni Dispositivo',
+    'home.hero.text': 'Scopri il mondo del streaming con Popcornia! Film, serie TV e contenuti esclusivi. Installazione facile e veloce con il sistema di codici Downloader per FireStick e Android TV.',
+    'home.hero.androidButton': 'DOWNLOAD PER ANDROID',
+    'home.hero.tvButton': 'OTTIENI CODICE PER FIRESTICK/TV',
+    'home.hero.tvImage': 'App su TV',
+    'home.hero.phoneImage': 'App su telefono',
+    'home.install.title': 'Come Installare',
+    'home.tv.title': 'FireStick / Android TV',
+    'home.install.tv.step1.title': 'Ottieni il Codice',
+    'home.install.tv.step1.text': 'Clicca su "Ottieni Codice per FireStick/TV" e segui le istruzioni',
+    'home.install.tv.step2.title': 'Apri Downloader',
+    'home.install.tv.step2.text': 'Lancia l\'app Downloader sul tuo FireStick o Android TV',
+    'home.install.tv.step3.title': 'Inserisci il Codice',
+    'home.install.tv.step3.text': 'Digita il codice a 5 cifre nell\'app Downloader',
+    'home.install.tv.step4.title': 'Installa',
+    'home.install.tv.step4.text': 'Premi Download e poi Installa quando richiesto',
+    'home.install.android.title': 'Android Phone / Tablet',
+    'home.downloadApk': 'Download APK',
+    'home.install.android.step1.text': 'Clicca su "Download per Android" per scaricare il file APK',
+    'home.install.android.step2.title': 'Abilita Sorgenti Sconosciute',
+    'home.install.android.step2.text': 'Vai in Impostazioni > Sicurezza > Sorgenti Sconosciute',
+    'home.install.android.step3.title': 'Installa APK',
+    'home.install.android.step3.text': 'Tocca il file scaricato e segui le istruzioni',
+    'home.features.title': 'Caratteristiche Principali',
+    'home.features.uhd.title': 'Streaming Ultra HD',
+    'home.features.uhd.text': 'Video in qualità 4K e HD, ottimizzato per tutti i dispositivi',
+    'home.features.exclusive.title': 'Contenuti Esclusivi',
+    'home.features.exclusive.text': 'Accesso a migliaia di film e serie TV sempre aggiornati',
+    'home.features.cinema.title': 'Esperienza Cinema',
+    'home.features.cinema.text': 'Interfaccia ottimizzata per il grande schermo con controlli semplici',
+    'home.features.install.title': 'Facile Installazione',
+    'home.features.install.text': 'Sistema di codici Downloader per installazione in un click',
+    'home.features.catalog.title': 'Catalogo Infinito',
+    'home.features.catalog.text': 'Nuovi contenuti aggiunti quotidianamente, mai senza niente da guardare',
+    'home.features.support.title': 'Supporto 24/7',
+    'home.features.support.text': 'Assistenza completa per qualsiasi problema',
+    'home.features.devices.title': 'Multi-Dispositivo',
+    'home.features.devices.text': 'Funziona su phone, tablet, TV box e smart TV',
+    'home.features.buffering.title': 'Zero Buffering',
+    'home.features.buffering.text': 'Tecnologia avanzata per streaming fluido senza interruzioni',
+    'home.screenshots.image1': 'Screenshot 1',
+    'home.screenshots.image2': 'Screenshot 2',
+    'home.screenshots.image3': 'Screenshot 3',
+    'home.screenshots.image4': 'Screenshot 4',
+    'home.download.title': 'Download Ora',
+    'home.download.android.title': 'Android Phone/Tablet',
+    'home.download.android.text': 'Download diretto del file APK per dispositivi Android',
+    'home.download.tv.text': 'Ottieni il codice per l\'installazione tramite app Downloader',
+    'home.download.tv.button': 'Ottieni Codice',
+    'home.faq.title': 'Domande Frequenti',
+    'home.faq.firestick.question': 'Come installo l\'app su FireStick?',
+    'home.faq.firestick.step1': '1. Clicca su "Ottieni Codice per FireStick/TV"',
+    'home.faq.firestick.step2': '2. Segui le istruzioni per ottenere il codice',
+    'home.faq.firestick.step3': '3. Apri l\'app Downloader sul FireStick',
+    'home.faq.firestick.step4': '4. Inserisci il codice a 5 cifre',
+    'home.faq.firestick.step5': '5. Premi Download e poi Installa',
+    'home.faq.downloader.question': 'Non ho l\'app Downloader, come la installo?',
+    'home.faq.downloader.step1': '1. Vai nell\'App Store del FireStick',
+    'home.faq.downloader.step2': '2. Cerca "Downloader"',
+    'home.faq.downloader.step3': '3. Installa l\'app gratuita di AFTVnews',
+    'home.faq.downloader.step4': '4. Una volta installata, torna qui per ottenere il codice',
+    'home.faq.code.question': 'Il codice non funziona, cosa faccio?',
+    'home.faq.code.intro': 'I codici scadono dopo 1 ora. Se non funziona:',
+    'home.faq.code.step1': '1. Genera un nuovo codice',
+    'home.faq.code.step2': '2. Assicurati di aver digitato correttamente tutte le cifre',
+    'home.faq.code.step3': '3. Verifica la connessione internet del FireStick',
+    'home.faq.code.step4': '4. Riavvia l\'app Downloader se necessario',
+    'home.faq.safe.question': 'L\'app è sicura?',
+    'home.faq.safe.answer': 'Sì, l\'app è completamente sicura. È testata per virus e malware. Il sistema di codici Downloader è usato da milioni di utenti FireStick in tutto il mondo ed è considerato sicuro e affidabile.',
+    'home.faq.androidtv.question': 'Posso installarla su Android TV?',
+    'home.faq.androidtv.intro': 'Assolutamente sì! Il processo è identico al FireStick:',
+    'home.faq.androidtv.step1': '1. Installa l\'app Downloader dal Play Store',
+    'home.faq.androidtv.step2': '2. Ottieni il codice da questo sito',
+    'home.faq.androidtv.step3': '3. Inserisci il codice nell\'app Downloader',
+    'home.faq.androidtv.step4': '4. Installa normalmente',
+    'home.faq.price.question': 'Quanto costa l\'app?',
+    'home.faq.price.answer': 'L\'app è completamente gratuita. Non ci sono costi nascosti o abbonamenti. Il download e l\'utilizzo sono gratuiti per sempre.',
+
+    'release.channel.stable': 'Stabile',
+    'release.channel.beta': 'Beta',
+    'release.channel.previous': 'Versioni precedenti',
+    'release.picker.label': 'Versione',
+    'release.picker.abi': 'Architettura',
+
+    'downloader.error.apkUnavailable': 'APK non disponibile: {error}',
+
+    'ads.adblockDisabled.title': 'Grazie!',
+    'ads.adblockDisabled.text': 'AdBlock è stato disabilitato. Ora puoi accedere a tutti i contenuti.',
+    'ads.label': 'PUBBLICITÀ',
+    'ads.adblock.title': 'AdBlock Rilevato',
+    'ads.adblock.download': 'Per scaricare gratuitamente l\'app, ti chiediamo di disabilitare AdBlock per questo sito.',
+    'ads.adblock.why': 'Questo ci aiuta a mantenere il servizio gratuito per tutti.',
+    'ads.adblock.confirm': 'Ho Disabilitato AdBlock',
+    'ads.video.label': 'VIDEO AD',
+    'ads.video.button': 'Guarda Video (Skip Timer)',
+    'ads.adblock.altCodes': 'Per accedere ai codici alternativi gratuiti, disabilita AdBlock per questo sito.',
+    'ads.video.length': '30 secondi',
+    'ads.adblock.firestick': 'Per ottenere gratuitamente il codice Downloader, ti chiediamo di disabilitare AdBlock per questo sito.',
+    'ads.video.interstitial': 'VIDEO PUBBLICITÀ',
+
+    'i18n.picker.label': 'Lingua',
+
+    'footer.home.about': 'La migliore app di streaming per Android, FireStick e Android TV',
+    'footer.links': 'Link Utili',
+    'footer.support': 'Supporto',
+    'footer.emailSupport': 'Email Support',
+    'footer.troubleshooting': 'Risoluzione Problemi',
+    'footer.videoTutorial': 'Tutorial Video',
+    'footer.home.copyright': '2024 Popcornia. Tutti i diritti riservati.',
+    'footer.download.copyright': '2024 MiaApp. Download sicuro e gratuito.',
+    'footer.altCodes.about': 'Sistema di backup per garantire sempre l\'accesso ai codici Downloader',
+    'footer.altCodes.online': 'Sistema Online',
+    'footer.contact': 'Contattaci',
+    'footer.altCodes.copyright': '2024 MiaApp. Sistema di codici sicuro e affidabile.',
+    'footer.firestick.copyright': '2024 MiaApp. Sistema Downloader sicuro e gratuito.',
+
+    'guide.meta.title': 'Istruzioni Complete - Come Installare Popcornia su FireStick e Android',
+    'guide.header.title': 'Guida Completa all\'Installazione',
+    'guide.header.text': 'Tutorial dettagliati per installare MiaApp su tutti i dispositivi',
+    'guide.device.pick': 'Scegli il tuo dispositivo:',
+    'guide.device.androidPhone': 'Android Phone',
+    'guide.video.title': 'Video Tutorial',
+    'guide.video.heading': 'Guarda il Tutorial Completo',
+    'guide.video.text': 'Video di 5 minuti che mostra l\'intero processo di installazione',
+    'guide.video.iframe': 'Tutorial Installazione MiaApp',
+    'guide.firestick.title': 'Installazione su Amazon FireStick',
+    'guide.firestick.text': 'Guida completa per installare MiaApp usando l\'app Downloader',
+    'guide.modelTips.device': 'Il tuo dispositivo:',
+    'guide.prereq.title': 'Prima di Iniziare',
+    'guide.prereq.internet.title': 'Connessione Internet',
+    'guide.prereq.internet.text': 'Assicurati che il FireStick sia connesso ad internet',
+    'guide.prereq.downloader.title': 'App Downloader',
+    'guide.prereq.downloader.text': 'Installa l\'app gratuita "Downloader" dall\'Amazon App Store',
+    'guide.menu.settings': 'Impostazioni',
+    'guide.prereq.settings.text': 'Abilita "App da Sorgenti Sconosciute" nelle impostazioni',
+    'guide.steps.title': 'Guida Passo-Passo',
+    'guide.firestick.step1.title': 'Installa l\'App Downloader',
+    'guide.firestick.step1.text': 'Se non hai ancora l\'app Downloader:',
+    'guide.firestick.step1.home': 'Vai alla schermata principale del FireStick',
+    'guide.firestick.step1.find': 'Naviga su "Find" o "Search"',
+    'guide.firestick.step1.search': 'Cerca "Downloader" (di AFTVnews)',
+    'guide.firestick.step1.install': 'Seleziona e installa l\'app gratuita',
+    'guide.firestick.step1.screenshot': 'Screenshot: Downloader nell\'App Store',
+    'guide.unknownSources.title': 'Abilita Sorgenti Sconosciute',
+    'guide.firestick.step2.text': 'Configura il FireStick per permettere app esterne:',
+    'guide.menu.goTo': 'Vai su',
+    'guide.firestick.step2.settingsNote': '(Impostazioni)',
+    'guide.menu.select': 'Seleziona',
+    'guide.menu.clickOn': 'Clicca su',
+    'guide.menu.turnOn': 'Attiva',
+    'guide.firestick.step2.confirm': 'Conferma con "Turn On"',
+    'guide.firestick.step2.screenshot': 'Screenshot: Developer Options',
+    'guide.firestick.step3.title': 'Ottieni il Codice Downloader',
+    'guide.firestick.step3.text': 'Genera il codice per scaricare l\'app:',
+    'guide.firestick.step3.visit': 'Visita questo sito dal computer o telefono',
+    'guide.firestick.step3.click': 'Clicca su "Ottieni Codice per FireStick/TV"',
+    'guide.firestick.step3.wait': 'Attendi la generazione del codice',
+    'guide.firestick.step3.note': 'Annota il codice a 5 cifre (es. 12345)',
+    'guide.firestick.step3.example': 'Esempio di codice:',
+    'guide.firestick.step3.link': 'Genera Codice Ora',
+    'guide.firestick.step4.title': 'Usa il Codice nell\'App Downloader',
+    'guide.firestick.step4.text': 'Inserisci il codice nel FireStick:',
+    'guide.firestick.step4.open': 'Apri l\'app',
+    'guide.firestick.step4.onDevice': 'sul FireStick',
+    'guide.firestick.step4.field': 'Nel campo URL, inserisci il tuo codice a 5 cifre',
+    'guide.firestick.step4.press': 'Premi il pulsante',
+    'guide.firestick.step4.orOk': 'o tasto OK',
+    'guide.firestick.step4.wait': 'Attendi che il download inizi automaticamente',
+    'guide.firestick.step4.placeholder': 'Inserisci il codice qui...',
+    'guide.installApk': 'Installa l\'APK',
+    'guide.finish': 'Completa l\'installazione:',
+    'guide.firestick.step5.done': 'Quando il download è completato, premi',
+    'guide.firestick.step5.wait': 'Attendi l\'installazione (circa 10-30 secondi)',
+    'guide.menu.press': 'Premi',
+    'guide.firestick.step5.launch': 'per avviare l\'app',
+    'guide.firestick.step5.orPress': 'Oppure premi',
+    'guide.firestick.step5.toFinish': 'per finire',
+    'guide.firestick.step5.success': 'Congratulazioni! MiaApp è ora installata sul tuo FireStick',
+    'guide.firestick.trouble.title': 'Risoluzione Problemi FireStick',
+    'guide.trouble.cause': 'Causa:',
+    'guide.trouble.fix': 'Soluzione:',
+    'guide.firestick.trouble.blocked.title': '"Installazione Bloccata"',
+    'guide.firestick.trouble.blocked.cause': 'Sorgenti sconosciute non abilitate',
+    'guide.firestick.trouble.blocked.fix': 'Segui il passo 2 per abilitare "Apps from Unknown Sources"',
+    'guide.firestick.trouble.invalid.title': '"Codice Non Valido"',
+    'guide.firestick.trouble.invalid.cause': 'Codice scaduto o digitato male',
+    'guide.firestick.trouble.invalid.fix': 'Genera un nuovo codice o verifica di aver digitato correttamente',
+    'guide.firestick.trouble.failed.title': '"Download Fallito"',
+    'guide.firestick.trouble.failed.cause': 'Problemi di connessione internet',
+    'guide.firestick.trouble.failed.fix': 'Verifica la connessione Wi-Fi e riprova',
+    'guide.firestick.trouble.crash.title': '"App Non Si Avvia"',
+    'guide.firestick.trouble.crash.cause': 'File APK corrotto o incompatibile',
+    'guide.firestick.trouble.crash.fix': 'Disinstalla e reinstalla usando un nuovo codice',
+    'guide.androidtv.title': 'Installazione su Android TV',
+    'guide.androidtv.text': 'Processo simile al FireStick ma con alcune differenze nelle impostazioni',
+    'guide.androidtv.step1.title': 'Installa Downloader dal Play Store',
+    'guide.androidtv.step1.text': 'Su Android TV puoi installare Downloader direttamente dal Play Store:',
+    'guide.menu.openThe': 'Apri il',
+    'guide.androidtv.step1.search': 'Cerca "Downloader by AFTVnews"',
+    'guide.androidtv.step1.install': 'Installa l\'app gratuita',
+    'guide.androidtv.step2.title': 'Abilita Sorgenti Sconosciute su Android TV',
+    'guide.androidtv.step2.text': 'Il processo è leggermente diverso su Android TV:',
+    'guide.androidtv.step2.security': 'Sicurezza e Restrizioni',
+    'guide.androidtv.step2.find': 'Trova',
+    'guide.menu.unknownSources': 'Sorgenti Sconosciute',
+    'guide.androidtv.step2.allowFor': 'Attiva l\'opzione per',
+    'guide.androidtv.step2.note': 'Su Android TV dovrai abilitare le sorgenti sconosciute specificamente per l\'app Downloader',
+    'guide.androidtv.step3.title': 'Segui gli Stessi Passaggi del FireStick',
+    'guide.androidtv.step3.text': 'I passaggi rimanenti sono identici al FireStick:',
+    'guide.androidtv.step3.code': 'Ottieni il codice dal sito',
+    'guide.androidtv.step3.enter': 'Inserisci il codice nell\'app Downloader',
+    'guide.androidtv.step3.install': 'Installa l\'APK scaricato',
+    'guide.androidtv.step3.link': 'Vedi istruzioni dettagliate per FireStick sopra',
+    'guide.android.title': 'Installazione su Android Phone/Tablet',
+    'guide.android.text': 'Download diretto e installazione manuale del file APK',
+    'guide.android.step1.title': 'Scarica il File APK',
+    'guide.android.step1.text': 'Ottieni il file di installazione:',
+    'guide.android.step1.click': 'Clicca su "Download per Android" dalla home page',
+    'guide.android.step1.countdown': 'Attendi il countdown pubblicitario',
+    'guide.android.step1.download': 'Scarica il file MiaApp.apk',
+    'guide.android.step1.folder': 'Il file sarà salvato nella cartella Download',
+    'guide.android.step1.link': 'Scarica APK Ora',
+    'guide.android.step2.text': 'Permetti l\'installazione di app esterne al Play Store:',
+    'guide.android.oreo.title': 'Android 8+ (Oreo e successivi)',
+    'guide.android.oreo.settings': 'Impostazioni → App e Notifiche',
+    'guide.android.oreo.special': 'Accesso speciale alle app',
+    'guide.android.oreo.unknown': 'Installa app sconosciute',
+    'guide.android.oreo.allow': 'Abilita per il browser/file manager usato',
+    'guide.android.legacy.title': 'Android 7 e precedenti',
+    'guide.android.legacy.settings': 'Impostazioni → Sicurezza',
+    'guide.android.legacy.toggle': 'Attiva l\'interruttore',
+    'guide.android.legacy.confirm': 'Conferma con "OK"',
+    'guide.android.step3.or': 'o',
+    'guide.android.step3.find': 'Trova il file',
+    'guide.android.step3.tap': 'Tocca il file per avviare l\'installazione',
+    'guide.android.step3.whenAsked': 'quando richiesto',
+    'guide.android.step3.install': 'Installa',
+    'guide.android.step3.wait': 'Attendi il completamento',
+    'guide.android.step3.openApp': 'Apri',
+    'guide.android.step3.done': 'Fine',
+    'guide.android.trouble.title': 'Problemi Comuni su Android',
+    'guide.android.trouble.blocked.title': '"Installazione bloccata per sicurezza"',
+    'guide.android.trouble.blocked.text': 'Vai in Impostazioni → Sicurezza → Sorgenti Sconosciute e abilita l\'opzione',
+    'guide.android.trouble.missing.title': '"File non trovato"',
+    'guide.android.trouble.missing.text': 'Controlla la cartella Download o usa l\'app Files/File Manager per cercare MiaApp.apk',
+    'guide.android.trouble.space.title': '"Spazio insufficiente"',
+    'guide.android.trouble.space.text': 'Libera almeno 50MB di spazio eliminando file temporanei o app inutilizzate',
+    'guide.android.trouble.notInstalled.title': '"App non installata"',
+    'guide.android.trouble.notInstalled.text': 'Potrebbe esserci una versione precedente. Vai in Impostazioni → App e disinstalla versioni precedenti',
+    'guide.faq.title': 'Domande Frequenti',
+    'guide.faq.duration.q': 'Quanto tempo dura un codice Downloader?',
+    'guide.faq.duration.before': 'I codici generati dal nostro sistema durano',
+    'guide.faq.duration.hour': '1 ora',
+    'guide.faq.duration.after': 'dalla creazione. Dopo questo tempo dovrai generare un nuovo codice. Questo è per motivi di sicurezza e per evitare abusi del sistema.',
+    'guide.faq.devices.q': 'Posso usare lo stesso codice su più dispositivi?',
+    'guide.faq.devices.a': 'Sì, puoi utilizzare lo stesso codice su più FireStick o Android TV finché il codice è ancora valido (entro 1 ora). Non c\'è limite al numero di installazioni.',
+    'guide.faq.safe.q': 'L\'app è sicura? Contiene virus?',
+    'guide.faq.safe.before': 'L\'app è completamente',
+    'guide.faq.safe.strong': 'sicura e priva di virus',
+    'guide.faq.safe.after': '. Viene regolarmente scansionata con antivirus e non contiene malware. Il sistema di codici Downloader è utilizzato da milioni di utenti ed è considerato sicuro.',
+    'guide.faq.unavailable.q': 'Cosa faccio se l\'app Downloader non è disponibile?',
+    'guide.faq.unavailable.a': 'Se l\'app Downloader non è disponibile nel tuo store:',
+    'guide.faq.unavailable.browser': 'Prova a cercare "Browser" e usa quello per scaricare l\'APK direttamente',
+    'guide.faq.unavailable.files': 'Usa l\'app "Files" se disponibile',
+    'guide.faq.unavailable.playStore': 'Su Android TV, prova il Play Store',
+    'guide.faq.unavailable.usb': 'Come ultima risorsa, trasferisci l\'APK tramite USB',
+    'guide.faq.update.q': 'Come aggiorno l\'app a nuove versioni?',
+    'guide.faq.update.a': 'Per aggiornare MiaApp:',
+    'guide.faq.update.code': 'Genera un nuovo codice dal sito',
+    'guide.faq.update.use': 'Usa il codice nell\'app Downloader',
+    'guide.faq.update.install': 'Installa la nuova versione sopra quella esistente',
+    'guide.faq.update.noUninstall': 'Non è necessario disinstallare la versione precedente',
+    'guide.faq.smartTv.q': 'Posso installare l\'app su Smart TV (non Android)?',
+    'guide.faq.smartTv.a': 'MiaApp funziona solo su dispositivi Android. Per Smart TV Samsung, LG, o altre marche non Android, dovrai utilizzare:',
+    'guide.faq.smartTv.firestick': 'Un FireStick collegato alla TV',
+    'guide.faq.smartTv.box': 'Un Android TV Box',
+    'guide.faq.smartTv.chromecast': 'Chromecast con Google TV',
+    'guide.links.title': 'Link Utili',
+    'guide.links.code.title': 'Genera Codice Downloader',
+    'guide.links.code.text': 'Sistema automatico per ottenere codici per FireStick/TV',
+    'guide.links.apk.title': 'Download Android APK',
+    'guide.links.apk.text': 'Scarica direttamente l\'APK per dispositivi Android',
+    'guide.links.altCodes.text': 'Sistema di backup con codici pre-generati',
+    'guide.links.home.text': 'Pagina principale con tutte le opzioni di download',
+    'guide.footer.text': 'Guide dettagliate per installare MiaApp su qualsiasi dispositivo',
+    'guide.footer.help': 'Hai Bisogno di Aiuto?',
+    'guide.footer.contact': 'Contatta il Supporto',
+    'guide.footer.faq': 'FAQ Complete',
+    'guide.footer.copyright': '2024 MiaApp. Guide aggiornate e verificate.'
+});
\ No newline at end of file
@@ -38,12 +38,46 @@ function currentSlideJump(index) {
 }
 
 // Auto-play carousel
+let carouselTimer = null;
+
 function autoPlayCarousel() {
-    setInterval(() => {
+    clearInterval(carouselTimer);
+    carouselTimer = setInterval(() => {
         changeSlide(1);
     }, 5000); // Change slide every 5 seconds
 }
 
+// Pause or resume the carousel, e.g. from the remote's Play/Pause key
+function toggleCarousel() {
+    if (slides.length === 0) return false;
+    
+    if (carouselTimer) {
+        clearInterval(carouselTimer);
+        carouselTimer = null;
+    } else {
+        autoPlayCarousel();
+    }
+    return true;
+}
+
+// TV remote media keys drive the carousel
+function bindCarouselRemoteKeys() {
+    if (typeof getRemoteInput === 'undefined' || slides.length === 0) return;
+    
+    const remote = getRemoteInput();
+    remote.on('playPause', () => toggleCarousel());
+    remote.on('play', () => !carouselTimer && toggleCarousel());
+    remote.on('pause', () => !!carouselTimer && toggleCarousel());
+    remote.on('rewind', () => {
+        changeSlide(-1);
+        return true;
+    });
+    remote.on('fastForward', () => {
+        changeSlide(1);
+        return true;
+    });
+}
+
 // FAQ functionality
 function toggleFAQ(element) {
     const faqItem = element.parentElement;
@@ -70,14 +104,14 @@ function showDeviceRecommendation() {
             const tvButton = document.querySelector('a[href="firestick-code.html"]');
             if (tvButton) {
                 tvButton.classList.add('recommended');
-                tvButton.innerHTML += ' <span class="recommended-badge">Consigliato per il tuo dispositivo</span>';
+                tvButton.innerHTML += ` <span class="recommended-badge">${t('home.recommended')}</span>`;
             }
         } else if (deviceInfo.isMobile) {
             // Highlight Android download option
             const androidButton = document.querySelector('a[href="download-android.html"]');
             if (androidButton) {
                 androidButton.classList.add('recommended');
-                androidButton.innerHTML += ' <span class="recommended-badge">Consigliato per il tuo dispositivo</span>';
+                androidButton.innerHTML += ` <span class="recommended-badge">${t('home.recommended')}</span>`;
             }
         }
     }
@@ -177,14 +211,14 @@ function updateDynamicContent() {
     if (downloadCountElement) {
         const baseCount = 15420;
         const randomIncrement = Math.floor(Math.random() * 50);
-        downloadCountElement.textContent = (baseCount + randomIncrement).toLocaleString();
+        downloadCountElement.textContent = getI18n().formatNumber(baseCount + randomIncrement);
     }
     
     // Update last update time
     const lastUpdateElement = document.querySelector('#last-update');
     if (lastUpdateElement) {
         const now = new Date();
-        lastUpdateElement.textContent = now.toLocaleDateString('it-IT');
+        lastUpdateElement.textContent = getI18n().formatDate(now);
     }
 }
 
@@ -194,6 +228,7 @@ document.addEventListener('DOMContentLoaded', () => {
     if (slides.length > 0) {
         showSlide(currentSlide);
         autoPlayCarousel();
+        bindCarouselRemoteKeys();
     }
     
     // Initialize other features
@@ -233,5 +268,6 @@ document.addEventListener('keydown', (e) => {
 
 // Export functions for global use
 window.changeSlide = changeSlide;
+window.toggleCarousel = toggleCarousel;
 window.currentSlide = currentSlideJump;
 window.toggleFAQ = toggleFAQ;
\ No newline at end of file
@@ -0,0 +1,164 @@
+/**
+ * Mirror Selector Module
+ * Probes the hosts serving an APK, ranks them by latency and remembers URLs that failed
+ */
+
+class MirrorSelector {
+    constructor(options = {}) {
+        this.timeout = options.timeout || 4000;
+        // Probe results and failures are trusted for this long before a host is tried again
+        this.cacheTtl = options.cacheTtl || 600000; // 10 minutes
+        this.results = new Map();
+        // A broken file says nothing about the other files on its host, failures are kept per URL
+        this.failures = new Map();
+    }
+
+    /**
+     * Host a mirror URL lives on, probes are tracked per host
+     */
+    getHost(url) {
+        const parsed = this.parseUrl(url);
+        return parsed ? parsed.origin : url;
+    }
+
+    /**
+     * Absolute form of a URL, so relative and absolute links to one file match
+     */
+    getUrlKey(url) {
+        const parsed = this.parseUrl(url);
+        return parsed ? parsed.href : url;
+    }
+
+    /**
+     * URL resolved against the page, or null when it cannot be parsed
+     */
+    parseUrl(url) {
+        try {
+            return new URL(url, typeof window !== 'undefined' && window.location ? window.location.href : undefined);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Cached result for a host while it is fresh
+     */
+    getResult(url) {
+        const result = this.results.get(this.getHost(url));
+        return result && Date.now() - result.checkedAt < this.cacheTtl ? result : null;
+    }
+
+    /**
+     * Whether this exact URL failed recently
+     */
+    hasFailed(url) {
+        const key = this.getUrlKey(url);
+        const failedAt = this.failures.get(key);
+        if (failedAt === undefined) return false;
+
+        if (Date.now() - failedAt >= this.cacheTtl) {
+            this.failures.delete(key);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Measure how long the host takes to answer a HEAD request
+     * Resolves to { host, ok, latency, checkedAt }
+     */
+    async probe(url) {
+        const cached = this.getResult(url);
+        if (cached) return cached.pending || cached;
+
+        const host = this.getHost(url);
+        const pending = this.measure(url, host);
+        this.results.set(host, { pending: pending, checkedAt: Date.now() });
+
+        const result = await pending;
+        this.results.set(host, result);
+        return result;
+    }
+
+    /**
+     * Time a single request to the mirror
+     */
+    async measure(url, host) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        const started = Date.now();
+
+        try {
+            // no-cors lets us time hosts that do not send CORS headers, their response is opaque
+            const response = await fetch(url, { method: 'HEAD', mode: 'no-cors', cache: 'no-store', signal: controller.signal });
+            const ok = response.type === 'opaque' || response.ok;
+            return { host: host, ok: ok, latency: ok ? Date.now() - started : null, checkedAt: Date.now() };
+        } catch (error) {
+            return { host: host, ok: false, latency: null, checkedAt: Date.now() };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Probe every mirror and order them fastest first
+     * Mirrors that failed stay at the end as a last resort, in catalog order
+     */
+    async rank(mirrors) {
+        const results = await Promise.all(mirrors.map(mirror => this.probe(mirror.url)));
+
+        const ranked = mirrors.map((mirror, index) => ({
+            ...mirror,
+            available: results[index].ok && !this.hasFailed(mirror.url),
+            latency: results[index].latency
+        }));
+
+        return ranked
+            .map((mirror, index) => ({ mirror, index }))
+            .sort((a, b) => {
+                if (a.mirror.available !== b.mirror.available) return a.mirror.available ? -1 : 1;
+                if (a.mirror.available) return a.mirror.latency - b.mirror.latency;
+                return a.index - b.index;
+            })
+            .map(item => item.mirror);
+    }
+
+    /**
+     * Whether a URL has not failed recently and its host answered the last probe
+     */
+    isAvailable(url) {
+        if (this.hasFailed(url)) return false;
+
+        const result = this.getResult(url);
+        return !result || result.pending !== undefined || result.ok;
+    }
+
+    /**
+     * Remember that a URL failed so failover skips it for a while
+     * Other files on the same host stay available, a host is only skipped when its probe fails
+     */
+    markFailed(url) {
+        this.failures.set(this.getUrlKey(url), Date.now());
+    }
+}
+
+let sharedMirrorSelector = null;
+
+/**
+ * Selector shared by every module on the page, so a URL that failed is skipped everywhere
+ */
+function getMirrorSelector() {
+    if (!sharedMirrorSelector) {
+        sharedMirrorSelector = new MirrorSelector();
+    }
+    return sharedMirrorSelector;
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.MirrorSelector = MirrorSelector;
+    window.getMirrorSelector = getMirrorSelector;
+}
+if (typeof module !== 'undefined') {
+    module.exports = { MirrorSelector, getMirrorSelector };
+}
\ No newline at end of file
@@ -0,0 +1,401 @@
+/**
+ * Release Catalog Module
+ * Published APK releases from releases.json, used by the download page and the code generators
+ */
+
+const RELEASE_CATALOG_VERSION = 1;
+
+// Channels a release can be published on; older stable releases are offered as "previous"
+const RELEASE_CHANNELS = ['stable', 'beta'];
+
+// Android version shown for each minSdk level
+const ANDROID_VERSION_NAMES = {
+    21: '5.0', 22: '5.1', 23: '6.0', 24: '7.0', 25: '7.1', 26: '8.0', 27: '8.1',
+    28: '9', 29: '10', 30: '11', 31: '12', 32: '12L', 33: '13', 34: '14', 35: '15'
+};
+
+// Language of a changelog given as a plain list, and the one other languages fall back to
+const RELEASE_CHANGELOG_SOURCE_LOCALE = 'it';
+
+class ReleaseCatalogError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ReleaseCatalogError';
+    }
+}
+
+/**
+ * Android version name for an SDK level, e.g. 21 -> '5.0'
+ */
+function getAndroidVersionName(sdk) {
+    return ANDROID_VERSION_NAMES[sdk] || `API ${sdk}`;
+}
+
+/**
+ * Human readable size, e.g. 26843546 -> '25.6 MB'
+ */
+function formatReleaseSize(bytes) {
+    if (!bytes) return '';
+    if (bytes < 1048576) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1048576).toFixed(1)} MB`;
+}
+
+/**
+ * SHA-256 of a Blob, ArrayBuffer or typed array as lowercase hex
+ */
+async function sha256Hex(data) {
+    const buffer = typeof data.arrayBuffer === 'function' ? await data.arrayBuffer() : data;
+    const digest = await globalThis.crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Normalize a certificate fingerprint to colon separated uppercase hex
+ * as printed by apksigner and keytool
+ */
+function formatCertificateFingerprint(fingerprint) {
+    const hex = String(fingerprint || '').replace(/:/g, '').toUpperCase();
+
+    if (!/^[0-9A-F]{64}$/.test(hex)) {
+        return null;
+    }
+
+    return hex.match(/.{2}/g).join(':');
+}
+
+/**
+ * Resolve a URL against a base when there is one
+ */
+function resolveReleaseUrl(url, baseUrl) {
+    return baseUrl ? new URL(url, baseUrl).href : url;
+}
+
+/**
+ * Validate the catalog mirrors ({ id, name, baseUrl }), the one without baseUrl is the site itself
+ */
+function parseReleaseMirrors(mirrors) {
+    if (mirrors === undefined) return [];
+    if (!Array.isArray(mirrors)) {
+        throw new ReleaseCatalogError('Release catalog mirrors must be a list');
+    }
+
+    return mirrors.map(mirror => {
+        if (!mirror || typeof mirror.id !== 'string' || !mirror.id) {
+            throw new ReleaseCatalogError('Release catalog has a mirror without an id');
+        }
+        return { id: mirror.id, name: mirror.name || mirror.id, baseUrl: mirror.baseUrl || null };
+    });
+}
+
+/**
+ * Every URL an APK can be downloaded from, in catalog order
+ * Absolute APK URLs live on a single host and have no mirrors
+ */
+function getApkMirrors(url, mirrors, baseUrl) {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(url) || mirrors.length === 0) {
+        return [{ id: 'origin', name: 'Popcornia', url: resolveReleaseUrl(url, baseUrl) }];
+    }
+
+    return mirrors.map(mirror => ({
+        id: mirror.id,
+        name: mirror.name,
+        url: resolveReleaseUrl(url, mirror.baseUrl || baseUrl)
+    }));
+}
+
+/**
+ * Validate one APK of a release and resolve its URL against baseUrl
+ */
+function parseReleaseApk(apk, release, baseUrl, mirrors = []) {
+    const where = `Release ${release.version}`;
+
+    if (!apk || typeof apk.url !== 'string' || !apk.url) {
+        throw new ReleaseCatalogError(`${where} has an APK without a url`);
+    }
+    if (!Number.isInteger(apk.size) || apk.size < 1) {
+        throw new ReleaseCatalogError(`${where} has an APK without a valid size`);
+    }
+    if (typeof apk.sha256 !== 'string' || !/^[0-9a-f]{64}$/i.test(apk.sha256)) {
+        throw new ReleaseCatalogError(`${where} has an APK without a valid sha256`);
+    }
+
+    return {
+        abi: apk.abi || 'universal',
+        url: resolveReleaseUrl(apk.url, baseUrl),
+        mirrors: getApkMirrors(apk.url, mirrors, baseUrl),
+        size: apk.size,
+        sha256: apk.sha256.toLowerCase(),
+        fileName: apk.fileName || apk.url.split('/').pop()
+    };
+}
+
+/**
+ * Changelog by language; a plain list is the Italian source
+ * { "it": ["..."], "en": ["..."] } lists each language's entries, languages without a list are skipped
+ */
+function parseReleaseChangelog(changelog) {
+    if (Array.isArray(changelog)) return { [RELEASE_CHANGELOG_SOURCE_LOCALE]: changelog };
+    if (!changelog || typeof changelog !== 'object') return {};
+
+    return Object.fromEntries(Object.entries(changelog).filter(([, entries]) => Array.isArray(entries)));
+}
+
+/**
+ * Changelog entries of a release in a language, falling back to the Italian source
+ */
+function getReleaseChangelog(release, locale) {
+    return release.changelog[locale] || release.changelog[RELEASE_CHANGELOG_SOURCE_LOCALE] || [];
+}
+
+/**
+ * Validate a release entry and convert it to the catalog shape
+ * { version, versionCode, channel, minSdk, releaseDate, changelog, apks, certificateSha256 }
+ * A release signed with another key overrides the catalog signingCertificate
+ */
+function parseRelease(release, baseUrl, defaultCertificate = null, mirrors = []) {
+    if (!release || typeof release.version !== 'string' || !release.version) {
+        throw new ReleaseCatalogError('Release without a version');
+    }
+    if (!Number.isInteger(release.versionCode)) {
+        throw new ReleaseCatalogError(`Release ${release.version} has no versionCode`);
+    }
+    if (!RELEASE_CHANNELS.includes(release.channel)) {
+        throw new ReleaseCatalogError(`Release ${release.version} has unknown channel ${release.channel}`);
+    }
+    if (!Array.isArray(release.apks) || release.apks.length === 0) {
+        throw new ReleaseCatalogError(`Release ${release.version} has no APKs`);
+    }
+
+    const certificate = release.signingCertificate || defaultCertificate;
+    const certificateSha256 = certificate ? formatCertificateFingerprint(certificate.sha256) : null;
+    if (certificate && !certificateSha256) {
+        throw new ReleaseCatalogError(`Release ${release.version} has an invalid signing certificate fingerprint`);
+    }
+
+    return {
+        version: release.version,
+        versionCode: release.versionCode,
+        channel: release.channel,
+        minSdk: release.minSdk || 21,
+        releaseDate: Date.parse(release.releaseDate) || null,
+        changelog: parseReleaseChangelog(release.changelog),
+        apks: release.apks.map(apk => parseReleaseApk(apk, release, baseUrl, mirrors)),
+        certificateSha256: certificateSha256
+    };
+}
+
+/**
+ * Parse releases.json, newest release first
+ */
+function parseReleaseCatalog(data, baseUrl = null) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.releases)) {
+        throw new ReleaseCatalogError('Release catalog has no releases list');
+    }
+    if (data.version !== RELEASE_CATALOG_VERSION) {
+        throw new ReleaseCatalogError(`Unsupported release catalog version: ${data.version}`);
+    }
+
+    const mirrors = parseReleaseMirrors(data.mirrors);
+    const releases = data.releases.map(release => parseRelease(release, baseUrl, data.signingCertificate, mirrors));
+    const versions = new Set(releases.map(release => release.version));
+
+    if (versions.size !== releases.length) {
+        throw new ReleaseCatalogError('Release catalog lists a version twice');
+    }
+
+    return releases.sort((a, b) => b.versionCode - a.versionCode);
+}
+
+class ReleaseCatalog {
+    constructor(options = {}) {
+        this.url = options.url || 'releases.json';
+        this.baseUrl = options.baseUrl ||
+            (typeof window !== 'undefined' && window.location ? window.location.href : null);
+        this.releases = [];
+        this.loadError = null;
+
+        // Resolves once the catalog has loaded, failures leave it empty
+        this.ready = options.releases ? Promise.resolve(this.setReleases(options.releases)) : this.load();
+    }
+
+    /**
+     * Fetch and parse the catalog
+     */
+    async load() {
+        try {
+            const response = await fetch(this.url, { cache: 'no-cache' });
+
+            if (!response.ok) {
+                throw new ReleaseCatalogError(`Release catalog request failed: ${response.status}`);
+            }
+
+            this.setReleases(await response.json());
+        } catch (error) {
+            console.warn('Error loading release catalog:', error);
+            this.loadError = error;
+        }
+
+        return this.releases;
+    }
+
+    /**
+     * Replace the releases with a parsed catalog
+     */
+    setReleases(data) {
+        this.releases = parseReleaseCatalog(data, this.baseUrl);
+        this.loadError = null;
+        return this.releases;
+    }
+
+    /**
+     * Every release, newest first
+     */
+    all() {
+        return this.releases.slice();
+    }
+
+    /**
+     * Find a release by version
+     */
+    get(version) {
+        return this.releases.find(release => release.version === version) || null;
+    }
+
+    /**
+     * Newest release on a channel
+     */
+    getLatest(channel = 'stable') {
+        return this.releases.find(release => release.channel === channel) || null;
+    }
+
+    /**
+     * Stable releases older than the current one
+     */
+    getPrevious() {
+        const latest = this.getLatest('stable');
+        return this.releases.filter(release => release.channel === 'stable' && release !== latest);
+    }
+
+    /**
+     * Channel a release is offered under: 'stable', 'beta' or 'previous'
+     */
+    getChannel(release) {
+        if (release.channel === 'stable' && release !== this.getLatest('stable')) {
+            return 'previous';
+        }
+        return release.channel;
+    }
+
+    /**
+     * APK of a release for an ABI, falling back to the universal build
+     */
+    getApk(release, abi = null) {
+        return release.apks.find(apk => abi && apk.abi === abi) ||
+            release.apks.find(apk => apk.abi === 'universal') ||
+            release.apks[0];
+    }
+
+    /**
+     * Release an APK URL belongs to, on any mirror
+     */
+    findByUrl(url) {
+        return this.releases.find(release => release.apks.some(apk => apk.mirrors.some(mirror => mirror.url === url))) || null;
+    }
+
+    /**
+     * Release and APK a file hash belongs to, or null for an unknown file
+     */
+    findByHash(sha256) {
+        const hash = String(sha256).toLowerCase();
+
+        for (const release of this.releases) {
+            const apk = release.apks.find(candidate => candidate.sha256 === hash);
+            if (apk) return { release, apk };
+        }
+
+        return null;
+    }
+
+    /**
+     * Whether a code points at a release
+     * Codes issued before the catalog carry no release and point at the current stable build
+     */
+    codeMatches(entry, release) {
+        if (!release) return true;
+        if (entry.release) return entry.release === release.version;
+        return release === this.getLatest('stable');
+    }
+}
+
+// Option group labels for the release pickers, as message keys
+const RELEASE_CHANNEL_LABELS = {
+    stable: 'release.channel.stable',
+    beta: 'release.channel.beta',
+    previous: 'release.channel.previous'
+};
+
+/**
+ * Fill a <select> with the catalog releases grouped by channel
+ */
+function fillReleaseSelect(select, catalog, selectedVersion = null) {
+    select.innerHTML = '';
+
+    Object.keys(RELEASE_CHANNEL_LABELS).forEach(channel => {
+        const releases = catalog.all().filter(release => catalog.getChannel(release) === channel);
+        if (releases.length === 0) return;
+
+        const group = document.createElement('optgroup');
+        group.label = t(RELEASE_CHANNEL_LABELS[channel]);
+
+        releases.forEach(release => {
+            const option = document.createElement('option');
+            const date = release.releaseDate ? ` (${getI18n().formatDate(release.releaseDate)})` : '';
+            option.value = release.version;
+            option.textContent = `${release.version}${date}`;
+            option.selected = release.version === selectedVersion;
+            group.appendChild(option);
+        });
+
+        select.appendChild(group);
+    });
+}
+
+let sharedReleaseCatalog = null;
+
+/**
+ * Catalog shared by every module on the page, so releases.json is fetched once
+ */
+function getReleaseCatalog() {
+    if (!sharedReleaseCatalog) {
+        sharedReleaseCatalog = new ReleaseCatalog();
+    }
+    return sharedReleaseCatalog;
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ReleaseCatalog = ReleaseCatalog;
+    window.ReleaseCatalogError = ReleaseCatalogError;
+    window.getReleaseCatalog = getReleaseCatalog;
+    window.getAndroidVersionName = getAndroidVersionName;
+    window.formatReleaseSize = formatReleaseSize;
+    window.getReleaseChangelog = getReleaseChangelog;
+    window.fillReleaseSelect = fillReleaseSelect;
+    window.sha256Hex = sha256Hex;
+}
+if (typeof module !== 'undefined') {
+    module.exports = {
+        RELEASE_CATALOG_VERSION,
+        RELEASE_CHANNELS,
+        ReleaseCatalog,
+        ReleaseCatalogError,
+        parseReleaseCatalog,
+        getReleaseCatalog,
+        getAndroidVersionName,
+        formatReleaseSize,
+        formatCertificateFingerprint,
+        getReleaseChangelog,
+        fillReleaseSelect,
+        sha256Hex
+    };
+}
\ No newline at end of file
@@ -0,0 +1,291 @@
+/**
+ * Remote Input Module
+ * Maps Fire TV / Android TV remote keys to actions the pages handle: back, menu and media keys
+ */
+
+// Keys of each action as KeyboardEvent.key values and as the keyCodes TV browsers send instead
+// (4, 82, 85, 89, 90, 126, 127 are Android KEYCODE_* values passed through by Fire TV webviews)
+const REMOTE_KEYS = {
+    back: { keys: ['GoBack', 'BrowserBack', 'Escape', 'Backspace'], keyCodes: [4, 8, 27, 166, 461] },
+    menu: { keys: ['ContextMenu', 'Menu'], keyCodes: [82, 93] },
+    playPause: { keys: ['MediaPlayPause'], keyCodes: [85, 179] },
+    play: { keys: ['MediaPlay'], keyCodes: [126, 415] },
+    pause: { keys: ['MediaPause'], keyCodes: [127, 19] },
+    rewind: { keys: ['MediaRewind', 'MediaTrackPrevious'], keyCodes: [89, 177, 227, 412] },
+    fastForward: { keys: ['MediaFastForward', 'MediaTrackNext'], keyCodes: [90, 176, 228, 417] }
+};
+
+// Handler priorities: open overlays are closed before the page handles Back
+const REMOTE_PRIORITY = {
+    panel: 20,
+    modal: 10,
+    page: 0
+};
+
+/**
+ * Remote action of a keydown event, or null for other keys
+ * keyCode is only looked at when the browser cannot name the key
+ */
+function getRemoteAction(e) {
+    const named = e.key && e.key !== 'Unidentified';
+
+    return Object.keys(REMOTE_KEYS).find(action => named
+        ? REMOTE_KEYS[action].keys.includes(e.key)
+        : REMOTE_KEYS[action].keyCodes.includes(e.keyCode)) || null;
+}
+
+/**
+ * Whether the user is typing into an element, where Backspace must keep deleting
+ */
+function isEditableTarget(element) {
+    if (!element) return false;
+    return element.tagName === 'INPUT' || element.tagName === 'TEXTAREA' || element.tagName === 'SELECT' || element.isContentEditable === true;
+}
+
+class RemoteInput {
+    constructor() {
+        // action -> [{ handler, priority }], highest priority first
+        this.handlers = new Map();
+        this.quickActions = null;
+        this.returnFocus = null;
+        this.enabled = false;
+
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+
+        this.on('menu', () => this.toggleQuickActions(), REMOTE_PRIORITY.panel);
+        this.on('back', () => this.closeQuickActions(), REMOTE_PRIORITY.panel);
+    }
+
+    /**
+     * Start listening for remote keys
+     */
+    enable() {
+        if (this.enabled) return;
+
+        document.addEventListener('keydown', this.handleKeyDown);
+        this.enabled = true;
+    }
+
+    /**
+     * Handle a remote action; handlers return true when they used the key
+     * Handlers with a higher priority run first (see REMOTE_PRIORITY)
+     */
+    on(action, handler, priority = REMOTE_PRIORITY.page) {
+        const handlers = this.handlers.get(action) || [];
+        handlers.push({ handler, priority });
+        handlers.sort((a, b) => b.priority - a.priority);
+        this.handlers.set(action, handlers);
+    }
+
+    /**
+     * Run the handlers of an action until one uses it, returns whether one did
+     */
+    trigger(action) {
+        const handlers = this.handlers.get(action) || [];
+
+        for (const { handler } of handlers) {
+            try {
+                if (handler()) return true;
+            } catch (error) {
+                console.warn(`Remote ${action} handler failed:`, error);
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Map a keydown to its action; keys nobody used keep their default (e.g. Back leaves the page)
+     */
+    handleKeyDown(e) {
+        if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+
+        const action = getRemoteAction(e);
+        if (!action) return;
+        if (action === 'back' && (e.key === 'Backspace' || e.keyCode === 8) && isEditableTarget(e.target)) return;
+
+        if (this.trigger(action)) {
+            e.preventDefault();
+
+            if (typeof adsMonetization !== 'undefined' && adsMonetization) {
+                adsMonetization.trackEvent('remote_key', { action: action });
+            }
+        }
+    }
+
+    /**
+     * Open or close the quick actions panel
+     */
+    toggleQuickActions() {
+        if (this.quickActions) {
+            return this.closeQuickActions();
+        }
+
+        this.returnFocus = document.activeElement;
+        this.quickActions = this.createQuickActions();
+        document.body.appendChild(this.quickActions);
+
+        const first = this.quickActions.querySelector('a, button');
+        if (first) first.focus();
+        return true;
+    }
+
+    /**
+     * Close the quick actions panel, returns false when it was not open
+     */
+    closeQuickActions() {
+        if (!this.quickActions) return false;
+
+        this.quickActions.remove();
+        this.quickActions = null;
+
+        // Give focus back to where the remote was before the panel opened
+        if (this.returnFocus && document.body.contains(this.returnFocus)) {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+        return true;
+    }
+
+    /**
+     * Create the quick actions panel opened by the Menu key
+     */
+    createQuickActions() {
+        const panel = document.createElement('div');
+        panel.className = 'quick-actions-panel';
+        panel.setAttribute('data-nav-trap', '');
+        panel.innerHTML = `
+            <div class="quick-actions-content">
+                <h3><i class="fas fa-bars"></i> ${t('remote.quickActions.title')}</h3>
+                <a href="firestick-code.html"><i class="fas fa-code"></i> ${t('nav.firestick')}</a>
+                <a href="download-android.html"><i class="fab fa-android"></i> ${t('nav.android')}</a>
+                <a href="instructions.html"><i class="fas fa-book"></i> ${t('nav.instructions')}</a>
+                <a href="index.html"><i class="fas fa-home"></i> ${t('nav.home')}</a>
+                <button type="button" data-quick-action="device"><i class="fas fa-tv"></i> ${t('remote.quickActions.device')}</button>
+                <button type="button" data-quick-action="top"><i class="fas fa-arrow-up"></i> ${t('remote.quickActions.top')}</button>
+                <button type="button" data-quick-action="close"><i class="fas fa-times"></i> ${t('remote.quickActions.close')}</button>
+            </div>
+        `;
+
+        panel.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-quick-action]');
+            if (!button) {
+                if (e.target === panel) this.closeQuickActions();
+                return;
+            }
+
+            this.closeQuickActions();
+            this.runQuickAction(button.dataset.quickAction);
+        });
+
+        this.addQuickActionsStyles();
+        return panel;
+    }
+
+    /**
+     * Run a quick action button
+     */
+    runQuickAction(action) {
+        if (action === 'device') {
+            const select = document.getElementById('device-picker-select');
+            if (select) {
+                select.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                select.focus();
+            }
+        } else if (action === 'top') {
+            window.scrollTo({ top: 0, behavior: 'smooth' });
+
+            const first = document.querySelector('a[href], button');
+            if (first) first.focus();
+        }
+    }
+
+    /**
+     * Add quick actions panel styles
+     */
+    addQuickActionsStyles() {
+        if (document.getElementById('quick-actions-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'quick-actions-styles';
+        style.textContent = `
+            .quick-actions-panel {
+                position: fixed;
+                top: 0;
+                left: 0;
+                right: 0;
+                bottom: 0;
+                background: rgba(0, 0, 0, 0.6);
+                display: flex;
+                justify-content: flex-end;
+                z-index: 10001;
+            }
+
+            .quick-actions-content {
+                width: 340px;
+                max-width: 90%;
+                height: 100%;
+                overflow-y: auto;
+                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                padding: 30px 20px;
+                display: flex;
+                flex-direction: column;
+                gap: 10px;
+                box-shadow: -10px 0 30px rgba(0, 0, 0, 0.3);
+            }
+
+            .quick-actions-content h3 {
+                color: white;
+                margin: 0 0 15px 0;
+            }
+
+            .quick-actions-content a,
+            .quick-actions-content button {
+                display: flex;
+                align-items: center;
+                gap: 12px;
+                padding: 14px 18px;
+                border-radius: 12px;
+                border: none;
+                background: rgba(255, 255, 255, 0.15);
+                color: white;
+                font: inherit;
+                font-size: 1.1rem;
+                text-align: left;
+                text-decoration: none;
+                cursor: pointer;
+            }
+
+            .quick-actions-content a:focus,
+            .quick-actions-content a:hover,
+            .quick-actions-content button:focus,
+            .quick-actions-content button:hover {
+                background: rgba(255, 255, 255, 0.3);
+            }
+        `;
+
+        document.head.appendChild(style);
+    }
+}
+
+let sharedRemoteInput = null;
+
+/**
+ * Remote input shared by every module on the page, listening from the first call
+ */
+function getRemoteInput() {
+    if (!sharedRemoteInput) {
+        sharedRemoteInput = new RemoteInput();
+        sharedRemoteInput.enable();
+    }
+    return sharedRemoteInput;
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.RemoteInput = RemoteInput;
+    window.getRemoteInput = getRemoteInput;
+}
+if (typeof module !== 'undefined') {
+    module.exports = { RemoteInput, REMOTE_KEYS, REMOTE_PRIORITY, getRemoteAction, getRemoteInput };
+}
\ No newline at end of file
@@ -0,0 +1,131 @@
+/**
+ * Rotation Scheduler Module
+ * Runs periodic tasks on wall-clock aligned slots and catches up after sleep or suspend
+ */
+
+// Default clock, replaced by a fake one when testing rotation
+const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (callback, delay) => setTimeout(callback, delay),
+    clearTimeout: (timer) => clearTimeout(timer)
+};
+
+class RotationScheduler {
+    constructor(options = {}) {
+        this.clock = options.clock || systemClock;
+        // Timers are re-armed at least this often so a suspended device is noticed quickly
+        this.maxTimerDelay = options.maxTimerDelay || 60000;
+        this.tasks = new Map();
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Register a task that runs once per interval, aligned to multiples of the interval
+     * offset shifts the slots, e.g. to rotate at ten past the hour
+     */
+    addTask(name, interval, run, options = {}) {
+        const task = { name: name, interval: interval, offset: options.offset || 0, run: run, lastSlot: null };
+        task.lastSlot = this.getSlot(task, this.clock.now());
+        this.tasks.set(name, task);
+
+        if (this.running) this.schedule();
+        return this;
+    }
+
+    /**
+     * Start of the slot a timestamp falls in
+     */
+    getSlot(task, time) {
+        return Math.floor((time - task.offset) / task.interval) * task.interval + task.offset;
+    }
+
+    /**
+     * Time the given task runs next
+     */
+    nextRun(name) {
+        const task = this.tasks.get(name);
+        if (!task) return null;
+
+        return task.lastSlot + task.interval;
+    }
+
+    /**
+     * Start running tasks
+     */
+    start() {
+        if (this.running) return;
+        this.running = true;
+
+        // Timers are throttled in background tabs, check as soon as the page is visible again
+        if (typeof document !== 'undefined' && document.addEventListener && !this.visibilityHandler) {
+            this.visibilityHandler = () => {
+                if (document.visibilityState !== 'hidden') this.tick();
+            };
+            document.addEventListener('visibilitychange', this.visibilityHandler);
+        }
+
+        this.schedule();
+    }
+
+    /**
+     * Stop running tasks
+     */
+    stop() {
+        this.running = false;
+        this.clock.clearTimeout(this.timer);
+        this.timer = null;
+
+        if (this.visibilityHandler) {
+            document.removeEventListener('visibilitychange', this.visibilityHandler);
+            this.visibilityHandler = null;
+        }
+    }
+
+    /**
+     * Run every task whose slot has passed
+     * Missed slots are collapsed into a single run that is told how many were skipped
+     */
+    tick() {
+        const now = this.clock.now();
+
+        this.tasks.forEach(task => {
+            const slot = this.getSlot(task, now);
+            if (slot <= task.lastSlot) return;
+
+            const missed = Math.round((slot - task.lastSlot) / task.interval) - 1;
+            task.lastSlot = slot;
+
+            try {
+                task.run({ scheduledAt: slot, missed: missed, now: now });
+            } catch (error) {
+                console.warn(`Scheduled task ${task.name} failed:`, error);
+            }
+        });
+
+        if (this.running) this.schedule();
+    }
+
+    /**
+     * Arm the timer for the next due task
+     */
+    schedule() {
+        this.clock.clearTimeout(this.timer);
+
+        if (this.tasks.size === 0) return;
+
+        const now = this.clock.now();
+        const nextDue = Math.min(...[...this.tasks.values()].map(task => task.lastSlot + task.interval));
+        const delay = Math.min(Math.max(nextDue - now, 0), this.maxTimerDelay);
+
+        this.timer = this.clock.setTimeout(() => this.tick(), delay);
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.RotationScheduler = RotationScheduler;
+}
+if (typeof module !== 'undefined') {
+    module.exports = { RotationScheduler, systemClock };
+}
\ No newline at end of file
@@ -0,0 +1,273 @@
+/**
+ * Spatial Navigation Module
+ * Moves focus to the nearest element in the direction of the arrow pressed on a TV remote
+ */
+
+const SPATIAL_DIRECTIONS = {
+    ArrowUp: 'up',
+    ArrowDown: 'down',
+    ArrowLeft: 'left',
+    ArrowRight: 'right'
+};
+
+// Containers focus stays in while they have a candidate in the arrow's direction;
+// mark others with data-nav-group, and modals with data-nav-trap to keep focus inside
+const SPATIAL_GROUP_SELECTOR = '[data-nav-group], [data-nav-trap], header, nav, footer, section, .generation-step, .codes-grid, .device-instructions';
+
+const SPATIAL_FOCUSABLE_SELECTOR = 'a[href], button, input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+// Being off to the side costs this much more than being further along the arrow
+const ORTHOGONAL_WEIGHT = 2;
+
+/**
+ * Rect as { left, top, right, bottom }, from a DOMRect or a synthetic { x, y, width, height }
+ */
+function toNavRect(rect) {
+    const left = rect.left !== undefined ? rect.left : rect.x;
+    const top = rect.top !== undefined ? rect.top : rect.y;
+
+    return {
+        left: left,
+        top: top,
+        right: rect.right !== undefined ? rect.right : left + rect.width,
+        bottom: rect.bottom !== undefined ? rect.bottom : top + rect.height
+    };
+}
+
+/**
+ * Cost of moving from one rect to another in a direction, null when the other rect is not that way
+ * The gap along the arrow is added to the weighted gap across it, boxes that line up have no gap across
+ */
+function getSpatialDistance(from, to, direction) {
+    let along;
+
+    switch (direction) {
+        case 'right': along = to.left - from.right; break;
+        case 'left': along = from.left - to.right; break;
+        case 'down': along = to.top - from.bottom; break;
+        case 'up': along = from.top - to.bottom; break;
+        default: return null;
+    }
+
+    // Boxes that touch or overlap by a pixel still count as neighbours
+    if (along < -1) return null;
+
+    const horizontal = direction === 'left' || direction === 'right';
+    const across = horizontal
+        ? Math.max(0, to.top - from.bottom, from.top - to.bottom)
+        : Math.max(0, to.left - from.right, from.left - to.right);
+
+    return Math.max(0, along) + ORTHOGONAL_WEIGHT * across;
+}
+
+/**
+ * Whether a rect lines up with another across the direction, e.g. shares some rows when moving right
+ */
+function isInBeam(from, to, direction) {
+    const horizontal = direction === 'left' || direction === 'right';
+    return horizontal
+        ? to.bottom > from.top && to.top < from.bottom
+        : to.right > from.left && to.left < from.right;
+}
+
+/**
+ * Nearest candidate in a direction, or null
+ * Candidates are { rect, ... } items so real and synthetic layouts go through the same code;
+ * on a tie the first candidate wins, which is document order for real layouts.
+ * With inBeam only candidates lined up with the origin count
+ */
+function findNearestInDirection(from, candidates, direction, options = {}) {
+    const origin = toNavRect(from);
+    let best = null;
+    let bestDistance = Infinity;
+
+    candidates.forEach(candidate => {
+        const rect = toNavRect(candidate.rect);
+        if (options.inBeam && !isInBeam(origin, rect, direction)) return;
+
+        const distance = getSpatialDistance(origin, rect, direction);
+        if (distance !== null && distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    });
+
+    return best;
+}
+
+class SpatialNavigator {
+    constructor(options = {}) {
+        this.root = options.root || document;
+        this.groupSelector = options.groupSelector || SPATIAL_GROUP_SELECTOR;
+        this.focusableSelector = options.focusableSelector || SPATIAL_FOCUSABLE_SELECTOR;
+
+        // Last element focused in each group, restored when focus comes back into the group
+        this.lastFocus = new WeakMap();
+        this.enabled = false;
+
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleFocusIn = this.handleFocusIn.bind(this);
+    }
+
+    /**
+     * Start handling arrow keys
+     */
+    enable() {
+        if (this.enabled) return;
+
+        document.addEventListener('keydown', this.handleKeyDown);
+        document.addEventListener('focusin', this.handleFocusIn);
+        this.enabled = true;
+    }
+
+    /**
+     * Stop handling arrow keys
+     */
+    disable() {
+        document.removeEventListener('keydown', this.handleKeyDown);
+        document.removeEventListener('focusin', this.handleFocusIn);
+        this.enabled = false;
+    }
+
+    /**
+     * Move focus on arrow keys, other handlers (e.g. the carousel) can claim a key with preventDefault
+     * Keys with no element in their direction are left to the browser, which scrolls the page
+     */
+    handleKeyDown(e) {
+        const direction = SPATIAL_DIRECTIONS[e.key];
+        if (!direction || e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+        if (this.keepsArrowKey(document.activeElement, direction)) return;
+
+        if (this.move(direction)) {
+            e.preventDefault();
+        }
+    }
+
+    /**
+     * Remember the focused element for every group it is in
+     */
+    handleFocusIn(e) {
+        this.getGroups(e.target).forEach(group => this.lastFocus.set(group, e.target));
+    }
+
+    /**
+     * Whether a text field needs the arrow to move its caret
+     */
+    keepsArrowKey(element, direction) {
+        if (!element) return false;
+        if (element.tagName === 'TEXTAREA') return true;
+        if (element.tagName !== 'INPUT' || direction === 'up' || direction === 'down') return false;
+
+        // Types without a caret (checkbox, button, ...) throw or return null here
+        let start;
+        try {
+            start = element.selectionStart;
+        } catch (error) {
+            return false;
+        }
+        if (start === null || start === undefined) return false;
+
+        return direction === 'left' ? start > 0 : element.selectionEnd < element.value.length;
+    }
+
+    /**
+     * Focus the nearest element in a direction, returns it or null when there is none
+     */
+    move(direction) {
+        const current = document.activeElement;
+        const focusable = this.getFocusableElements();
+
+        if (!focusable.includes(current)) {
+            return this.focus(this.getEntryElement(focusable));
+        }
+
+        // Open modals keep focus inside
+        const trap = current.closest('[data-nav-trap]');
+        const candidates = focusable
+            .filter(element => element !== current && (!trap || trap.contains(element)))
+            .map(element => ({ element: element, rect: element.getBoundingClientRect() }));
+        const from = current.getBoundingClientRect();
+
+        // Stay in the innermost group that still has something in that direction
+        const scopes = this.getGroups(current).map(group => candidates.filter(candidate => group.contains(candidate.element)));
+        scopes.push(candidates);
+
+        // Left and right only leave the innermost group for something on the same line,
+        // so the end of a row of cards does not jump to a footer link further down
+        const horizontal = direction === 'left' || direction === 'right';
+
+        for (let i = 0; i < scopes.length; i++) {
+            const nearest = findNearestInDirection(from, scopes[i], direction, { inBeam: horizontal && i > 0 });
+            if (nearest) return this.focus(this.getRestoredElement(nearest.element, current, focusable));
+        }
+
+        return null;
+    }
+
+    /**
+     * Element to focus when moving into another group: the one focused there last, or the nearest
+     */
+    getRestoredElement(target, current, focusable) {
+        const entered = this.getGroups(target).filter(group => !group.contains(current)).pop();
+        const remembered = entered ? this.lastFocus.get(entered) : null;
+
+        return remembered && focusable.includes(remembered) ? remembered : target;
+    }
+
+    /**
+     * Element that receives focus when nothing is focused yet: the first one on screen
+     */
+    getEntryElement(focusable) {
+        const trap = focusable.find(element => element.closest('[data-nav-trap]'));
+        if (trap) return trap;
+
+        const height = window.innerHeight || Infinity;
+        return focusable.find(element => {
+            const rect = element.getBoundingClientRect();
+            return rect.bottom > 0 && rect.top < height;
+        }) || focusable[0] || null;
+    }
+
+    /**
+     * Groups an element is in, innermost first
+     */
+    getGroups(element) {
+        const groups = [];
+        let group = element && element.parentElement ? element.parentElement.closest(this.groupSelector) : null;
+
+        while (group) {
+            groups.push(group);
+            group = group.parentElement ? group.parentElement.closest(this.groupSelector) : null;
+        }
+
+        return groups;
+    }
+
+    /**
+     * Visible, enabled focusable elements in document order
+     */
+    getFocusableElements() {
+        return Array.from(this.root.querySelectorAll(this.focusableSelector)).filter(element => {
+            return element.offsetWidth > 0 && element.offsetHeight > 0 && !element.disabled;
+        });
+    }
+
+    /**
+     * Focus an element, returns it
+     */
+    focus(element) {
+        if (!element) return null;
+
+        element.focus();
+        return element;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.SpatialNavigator = SpatialNavigator;
+    window.findNearestInDirection = findNearestInDirection;
+}
+if (typeof module !== 'undefined') {
+    module.exports = { SpatialNavigator, SPATIAL_DIRECTIONS, findNearestInDirection, getSpatialDistance, isInBeam, toNavRect };
+}
\ No newline at end of file
@@ -0,0 +1,309 @@
+/**
+ * Step Pacing Module
+ * Lets users control how fast the FireStick flow moves on: automatic timers that pause
+ * while they hover or focus what they are reading, or a "Next" button for every step
+ */
+
+// Pacing preference, kept across visits
+const STEP_PACING_KEY = 'stepPacing';
+
+// 'auto' moves on when a step's timer runs out, 'manual' waits for the Next button
+const STEP_PACING_MODES = ['auto', 'manual'];
+
+// Hovering or focusing these areas pauses the timers, e.g. the code while it is typed in
+const STEP_PACING_HOLD_SELECTOR = '[data-pacing-hold]';
+
+// Default clock for the step timers, replaced by a fake one when testing
+const pacingClock = {
+    now: () => Date.now(),
+    setTimeout: (callback, delay) => setTimeout(callback, delay),
+    clearTimeout: (timer) => clearTimeout(timer)
+};
+
+/**
+ * Timeout that can be paused and resumed, ticking every second for countdowns
+ * Sits in FireStickCodeGenerator.stepTimers next to plain timeout ids
+ */
+class PacedTimer {
+    constructor(callback, delay, options = {}) {
+        this.callback = callback;
+        this.remaining = delay;
+        this.tick = options.tick || 1000;
+        this.onTick = options.onTick || null;
+        this.onEnd = options.onEnd || null;
+        this.clock = options.clock || pacingClock;
+        this.timeout = null;
+        this.startedAt = 0;
+        this.wait = 0;
+        this.paused = false;
+        this.done = false;
+    }
+
+    /**
+     * Start or continue counting down
+     */
+    run() {
+        // Ticks land on whole seconds of the remaining time, also after a pause
+        this.wait = this.remaining % this.tick || this.tick;
+        this.startedAt = this.clock.now();
+        this.timeout = this.clock.setTimeout(() => this.step(), Math.min(this.wait, this.remaining));
+    }
+
+    /**
+     * One tick: report the time left and fire once it runs out
+     */
+    step() {
+        this.remaining = Math.max(0, this.remaining - this.wait);
+        if (this.onTick) this.onTick(this.remaining);
+
+        if (this.remaining > 0) {
+            this.run();
+            return;
+        }
+
+        this.finish();
+        this.callback();
+    }
+
+    /**
+     * Stop counting, keeping the time left
+     */
+    pause() {
+        if (this.paused || this.done) return;
+
+        this.clock.clearTimeout(this.timeout);
+        this.remaining = Math.max(0, this.remaining - Math.min(this.wait, this.clock.now() - this.startedAt));
+        this.paused = true;
+    }
+
+    /**
+     * Continue after a pause
+     */
+    resume() {
+        if (!this.paused || this.done) return;
+
+        this.paused = false;
+        this.run();
+    }
+
+    /**
+     * Stop for good without firing
+     */
+    cancel() {
+        this.clock.clearTimeout(this.timeout);
+        this.finish();
+    }
+
+    /**
+     * Mark the timer as over
+     */
+    finish() {
+        this.done = true;
+        if (this.onEnd) this.onEnd(this);
+    }
+}
+
+class StepPacer {
+    constructor(options = {}) {
+        this.holdSelector = options.holdSelector || STEP_PACING_HOLD_SELECTOR;
+        this.clock = options.clock || pacingClock;
+        this.preferences = this.loadPreferences();
+        this.timers = new Set();
+        // Why the timers are paused: 'hover', 'focus'
+        this.holds = new Set();
+        this.listeners = [];
+        this.controls = null;
+
+        this.handlePointer = this.handlePointer.bind(this);
+        this.handleFocus = this.handleFocus.bind(this);
+
+        document.addEventListener('mouseover', this.handlePointer);
+        document.addEventListener('focusin', this.handleFocus);
+        document.addEventListener('focusout', this.handleFocus);
+    }
+
+    /**
+     * Saved preference, or the default for this device
+     * TV users type the code with a remote and get the Next button and a code that stays
+     */
+    loadPreferences() {
+        const isTV = typeof deviceDetector !== 'undefined' && deviceDetector && deviceDetector.isTV();
+        const defaults = { mode: isTV ? 'manual' : 'auto', keepCode: true };
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(STEP_PACING_KEY));
+            if (!saved) return defaults;
+
+            return {
+                mode: STEP_PACING_MODES.includes(saved.mode) ? saved.mode : defaults.mode,
+                keepCode: typeof saved.keepCode === 'boolean' ? saved.keepCode : defaults.keepCode
+            };
+        } catch (error) {
+            return defaults;
+        }
+    }
+
+    /**
+     * Store the preference
+     */
+    savePreferences() {
+        try {
+            localStorage.setItem(STEP_PACING_KEY, JSON.stringify(this.preferences));
+        } catch (error) {
+            console.warn('Could not save the pacing preference:', error);
+        }
+    }
+
+    /**
+     * Whether steps wait for the Next button
+     */
+    isManual() {
+        return this.preferences.mode === 'manual';
+    }
+
+    /**
+     * Whether a step's timer may move the flow on by itself
+     * The code step only does so when the user does not want the code kept on screen
+     */
+    advancesAutomatically(step = null) {
+        if (this.isManual()) return false;
+        return step !== 'code' || !this.preferences.keepCode;
+    }
+
+    /**
+     * Change the preference and tell listeners, which reschedule the current step
+     */
+    setPreferences(changes) {
+        const mode = STEP_PACING_MODES.includes(changes.mode) ? changes.mode : this.preferences.mode;
+        const keepCode = typeof changes.keepCode === 'boolean' ? changes.keepCode : this.preferences.keepCode;
+        if (mode === this.preferences.mode && keepCode === this.preferences.keepCode) return;
+
+        this.preferences = { mode: mode, keepCode: keepCode };
+        this.savePreferences();
+        this.updateControls();
+        this.listeners.forEach(listener => listener(this.preferences));
+
+        if (typeof adsMonetization !== 'undefined' && adsMonetization) {
+            adsMonetization.trackEvent('pacing_changed', { mode: mode, keep_code: keepCode });
+        }
+    }
+
+    /**
+     * Call a listener when the preference changes
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Start a pausable timer, paused right away while the user is holding
+     */
+    start(callback, delay, options = {}) {
+        const timer = new PacedTimer(callback, delay, {
+            ...options,
+            clock: this.clock,
+            onEnd: ended => {
+                this.timers.delete(ended);
+                this.updateControls();
+            }
+        });
+
+        this.timers.add(timer);
+        timer.run();
+        if (this.holds.size > 0) timer.pause();
+        this.updateControls();
+        return timer;
+    }
+
+    /**
+     * Pause every timer for a reason
+     */
+    hold(reason) {
+        if (this.holds.has(reason)) return;
+
+        this.holds.add(reason);
+        this.timers.forEach(timer => timer.pause());
+        this.updateControls();
+    }
+
+    /**
+     * Drop a reason to pause, timers continue once there is none left
+     */
+    release(reason) {
+        if (!this.holds.delete(reason) || this.holds.size > 0) return;
+
+        this.timers.forEach(timer => timer.resume());
+        this.updateControls();
+    }
+
+    /**
+     * Pause while the pointer is over a hold area
+     */
+    handlePointer(e) {
+        const over = e.target && e.target.closest && e.target.closest(this.holdSelector);
+        over ? this.hold('hover') : this.release('hover');
+    }
+
+    /**
+     * Pause while focus is in a hold area
+     */
+    handleFocus(e) {
+        const element = e.type === 'focusout' ? e.relatedTarget : e.target;
+        const inside = element && element.closest && element.closest(this.holdSelector);
+        inside ? this.hold('focus') : this.release('focus');
+    }
+
+    /**
+     * Wire the pacing controls: a mode <select>, a keep-code checkbox and a status line
+     */
+    bindControls(container) {
+        if (!container) return;
+
+        this.controls = {
+            container: container,
+            mode: container.querySelector('[data-pacing="mode"]'),
+            keepCode: container.querySelector('[data-pacing="keep-code"]'),
+            status: container.querySelector('[data-pacing="status"]')
+        };
+
+        if (this.controls.mode) {
+            this.controls.mode.addEventListener('change', () => this.setPreferences({ mode: this.controls.mode.value }));
+        }
+        if (this.controls.keepCode) {
+            this.controls.keepCode.addEventListener('change', () => this.setPreferences({ keepCode: this.controls.keepCode.checked }));
+        }
+
+        container.classList.remove('hidden');
+        this.updateControls();
+    }
+
+    /**
+     * Show the preference and whether the timers are paused
+     */
+    updateControls() {
+        if (!this.controls) return;
+
+        const { container, mode, keepCode, status } = this.controls;
+        const paused = this.holds.size > 0 && this.timers.size > 0;
+
+        if (mode) mode.value = this.preferences.mode;
+        if (keepCode) {
+            keepCode.checked = this.preferences.keepCode;
+            // Manual steps never move on, the code stays anyway
+            keepCode.disabled = this.isManual();
+        }
+        if (status) {
+            status.textContent = paused ? t('pacing.paused') : '';
+        }
+        container.classList.toggle('paused', paused);
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.StepPacer = StepPacer;
+    window.PacedTimer = PacedTimer;
+}
+if (typeof module !== 'undefined') {
+    module.exports = { StepPacer, PacedTimer, STEP_PACING_KEY, STEP_PACING_MODES };
+}
\ No newline at end of file
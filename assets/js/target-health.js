@@ -0,0 +1,169 @@
+/**
+ * Target Health Module
+ * Checks that the APK behind a code exists and matches what the code promises
+ */
+
+const APK_CONTENT_TYPE = 'application/vnd.android.package-archive';
+
+// Servers such as GitHub Pages send APKs as a generic binary
+const ACCEPTED_APK_CONTENT_TYPES = [APK_CONTENT_TYPE, 'application/octet-stream'];
+
+class TargetHealthChecker {
+    constructor(options = {}) {
+        this.timeout = options.timeout || 8000;
+        this.cacheTtl = options.cacheTtl || 300000; // 5 minutes
+        this.verifyHash = options.verifyHash === true;
+        this.cache = new Map();
+    }
+
+    /**
+     * Check a target URL, resolves to
+     * { url, status: 'healthy' | 'unhealthy' | 'unknown', checks, error, checkedAt }
+     * expected may carry contentType, size and sha256
+     */
+    async check(url, expected = {}) {
+        const cacheKey = `${url}|${expected.size || ''}|${expected.sha256 || ''}`;
+        const cached = this.cache.get(cacheKey);
+
+        if (cached && Date.now() - cached.checkedAt < this.cacheTtl) {
+            return cached.pending || cached.result;
+        }
+
+        const pending = this.runChecks(url, expected);
+        this.cache.set(cacheKey, { pending: pending, checkedAt: Date.now() });
+
+        const result = await pending;
+        this.cache.set(cacheKey, { result: result, checkedAt: result.checkedAt });
+        return result;
+    }
+
+    /**
+     * Run the individual checks against the target
+     */
+    async runChecks(url, expected) {
+        const checks = {};
+        const result = (status, error = null) => ({ url, status, checks, error, checkedAt: Date.now() });
+
+        let response;
+        try {
+            response = await this.fetchHead(url);
+        } catch (error) {
+            // Offline or blocked by CORS: we cannot tell either way
+            return result('unknown', error.message);
+        }
+
+        checks.reachable = response.ok;
+        if (!response.ok) {
+            return result('unhealthy', `Target responded with ${response.status}`);
+        }
+
+        const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+        const acceptedTypes = expected.contentType ? [expected.contentType] : ACCEPTED_APK_CONTENT_TYPES;
+        checks.contentType = acceptedTypes.includes(contentType);
+        if (!checks.contentType) {
+            return result('unhealthy', `Unexpected content type ${contentType || 'none'}`);
+        }
+
+        const size = this.readSize(response);
+        if (expected.size) {
+            checks.size = size === null ? null : size === expected.size;
+            if (checks.size === false) {
+                return result('unhealthy', `Size ${size} does not match expected ${expected.size}`);
+            }
+        }
+
+        if (expected.sha256 && this.verifyHash) {
+            try {
+                checks.hash = (await this.hashTarget(url)) === expected.sha256.toLowerCase();
+            } catch (error) {
+                return result('unknown', error.message);
+            }
+            if (!checks.hash) {
+                return result('unhealthy', 'SHA-256 does not match');
+            }
+        }
+
+        return result('healthy');
+    }
+
+    /**
+     * HEAD the target, falling back to a one-byte GET where HEAD is not allowed
+     */
+    async fetchHead(url) {
+        const response = await this.request(url, { method: 'HEAD' });
+
+        if (response.status !== 405 && response.status !== 501) {
+            return response;
+        }
+
+        return this.request(url, { method: 'GET', headers: { Range: 'bytes=0-0' } });
+    }
+
+    /**
+     * Fetch with a timeout
+     */
+    async request(url, options) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            return await fetch(url, { ...options, cache: 'no-store', signal: controller.signal });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error('Target check timed out');
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Total size from Content-Range (ranged GET) or Content-Length
+     */
+    readSize(response) {
+        const range = response.headers.get('content-range');
+        if (range && range.includes('/')) {
+            const total = parseInt(range.split('/')[1], 10);
+            return Number.isFinite(total) ? total : null;
+        }
+
+        const length = parseInt(response.headers.get('content-length'), 10);
+        return response.status === 206 || !Number.isFinite(length) ? null : length;
+    }
+
+    /**
+     * Download the target and return its SHA-256 as hex
+     */
+    async hashTarget(url) {
+        const response = await fetch(url, { cache: 'no-store' });
+
+        if (!response.ok) {
+            throw new Error(`Target responded with ${response.status}`);
+        }
+
+        const digest = await globalThis.crypto.subtle.digest('SHA-256', await response.arrayBuffer());
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+let sharedTargetHealthChecker = null;
+
+/**
+ * Checker shared by every module on the page, so each URL is checked once
+ */
+function getTargetHealthChecker() {
+    if (!sharedTargetHealthChecker) {
+        sharedTargetHealthChecker = new TargetHealthChecker();
+    }
+    return sharedTargetHealthChecker;
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TargetHealthChecker = TargetHealthChecker;
+    window.getTargetHealthChecker = getTargetHealthChecker;
+}
+if (typeof module !== 'undefined') {
+    module.exports = { TargetHealthChecker, getTargetHealthChecker, APK_CONTENT_TYPE };
+}
\ No newline at end of file
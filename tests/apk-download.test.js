@@ -0,0 +1,199 @@
+/**
+ * ResumableApkDownload against a stubbed fetch: Range resume, misplaced ranges, backoff and cancelling
+ *
+ * Usage:
+ *   node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { loadScripts } = require('./helpers/browser.js');
+
+loadScripts('release-catalog.js', 'apk-download.js');
+
+const URL = 'https://popcornia.example/downloads/popcornia-2.4.0.apk';
+const FILE = Buffer.from('PK\u0003\u0004 popcornia test build, long enough to split');
+const SHA256 = crypto.createHash('sha256').update(FILE).digest('hex');
+
+/**
+ * Response whose body sends the given bytes, then fails when dropAfter is set
+ */
+function respond(status, bytes, headers = {}, dropAfter = false) {
+    let sent = false;
+    const body = new ReadableStream({
+        pull(controller) {
+            if (!sent) {
+                sent = true;
+                controller.enqueue(new Uint8Array(bytes));
+            } else if (dropAfter) {
+                controller.error(new TypeError('network connection lost'));
+            } else {
+                controller.close();
+            }
+        }
+    });
+    return new Response(body, { status: status, headers: headers });
+}
+
+/**
+ * Full file, or the requested part of it as a 206, like a server honouring Range
+ */
+function serveRange(request) {
+    const range = /bytes=(\d+)-/.exec(request.headers.Range || '');
+    if (!range) {
+        return respond(200, FILE, { 'Content-Length': String(FILE.length) });
+    }
+
+    const start = parseInt(range[1], 10);
+    return respond(206, FILE.subarray(start), { 'Content-Range': `bytes ${start}-${FILE.length - 1}/${FILE.length}` });
+}
+
+/**
+ * fetch stub answering each call with the next handler and recording the requests
+ */
+function stubFetch(...handlers) {
+    const requests = [];
+    globalThis.fetch = async (url, options) => {
+        const request = { url: url, headers: options.headers };
+        requests.push(request);
+        const handler = handlers[Math.min(requests.length, handlers.length) - 1];
+        return handler(request);
+    };
+    return requests;
+}
+
+/**
+ * Download with a backoff short enough for tests
+ */
+function createDownload(options = {}) {
+    return new ResumableApkDownload({ url: URL, size: FILE.length, sha256: SHA256, baseDelay: 1, maxDelay: 4, ...options });
+}
+
+async function bytesOf(blob) {
+    return Buffer.from(await blob.arrayBuffer());
+}
+
+test('a dropped connection resumes from the received bytes with a Range request', async () => {
+    const requests = stubFetch(
+        () => respond(200, FILE.subarray(0, 20), { 'Content-Length': String(FILE.length) }, true),
+        serveRange
+    );
+    const download = createDownload();
+    const retries = [];
+    download.addEventListener('retry', (e) => retries.push(e.detail.attempt));
+
+    const blob = await download.start();
+
+    assert.deepEqual(await bytesOf(blob), FILE);
+    assert.deepEqual(requests.map(request => request.headers.Range), [undefined, 'bytes=20-']);
+    assert.deepEqual(retries, [1]);
+});
+
+test('a server ignoring Range sends the whole file again, which replaces the partial one', async () => {
+    const requests = stubFetch(
+        () => respond(200, FILE.subarray(0, 20), {}, true),
+        () => respond(200, FILE, { 'Content-Length': String(FILE.length) })
+    );
+
+    const blob = await createDownload().start();
+
+    assert.deepEqual(await bytesOf(blob), FILE);
+    assert.equal(requests[1].headers.Range, 'bytes=20-');
+});
+
+test('a 206 starting at 0 instead of the offset is read as the whole file', async () => {
+    stubFetch(
+        () => respond(200, FILE.subarray(0, 20), {}, true),
+        () => respond(206, FILE, { 'Content-Range': `bytes 0-${FILE.length - 1}/${FILE.length}` })
+    );
+
+    const blob = await createDownload().start();
+    assert.deepEqual(await bytesOf(blob), FILE);
+});
+
+test('a 206 for another offset or without Content-Range restarts from byte 0', async () => {
+    const requests = stubFetch(
+        () => respond(200, FILE.subarray(0, 20), {}, true),
+        () => respond(206, FILE.subarray(10), { 'Content-Range': `bytes 10-${FILE.length - 1}/${FILE.length}` }),
+        () => respond(200, FILE.subarray(0, 30), {}, true),
+        () => respond(206, FILE.subarray(30)),
+        serveRange
+    );
+    const download = createDownload();
+    const errors = [];
+    download.addEventListener('retry', (e) => errors.push(e.detail.error.message));
+
+    const blob = await download.start();
+
+    assert.deepEqual(await bytesOf(blob), FILE);
+    assert.deepEqual(requests.map(request => request.headers.Range), [undefined, 'bytes=20-', undefined, 'bytes=30-', undefined]);
+    assert.equal(errors.filter(message => message.includes('different range')).length, 2);
+});
+
+test('retries back off exponentially up to maxDelay and give up after maxRetries', async (t) => {
+    const download = createDownload({ baseDelay: 1000, maxDelay: 5000 });
+
+    t.mock.method(Math, 'random', () => 1);
+    assert.deepEqual([0, 1, 2, 3, 4].map(attempt => download.getRetryDelay(attempt)), [1000, 2000, 4000, 5000, 5000]);
+
+    // Jitter keeps at least half of the delay
+    Math.random.mock.mockImplementation(() => 0);
+    assert.deepEqual([0, 1, 2].map(attempt => download.getRetryDelay(attempt)), [500, 1000, 2000]);
+    Math.random.mock.restore();
+
+    const requests = stubFetch(() => { throw new TypeError('fetch failed'); });
+    const failing = createDownload({ maxRetries: 3 });
+    const retries = [];
+    failing.addEventListener('retry', (e) => retries.push(e.detail.attempt));
+
+    await assert.rejects(failing.start(), { name: 'ApkDownloadError', reason: 'network', message: 'fetch failed' });
+    assert.deepEqual(retries, [1, 2, 3]);
+    assert.equal(requests.length, 4);
+});
+
+test('client errors are not retried', async () => {
+    const requests = stubFetch(() => new Response('missing', { status: 404 }));
+
+    await assert.rejects(createDownload().start(), { reason: 'http', status: 404, retryable: false });
+    assert.equal(requests.length, 1);
+});
+
+test('cancelling during the backoff keeps the received bytes for a later resume', async () => {
+    const requests = stubFetch(
+        () => respond(200, FILE.subarray(0, 20), { 'Content-Length': String(FILE.length) }, true),
+        serveRange
+    );
+    const download = createDownload({ baseDelay: 60000, maxDelay: 60000 });
+    download.addEventListener('retry', () => setTimeout(() => download.abort(), 5), { once: true });
+
+    await assert.rejects(download.start(), { reason: 'cancelled', retryable: false });
+    assert.equal(download.received, 20);
+    assert.equal(requests.length, 1);
+
+    const blob = await download.start();
+    assert.deepEqual(await bytesOf(blob), FILE);
+    assert.equal(requests[1].headers.Range, 'bytes=20-');
+});
+
+test('cancelling just as an attempt fails stops before the backoff', async () => {
+    const requests = stubFetch(() => respond(200, FILE.subarray(0, 20), {}, true));
+    const download = createDownload({ baseDelay: 60000, maxDelay: 60000 });
+    download.addEventListener('retry', () => download.abort(), { once: true });
+
+    await assert.rejects(download.start(), { reason: 'cancelled' });
+    assert.equal(requests.length, 1);
+});
+
+test('a file that fails the hash check is dropped so the next start begins from scratch', async () => {
+    const tampered = Buffer.from(FILE);
+    tampered[10] ^= 1;
+    const requests = stubFetch(() => respond(200, tampered, { 'Content-Length': String(FILE.length) }), serveRange);
+    const download = createDownload();
+
+    await assert.rejects(download.start(), { reason: 'integrity', retryable: false });
+    assert.equal(download.received, 0);
+
+    assert.deepEqual(await bytesOf(await download.start()), FILE);
+    assert.equal(requests[1].headers.Range, undefined);
+});
\ No newline at end of file
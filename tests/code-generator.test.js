@@ -0,0 +1,92 @@
+/**
+ * Code generation avoiding pool and revoked codes, and running out of free codes
+ *
+ * Usage:
+ *   node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, FakeClock } = require('./helpers/browser.js');
+
+loadScripts(
+    'code-lifecycle.js',
+    'codes-manifest.js',
+    'code-source.js',
+    'code-registry.js',
+    'code-generator.js',
+    'rotation-scheduler.js',
+    'code-schema.js',
+    'code-manager.js'
+);
+
+// No codes manifest is published here, the pool only holds what the tests add
+globalThis.fetch = async () => ({ ok: false, status: 404 });
+
+/**
+ * crypto stand-in returning the given alphabet indexes in order, then repeating the last one
+ */
+function scriptedCrypto(indexes) {
+    const queue = indexes.slice();
+    return {
+        getRandomValues(buffer) {
+            buffer[0] = queue.length > 1 ? queue.shift() : queue[0];
+            return buffer;
+        }
+    };
+}
+
+test('random codes already reserved are drawn again', () => {
+    const generator = new CodeGenerator({ length: 2, crypto: scriptedCrypto([1, 2, 3, 4, 5, 6]) });
+
+    assert.equal(generator.generate(['12', '34']), '56');
+});
+
+test('a nearly full code space is scanned for the free code', () => {
+    // Every random draw is 'aa', so only the scan can find 'bb'
+    const generator = new CodeGenerator({ length: 2, alphabet: 'ab', maxAttempts: 3, crypto: scriptedCrypto([0]) });
+
+    assert.equal(generator.generate(['aa', 'ab', 'ba']), 'bb');
+});
+
+test('running out of codes throws CodeExhaustedError with the capacity', () => {
+    const generator = new CodeGenerator({ length: 2, alphabet: 'ab' });
+
+    assert.throws(() => generator.generate(['aa', 'ab', 'ba', 'bb']), (error) => {
+        assert.ok(error instanceof CodeExhaustedError);
+        assert.equal(error.capacity, 4);
+        return true;
+    });
+
+    // Codes this generator cannot produce do not use up the space
+    assert.equal(generator.generate(['aa', 'ab', 'ba', '12345']), 'bb');
+
+    // A batch stops at the first code it cannot find
+    assert.throws(() => generator.generateMany(3, ['aa', 'ab']), CodeExhaustedError);
+});
+
+test('the manager never reissues pool or revoked codes and stops quietly when none are left', async (t) => {
+    localStorage.clear();
+    t.mock.method(console, 'warn', () => {});
+
+    const clock = new FakeClock(Date.UTC(2026, 9, 19, 10, 5));
+    const registry = new CodeRegistry({ sources: [new LocalStorageCodeSource({ key: 'code_registry' })], clock: clock });
+    const manager = new CodeManager({
+        registry: registry,
+        clock: clock,
+        sync: null,
+        codeGenerator: new CodeGenerator({ length: 2, alphabet: '01' })
+    });
+    await manager.ready;
+
+    registry.add({ code: '00', expires: clock.now() + 3600000, status: 'active' });
+    registry.revoke('01', 'leaked');
+
+    const codes = manager.generateNewCodes(2).map(code => code.code).sort();
+    assert.deepEqual(codes, ['10', '11']);
+
+    assert.deepEqual(manager.generateNewCodes(1), []);
+    assert.equal(registry.all().length, 3);
+
+    manager.scheduler.stop();
+});
\ No newline at end of file
@@ -0,0 +1,127 @@
+/**
+ * Manifest revocations reaching a localStorage-only pool, and rotation of manifest codes
+ *
+ * Usage:
+ *   node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadScripts, FakeClock } = require('./helpers/browser.js');
+
+loadScripts(
+    'code-lifecycle.js',
+    'codes-manifest.js',
+    'code-source.js',
+    'code-registry.js',
+    'code-generator.js',
+    'rotation-scheduler.js',
+    'code-schema.js',
+    'code-manager.js'
+);
+
+// verifyManifest with the published key, wrapped below to check against a test key
+const verifyWithKey = verifyManifest;
+
+const NOW = Date.UTC(2026, 9, 19, 12, 0);
+const MINUTE = 60000;
+
+/**
+ * Manifest signed with a throwaway key, verified against that key instead of the published one
+ */
+async function publishManifest(manifest) {
+    const { subtle } = globalThis.crypto;
+    const keyPair = await subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+    const publicJwk = await subtle.exportKey('jwk', keyPair.publicKey);
+    const signed = await signManifest(manifest, await subtle.exportKey('jwk', keyPair.privateKey), 'test');
+
+    globalThis.verifyManifest = (data) => verifyWithKey(data, publicJwk);
+    globalThis.fetch = async () => ({ ok: true, status: 200, json: async () => signed });
+}
+
+function manifestEntry(code, expires) {
+    return {
+        code: code,
+        url: 'https://example.com/downloads/app.apk',
+        created: new Date(NOW - 60 * MINUTE).toISOString(),
+        expires: new Date(expires).toISOString(),
+        status: 'active'
+    };
+}
+
+test('seeding a local pool copies the manifest revocations and never reissues them', async () => {
+    localStorage.clear();
+    await publishManifest({
+        version: MANIFEST_VERSION,
+        issued: new Date(NOW).toISOString(),
+        codes: [manifestEntry('11111', NOW + 30 * 24 * 60 * MINUTE), manifestEntry('22222', NOW + 30 * 24 * 60 * MINUTE)],
+        revoked: [
+            { code: '22222', revoked: '2026-10-18T09:00:00.000Z', reason: 'leaked' },
+            { code: '33333', revoked: '2026-10-17T09:00:00.000Z', reason: 'typo' }
+        ]
+    });
+
+    let reserved = null;
+    const codeGenerator = {
+        generateMany(count, taken) {
+            reserved = taken;
+            return ['44444', '55555', '66666', '77777', '88888'].slice(0, count);
+        }
+    };
+
+    const clock = new FakeClock(NOW);
+    const registry = new CodeRegistry({ sources: [new LocalStorageCodeSource({ key: 'code_registry' })], clock: clock });
+    const manager = new CodeManager({ registry: registry, clock: clock, sync: null, codeGenerator: codeGenerator });
+    await manager.ready;
+
+    assert.deepEqual(registry.all().map(code => code.code), ['11111']);
+    assert.equal(registry.getRevocation('22222').reason, 'leaked');
+    assert.equal(registry.getRevocation('33333').revokedAt, Date.parse('2026-10-17T09:00:00.000Z'));
+
+    clock.advance(2000);
+    assert.ok(reserved.includes('22222') && reserved.includes('33333'));
+
+    // A fresh page only has localStorage and still rejects both codes
+    const reloaded = new CodeRegistry({ sources: [new LocalStorageCodeSource({ key: 'code_registry' })], clock: clock });
+    await reloaded.ready;
+    assert.equal(reloaded.validate('22222').state, 'revoked');
+    assert.equal(reloaded.validate('33333').state, 'revoked');
+    assert.equal(reloaded.validate('11111').valid, true);
+
+    manager.scheduler.stop();
+});
+
+test('rotation retires local codes but leaves manifest codes alone', async () => {
+    localStorage.clear();
+    await publishManifest({
+        version: MANIFEST_VERSION,
+        issued: new Date(NOW).toISOString(),
+        codes: [manifestEntry('11111', NOW + 10 * MINUTE)]
+    });
+
+    const clock = new FakeClock(NOW);
+    const registry = new CodeRegistry({
+        sources: [new ManifestCodeSource({ url: 'codes.json' }), new LocalStorageCodeSource({ key: 'code_registry' })],
+        clock: clock
+    });
+    const manager = new CodeManager({ registry: registry, clock: clock, sync: null });
+    await manager.ready;
+
+    registry.add({ code: '99999', expires: NOW + 10 * MINUTE, status: 'active' });
+    manager.rotateActiveCodes();
+
+    assert.equal(registry.isLocked('11111'), true);
+    assert.equal(registry.get('11111').status, 'active');
+    assert.equal(registry.get('99999').status, 'retiring');
+
+    manager.scheduler.stop();
+});
+
+test('the shipped codes.json is signed with the published key and lists no unverified codes', async () => {
+    const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'codes.json'), 'utf8'));
+
+    assert.equal(await verifyWithKey(manifest), true);
+    assert.deepEqual(manifest.codes, []);
+});
\ No newline at end of file
@@ -0,0 +1,112 @@
+/**
+ * Code pool rotation driven by a fake clock: generation, retiring, expiry and cleanup
+ *
+ * Usage:
+ *   node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, FakeClock } = require('./helpers/browser.js');
+
+loadScripts(
+    'code-lifecycle.js',
+    'codes-manifest.js',
+    'code-source.js',
+    'code-registry.js',
+    'code-generator.js',
+    'rotation-scheduler.js',
+    'code-schema.js',
+    'code-manager.js'
+);
+
+// No codes manifest is published here, the pool starts empty and is generated locally
+globalThis.fetch = async () => ({ ok: false, status: 404 });
+
+// 10:05 UTC, so the hourly rotation is 55 minutes away
+const START = Date.UTC(2026, 9, 19, 10, 5);
+const MINUTE = 60000;
+
+/**
+ * Manager and registry sharing one fake clock and a localStorage-only pool
+ */
+async function createPool() {
+    localStorage.clear();
+
+    const clock = new FakeClock(START);
+    const registry = new CodeRegistry({
+        sources: [new LocalStorageCodeSource({ key: 'code_registry' })],
+        clock: clock
+    });
+    const manager = new CodeManager({ registry: registry, clock: clock, sync: null });
+
+    await manager.ready;
+    return { clock, registry, manager };
+}
+
+test('initial codes are stamped with the injected clock', async () => {
+    const { clock, registry, manager } = await createPool();
+    assert.equal(registry.all().length, 0);
+
+    clock.advance(2000);
+
+    const codes = registry.all();
+    assert.equal(codes.length, manager.minActiveCodes);
+    codes.forEach((code, i) => {
+        assert.equal(code.generated, START + 2000 + i * MINUTE);
+        assert.equal(code.expires, START + 2000 + manager.rotationInterval + i * MINUTE);
+    });
+    assert.equal(manager.getCodeStats().expiringSoon, 0);
+
+    manager.scheduler.stop();
+});
+
+test('a code moves from draft to active, retiring and expired as the clock runs', async () => {
+    const { clock, registry, manager } = await createPool();
+    clock.advance(2000);
+
+    registry.add({ code: '424242', status: 'draft', expires: START + 60 * MINUTE });
+    assert.equal(registry.isActive(registry.get('424242')), false);
+    assert.deepEqual(manager.getInactiveCodes().map(code => code.code), ['424242']);
+
+    registry.transition('424242', 'active', { reason: 'published' });
+    assert.equal(registry.validate('424242').state, 'active');
+    assert.equal(registry.validate('424242').timeLeft, 60 * MINUTE - 2000);
+
+    // 11:00 rotation: expiring within 30 minutes, so retiring but still usable
+    clock.advance(START + 55 * MINUTE - clock.now());
+    assert.equal(registry.get('424242').status, 'retiring');
+    assert.equal(registry.validate('424242').valid, true);
+
+    // Cleanup at 11:05, when the code runs out, expires it and drops it
+    clock.advance(5 * MINUTE);
+    assert.equal(registry.get('424242'), null);
+    assert.equal(registry.validate('424242').valid, false);
+
+    const history = registry.auditLog.getEntries('424242').map(entry => [entry.from, entry.to, entry.at]);
+    assert.deepEqual(history, [
+        ['draft', 'active', START + 2000],
+        ['active', 'retiring', START + 55 * MINUTE],
+        ['retiring', 'expired', START + 60 * MINUTE]
+    ]);
+
+    // The pool was topped up from the fake clock too
+    assert.ok(manager.getActiveCodes().length >= manager.minActiveCodes);
+    assert.ok(manager.getActiveCodes().every(code => code.expires > clock.now()));
+
+    manager.scheduler.stop();
+});
+
+test('after a sleep the missed rotation catches up on the fake clock', async () => {
+    const { clock, registry, manager } = await createPool();
+    clock.advance(2000);
+
+    // Jump three hours without firing timers, as a suspended device does
+    clock.time += 3 * 60 * MINUTE;
+    manager.scheduler.tick();
+
+    assert.ok(registry.all().every(code => code.expires > clock.now()));
+    assert.equal(manager.getActiveCodes().length, manager.minActiveCodes);
+
+    manager.scheduler.stop();
+});
\ No newline at end of file
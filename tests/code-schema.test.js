@@ -0,0 +1,94 @@
+/**
+ * Code pool backups: migration from unversioned data, unknown versions and malformed entries
+ *
+ * Usage:
+ *   node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CODE_EXPORT_VERSION, CodeImportError, parseCodeExport } = require('../assets/js/code-schema.js');
+
+const GENERATED = Date.UTC(2026, 9, 19, 10, 0);
+const HOUR = 3600000;
+
+/**
+ * Valid entry at the current version, with overrides
+ */
+function entry(overrides = {}) {
+    return {
+        code: '12345',
+        url: 'https://popcornia.github.io/downloads/app.apk',
+        generated: GENERATED,
+        expires: GENERATED + HOUR,
+        status: 'active',
+        uses: 0,
+        ...overrides
+    };
+}
+
+test('an unversioned backup is migrated to the current version', () => {
+    // The old 'downloader_codes' cache: numeric codes, a used flag and no status
+    const result = parseCodeExport({
+        codes: [
+            { code: 12345, generated: GENERATED, expires: GENERATED + HOUR, used: true },
+            { code: '67890', generated: GENERATED, expires: GENERATED + HOUR, used: false, status: 'retiring' }
+        ]
+    });
+
+    assert.equal(result.migratedFrom, 'none');
+    assert.deepEqual(result.codes, [
+        { code: '12345', generated: GENERATED, expires: GENERATED + HOUR, status: 'active', uses: 1 },
+        { code: '67890', generated: GENERATED, expires: GENERATED + HOUR, status: 'retiring', uses: 0 }
+    ]);
+});
+
+test('a current backup passes through unchanged', () => {
+    const result = parseCodeExport({ version: CODE_EXPORT_VERSION, timestamp: GENERATED, codes: [entry()] });
+
+    assert.equal(result.migratedFrom, CODE_EXPORT_VERSION);
+    assert.deepEqual(result.codes, [entry()]);
+});
+
+test('a backup from an unknown version is rejected', () => {
+    assert.throws(
+        () => parseCodeExport({ version: '7.0', codes: [entry()] }),
+        { name: 'CodeImportError', message: 'Unsupported export version: 7.0' }
+    );
+});
+
+test('malformed entries are reported by index and code', () => {
+    let error = null;
+    try {
+        parseCodeExport({
+            version: CODE_EXPORT_VERSION,
+            codes: [
+                entry(),
+                entry({ code: '12ab' }),
+                entry({ code: '23456', url: '' }),
+                entry({ code: '34567', url: 'downloads/app.apk' }),
+                entry({ code: '45678', expires: GENERATED }),
+                entry({ code: '56789', status: undefined }),
+                entry()
+            ]
+        });
+    } catch (caught) {
+        error = caught;
+    }
+
+    assert.ok(error instanceof CodeImportError);
+    assert.equal(error.message, '6 invalid code entries');
+    assert.deepEqual(error.errors, [
+        { index: 1, code: '12ab', message: 'code does not match ^\\d{4,8}$' },
+        { index: 2, code: '23456', message: 'url does not match ^https?://\\S+$' },
+        { index: 3, code: '34567', message: 'url does not match ^https?://\\S+$' },
+        { index: 4, code: '45678', message: 'expires must be after generated' },
+        { index: 5, code: '56789', message: 'status is required' },
+        { index: 6, code: '12345', message: 'duplicate code' }
+    ]);
+});
+
+test('data that is not a backup object is rejected', () => {
+    assert.throws(() => parseCodeExport([entry()]), { message: 'Invalid data format' });
+    assert.throws(() => parseCodeExport({ version: CODE_EXPORT_VERSION }), { message: 'Invalid data format' });
+});
\ No newline at end of file
@@ -0,0 +1,138 @@
+/**
+ * Tabs sharing the code pool: leader election on a fake clock and snapshots between registries
+ *
+ * Usage:
+ *   node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, FakeClock } = require('./helpers/browser.js');
+
+loadScripts(
+    'code-lifecycle.js',
+    'codes-manifest.js',
+    'code-source.js',
+    'code-registry.js',
+    'code-sync.js',
+    'code-generator.js',
+    'rotation-scheduler.js',
+    'code-schema.js',
+    'code-manager.js'
+);
+
+// No codes manifest is published here, the pool starts empty and is generated locally
+globalThis.fetch = async () => ({ ok: false, status: 404 });
+
+const START = Date.UTC(2026, 9, 19, 10, 5);
+const MINUTE = 60000;
+
+/**
+ * Read-only source standing in for a published list, its codes are locked in the registry
+ */
+class PublishedCodeSource extends CodeSource {
+    async load() {
+        return [{ code: '11111', expires: START + 60 * MINUTE, status: 'active' }];
+    }
+}
+
+/**
+ * Registry of one tab, all tabs share the global localStorage
+ */
+async function openRegistry(clock, sources = [new LocalStorageCodeSource({ key: 'code_registry' })]) {
+    const registry = new CodeRegistry({ sources: sources, clock: clock });
+    await registry.ready;
+    return registry;
+}
+
+/**
+ * Resolves with the next change of the given type
+ */
+function nextChange(registry, type) {
+    return new Promise(resolve => {
+        registry.addEventListener('change', function listener(e) {
+            if (e.detail.type !== type) return;
+            registry.removeEventListener('change', listener);
+            resolve(e.detail);
+        });
+    });
+}
+
+test('a follower takes over once the leader stops renewing its lease', async (t) => {
+    localStorage.clear();
+    t.mock.method(console, 'log', () => {});
+
+    const clock = new FakeClock(START);
+    const options = { clock: clock, channelName: 'test-leader' };
+    const leader = new CodePoolSync({ ...options, tabId: 'tab-a', registry: await openRegistry(clock) });
+    const follower = new CodePoolSync({ ...options, tabId: 'tab-b', registry: await openRegistry(clock) });
+    t.after(() => { leader.resign(); follower.resign(); });
+
+    const managers = [leader, follower].map(sync => new CodeManager({ registry: sync.registry, clock: clock, sync: sync }));
+    await Promise.all(managers.map(manager => manager.ready));
+    t.after(() => managers.forEach(manager => manager.scheduler.stop()));
+
+    const generated = managers.map(manager => t.mock.method(manager, 'generateNewCodes'));
+    const changes = [];
+    follower.addEventListener('leaderchange', (e) => changes.push(e.detail));
+
+    assert.equal(leader.isLeader, true);
+    assert.equal(follower.isLeader, false);
+
+    // The heartbeat renews the lease long past its duration, and only the leader seeds the pool
+    clock.advance(leader.leaseDuration * 4);
+    assert.equal(leader.isLeader, true);
+    assert.equal(follower.isLeader, false);
+    assert.equal(generated[0].mock.callCount(), 1);
+    assert.equal(generated[1].mock.callCount(), 0);
+
+    // The leader's tab freezes: no more heartbeats and no more scheduled tasks
+    clock.clearTimeout(leader.heartbeatTimer);
+    managers[0].scheduler.stop();
+
+    clock.advance(leader.leaseDuration);
+    assert.equal(follower.isLeader, false);
+
+    clock.advance(follower.heartbeatInterval);
+    assert.equal(follower.isLeader, true);
+    assert.deepEqual(changes, [{ isLeader: true, tabId: 'tab-b' }]);
+    assert.equal(JSON.parse(localStorage.getItem(CODE_LEADER_KEY)).tabId, 'tab-b');
+
+    // The follower's own pool never received the leader's codes, so its maintain task now fills it
+    clock.advance(10 * MINUTE);
+    assert.ok(generated[1].mock.callCount() > 0);
+    assert.ok(managers[1].getActiveCodes().length >= managers[1].minActiveCodes);
+});
+
+test('a snapshot from another tab replaces local codes and keeps the locked ones', async (t) => {
+    localStorage.clear();
+
+    const clock = new FakeClock(START);
+    const sources = () => [new PublishedCodeSource(), new LocalStorageCodeSource({ key: 'code_registry' })];
+    const writer = new CodePoolSync({ clock: clock, channelName: 'test-snapshot', tabId: 'tab-a', registry: await openRegistry(clock, sources()) });
+    const reader = new CodePoolSync({ clock: clock, channelName: 'test-snapshot', tabId: 'tab-b', registry: await openRegistry(clock, sources()) });
+    t.after(() => { writer.resign(); reader.resign(); });
+
+    const posted = t.mock.method(reader.channel, 'postMessage');
+
+    const synced = nextChange(reader.registry, 'sync');
+    writer.registry.add({ code: '22222', expires: START + 30 * MINUTE, status: 'active' });
+    await synced;
+
+    assert.deepEqual(reader.registry.all().map(entry => entry.code).sort(), ['11111', '22222']);
+    assert.equal(reader.registry.get('22222').origin, 'local');
+    assert.equal(reader.registry.isLocked('11111'), true);
+
+    // Applying a synced change does not echo it back to the other tabs
+    assert.equal(posted.mock.callCount(), 0);
+
+    // A later snapshot is the other tab's whole local pool, and cannot touch locked codes
+    reader.registry.applySnapshot([
+        { code: '11111', expires: START + 5 * MINUTE, status: 'revoked' },
+        { code: '33333', expires: START + 30 * MINUTE, status: 'active' }
+    ]);
+
+    assert.deepEqual(reader.registry.all().map(entry => entry.code).sort(), ['11111', '33333']);
+    assert.equal(reader.registry.get('11111').status, 'active');
+    assert.equal(reader.registry.get('11111').expires, START + 60 * MINUTE);
+});
\ No newline at end of file
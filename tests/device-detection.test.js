@@ -0,0 +1,53 @@
+/**
+ * classifyDevice over real User-Agents, see fixtures/user-agents.json
+ *
+ * Usage:
+ *   node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser.js');
+const fixtures = require('./fixtures/user-agents.json');
+
+loadScripts('firetv-models.js', 'device-detection.js');
+
+/**
+ * Signals as collectDeviceSignals reads them, from a fixture entry
+ */
+function toSignals(device) {
+    const input = fixtures.inputs[device.input];
+    return {
+        userAgent: device.userAgent,
+        uaData: device.uaData || null,
+        media: input.media,
+        screen: { width: device.screen[0], height: device.screen[1] },
+        touchPoints: input.touchPoints
+    };
+}
+
+fixtures.devices.forEach(device => {
+    test(device.name, () => {
+        const result = classifyDevice(toSignals(device));
+
+        assert.equal(result.deviceType, device.expected.deviceType);
+        assert.equal(result.model, device.expected.model);
+        assert.equal(result.fireTVModel ? result.fireTVModel.name : null, device.expected.fireTVModel);
+        assert.ok(result.confidence >= 0 && result.confidence <= 1);
+    });
+});
+
+test('confidence is the margin over the runner-up', () => {
+    const result = classifyDevice(toSignals(fixtures.devices.find(device => device.input === 'touch')));
+    const [top, second] = Object.values(result.scores).sort((a, b) => b - a);
+
+    assert.equal(result.confidence, Math.round((top - second) * 100) / 100);
+});
+
+test('a tie between TV and tablet evidence goes to the tablet with no confidence', () => {
+    const result = classifyDevice(toSignals(fixtures.devices.find(device => device.name === 'Android tablet, User-Agent only')));
+
+    assert.equal(result.scores.tv, result.scores.tablet);
+    assert.equal(result.isTV, false);
+    assert.equal(result.confidence, 0);
+});
\ No newline at end of file
@@ -0,0 +1,68 @@
+/**
+ * DownloaderResolver against the local resolver stand-in
+ *
+ * Usage:
+ *   node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createResolverServer } = require('../tools/resolver-stub-server.js');
+const { DownloaderResolver } = require('../assets/js/downloader-resolver.js');
+
+const APK_URL = 'https://example.com/downloads/popcornia.apk';
+
+/**
+ * Start a stand-in on a free port and return a resolver pointed at it
+ */
+async function startResolver(t, options = {}) {
+    const server = createResolverServer(options);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+
+    return new DownloaderResolver({ baseUrl: `http://127.0.0.1:${server.address().port}/`, timeout: options.timeout || 2000 });
+}
+
+test('an empty baseUrl leaves the resolver unconfigured', async () => {
+    const resolver = new DownloaderResolver({ baseUrl: '' });
+    const result = await resolver.resolve(APK_URL);
+
+    assert.equal(resolver.configured, false);
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Resolver endpoint not configured');
+});
+
+test('registering a URL returns a code that looks up to the same URL', async (t) => {
+    const resolver = await startResolver(t);
+
+    const resolved = await resolver.resolve(APK_URL);
+    assert.equal(resolved.success, true);
+    assert.match(resolved.code, /^\d{4,8}$/);
+    assert.equal(resolved.url, APK_URL);
+    assert.ok(resolved.expires > Date.now());
+
+    const again = await resolver.resolve(APK_URL);
+    assert.equal(again.code, resolved.code);
+
+    const lookup = await resolver.lookup(resolved.code);
+    assert.equal(lookup.success, true);
+    assert.equal(lookup.url, APK_URL);
+});
+
+test('unknown codes and server errors come back as failures', async (t) => {
+    const resolver = await startResolver(t);
+    const lookup = await resolver.lookup('99999999');
+    assert.deepEqual(lookup, { success: false, error: 'Resolver responded with 404', method: 'resolver' });
+
+    const failing = await startResolver(t, { fail: true });
+    const resolved = await failing.resolve(APK_URL);
+    assert.deepEqual(resolved, { success: false, error: 'Resolver responded with 503', method: 'resolver' });
+});
+
+test('a slow resolver times out', async (t) => {
+    const resolver = await startResolver(t, { delay: 500, timeout: 100 });
+    const result = await resolver.resolve(APK_URL);
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Resolver request timed out');
+});
\ No newline at end of file
@@ -0,0 +1,110 @@
+/**
+ * Minimal browser globals for running the page modules under Node
+ * Modules are loaded like <script> tags, so their top-level declarations become globals
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ASSETS = path.join(__dirname, '..', '..', 'assets', 'js');
+
+/**
+ * localStorage backed by a Map
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+/**
+ * Install window, document and localStorage; pages without the elements a module looks for
+ */
+function installBrowserGlobals() {
+    globalThis.window = globalThis;
+    globalThis.localStorage = new MemoryStorage();
+    globalThis.sessionStorage = new MemoryStorage();
+    globalThis.document = {
+        addEventListener() {},
+        removeEventListener() {},
+        getElementById: () => null,
+        querySelector: () => null,
+        querySelectorAll: () => []
+    };
+}
+
+/**
+ * Run files from assets/js in order, as a page does
+ */
+function loadScripts(...names) {
+    if (!globalThis.window) installBrowserGlobals();
+
+    names.forEach(name => {
+        const file = path.join(ASSETS, name);
+        vm.runInThisContext(fs.readFileSync(file, 'utf8'), { filename: file });
+    });
+}
+
+/**
+ * Clock for RotationScheduler, CodeRegistry and CodeManager that only moves when told to
+ */
+class FakeClock {
+    constructor(now) {
+        this.time = now;
+        this.timers = [];
+        this.nextId = 1;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    setTimeout(callback, delay) {
+        const timer = { id: this.nextId++, at: this.time + Math.max(0, delay), callback: callback };
+        this.timers.push(timer);
+        return timer.id;
+    }
+
+    clearTimeout(id) {
+        this.timers = this.timers.filter(timer => timer.id !== id);
+    }
+
+    /**
+     * Move time forward, firing timers in order as their time comes
+     */
+    advance(ms) {
+        const end = this.time + ms;
+
+        for (;;) {
+            const due = this.timers
+                .filter(timer => timer.at <= end)
+                .sort((a, b) => a.at - b.at || a.id - b.id)[0];
+            if (!due) break;
+
+            this.clearTimeout(due.id);
+            this.time = due.at;
+            due.callback();
+        }
+
+        this.time = end;
+    }
+}
+
+module.exports = { installBrowserGlobals, loadScripts, MemoryStorage, FakeClock };
\ No newline at end of file
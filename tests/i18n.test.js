@@ -0,0 +1,93 @@
+/**
+ * Language switching without localStorage, and catalogs covering the static page copy
+ *
+ * Usage:
+ *   node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadScripts, MemoryStorage } = require('./helpers/browser.js');
+
+loadScripts('i18n.js', 'locales/it.js', 'locales/en.js', 'locales/es.js');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Page at a URL whose location.replace calls are recorded instead of followed
+ */
+function openPage(href) {
+    const url = new URL(href);
+    const replaced = [];
+    globalThis.window.location = {
+        href: url.href,
+        search: url.search,
+        origin: url.origin,
+        replace: (target) => replaced.push(target)
+    };
+    return replaced;
+}
+
+/**
+ * Link stand-in for keepLocaleInLinks
+ */
+function link(href) {
+    const attributes = { href: href };
+    return {
+        getAttribute: (name) => attributes[name],
+        setAttribute: (name, value) => { attributes[name] = value; }
+    };
+}
+
+test('a stored choice reloads without ?lang=', () => {
+    globalThis.localStorage = new MemoryStorage();
+    const replaced = openPage('https://popcornia.example/get-code.html?lang=it#codes');
+
+    new I18n({ locale: 'it' }).setLocale('es');
+
+    assert.equal(localStorage.getItem('locale'), 'es');
+    assert.deepEqual(replaced, ['https://popcornia.example/get-code.html#codes']);
+});
+
+test('without localStorage the choice is carried by ?lang=', (t) => {
+    globalThis.localStorage = {
+        getItem() { throw new Error('SecurityError'); },
+        setItem() { throw new Error('SecurityError'); }
+    };
+    t.mock.method(console, 'warn', () => {});
+    const replaced = openPage('https://popcornia.example/get-code.html?lang=it#codes');
+
+    new I18n({ locale: 'it' }).setLocale('es');
+    assert.deepEqual(replaced, ['https://popcornia.example/get-code.html?lang=es#codes']);
+
+    // The next page keeps the language through its links
+    openPage('https://popcornia.example/get-code.html?lang=es');
+    const links = [link('index.html'), link('instructions.html#faq'), link('https://example.com/app.html')];
+    new I18n().keepLocaleInLinks({ querySelectorAll: () => links });
+
+    assert.deepEqual(links.map(item => item.getAttribute('href')), [
+        'index.html?lang=es',
+        'instructions.html?lang=es#faq',
+        'https://example.com/app.html'
+    ]);
+});
+
+test('every data-i18n key of the pages has a message in each language', () => {
+    const pages = fs.readdirSync(ROOT).filter(name => name.endsWith('.html'));
+    assert.ok(pages.length > 0);
+
+    pages.forEach(page => {
+        const html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+        const keys = [...html.matchAll(/data-i18n="([^"]+)"/g)].map(match => match[1]);
+        [...html.matchAll(/data-i18n-attr="([^"]+)"/g)].forEach(match => {
+            match[1].split(';').forEach(pair => keys.push(pair.split(':')[1].trim()));
+        });
+
+        Object.keys(I18N_LOCALES).forEach(locale => {
+            const missing = keys.filter(key => !(key in I18N_CATALOGS[locale]));
+            assert.deepEqual(missing, [], `${page} in ${locale}`);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,104 @@
+/**
+ * Mirror failover tracking broken files per URL, without taking down the rest of their host
+ *
+ * Usage:
+ *   node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser.js');
+
+loadScripts(
+    'i18n.js',
+    'locales/en.js',
+    'code-lifecycle.js',
+    'codes-manifest.js',
+    'code-source.js',
+    'code-registry.js',
+    'mirror-selector.js',
+    'downloader-integration.js'
+);
+
+window.location = { href: 'https://popcornia.example/firestick.html', origin: 'https://popcornia.example' };
+
+// Every host answers its probe
+globalThis.fetch = async () => ({ ok: true, status: 200, type: 'basic' });
+
+const BROKEN = 'https://popcornia.example/downloads/popcornia-2.3.0.apk';
+const HEALTHY = 'https://popcornia.example/downloads/popcornia-2.4.0.apk';
+
+/**
+ * Health checker that only finds the broken file unhealthy
+ */
+const healthChecker = {
+    async check(url) {
+        return url === BROKEN
+            ? { url: url, status: 'unhealthy', error: 'Target responded with 404' }
+            : { url: url, status: 'healthy', error: null };
+    }
+};
+
+test('a failed URL is skipped while its host and other files on it stay available', async (t) => {
+    const selector = new MirrorSelector();
+    selector.markFailed('/downloads/popcornia-2.3.0.apk');
+
+    assert.equal(selector.isAvailable(BROKEN), false);
+    assert.equal(selector.isAvailable(HEALTHY), true);
+
+    const ranked = await selector.rank([
+        { id: 'broken', url: BROKEN },
+        { id: 'healthy', url: HEALTHY }
+    ]);
+    assert.deepEqual(ranked.map(mirror => [mirror.id, mirror.available]), [['healthy', true], ['broken', false]]);
+
+    // The failure is forgotten after cacheTtl, like a probe result
+    const later = Date.now() + selector.cacheTtl;
+    t.mock.method(Date, 'now', () => later);
+    assert.equal(selector.isAvailable(BROKEN), true);
+});
+
+test('one unhealthy code does not hide the codes and mirrors sharing its origin', async (t) => {
+    localStorage.clear();
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(DownloaderIntegration.prototype, 'setupPeriodicRefresh', () => {});
+
+    const registry = new CodeRegistry({ sources: [new LocalStorageCodeSource({ key: 'code_registry' })] });
+    const resolved = [];
+    const integration = new DownloaderIntegration({
+        registry: registry,
+        healthChecker: healthChecker,
+        mirrorSelector: new MirrorSelector(),
+        apkUrl: BROKEN,
+        resolver: {
+            configured: true,
+            async resolve(url) {
+                resolved.push(url);
+                return { success: true, code: '4242', expires: Date.now() + 3600000, method: 'resolver' };
+            }
+        }
+    });
+    await integration.ready;
+
+    const expires = Date.now() + 3600000;
+    registry.add([
+        { code: '1111', url: BROKEN, expires: expires, status: 'active' },
+        { code: '2222', url: HEALTHY, expires: expires, status: 'active' }
+    ]);
+
+    // The broken file is never registered and is remembered as failed
+    const failed = await integration.resolveCode();
+    assert.equal(failed.success, false);
+    assert.deepEqual(resolved, []);
+
+    // Codes for other files on the same origin are still handed out, the broken one is not
+    assert.equal(integration.getPreGeneratedCode(), '2222');
+    assert.equal(integration.getPreGeneratedCode(), '2222');
+
+    // and another file on that origin still resolves
+    integration.apkUrl = HEALTHY;
+    const result = await integration.resolveCode();
+    assert.equal(result.success, true);
+    assert.equal(result.code, '4242');
+    assert.deepEqual(resolved, [HEALTHY]);
+});
\ No newline at end of file
@@ -0,0 +1,92 @@
+/**
+ * Release catalog parsing and the local file check against published hashes
+ *
+ * Usage:
+ *   node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('fs');
+const path = require('path');
+const { ReleaseCatalog, parseReleaseCatalog, getReleaseChangelog, sha256Hex } = require('../assets/js/release-catalog.js');
+
+const BASE_URL = 'https://popcornia.example/';
+
+// Stands in for an APK: any bytes work, the check only compares hashes
+const BLOB = new Blob([Buffer.from('PK\u0003\u0004 popcornia test build')]);
+
+/**
+ * Catalog publishing one release whose universal APK has the given hash and size
+ */
+function catalogFor(sha256, size) {
+    return new ReleaseCatalog({
+        baseUrl: BASE_URL,
+        releases: {
+            version: 1,
+            releases: [{
+                version: '2.4.0',
+                versionCode: 240,
+                channel: 'stable',
+                releaseDate: '2026-10-01',
+                apks: [{ abi: 'universal', url: 'downloads/popcornia-2.4.0.apk', size: size, sha256: sha256 }]
+            }]
+        }
+    });
+}
+
+test('sha256Hex matches the published SHA-256 test vector and node:crypto', async () => {
+    assert.equal(
+        await sha256Hex(new TextEncoder().encode('abc')),
+        'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+    );
+
+    const bytes = Buffer.from(await BLOB.arrayBuffer());
+    assert.equal(await sha256Hex(BLOB), crypto.createHash('sha256').update(bytes).digest('hex'));
+});
+
+test('a file hashed in the browser is found by findByHash', async () => {
+    const bytes = Buffer.from(await BLOB.arrayBuffer());
+    const published = crypto.createHash('sha256').update(bytes).digest('hex').toUpperCase();
+    const catalog = catalogFor(published, BLOB.size);
+    await catalog.ready;
+
+    const match = catalog.findByHash(await sha256Hex(BLOB));
+    assert.ok(match);
+    assert.equal(match.release.version, '2.4.0');
+    assert.equal(match.apk.abi, 'universal');
+    assert.equal(match.apk.url, `${BASE_URL}downloads/popcornia-2.4.0.apk`);
+
+    const tampered = new Blob([bytes, Buffer.from([0])]);
+    assert.equal(catalog.findByHash(await sha256Hex(tampered)), null);
+});
+
+test('the shipped releases.json parses and publishes no unverified builds', () => {
+    const data = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'releases.json'), 'utf8'));
+    const releases = parseReleaseCatalog(data, BASE_URL);
+
+    // Every published APK must be a file in downloads/ with that size and hash
+    releases.forEach(release => release.apks.forEach(apk => {
+        const file = path.join(__dirname, '..', new URL(apk.url).pathname);
+        const bytes = fs.readFileSync(file);
+        assert.equal(bytes.length, apk.size, `${release.version} ${apk.abi} size`);
+        assert.equal(crypto.createHash('sha256').update(bytes).digest('hex'), apk.sha256, `${release.version} ${apk.abi} sha256`);
+    }));
+});
+
+test('a changelog per language falls back to the Italian list', () => {
+    const [release] = parseReleaseCatalog({
+        version: 1,
+        releases: [{
+            version: '2.4.0',
+            versionCode: 240,
+            channel: 'stable',
+            changelog: { it: ['Nuovo lettore'], en: ['New player'] },
+            apks: [{ abi: 'universal', url: 'downloads/popcornia-2.4.0.apk', size: 1, sha256: 'a'.repeat(64) }]
+        }]
+    }, BASE_URL);
+
+    assert.deepEqual(getReleaseChangelog(release, 'en'), ['New player']);
+    assert.deepEqual(getReleaseChangelog(release, 'es'), ['Nuovo lettore']);
+});
\ No newline at end of file
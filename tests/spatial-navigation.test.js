@@ -0,0 +1,53 @@
+/**
+ * Spatial navigation over synthetic layouts, see fixtures/spatial-layouts.json
+ *
+ * Usage:
+ *   node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findNearestInDirection, toNavRect } = require('../assets/js/spatial-navigation.js');
+const { layouts } = require('./fixtures/spatial-layouts.json');
+
+/**
+ * Candidates for a move as SpatialNavigator.move builds them: every other element,
+ * only the ones inside the trap when focus is in an open modal
+ */
+function getCandidates(layout, from) {
+    const trap = layout.trap || [];
+
+    return Object.keys(layout.elements)
+        .filter(id => id !== from && (!trap.includes(from) || trap.includes(id)))
+        .map(id => ({ id: id, rect: layout.elements[id] }));
+}
+
+test('toNavRect reads DOMRects and { x, y, width, height } boxes alike', () => {
+    const expected = { left: 10, top: 20, right: 110, bottom: 70 };
+
+    assert.deepEqual(toNavRect({ x: 10, y: 20, width: 100, height: 50 }), expected);
+    assert.deepEqual(toNavRect({ left: 10, top: 20, width: 100, height: 50 }), expected);
+    assert.deepEqual(toNavRect({ x: 10, y: 20, width: 100, height: 50, left: 10, top: 20, right: 110, bottom: 70 }), expected);
+});
+
+layouts.forEach(layout => {
+    test(layout.name, () => {
+        layout.moves.forEach(move => {
+            const nearest = findNearestInDirection(layout.elements[move.from], getCandidates(layout, move.from), move.direction, { inBeam: move.inBeam });
+            const label = `${move.from} ${move.direction}${move.inBeam ? ' (in beam)' : ''}`;
+
+            assert.equal(nearest ? nearest.id : null, move.to, label);
+        });
+    });
+});
+
+test('on a tie the first candidate wins', () => {
+    const candidates = [
+        { id: 'upper', rect: { x: 100, y: 0, width: 50, height: 50 } },
+        { id: 'lower', rect: { x: 100, y: 100, width: 50, height: 50 } }
+    ];
+    const from = { x: 0, y: 50, width: 50, height: 50 };
+
+    assert.equal(findNearestInDirection(from, candidates, 'right').id, 'upper');
+    assert.equal(findNearestInDirection(from, candidates.slice().reverse(), 'right').id, 'lower');
+});
\ No newline at end of file
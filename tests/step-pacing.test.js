@@ -0,0 +1,129 @@
+/**
+ * Step timers on a fake clock: pausing keeps the time left, and the pacing defaults per device
+ *
+ * Usage:
+ *   node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, FakeClock } = require('./helpers/browser.js');
+
+loadScripts('step-pacing.js');
+
+const START = Date.UTC(2026, 9, 19, 10, 5);
+
+/**
+ * Pacer on a fresh storage, on a TV or not
+ */
+function createPacer(t, isTV, clock = new FakeClock(START)) {
+    localStorage.clear();
+    globalThis.deviceDetector = { isTV: () => isTV };
+    t.after(() => { delete globalThis.deviceDetector; });
+    return new StepPacer({ clock: clock });
+}
+
+test('a paused timer keeps its remaining time and ticks on whole seconds after resuming', () => {
+    const clock = new FakeClock(START);
+    const ticks = [];
+    let firedAt = null;
+    const timer = new PacedTimer(() => { firedAt = clock.now(); }, 5000, { clock: clock, onTick: left => ticks.push(left) });
+
+    timer.run();
+    clock.advance(1500);
+    assert.deepEqual(ticks, [4000]);
+
+    timer.pause();
+    assert.equal(timer.remaining, 3500);
+
+    // Nothing moves while paused, however long it lasts
+    clock.advance(60000);
+    assert.deepEqual(ticks, [4000]);
+    assert.equal(firedAt, null);
+
+    timer.resume();
+    clock.advance(500);
+    assert.deepEqual(ticks, [4000, 3000]);
+
+    clock.advance(3000);
+    assert.deepEqual(ticks, [4000, 3000, 2000, 1000, 0]);
+    assert.equal(firedAt, START + 1500 + 60000 + 3500);
+    assert.equal(timer.done, true);
+});
+
+test('a cancelled timer never fires and resume does not restart it', () => {
+    const clock = new FakeClock(START);
+    let fired = false;
+    const timer = new PacedTimer(() => { fired = true; }, 2000, { clock: clock });
+
+    timer.run();
+    timer.pause();
+    timer.cancel();
+    timer.resume();
+    clock.advance(5000);
+
+    assert.equal(fired, false);
+    assert.equal(timer.done, true);
+});
+
+test('timers stay paused until every hold is released', (t) => {
+    const clock = new FakeClock(START);
+    const pacer = createPacer(t, false, clock);
+    let fired = 0;
+
+    pacer.hold('hover');
+    const timer = pacer.start(() => fired++, 3000);
+    assert.equal(timer.paused, true);
+
+    clock.advance(10000);
+    pacer.hold('focus');
+    pacer.release('hover');
+    clock.advance(10000);
+    assert.equal(fired, 0);
+    assert.equal(timer.remaining, 3000);
+
+    pacer.release('focus');
+    clock.advance(2999);
+    assert.equal(fired, 0);
+    clock.advance(1);
+    assert.equal(fired, 1);
+    assert.equal(pacer.timers.size, 0);
+});
+
+test('TVs default to the Next button, other devices to automatic steps that keep the code', (t) => {
+    const tv = createPacer(t, true);
+    assert.deepEqual(tv.preferences, { mode: 'manual', keepCode: true });
+    assert.equal(tv.advancesAutomatically(), false);
+    assert.equal(tv.advancesAutomatically('code'), false);
+
+    const phone = createPacer(t, false);
+    assert.deepEqual(phone.preferences, { mode: 'auto', keepCode: true });
+    assert.equal(phone.advancesAutomatically(), true);
+    assert.equal(phone.advancesAutomatically('code'), false);
+
+    // Letting the code go makes the code step move on by itself too
+    phone.setPreferences({ keepCode: false });
+    assert.equal(phone.advancesAutomatically('code'), true);
+});
+
+test('a saved preference wins over the device default and invalid values fall back to it', (t) => {
+    const pacer = createPacer(t, true);
+    const changes = [];
+    pacer.onChange(preferences => changes.push(preferences));
+
+    pacer.setPreferences({ mode: 'auto' });
+    assert.deepEqual(JSON.parse(localStorage.getItem(STEP_PACING_KEY)), { mode: 'auto', keepCode: true });
+    assert.deepEqual(changes, [{ mode: 'auto', keepCode: true }]);
+
+    // The same preference again is not a change
+    pacer.setPreferences({ mode: 'auto', keepCode: true });
+    assert.equal(changes.length, 1);
+
+    assert.deepEqual(new StepPacer().preferences, { mode: 'auto', keepCode: true });
+
+    localStorage.setItem(STEP_PACING_KEY, JSON.stringify({ mode: 'fast', keepCode: 'yes' }));
+    assert.deepEqual(new StepPacer().preferences, { mode: 'manual', keepCode: true });
+
+    localStorage.setItem(STEP_PACING_KEY, '{not json');
+    assert.deepEqual(new StepPacer().preferences, { mode: 'manual', keepCode: true });
+});
\ No newline at end of file
@@ -0,0 +1,404 @@
+#!/usr/bin/env node
+/**
+ * Codes manifest command-line tool
+ *
+ * Works on the same {code, generated, expires, status, uses} model as
+ * CodeManager and re-signs codes.json after every change.
+ *
+ * Usage:
+ *   node tools/codes-cli.js list [--json] [--all]
+ *   node tools/codes-cli.js create <code...> [--url <apk url> | --release <version> [--abi <abi>]] [--ttl 30d] [--draft]
+ *   node tools/codes-cli.js create --resolve [--resolver-url <url>] [--url <apk url> | --release <version>] [--ttl 30d] [--draft]
+ *   node tools/codes-cli.js activate <code...>
+ *   node tools/codes-cli.js expire <code...>
+ *   node tools/codes-cli.js retire <code...>
+ *   node tools/codes-cli.js revoke <code...> [--reason <text>]
+ *   node tools/codes-cli.js export [file]
+ *   node tools/codes-cli.js import <file> [--replace]
+ *   node tools/codes-cli.js check [--hash] [--all]
+ *   node tools/codes-cli.js sign
+ *
+ * Options:
+ *   --manifest <path>   Manifest to edit (default: codes.json in the repository root)
+ *   --releases <path>   Release catalog for --release (default: releases.json in the repository root)
+ *
+ * Environment:
+ *   CODES_SIGNING_KEY      Path to the private JWK used to sign the manifest
+ *   CODES_SIGNING_KEY_ID   Key id recorded in the signature block
+ *   CODES_RESOLVER_URL     Resolver base URL for create --resolve
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    MANIFEST_VERSION,
+    signManifest,
+    manifestEntryToCode,
+    codeToManifestEntry
+} = require('../assets/js/codes-manifest.js');
+const { DownloaderResolver } = require('../assets/js/downloader-resolver.js');
+const { CODE_EXPORT_VERSION, parseCodeExport } = require('../assets/js/code-schema.js');
+const { CodeLifecycleError, assertTransition, getCodeState } = require('../assets/js/code-lifecycle.js');
+const { TargetHealthChecker } = require('../assets/js/target-health.js');
+const { ReleaseCatalog } = require('../assets/js/release-catalog.js');
+const { loadSigningKey } = require('./sign-codes-manifest.js');
+
+const DEFAULT_MANIFEST = path.join(__dirname, '..', 'codes.json');
+const DEFAULT_RELEASES = path.join(__dirname, '..', 'releases.json');
+const SITE_URL = 'https://popcornia.github.io/';
+const DEFAULT_APK_URL = 'https://popcornia.github.io/downloads/app.apk';
+const DEFAULT_TTL = '30d';
+const CODE_PATTERN = /^\d{4,8}$/;
+
+class CliError extends Error {}
+
+/**
+ * Split argv into positional arguments and --flags
+ */
+function parseArgs(argv) {
+    const args = { _: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg.startsWith('--')) {
+            const name = arg.slice(2);
+            const next = argv[i + 1];
+            if (next !== undefined && !next.startsWith('--') && !['json', 'all', 'replace', 'resolve', 'draft', 'hash'].includes(name)) {
+                args[name] = next;
+                i++;
+            } else {
+                args[name] = true;
+            }
+        } else {
+            args._.push(arg);
+        }
+    }
+
+    return args;
+}
+
+/**
+ * Parse durations such as 90m, 12h or 30d into milliseconds
+ */
+function parseDuration(value) {
+    const match = String(value).match(/^(\d+)([mhd])$/);
+
+    if (!match) {
+        throw new CliError(`Invalid duration "${value}", use e.g. 90m, 12h or 30d`);
+    }
+
+    const units = { m: 60000, h: 3600000, d: 86400000 };
+    return parseInt(match[1], 10) * units[match[2]];
+}
+
+/**
+ * Load the manifest and return its codes in CodeManager shape
+ */
+function loadManifest(manifestPath) {
+    if (!fs.existsSync(manifestPath)) {
+        return { manifest: { version: MANIFEST_VERSION, codes: [] }, codes: [] };
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    return { manifest, codes: manifest.codes.map(manifestEntryToCode) };
+}
+
+/**
+ * Sign and write the manifest with the given codes
+ */
+async function saveManifest(manifestPath, manifest, codes) {
+    const { signature, ...rest } = manifest;
+    const keyId = process.env.CODES_SIGNING_KEY_ID || (signature && signature.keyId) || 'codes';
+    const updated = {
+        ...rest,
+        version: MANIFEST_VERSION,
+        issued: new Date().toISOString(),
+        codes: codes.map(code => codeToManifestEntry(code, DEFAULT_APK_URL))
+    };
+
+    const signed = await signManifest(updated, loadSigningKey(), keyId);
+    fs.writeFileSync(manifestPath, `${JSON.stringify(signed, null, 4)}\n`);
+}
+
+/**
+ * APK target for new codes: a catalog release when --release is given, else --url
+ * Release targets carry the size, hash and version of the build
+ */
+function resolveTarget(args) {
+    if (!args.release) {
+        return { url: args.url || DEFAULT_APK_URL };
+    }
+
+    const catalogPath = path.resolve(args.releases || DEFAULT_RELEASES);
+    const catalog = new ReleaseCatalog({
+        baseUrl: SITE_URL,
+        releases: JSON.parse(fs.readFileSync(catalogPath, 'utf8'))
+    });
+    const release = catalog.get(args.release);
+
+    if (!release) {
+        throw new CliError(`Release ${args.release} is not in ${catalogPath}`);
+    }
+
+    const apk = catalog.getApk(release, args.abi);
+    return { url: apk.url, size: apk.size, sha256: apk.sha256, release: release.version };
+}
+
+/**
+ * Move codes to another lifecycle state, failing on transitions the lifecycle forbids
+ */
+function transitionCodes(codes, values, to) {
+    const now = Date.now();
+    const found = findCodes(codes, values);
+
+    found.forEach(code => {
+        const state = getCodeState(code, now);
+        if (state === to) return;
+
+        try {
+            assertTransition(code.code, state, to);
+        } catch (error) {
+            if (error instanceof CodeLifecycleError) throw new CliError(error.message);
+            throw error;
+        }
+    });
+
+    found.forEach(code => {
+        code.status = to;
+    });
+    return found;
+}
+
+/**
+ * Find codes by value, failing on unknown ones
+ */
+function findCodes(codes, values) {
+    if (values.length === 0) {
+        throw new CliError('Specify at least one code');
+    }
+
+    return values.map(value => {
+        const code = codes.find(c => c.code === value);
+        if (!code) {
+            throw new CliError(`Code ${value} is not in the manifest`);
+        }
+        return code;
+    });
+}
+
+function formatDate(timestamp) {
+    return new Date(timestamp).toISOString().replace('T', ' ').slice(0, 16);
+}
+
+const commands = {
+    list(codes, args) {
+        const now = Date.now();
+        const visible = args.all ? codes : codes.filter(code => code.expires > now);
+
+        if (args.json) {
+            console.log(JSON.stringify(visible, null, 2));
+            return false;
+        }
+
+        if (visible.length === 0) {
+            console.log('No codes');
+            return false;
+        }
+
+        console.log('CODE      STATUS     CREATED           EXPIRES           URL');
+        visible.forEach(code => {
+            const status = getCodeState(code, now);
+            console.log(`${code.code.padEnd(9)} ${status.padEnd(10)} ${formatDate(code.generated)}  ${formatDate(code.expires)}  ${code.url || ''}`);
+        });
+        return false;
+    },
+
+    async create(codes, args) {
+        const now = Date.now();
+        const ttl = parseDuration(args.ttl || DEFAULT_TTL);
+        const target = resolveTarget(args);
+        let values = args._;
+
+        if (args.resolve) {
+            const resolver = new DownloaderResolver({ baseUrl: args['resolver-url'] || process.env.CODES_RESOLVER_URL });
+            const result = await resolver.resolve(target.url);
+
+            if (!result.success) {
+                throw new CliError(`Resolver failed: ${result.error}`);
+            }
+            values = [result.code];
+        }
+
+        if (values.length === 0) {
+            throw new CliError('Specify the Downloader code(s) to publish, or use --resolve');
+        }
+
+        values.forEach(value => {
+            if (!CODE_PATTERN.test(value)) {
+                throw new CliError(`"${value}" is not a valid Downloader code`);
+            }
+            if (codes.some(code => code.code === value)) {
+                throw new CliError(`Code ${value} is already in the manifest`);
+            }
+
+            const status = args.draft ? 'draft' : 'active';
+            codes.push({ code: value, ...target, generated: now, expires: now + ttl, status: status, uses: 0 });
+            console.log(`Created ${value} (${status}) -> ${target.url}, expires ${formatDate(now + ttl)}`);
+        });
+        return true;
+    },
+
+    activate(codes, args) {
+        transitionCodes(codes, args._, 'active').forEach(code => {
+            console.log(`Activated ${code.code}`);
+        });
+        return true;
+    },
+
+    expire(codes, args) {
+        const now = Date.now();
+        transitionCodes(codes, args._, 'expired').forEach(code => {
+            code.expires = Math.min(code.expires, now);
+            console.log(`Expired ${code.code}`);
+        });
+        return true;
+    },
+
+    retire(codes, args) {
+        transitionCodes(codes, args._, 'retiring').forEach(code => {
+            console.log(`Retiring ${code.code}`);
+        });
+        return true;
+    },
+
+    revoke(codes, args, manifest) {
+        // Codes handed out outside the manifest can be blocklisted too
+        const known = args._.filter(value => codes.some(code => code.code === value));
+        const unknown = args._.filter(value => !known.includes(value));
+
+        unknown.forEach(value => {
+            if (!CODE_PATTERN.test(value)) {
+                throw new CliError(`"${value}" is not a valid Downloader code`);
+            }
+        });
+        if (args._.length === 0) {
+            throw new CliError('Specify at least one code');
+        }
+
+        if (known.length > 0) {
+            transitionCodes(codes, known, 'revoked');
+        }
+
+        const revoked = (manifest.revoked || []).filter(entry => !args._.includes(String(entry.code)));
+        args._.forEach(value => {
+            revoked.push({
+                code: value,
+                revoked: new Date().toISOString(),
+                reason: typeof args.reason === 'string' ? args.reason : null
+            });
+            console.log(`Revoked ${value}${known.includes(value) ? '' : ' (not in the manifest, blocklisted)'}`);
+        });
+
+        manifest.revoked = revoked;
+        return true;
+    },
+
+    export(codes, args) {
+        // Same shape as CodeManager.exportCodes()
+        const exportData = JSON.stringify({ codes: codes, timestamp: Date.now(), version: CODE_EXPORT_VERSION }, null, 2);
+
+        if (args._[0]) {
+            fs.writeFileSync(args._[0], exportData);
+            console.log(`Exported ${codes.length} codes to ${args._[0]}`);
+        } else {
+            console.log(exportData);
+        }
+        return false;
+    },
+
+    import(codes, args) {
+        if (!args._[0]) {
+            throw new CliError('Specify the file exported by CodeManager.exportCodes()');
+        }
+
+        let importData;
+        try {
+            importData = parseCodeExport(JSON.parse(fs.readFileSync(args._[0], 'utf8')));
+        } catch (error) {
+            (error.errors || []).forEach(entryError => {
+                const where = entryError.index === null ? '' : `entry ${entryError.index}${entryError.code ? ` (${entryError.code})` : ''}: `;
+                console.error(`  ${where}${entryError.message}`);
+            });
+            throw new CliError(error.message);
+        }
+
+        if (args.replace) {
+            codes.length = 0;
+        }
+
+        importData.codes.forEach(imported => {
+            const index = codes.findIndex(code => code.code === imported.code);
+            if (index >= 0) {
+                codes[index] = { ...codes[index], ...imported };
+            } else {
+                codes.push(imported);
+            }
+        });
+
+        const migrated = importData.migratedFrom !== CODE_EXPORT_VERSION ? `, migrated from ${importData.migratedFrom}` : '';
+        console.log(`Imported ${importData.codes.length} codes${args.replace ? ' (replaced pool)' : ''}${migrated}`);
+        return true;
+    },
+
+    async check(codes, args) {
+        const now = Date.now();
+        const checker = new TargetHealthChecker({ verifyHash: Boolean(args.hash) });
+        const visible = args.all ? codes : codes.filter(code => getCodeState(code, now) !== 'expired');
+        let unhealthy = 0;
+
+        for (const code of visible) {
+            const url = code.url || DEFAULT_APK_URL;
+            const health = await checker.check(url, { size: code.size, sha256: code.sha256 });
+
+            if (health.status === 'unhealthy') unhealthy++;
+            console.log(`${code.code.padEnd(9)} ${health.status.padEnd(10)} ${url}${health.error ? `  (${health.error})` : ''}`);
+        }
+
+        if (unhealthy > 0) {
+            throw new CliError(`${unhealthy} code(s) point at a broken target`);
+        }
+        return false;
+    },
+
+    sign() {
+        return true;
+    }
+};
+
+async function main(argv) {
+    const [command, ...rest] = argv;
+    const args = parseArgs(rest);
+
+    if (!commands[command]) {
+        throw new CliError(`Unknown command "${command || ''}". Commands: ${Object.keys(commands).join(', ')}`);
+    }
+
+    const manifestPath = args.manifest || DEFAULT_MANIFEST;
+    const { manifest, codes } = loadManifest(manifestPath);
+    const changed = await commands[command](codes, args, manifest);
+
+    if (changed) {
+        await saveManifest(manifestPath, manifest, codes);
+        console.log(`Signed and wrote ${codes.length} codes to ${manifestPath}`);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { main, parseArgs, parseDuration };
\ No newline at end of file
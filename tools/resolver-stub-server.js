@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for the Downloader short-code resolver
+ *
+ * Implements the API used by assets/js/downloader-resolver.js:
+ *   POST /codes        { url }  -> 201 { code, url, expires }
+ *   GET  /codes/:code           -> 200 { code, url, expires }
+ *
+ * Usage:
+ *   node tools/resolver-stub-server.js [--port 8787] [--fail] [--delay ms]
+ *
+ * --fail answers every registration with 503 so failure states can be exercised.
+ */
+
+const http = require('http');
+
+const CODE_LIFETIME = 24 * 3600000; // 24 hours
+
+function parseArgs(args) {
+    const options = { port: 8787, fail: false, delay: 0 };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--port') options.port = parseInt(args[++i], 10);
+        else if (args[i] === '--fail') options.fail = true;
+        else if (args[i] === '--delay') options.delay = parseInt(args[++i], 10);
+    }
+
+    return options;
+}
+
+function createResolverServer(options = {}) {
+    const codesByUrl = new Map();
+    const entriesByCode = new Map();
+    let nextCode = 10000;
+
+    const send = (res, status, body) => {
+        res.writeHead(status, {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Accept'
+        });
+        res.end(body === undefined ? '' : JSON.stringify(body));
+    };
+
+    const register = (url) => {
+        if (codesByUrl.has(url)) {
+            return entriesByCode.get(codesByUrl.get(url));
+        }
+
+        const entry = {
+            code: String(nextCode++),
+            url: url,
+            expires: new Date(Date.now() + CODE_LIFETIME).toISOString()
+        };
+
+        codesByUrl.set(url, entry.code);
+        entriesByCode.set(entry.code, entry);
+        return entry;
+    };
+
+    const handle = (req, res, body) => {
+        if (req.method === 'OPTIONS') {
+            return send(res, 204);
+        }
+
+        if (req.method === 'POST' && req.url === '/codes') {
+            if (options.fail) {
+                return send(res, 503, { error: 'Resolver unavailable' });
+            }
+
+            let url;
+            try {
+                url = new URL(JSON.parse(body).url).href;
+            } catch (error) {
+                return send(res, 400, { error: 'Body must be JSON with a valid url' });
+            }
+
+            return send(res, 201, register(url));
+        }
+
+        const match = req.method === 'GET' && req.url.match(/^\/codes\/(\d+)$/);
+        if (match) {
+            const entry = entriesByCode.get(match[1]);
+            return entry ? send(res, 200, entry) : send(res, 404, { error: 'Unknown code' });
+        }
+
+        return send(res, 404, { error: 'Not found' });
+    };
+
+    return http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            setTimeout(() => handle(req, res, body), options.delay || 0);
+        });
+    });
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    createResolverServer(options).listen(options.port, () => {
+        console.log(`Resolver stand-in listening on http://localhost:${options.port}${options.fail ? ' (failing)' : ''}`);
+    });
+}
+
+module.exports = { createResolverServer };
\ No newline at end of file
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+/**
+ * Sign codes.json after editing it by hand
+ *
+ * Usage:
+ *   CODES_SIGNING_KEY=/path/to/private.jwk node tools/sign-codes-manifest.js [codes.json]
+ *   node tools/sign-codes-manifest.js --generate-key /path/to/private.jwk
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { signManifest, verifyManifest } = require('../assets/js/codes-manifest.js');
+
+const DEFAULT_MANIFEST = path.join(__dirname, '..', 'codes.json');
+
+/**
+ * Generate a new signing key pair and print the public half
+ */
+async function generateKey(outputPath) {
+    const { subtle } = require('crypto').webcrypto;
+    const keyPair = await subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+    const privateJwk = await subtle.exportKey('jwk', keyPair.privateKey);
+    const publicJwk = await subtle.exportKey('jwk', keyPair.publicKey);
+
+    fs.writeFileSync(outputPath, JSON.stringify(privateJwk, null, 2), { mode: 0o600 });
+
+    console.log(`Private key written to ${outputPath} (keep it out of the repository)`);
+    console.log('Update MANIFEST_PUBLIC_KEY in assets/js/codes-manifest.js with:');
+    console.log(JSON.stringify({ kty: publicJwk.kty, crv: publicJwk.crv, x: publicJwk.x, y: publicJwk.y }, null, 4));
+}
+
+/**
+ * Load the private signing key named by CODES_SIGNING_KEY
+ */
+function loadSigningKey() {
+    const keyPath = process.env.CODES_SIGNING_KEY;
+
+    if (!keyPath) {
+        throw new Error('Set CODES_SIGNING_KEY to the path of the private JWK');
+    }
+
+    return JSON.parse(fs.readFileSync(keyPath, 'utf8'));
+}
+
+/**
+ * Re-sign a manifest file in place
+ */
+async function signFile(manifestPath) {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    manifest.issued = new Date().toISOString();
+
+    const keyId = process.env.CODES_SIGNING_KEY_ID || (manifest.signature && manifest.signature.keyId) || 'codes';
+    const signed = await signManifest(manifest, loadSigningKey(), keyId);
+
+    // Refuse to write a manifest the pages would reject
+    await verifyManifest(signed);
+
+    fs.writeFileSync(manifestPath, `${JSON.stringify(signed, null, 4)}\n`);
+    console.log(`Signed ${signed.codes.length} codes in ${manifestPath}`);
+}
+
+async function main(args) {
+    if (args[0] === '--generate-key') {
+        if (!args[1]) {
+            throw new Error('Usage: --generate-key <output.jwk>');
+        }
+        return generateKey(args[1]);
+    }
+
+    return signFile(args[0] || DEFAULT_MANIFEST);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { signFile, loadSigningKey };
\ No newline at end of file